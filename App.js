@@ -1,10 +1,10 @@
 // Main App Entry Point with Navigation
 console.log("MazKhat App: Loaded Premium UI v1.0.1");
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
-import { StyleSheet, ActivityIndicator, View, Text } from 'react-native';
+import { StyleSheet, ActivityIndicator, View, Text, Alert, Platform } from 'react-native';
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth } from './firebase';
 
@@ -17,20 +17,55 @@ import CustomerProfileScreen from './src/screens/CustomerProfileScreen';
 import StatementScreen from './src/screens/StatementScreen';
 import LoginScreen from './src/screens/LoginScreen';
 import SignupScreen from './src/screens/SignupScreen';
-import PINScreen, { isPINEnabled } from './src/security/PINScreen';
+import PINScreen from './src/security/PINScreen';
+import AppLock from './src/security/AppLock';
+import { isPINEnabled, adoptDevicePIN } from './src/utils/pinLock';
 import UserProfileScreen from './src/screens/UserProfileScreen';
 import SplashScreen from './src/screens/SplashScreen';
 import InsightsScreen from './src/screens/InsightsScreen';
+import TrashScreen from './src/screens/TrashScreen';
+import DataIntegrityScreen from './src/screens/DataIntegrityScreen';
+import RestoreProgressScreen from './src/screens/RestoreProgressScreen';
 import GlobalErrorBoundary from './src/components/GlobalErrorBoundary';
+import { runMigrations } from './src/utils/migrations';
+import { startOutboxSync } from './src/utils/syncOutbox';
+import { startLiveSync } from './src/utils/liveSync';
+import { purgeExpiredTrash } from './src/utils/storage';
+import { getGuestDataSummary, mergeGuestDataIntoAccount } from './src/utils/guestData';
+import { loadActiveBook } from './src/utils/books';
+import { initStorageBackend } from './src/utils/storageBackend';
+import { isEncryptionLocked, lockEncryption } from './src/utils/encryption';
+import { clearVerification } from './src/utils/securityPolicy';
 
 // Theme Context
 import { ThemeProvider } from './src/context/ThemeContext';
+import { DataProvider } from './src/context/DataContext';
+import { emitDataChange } from './src/utils/dataEvents';
 
 // Styles
 import { LIGHT_COLORS as COLORS } from './src/styles/colors';
 
 const Stack = createStackNavigator();
 
+// Resolves true if the user wants data saved while signed out moved into their account
+const askToMergeGuestData = ({ ledgers, expenses }) => {
+  const parts = [];
+  if (ledgers > 0) parts.push(`${ledgers} ${ledgers === 1 ? 'customer' : 'customers'}`);
+  if (expenses > 0) parts.push(`${expenses} ${expenses === 1 ? 'expense' : 'expenses'}`);
+  const found = parts.length > 0 ? parts.join(' and ') : 'profile details';
+  const message = `This phone has ${found} saved without an account. Merge them into this account?`;
+
+  if (Platform.OS === 'web') {
+    return Promise.resolve(window.confirm(message));
+  }
+  return new Promise((resolve) => {
+    Alert.alert('Data Found on This Phone', message, [
+      { text: 'Not Now', style: 'cancel', onPress: () => resolve(false) },
+      { text: 'Merge', onPress: () => resolve(true) }
+    ], { cancelable: false });
+  });
+};
+
 // Authentication Stack
 const AuthStack = () => (
   <Stack.Navigator
@@ -113,6 +148,27 @@ const AppStack = () => (
         headerShown: false,
       }}
     />
+    <Stack.Screen
+      name="Trash"
+      component={TrashScreen}
+      options={{
+        headerShown: false,
+      }}
+    />
+    <Stack.Screen
+      name="DataIntegrity"
+      component={DataIntegrityScreen}
+      options={{
+        headerShown: false,
+      }}
+    />
+    <Stack.Screen
+      name="RestoreProgress"
+      component={RestoreProgressScreen}
+      options={{
+        headerShown: false,
+      }}
+    />
     <Stack.Screen
       name="PINSetup"
       options={{ headerShown: false }}
@@ -137,6 +193,8 @@ export default function App() {
   const [pinRequired, setPinRequired] = useState(false);
   const [loading, setLoading] = useState(true);
   const [showSplash, setShowSplash] = useState(true);
+  // Signed-in user whose data waits for the PIN (encrypted records cannot be read before)
+  const lockedUser = useRef(null);
 
   useEffect(() => {
     // Splash screen timer
@@ -150,8 +208,15 @@ export default function App() {
       console.log("App: Auth State Changed. User:", authUser ? authUser.uid : "None");
       setUser(authUser);
       if (authUser) {
-        checkPINStatus();
+        prepareUserData(authUser);
       } else {
+        lockedUser.current = null;
+        lockEncryption();
+        clearVerification();
+        // Drop the signed-out account's records from the data store
+        loadActiveBook('guest')
+          .then(() => emitDataChange({ kind: 'all' }))
+          .catch(error => console.error("App: Error loading active book:", error));
         setIsAuthenticated(false);
         setPinRequired(false);
         setLoading(false);
@@ -175,10 +240,95 @@ export default function App() {
     };
   }, []);
 
-  const checkPINStatus = async () => {
+  // Upgrade stored data before the data store (context/DataContext.js) reads it
+  const prepareUserData = async (authUser) => {
+    setLoading(true);
+    // The first start after an update moves local data from AsyncStorage into SQLite
+    try {
+      console.log("App: Storage backend:", await initStorageBackend());
+    } catch (error) {
+      console.error("App: Could not open local storage:", error);
+    }
+    // The PIN used to be shared by every account on the phone; the one signed in keeps it
+    try {
+      await adoptDevicePIN(authUser.uid);
+    } catch (error) {
+      console.error("App: Error moving the PIN to this account:", error);
+    }
+    // Encrypted data is upgraded once the PIN screen has unlocked it
+    try {
+      if (await isEncryptionLocked(authUser.uid)) {
+        lockedUser.current = authUser;
+        setPinRequired(true);
+        setIsAuthenticated(false);
+        setLoading(false);
+        return;
+      }
+    } catch (error) {
+      console.error("App: Error checking encryption:", error);
+    }
+    await loadUserData(authUser);
+    await checkPINStatus(authUser);
+  };
+
+  const loadUserData = async (authUser) => {
+    try {
+      const result = await runMigrations(authUser.uid);
+      if (!result.success) {
+        const message = `Data upgrade to v${result.failed.version} failed and was rolled back: ${result.error}`;
+        console.error("App:", message);
+        if (Platform.OS === 'web') {
+          window.alert(message);
+        } else {
+          Alert.alert('Data Upgrade Failed', `${message}\nIt will be retried on next launch.`);
+        }
+      }
+    } catch (error) {
+      console.error("App: Migration runner error:", error);
+    }
+    // Reopen the book used last; storage keys are built from it
+    try {
+      await loadActiveBook(authUser.uid);
+    } catch (error) {
+      console.error("App: Error loading active book:", error);
+    }
+    // Data saved while signed out stays under the guest keys until the user merges it
+    try {
+      const guestData = await getGuestDataSummary();
+      if (guestData.hasData && await askToMergeGuestData(guestData)) {
+        const result = await mergeGuestDataIntoAccount(authUser.uid);
+        if (!result.success) {
+          console.error("App: Guest data merge failed:", result.error);
+          if (Platform.OS === 'web') {
+            window.alert(`Could not merge data: ${result.error}`);
+          } else {
+            Alert.alert('Merge Failed', `${result.error}\nYou will be asked again next time.`);
+          }
+        }
+      }
+    } catch (error) {
+      console.error("App: Guest data check error:", error);
+    }
+    // Deleted items past the recycle bin retention period are removed for good
+    await purgeExpiredTrash();
+  };
+
+  // Drain pending cloud writes while signed in and unlocked (and whenever connectivity returns)
+  useEffect(() => {
+    if (!user || !isAuthenticated) return undefined;
+    return startOutboxSync();
+  }, [user, isAuthenticated]);
+
+  // Live updates from other devices (if turned on) once the data is prepared and unlocked
+  useEffect(() => {
+    if (!user || !isAuthenticated) return undefined;
+    return startLiveSync();
+  }, [user, isAuthenticated]);
+
+  const checkPINStatus = async (authUser) => {
     console.log("App: Checking PIN Status...");
     try {
-      const enabled = await isPINEnabled();
+      const enabled = await isPINEnabled(authUser.uid);
       console.log("App: PIN Enabled:", enabled);
       setPinRequired(enabled);
       if (!enabled) {
@@ -193,8 +343,16 @@ export default function App() {
     }
   };
 
-  const handlePINSuccess = () => {
+  const handlePINSuccess = async () => {
     console.log("App: PIN success!");
+    const authUser = lockedUser.current;
+    if (authUser) {
+      lockedUser.current = null;
+      setLoading(true);
+      // The data store mounts again once loading ends and reads the unlocked records
+      await loadUserData(authUser);
+      setLoading(false);
+    }
     setIsAuthenticated(true);
   };
 
@@ -217,12 +375,17 @@ export default function App() {
     <GestureHandlerRootView style={styles.container}>
       <GlobalErrorBoundary>
         <ThemeProvider>
-          <AppContent
-            user={user}
-            pinRequired={pinRequired}
-            isAuthenticated={isAuthenticated}
-            handlePINSuccess={handlePINSuccess}
-          />
+          <DataProvider>
+            {/* Asks for the PIN again after the auto-lock timeout set in UserProfileScreen */}
+            <AppLock uid={user ? user.uid : null} active={isAuthenticated}>
+              <AppContent
+                user={user}
+                pinRequired={pinRequired}
+                isAuthenticated={isAuthenticated}
+                handlePINSuccess={handlePINSuccess}
+              />
+            </AppLock>
+          </DataProvider>
         </ThemeProvider>
       </GlobalErrorBoundary>
     </GestureHandlerRootView>
@@ -2,8 +2,8 @@
 // Copy this file to firebase.js and add your credentials
 
 import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
-import { getAuth, initializeAuth, getReactNativePersistence, browserLocalPersistence } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getAuth, initializeAuth, getReactNativePersistence, browserLocalPersistence, connectAuthEmulator } from 'firebase/auth';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
 
@@ -29,3 +29,14 @@ if (Platform.OS === 'web') {
 }
 
 export const auth = authInstance;
+
+// Local emulators for testing sync between devices (`npm run emulators`), e.g.
+// EXPO_PUBLIC_FIRESTORE_EMULATOR_HOST=10.0.2.2:8080 EXPO_PUBLIC_AUTH_EMULATOR_URL=http://10.0.2.2:9099
+const firestoreEmulator = process.env.EXPO_PUBLIC_FIRESTORE_EMULATOR_HOST;
+if (firestoreEmulator) {
+    const [host, port] = firestoreEmulator.split(':');
+    connectFirestoreEmulator(db, host, Number(port) || 8080);
+}
+if (process.env.EXPO_PUBLIC_AUTH_EMULATOR_URL) {
+    connectAuthEmulator(auth, process.env.EXPO_PUBLIC_AUTH_EMULATOR_URL, { disableWarnings: true });
+}
@@ -0,0 +1,17 @@
+// Integration tests against the Firebase emulators (`npm run test:emulator` starts them)
+const expoPreset = require('jest-expo/jest-preset');
+
+module.exports = {
+    preset: 'jest-expo',
+    testMatch: ['**/__tests__/**/*.emulator.test.js'],
+    testTimeout: 30000,
+    // The Firebase SDK and @noble ship ES modules, some as .mjs
+    transform: {
+        ...expoPreset.transform,
+        '\\.mjs$': expoPreset.transform['\\.[jt]sx?$'],
+    },
+    transformIgnorePatterns: [
+        '/node_modules/(?!(.pnpm|react-native|@react-native|@react-native-community|expo|@expo|@expo-google-fonts|react-navigation|@react-navigation|@sentry/react-native|native-base|firebase|@firebase|@noble))',
+        ...expoPreset.transformIgnorePatterns.slice(1),
+    ],
+};
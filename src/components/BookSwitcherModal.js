@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, TextInput, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getBooks, switchBook, createBook, renameBook } from '../utils/storage';
+import { getActiveBookId } from '../utils/books';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Pick, add or rename the business books of the account
+ * @param {object} props - { visible, onClose, onChanged: called after the open book or a name changed }
+ */
+export default function BookSwitcherModal({ visible, onClose, onChanged }) {
+    const { colors } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+    const [books, setBooks] = useState([]);
+    const [newName, setNewName] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [editingName, setEditingName] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const loadBooks = async () => setBooks(await getBooks());
+
+    useEffect(() => {
+        if (!visible) return;
+        setNewName('');
+        setEditingId(null);
+        loadBooks();
+    }, [visible]);
+
+    const handleSwitch = async (bookId) => {
+        if (busy) return;
+        if (bookId === getActiveBookId()) {
+            onClose();
+            return;
+        }
+        setBusy(true);
+        const switched = await switchBook(bookId);
+        setBusy(false);
+        if (switched) {
+            if (onChanged) onChanged();
+            onClose();
+        }
+    };
+
+    const handleCreate = async () => {
+        if (busy || !newName.trim()) return;
+        setBusy(true);
+        const book = await createBook(newName);
+        setBusy(false);
+        if (book) {
+            if (onChanged) onChanged();
+            onClose();
+        }
+    };
+
+    const handleRename = async () => {
+        if (busy || !editingName.trim()) return;
+        setBusy(true);
+        const renamed = await renameBook(editingId, editingName);
+        setBusy(false);
+        if (renamed) {
+            setEditingId(null);
+            await loadBooks();
+            if (onChanged) onChanged();
+        }
+    };
+
+    const activeBookId = getActiveBookId();
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            transparent={true}
+            onRequestClose={onClose}
+        >
+            <View style={styles.overlay}>
+                <View style={styles.container}>
+                    <View style={styles.header}>
+                        <Text style={styles.title}>Business Books</Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <Ionicons name="close" size={24} color={colors.TEXT_PRIMARY} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.hint}>
+                        Each book keeps its own customers, expenses, categories and business profile.
+                    </Text>
+
+                    <ScrollView style={styles.list}>
+                        {books.map(book => (
+                            editingId === book.id ? (
+                                <View key={book.id} style={styles.bookRow}>
+                                    <TextInput
+                                        style={styles.input}
+                                        value={editingName}
+                                        onChangeText={setEditingName}
+                                        placeholder="Book name"
+                                        placeholderTextColor={colors.TEXT_LIGHT}
+                                        autoFocus
+                                    />
+                                    <TouchableOpacity style={styles.iconBtn} onPress={handleRename} disabled={busy}>
+                                        <Ionicons name="checkmark" size={22} color={colors.PRIMARY} />
+                                    </TouchableOpacity>
+                                    <TouchableOpacity style={styles.iconBtn} onPress={() => setEditingId(null)}>
+                                        <Ionicons name="close" size={22} color={colors.TEXT_SECONDARY} />
+                                    </TouchableOpacity>
+                                </View>
+                            ) : (
+                                <TouchableOpacity
+                                    key={book.id}
+                                    style={[styles.bookRow, book.id === activeBookId && styles.activeRow]}
+                                    onPress={() => handleSwitch(book.id)}
+                                    disabled={busy}
+                                >
+                                    <Ionicons
+                                        name={book.id === activeBookId ? 'checkmark-circle' : 'book-outline'}
+                                        size={20}
+                                        color={book.id === activeBookId ? colors.PRIMARY : colors.TEXT_SECONDARY}
+                                    />
+                                    <Text style={[styles.bookName, book.id === activeBookId && styles.activeName]} numberOfLines={1}>
+                                        {book.name}
+                                    </Text>
+                                    <TouchableOpacity
+                                        style={styles.iconBtn}
+                                        onPress={() => {
+                                            setEditingId(book.id);
+                                            setEditingName(book.name);
+                                        }}
+                                    >
+                                        <Ionicons name="pencil" size={18} color={colors.TEXT_SECONDARY} />
+                                    </TouchableOpacity>
+                                </TouchableOpacity>
+                            )
+                        ))}
+                    </ScrollView>
+
+                    <Text style={styles.label}>New Book</Text>
+                    <View style={styles.createRow}>
+                        <TextInput
+                            style={styles.input}
+                            value={newName}
+                            onChangeText={setNewName}
+                            placeholder="e.g. Wholesale Shop"
+                            placeholderTextColor={colors.TEXT_LIGHT}
+                        />
+                        <TouchableOpacity
+                            style={[styles.addBtn, (!newName.trim() || busy) && styles.btnDisabled]}
+                            onPress={handleCreate}
+                            disabled={!newName.trim() || busy}
+                        >
+                            <Text style={styles.addBtnText}>Add</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    container: {
+        backgroundColor: colors.CARD_BG,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        padding: 20,
+        maxHeight: '80%',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    hint: {
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginBottom: 16,
+    },
+    list: {
+        marginBottom: 10,
+    },
+    bookRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        paddingHorizontal: 12,
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: colors.BORDER,
+        marginBottom: 8,
+    },
+    activeRow: {
+        borderColor: colors.PRIMARY,
+    },
+    bookName: {
+        flex: 1,
+        fontSize: 15,
+        color: colors.TEXT_PRIMARY,
+        marginLeft: 10,
+    },
+    activeName: {
+        fontWeight: 'bold',
+        color: colors.PRIMARY,
+    },
+    iconBtn: {
+        padding: 6,
+        marginLeft: 4,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: colors.TEXT_SECONDARY,
+        marginBottom: 8,
+    },
+    createRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    input: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: colors.BORDER,
+        borderRadius: 10,
+        padding: 10,
+        fontSize: 15,
+        color: colors.TEXT_PRIMARY,
+        backgroundColor: colors.BACKGROUND,
+    },
+    addBtn: {
+        marginLeft: 10,
+        paddingVertical: 12,
+        paddingHorizontal: 18,
+        borderRadius: 10,
+        backgroundColor: colors.PRIMARY,
+    },
+    btnDisabled: {
+        opacity: 0.6,
+    },
+    addBtnText: {
+        color: colors.WHITE,
+        fontWeight: 'bold',
+        fontSize: 15,
+    },
+});
@@ -4,7 +4,8 @@ import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { saveCategories } from '../utils/storage';
 import { useTheme } from '../context/ThemeContext';
 
-export default function CategoryManager({ visible, onClose, categories, onUpdate }) {
+// The list updates through the data store (context/DataContext.js) once a save lands
+export default function CategoryManager({ visible, onClose, categories }) {
     const { colors, isDark } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
@@ -31,7 +32,6 @@ export default function CategoryManager({ visible, onClose, categories, onUpdate
         const updated = [...categories, newCat];
         const success = await saveCategories(updated);
         if (success) {
-            onUpdate(updated);
             setNewCatName('');
         }
     };
@@ -41,10 +41,7 @@ export default function CategoryManager({ visible, onClose, categories, onUpdate
 
         const performDelete = async () => {
             const updated = categories.filter(c => c.id !== catId);
-            const success = await saveCategories(updated);
-            if (success) {
-                onUpdate(updated);
-            }
+            await saveCategories(updated);
         };
 
         if (Platform.OS === 'web') {
@@ -85,7 +82,6 @@ export default function CategoryManager({ visible, onClose, categories, onUpdate
 
         const success = await saveCategories(updated);
         if (success) {
-            onUpdate(updated);
             setEditingCatId(null);
         }
     };
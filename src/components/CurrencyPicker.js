@@ -0,0 +1,73 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { CURRENCIES, CURRENCY_CODES } from '../utils/money';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Row of currency chips
+ * @param {object} props - { value: currency code, onChange: (code) => void, label? (null hides it) }
+ */
+export default function CurrencyPicker({ value, onChange, label = 'Currency' }) {
+    const { colors } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+
+    return (
+        <View style={styles.container}>
+            {label ? <Text style={styles.label}>{label}</Text> : null}
+            <View style={styles.chips}>
+                {CURRENCY_CODES.map(code => {
+                    const active = value === code;
+                    const symbol = CURRENCIES[code].symbol.trim();
+                    return (
+                        <TouchableOpacity
+                            key={code}
+                            style={[styles.chip, active && styles.activeChip]}
+                            onPress={() => onChange(code)}
+                        >
+                            <Text style={[styles.chipText, active && styles.activeChipText]}>
+                                {symbol === code ? code : `${symbol} ${code}`}
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </View>
+        </View>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    container: {
+        marginBottom: 10,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: colors.TEXT_SECONDARY,
+        marginBottom: 8,
+    },
+    chips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: colors.BORDER,
+        marginRight: 8,
+        marginBottom: 8,
+    },
+    activeChip: {
+        backgroundColor: colors.PRIMARY,
+        borderColor: colors.PRIMARY,
+    },
+    chipText: {
+        fontSize: 12,
+        color: colors.TEXT_SECONDARY,
+    },
+    activeChipText: {
+        color: colors.WHITE,
+        fontWeight: 'bold',
+    },
+});
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, TextInput, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { deleteAccount } from '../utils/storage';
+import { useTheme } from '../context/ThemeContext';
+
+export default function DeleteAccountModal({ visible, onClose, onDeleted }) {
+    const { colors } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+    const [password, setPassword] = useState('');
+    const [showPassword, setShowPassword] = useState(false);
+    const [deleting, setDeleting] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleClose = () => {
+        if (deleting) return;
+        setPassword('');
+        setError(null);
+        setProgress(null);
+        onClose();
+    };
+
+    const handleDelete = async () => {
+        if (!password || deleting) return;
+        setDeleting(true);
+        setError(null);
+        const result = await deleteAccount(password, { onProgress: setProgress });
+        setDeleting(false);
+        if (result.success) {
+            setPassword('');
+            onDeleted();
+        } else {
+            setProgress(null);
+            setError(result.error || 'Failed to delete account');
+        }
+    };
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            transparent={true}
+            onRequestClose={handleClose}
+        >
+            <View style={styles.overlay}>
+                <View style={styles.container}>
+                    <View style={styles.header}>
+                        <Text style={styles.title}>Delete Account</Text>
+                        <TouchableOpacity onPress={handleClose} disabled={deleting}>
+                            <Ionicons name="close" size={24} color={colors.TEXT_PRIMARY} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.warning}>
+                        Your account, customers, transactions, expenses and profile will be permanently deleted from this phone and the cloud. This cannot be undone.
+                    </Text>
+
+                    <Text style={styles.label}>Confirm with your password</Text>
+                    <View style={styles.passwordContainer}>
+                        <TextInput
+                            style={styles.input}
+                            value={password}
+                            onChangeText={setPassword}
+                            placeholder="Current password"
+                            placeholderTextColor={colors.TEXT_LIGHT}
+                            secureTextEntry={!showPassword}
+                            autoCapitalize="none"
+                            editable={!deleting}
+                        />
+                        <TouchableOpacity style={styles.eyeIcon} onPress={() => setShowPassword(!showPassword)}>
+                            <Ionicons name={showPassword ? "eye-off" : "eye"} size={20} color={colors.TEXT_SECONDARY} />
+                        </TouchableOpacity>
+                    </View>
+
+                    {error && <Text style={styles.error}>{error}</Text>}
+                    {deleting && (
+                        <Text style={styles.progress}>
+                            {progress ? `Deleting cloud data ${progress.deleted}/${progress.total}...` : 'Verifying...'}
+                        </Text>
+                    )}
+
+                    <TouchableOpacity
+                        style={[styles.deleteBtn, (!password || deleting) && styles.btnDisabled]}
+                        onPress={handleDelete}
+                        disabled={!password || deleting}
+                    >
+                        {deleting ? (
+                            <ActivityIndicator color={colors.WHITE} />
+                        ) : (
+                            <Text style={styles.deleteBtnText}>Delete Forever</Text>
+                        )}
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    container: {
+        backgroundColor: colors.CARD_BG,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        padding: 20,
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: colors.DEBIT_RED,
+    },
+    warning: {
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginBottom: 16,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: colors.TEXT_PRIMARY,
+        marginBottom: 8,
+    },
+    passwordContainer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: colors.BORDER,
+        borderRadius: 10,
+        backgroundColor: colors.BACKGROUND,
+    },
+    input: {
+        flex: 1,
+        padding: 12,
+        fontSize: 15,
+        color: colors.TEXT_PRIMARY,
+    },
+    eyeIcon: {
+        padding: 10,
+    },
+    error: {
+        fontSize: 13,
+        color: colors.ERROR,
+        marginTop: 10,
+    },
+    progress: {
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginTop: 10,
+    },
+    deleteBtn: {
+        marginTop: 20,
+        paddingVertical: 14,
+        borderRadius: 10,
+        backgroundColor: colors.DEBIT_RED,
+        alignItems: 'center',
+    },
+    btnDisabled: {
+        opacity: 0.6,
+    },
+    deleteBtnText: {
+        color: colors.WHITE,
+        fontWeight: 'bold',
+        fontSize: 16,
+    },
+});
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, TextInput } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getExchangeRates, saveExchangeRates } from '../utils/storage';
+import { CURRENCIES, CURRENCY_CODES, DEFAULT_CURRENCY, getCurrencySymbol } from '../utils/money';
+import { useTheme } from '../context/ThemeContext';
+
+const FOREIGN_CURRENCIES = CURRENCY_CODES.filter(code => code !== DEFAULT_CURRENCY);
+
+export default function ExchangeRatesModal({ visible, onClose, onSaved }) {
+    const { colors } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+    const [rates, setRates] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!visible) return;
+        getExchangeRates().then(stored => {
+            const editable = {};
+            Object.entries(stored).forEach(([code, rate]) => { editable[code] = String(rate); });
+            setRates(editable);
+        });
+    }, [visible]);
+
+    const handleSave = async () => {
+        setSaving(true);
+        const saved = await saveExchangeRates(rates);
+        setSaving(false);
+        if (saved) {
+            if (onSaved) onSaved();
+            onClose();
+        }
+    };
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            transparent={true}
+            onRequestClose={onClose}
+        >
+            <View style={styles.overlay}>
+                <View style={styles.container}>
+                    <View style={styles.header}>
+                        <Text style={styles.title}>Exchange Rates</Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <Ionicons name="close" size={24} color={colors.TEXT_PRIMARY} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.hint}>
+                        Used only for converted totals on Home and Insights. Leave a rate empty to keep that currency separate.
+                    </Text>
+
+                    {FOREIGN_CURRENCIES.map(code => (
+                        <View key={code} style={styles.rateRow}>
+                            <Text style={styles.rateLabel}>1 {code}</Text>
+                            <Text style={styles.equals}>=</Text>
+                            <Text style={styles.symbol}>{getCurrencySymbol(DEFAULT_CURRENCY)}</Text>
+                            <TextInput
+                                style={styles.input}
+                                value={rates[code] || ''}
+                                onChangeText={(text) => setRates({ ...rates, [code]: text.replace(/[^0-9.]/g, '') })}
+                                placeholder={CURRENCIES[code].name}
+                                placeholderTextColor={colors.TEXT_LIGHT}
+                                keyboardType="decimal-pad"
+                            />
+                        </View>
+                    ))}
+
+                    <TouchableOpacity
+                        style={[styles.saveBtn, saving && styles.btnDisabled]}
+                        onPress={handleSave}
+                        disabled={saving}
+                    >
+                        <Text style={styles.saveBtnText}>{saving ? 'Saving...' : 'Save Rates'}</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    container: {
+        backgroundColor: colors.CARD_BG,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        padding: 20,
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    hint: {
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginBottom: 16,
+    },
+    rateRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    rateLabel: {
+        width: 60,
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.TEXT_PRIMARY,
+    },
+    equals: {
+        fontSize: 15,
+        color: colors.TEXT_SECONDARY,
+        marginHorizontal: 8,
+    },
+    symbol: {
+        fontSize: 15,
+        color: colors.TEXT_PRIMARY,
+        marginRight: 6,
+    },
+    input: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: colors.BORDER,
+        borderRadius: 10,
+        padding: 10,
+        fontSize: 15,
+        color: colors.TEXT_PRIMARY,
+        backgroundColor: colors.BACKGROUND,
+    },
+    saveBtn: {
+        marginTop: 10,
+        paddingVertical: 14,
+        borderRadius: 10,
+        backgroundColor: colors.PRIMARY,
+        alignItems: 'center',
+    },
+    btnDisabled: {
+        opacity: 0.6,
+    },
+    saveBtnText: {
+        color: colors.WHITE,
+        fontWeight: 'bold',
+        fontSize: 16,
+    },
+});
@@ -1,7 +1,7 @@
 import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, SafeAreaView, StatusBar, Clipboard, Platform } from 'react-native';
 import { MaterialCommunityIcons, Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageBackend from '../utils/storageBackend';
 // import * as Updates from 'expo-updates';
 
 class GlobalErrorBoundary extends React.Component {
@@ -48,7 +48,7 @@ class GlobalErrorBoundary extends React.Component {
         }
 
         try {
-            await AsyncStorage.clear();
+            await storageBackend.clear();
             this.handleRestart();
         } catch (e) {
             console.error('Failed to clear storage:', e);
@@ -3,17 +3,18 @@ import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Image } from 'react-native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
+import { formatMoney, getCurrency } from '../utils/money';
 
+// `ledger` is a summary from useLedgerSummaries (context/DataContext.js)
 export const LedgerCard = React.memo(function LedgerCard({ ledger, onPress, onLongPress }) {
     const { colors, isDark } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
+    const currency = getCurrency(ledger);
 
-    const lastTransaction = ledger.transactions && ledger.transactions.length > 0
-        ? ledger.transactions[ledger.transactions.length - 1]
-        : null;
+    const lastTransaction = ledger.lastTransaction;
 
     const summaryText = lastTransaction
-        ? `₹${Math.abs(lastTransaction.amount).toLocaleString()} ${lastTransaction.type === 'credit' ? 'Credit' : 'Debit'} ${lastTransaction.is_deleted ? 'Deleted' : (lastTransaction.is_edited ? 'Edited' : 'Added')} Yesterday`
+        ? `${formatMoney(Math.abs(lastTransaction.amount), { currency })} ${lastTransaction.type === 'credit' ? 'Credit' : 'Debit'} ${lastTransaction.is_deleted ? 'Deleted' : (lastTransaction.is_edited ? 'Edited' : 'Added')} Yesterday`
         : 'No transactions yet';
 
     return (
@@ -47,7 +48,7 @@ export const LedgerCard = React.memo(function LedgerCard({ ledger, onPress, onLo
 
             <View style={styles.balanceContainer}>
                 <Text style={[styles.balanceValue, { color: ledger.balance > 0 ? colors.DEBIT_RED : colors.CREDIT_GREEN }]}>
-                    ₹{Math.abs(ledger.balance).toLocaleString()}
+                    {formatMoney(Math.abs(ledger.balance), { currency })}
                 </Text>
                 <Text style={[styles.statusText, { color: ledger.balance > 0 ? colors.DEBIT_RED : colors.CREDIT_GREEN }]}>
                     {ledger.balance >= 0 ? 'Due' : 'Advance'}
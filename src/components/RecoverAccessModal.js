@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, TextInput, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { recoverEncryption } from '../utils/encryption';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Confirms the account password when the PIN is forgotten, unlocking encrypted data if any.
+ * onRecovered is called once the password is accepted; the caller then asks for a new PIN.
+ */
+export default function RecoverAccessModal({ visible, onClose, onRecovered }) {
+    const { colors } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+    const [password, setPassword] = useState('');
+    const [showPassword, setShowPassword] = useState(false);
+    const [verifying, setVerifying] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleClose = () => {
+        if (verifying) return;
+        setPassword('');
+        setError(null);
+        onClose();
+    };
+
+    const handleRecover = async () => {
+        if (!password || verifying) return;
+        setVerifying(true);
+        setError(null);
+        const result = await recoverEncryption(password);
+        setVerifying(false);
+        if (result.success) {
+            setPassword('');
+            onRecovered();
+        } else {
+            setError(result.error || 'Failed to verify your password');
+        }
+    };
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            transparent={true}
+            onRequestClose={handleClose}
+        >
+            <View style={styles.overlay}>
+                <View style={styles.container}>
+                    <View style={styles.header}>
+                        <Text style={styles.title}>Reset PIN</Text>
+                        <TouchableOpacity onPress={handleClose} disabled={verifying}>
+                            <Ionicons name="close" size={24} color={colors.TEXT_PRIMARY} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.note}>
+                        Sign in again with your account password. You will then choose a new PIN.
+                    </Text>
+
+                    <Text style={styles.label}>Account password</Text>
+                    <View style={styles.passwordContainer}>
+                        <TextInput
+                            style={styles.input}
+                            value={password}
+                            onChangeText={setPassword}
+                            placeholder="Current password"
+                            placeholderTextColor={colors.TEXT_LIGHT}
+                            secureTextEntry={!showPassword}
+                            autoCapitalize="none"
+                            editable={!verifying}
+                        />
+                        <TouchableOpacity style={styles.eyeIcon} onPress={() => setShowPassword(!showPassword)}>
+                            <Ionicons name={showPassword ? "eye-off" : "eye"} size={20} color={colors.TEXT_SECONDARY} />
+                        </TouchableOpacity>
+                    </View>
+
+                    {error && <Text style={styles.error}>{error}</Text>}
+
+                    <TouchableOpacity
+                        style={[styles.unlockBtn, (!password || verifying) && styles.btnDisabled]}
+                        onPress={handleRecover}
+                        disabled={!password || verifying}
+                    >
+                        {verifying ? (
+                            <ActivityIndicator color={colors.WHITE} />
+                        ) : (
+                            <Text style={styles.unlockBtnText}>Continue</Text>
+                        )}
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    container: {
+        backgroundColor: colors.CARD_BG,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        padding: 20,
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    note: {
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginBottom: 16,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: colors.TEXT_PRIMARY,
+        marginBottom: 8,
+    },
+    passwordContainer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: colors.BORDER,
+        borderRadius: 10,
+        backgroundColor: colors.BACKGROUND,
+    },
+    input: {
+        flex: 1,
+        padding: 12,
+        fontSize: 15,
+        color: colors.TEXT_PRIMARY,
+    },
+    eyeIcon: {
+        padding: 10,
+    },
+    error: {
+        fontSize: 13,
+        color: colors.ERROR,
+        marginTop: 10,
+    },
+    unlockBtn: {
+        marginTop: 20,
+        paddingVertical: 14,
+        borderRadius: 10,
+        backgroundColor: colors.PRIMARY,
+        alignItems: 'center',
+    },
+    btnDisabled: {
+        opacity: 0.6,
+    },
+    unlockBtnText: {
+        color: colors.WHITE,
+        fontWeight: 'bold',
+        fontSize: 16,
+    },
+});
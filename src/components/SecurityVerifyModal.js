@@ -2,18 +2,28 @@
 import React from 'react';
 import { Modal, StyleSheet, View, TouchableOpacity, Text, SafeAreaView } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import PINScreen, { isPINEnabled } from '../security/PINScreen';
+import PINScreen from '../security/PINScreen';
+import { isPINEnabled } from '../utils/pinLock';
+import { markVerified } from '../utils/securityPolicy';
 import { COLORS } from '../styles/colors';
 import { useTheme } from '../context/ThemeContext';
 
 /**
  * A reusable modal for verifying the user's identity before sensitive actions.
  * Automatically checks if PIN is enabled; if not, it succeeds immediately.
+ * onSuccess receives the PIN when one was typed; requirePIN turns off the biometric shortcut.
+ * Callers check needsVerification (utils/securityPolicy.js) before showing it.
  */
-export default function SecurityVerifyModal({ visible, onSuccess, onCancel, title = "Verify Identity" }) {
+export default function SecurityVerifyModal({ visible, onSuccess, onCancel, title = "Verify Identity", requirePIN = false }) {
     const { colors } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
+    const handleVerified = (pin) => {
+        // Starts the policy's grace window
+        markVerified();
+        onSuccess(pin);
+    };
+
     const handleCheck = async () => {
         const enabled = await isPINEnabled();
         if (!enabled) {
@@ -47,7 +57,8 @@ export default function SecurityVerifyModal({ visible, onSuccess, onCancel, titl
                 <View style={styles.content}>
                     <PINScreen
                         mode="verify"
-                        onSuccess={onSuccess}
+                        requirePIN={requirePIN}
+                        onSuccess={handleVerified}
                     />
                 </View>
 
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, ScrollView, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { resolveSyncConflict } from '../utils/cloudSync';
+import { formatCurrency, formatDate } from '../utils/calculations';
+import { getCurrency } from '../utils/money';
+import { useTheme } from '../context/ThemeContext';
+
+const KIND_LABELS = {
+    ledger: 'Customer',
+    transaction: 'Transaction',
+    expense: 'Expense',
+    category: 'Category',
+};
+
+// One-line summary of a record version so the user can tell the two apart
+const describeRecord = (kind, record, currency) => {
+    if (!record) return 'Deleted';
+    switch (kind) {
+        case 'ledger':
+            return [record.name, record.phone, record.address].filter(Boolean).join(' • ');
+        case 'transaction':
+            return `${record.type === 'credit' ? 'Given' : 'Received'} ${formatCurrency(Number(record.amount) || 0, currency)} on ${formatDate(record.date)}${record.note ? ` • ${record.note}` : ''}`;
+        case 'expense':
+            return `${record.title || 'Untitled'} • ${formatCurrency(Number(record.amount) || 0, getCurrency(record))} • ${record.category}`;
+        default:
+            return record.id;
+    }
+};
+
+const describeEdit = (record) => {
+    if (!record || !record.updatedAt) return '';
+    return `Edited ${formatDate(record.updatedAt)} ${new Date(record.updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+export default function SyncConflictModal({ visible, onClose, conflicts, onResolved }) {
+    const { colors } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+    const [resolvingKey, setResolvingKey] = useState(null);
+
+    const handleResolve = async (conflict, choice) => {
+        if (resolvingKey) return;
+        setResolvingKey(conflict.key);
+        await resolveSyncConflict(conflict, choice);
+        setResolvingKey(null);
+        onResolved();
+    };
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            transparent={true}
+            onRequestClose={onClose}
+        >
+            <View style={styles.overlay}>
+                <View style={styles.container}>
+                    <View style={styles.header}>
+                        <Text style={styles.title}>Sync Conflicts</Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <Ionicons name="close" size={24} color={colors.TEXT_PRIMARY} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.subtitle}>
+                        These records were changed on this phone and on another device. Choose which version to keep.
+                    </Text>
+
+                    <ScrollView style={styles.list}>
+                        {conflicts.map((conflict) => (
+                            <View key={conflict.key} style={styles.item}>
+                                <Text style={styles.kind}>{KIND_LABELS[conflict.kind] || conflict.kind}</Text>
+
+                                <View style={styles.version}>
+                                    <Text style={styles.versionLabel}>This phone</Text>
+                                    <Text style={styles.versionText}>{describeRecord(conflict.kind, conflict.local, conflict.currency)}</Text>
+                                    <Text style={styles.versionMeta}>{describeEdit(conflict.local)}</Text>
+                                </View>
+                                <View style={styles.version}>
+                                    <Text style={styles.versionLabel}>Cloud</Text>
+                                    <Text style={styles.versionText}>{describeRecord(conflict.kind, conflict.remote, conflict.currency)}</Text>
+                                    <Text style={styles.versionMeta}>{describeEdit(conflict.remote)}</Text>
+                                </View>
+
+                                {resolvingKey === conflict.key ? (
+                                    <ActivityIndicator color={colors.PRIMARY} style={styles.spinner} />
+                                ) : (
+                                    <View style={styles.actions}>
+                                        <TouchableOpacity style={styles.actionBtn} onPress={() => handleResolve(conflict, 'local')}>
+                                            <Text style={styles.actionText}>Keep this phone</Text>
+                                        </TouchableOpacity>
+                                        <TouchableOpacity style={[styles.actionBtn, styles.actionBtnAlt]} onPress={() => handleResolve(conflict, 'remote')}>
+                                            <Text style={[styles.actionText, styles.actionTextAlt]}>Keep cloud</Text>
+                                        </TouchableOpacity>
+                                    </View>
+                                )}
+                            </View>
+                        ))}
+                    </ScrollView>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    container: {
+        backgroundColor: colors.CARD_BG,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        height: '70%',
+        padding: 20,
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    subtitle: {
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginBottom: 12,
+    },
+    list: {
+        flex: 1,
+    },
+    item: {
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.BORDER,
+    },
+    kind: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: colors.TEXT_SECONDARY,
+        textTransform: 'uppercase',
+        marginBottom: 6,
+    },
+    version: {
+        marginBottom: 8,
+    },
+    versionLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: colors.PRIMARY,
+    },
+    versionText: {
+        fontSize: 15,
+        color: colors.TEXT_PRIMARY,
+    },
+    versionMeta: {
+        fontSize: 12,
+        color: colors.TEXT_LIGHT,
+    },
+    actions: {
+        flexDirection: 'row',
+        marginTop: 4,
+    },
+    actionBtn: {
+        flex: 1,
+        paddingVertical: 10,
+        borderRadius: 10,
+        backgroundColor: colors.PRIMARY,
+        alignItems: 'center',
+        marginRight: 10,
+    },
+    actionBtnAlt: {
+        backgroundColor: 'transparent',
+        borderWidth: 1,
+        borderColor: colors.PRIMARY,
+        marginRight: 0,
+    },
+    actionText: {
+        color: colors.WHITE,
+        fontWeight: '600',
+    },
+    actionTextAlt: {
+        color: colors.PRIMARY,
+    },
+    spinner: {
+        marginTop: 8,
+    },
+});
@@ -3,8 +3,9 @@ import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Platform } from 'react-native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
+import { formatMoney } from '../utils/money';
 
-const TransactionItem = React.memo(function TransactionItem({ transaction, onPress }) {
+const TransactionItem = React.memo(function TransactionItem({ transaction, currency, onPress }) {
     const { colors, isDark } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
@@ -36,7 +37,7 @@ const TransactionItem = React.memo(function TransactionItem({ transaction, onPre
                         style={{ marginRight: 8 }}
                     />
                     <Text style={styles.amountText}>
-                        ₹{amount.toLocaleString()}
+                        {formatMoney(amount, { currency })}
                     </Text>
                     {billPhoto && (
                         <MaterialCommunityIcons name="image-outline" size={16} color={colors.PRIMARY} style={{ marginRight: 5 }} />
@@ -50,7 +51,7 @@ const TransactionItem = React.memo(function TransactionItem({ transaction, onPre
 
             <View style={[styles.dueBadge, isCredit ? styles.dueBadgeRight : styles.dueBadgeLeft]}>
                 <Text style={styles.dueText}>
-                    ₹{balanceAfter.toLocaleString()} {balanceAfter >= 0 ? 'Due' : 'Advance'}
+                    {formatMoney(balanceAfter, { currency })} {balanceAfter >= 0 ? 'Due' : 'Advance'}
                 </Text>
             </View>
         </TouchableOpacity>
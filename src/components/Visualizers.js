@@ -3,6 +3,7 @@ import React from 'react';
 import { View, Text, StyleSheet, Dimensions } from 'react-native';
 import { COLORS } from '../styles/colors';
 import { useTheme } from '../context/ThemeContext';
+import { formatMoney, PAISE_PER_RUPEE } from '../utils/money';
 
 const { width } = Dimensions.get('window');
 
@@ -16,7 +17,7 @@ export const SimpleBarChart = ({ data, labels, color1, color2 }) => {
 
     if (!data || data.length === 0) return null;
 
-    const maxVal = Math.max(...data.flatMap(d => [d.v1, d.v2, 100]));
+    const maxVal = Math.max(...data.flatMap(d => [d.v1, d.v2, 100 * PAISE_PER_RUPEE]));
     const chartHeight = 180;
 
     return (
@@ -71,7 +72,7 @@ export const CategoryRing = ({ data }) => {
                         <View style={styles.ringTrack}>
                             <View style={[styles.ringFill, { width: `${(item.value / total) * 100}%`, backgroundColor: item.color }]} />
                         </View>
-                        <Text style={styles.ringValue}>₹{item.value.toLocaleString()}</Text>
+                        <Text style={styles.ringValue}>{formatMoney(item.value)}</Text>
                     </View>
                 ))}
             </View>
@@ -88,7 +89,7 @@ export const SimpleLineChart = ({ data, color }) => {
 
     if (!data || data.length === 0) return null;
 
-    const maxVal = Math.max(...data.map(d => d.value), 100);
+    const maxVal = Math.max(...data.map(d => d.value), 100 * PAISE_PER_RUPEE);
     const chartHeight = 150;
     const spacing = (width - 80) / (data.length - 1 || 1);
 
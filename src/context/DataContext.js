@@ -0,0 +1,219 @@
+// Data Context - One in-memory copy of the open book's ledgers, expenses and categories
+//
+// The provider loads the book once and then reloads only what writers report as changed
+// (utils/dataEvents.js), so every mounted screen shows the same live data. Screens read it
+// through the hooks below and pass ids through navigation, never whole records.
+//
+// Ledger summaries (ledgerStore.js) are read first and on every ledger change: they are one
+// small record, so customer lists never read transactions. Full ledgers are only read when a
+// screen asks for one (useLedger, useLedgerList) and are then kept current like the rest.
+
+import React, { createContext, useContext, useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+import { getLedgers, getLedgerSummaries, getExpenses, getCategories } from '../utils/storage';
+import { getActiveBookId, subscribeActiveBook } from '../utils/books';
+import { subscribeDataChanges } from '../utils/dataEvents';
+import { sumByCurrency } from '../utils/money';
+
+const EMPTY_STATE = { summaries: [], ledgers: {}, expenses: [], categories: [], loaded: false };
+
+// Read the changed slices from storage into the store. `ledgers` holds only the full ledgers
+// screens asked for; null marks one asked for that does not exist.
+const reload = async (store, change) => {
+    const kind = change.kind;
+    if (kind === 'load') {
+        const found = await getLedgers(change.ledgerIds);
+        const ledgers = { ...store.getState().ledgers };
+        change.ledgerIds.forEach(id => { ledgers[id] = found[id] || null; });
+        store.setState({ ledgers });
+        return;
+    }
+    if (kind === 'all' || kind === 'ledgers') {
+        const loadedIds = Object.keys(store.getState().ledgers);
+        const ledgerIds = kind === 'ledgers' && change.ledgerIds
+            ? change.ledgerIds.filter(id => loadedIds.includes(id))
+            : loadedIds;
+        const [summaries, found] = await Promise.all([
+            getLedgerSummaries(),
+            ledgerIds.length > 0 ? getLedgers(ledgerIds) : {},
+        ]);
+        const ledgers = { ...store.getState().ledgers };
+        ledgerIds.forEach(id => { ledgers[id] = found[id] || null; });
+        store.setState({ summaries, ledgers });
+        if (kind === 'ledgers') return;
+    }
+    const [expenses, categories] = await Promise.all([
+        kind === 'all' || kind === 'expenses' ? getExpenses() : null,
+        kind === 'all' || kind === 'categories' ? getCategories() : null,
+    ]);
+    const changes = { loaded: true };
+    if (expenses) changes.expenses = expenses;
+    if (categories) changes.categories = categories;
+    store.setState(changes);
+};
+
+const createDataStore = () => {
+    let state = EMPTY_STATE;
+    const listeners = new Set();
+    // One reload at a time, in the order the changes happened
+    let queue = Promise.resolve();
+    const requested = new Set();
+
+    const store = {
+        getState: () => state,
+        setState: (changes) => {
+            state = { ...state, ...changes };
+            listeners.forEach(listener => listener());
+        },
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        schedule: (change) => {
+            queue = queue
+                .then(() => reload(store, change))
+                .catch(error => console.error('Error reloading data:', error));
+            return queue;
+        },
+        // Read full ledgers that are not in the store yet
+        requestLedgers: (ledgerIds) => {
+            const missing = ledgerIds.filter(id => !(id in state.ledgers) && !requested.has(id));
+            if (missing.length === 0) return;
+            missing.forEach(id => requested.add(id));
+            store.schedule({ kind: 'load', ledgerIds: missing })
+                .then(() => missing.forEach(id => requested.delete(id)));
+        },
+    };
+    return store;
+};
+
+const DataContext = createContext();
+
+export const DataProvider = ({ children }) => {
+    const [store] = useState(createDataStore);
+
+    useEffect(() => {
+        store.schedule({ kind: 'all' });
+        const unsubscribeChanges = subscribeDataChanges(change => {
+            if (change.bookId && change.bookId !== getActiveBookId()) return;
+            store.schedule(change);
+        });
+        // Ledgers of the previous book are of no use any more
+        const unsubscribeBook = subscribeActiveBook(() => {
+            store.setState({ ledgers: {} });
+            store.schedule({ kind: 'all' });
+        });
+        return () => {
+            unsubscribeChanges();
+            unsubscribeBook();
+        };
+    }, [store]);
+
+    return (
+        <DataContext.Provider value={store}>
+            {children}
+        </DataContext.Provider>
+    );
+};
+
+const useDataStore = () => {
+    const store = useContext(DataContext);
+    if (!store) {
+        throw new Error('Data hooks must be used within a DataProvider');
+    }
+    return store;
+};
+
+// Re-renders only when the selected value changes; selectors must return stored objects as-is
+const useDataSelector = (selector) => {
+    const store = useDataStore();
+    return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+};
+
+/**
+ * Whether the first load of the open book has finished
+ * @returns {boolean}
+ */
+export const useDataLoaded = () => useDataSelector(state => state.loaded);
+
+/**
+ * Every ledger of the open book without its transactions, for lists, search, sorting and totals
+ * @returns {Array<object>} { id, name, phone, profileImage, currency, balance, transactionCount,
+ *   lastActivity, lastNote, lastTransaction } (summarizeLedger in utils/ledgerStore.js)
+ */
+export const useLedgerSummaries = () => useDataSelector(state => state.summaries);
+
+/**
+ * Every ledger of the open book with its transactions. Reads them all: only for screens that
+ * need every transaction (Insights); lists use useLedgerSummaries.
+ * @returns {Array<object>} Ledgers loaded so far, in ledger order
+ */
+export const useLedgerList = () => {
+    const store = useDataStore();
+    const summaries = useLedgerSummaries();
+    const ledgers = useDataSelector(state => state.ledgers);
+    useEffect(() => {
+        store.requestLedgers(summaries.map(summary => summary.id));
+    }, [store, summaries]);
+    return useMemo(
+        () => summaries.map(summary => ledgers[summary.id]).filter(Boolean),
+        [summaries, ledgers]
+    );
+};
+
+/**
+ * One ledger with its transactions, read from storage the first time it is asked for
+ * @param {string} ledgerId - Ledger id
+ * @returns {object|null} Ledger, null if it does not exist (or is not loaded yet)
+ */
+export const useLedger = (ledgerId) => {
+    const store = useDataStore();
+    useEffect(() => {
+        if (ledgerId) store.requestLedgers([ledgerId]);
+    }, [store, ledgerId]);
+    return useDataSelector(state => state.ledgers[ledgerId] || null);
+};
+
+/**
+ * One transaction of a ledger
+ * @param {string} ledgerId - Ledger id
+ * @param {string} transactionId - Transaction id
+ * @returns {object|null} Transaction
+ */
+export const useTransaction = (ledgerId, transactionId) => {
+    const ledger = useLedger(ledgerId);
+    return useMemo(
+        () => (ledger ? ledger.transactions.find(t => t.id === transactionId) || null : null),
+        [ledger, transactionId]
+    );
+};
+
+/**
+ * Every expense of the open book
+ * @returns {Array<object>} Expenses
+ */
+export const useExpenses = () => useDataSelector(state => state.expenses);
+
+/**
+ * Expense categories of the open book
+ * @returns {Array<object>} Categories ({ id, icon, color })
+ */
+export const useCategories = () => useDataSelector(state => state.categories);
+
+/**
+ * Totals over every expense of the open book
+ * @returns {object} { spent: { [currency]: paise }, categoryUsage: { [category]: count }, mostUsed }
+ */
+export const useExpenseTotals = () => {
+    const expenses = useExpenses();
+    return useMemo(() => {
+        const categoryUsage = {};
+        expenses.forEach(e => {
+            categoryUsage[e.category] = (categoryUsage[e.category] || 0) + 1;
+        });
+        return {
+            spent: sumByCurrency(expenses, e => e.amount),
+            categoryUsage,
+            mostUsed: Object.entries(categoryUsage).sort((a, b) => b[1] - a[1])[0]?.[0] || 'None',
+        };
+    }, [expenses]);
+};
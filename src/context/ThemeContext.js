@@ -1,7 +1,7 @@
 
 import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 import { useColorScheme } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageBackend from '../utils/storageBackend';
 import { LIGHT_COLORS, DARK_COLORS } from '../styles/colors';
 
 const THEME_KEY = 'mazkhat_theme_preference';
@@ -27,7 +27,7 @@ export const ThemeProvider = ({ children }) => {
 
     const loadThemePreference = async () => {
         try {
-            const savedTheme = await AsyncStorage.getItem(THEME_KEY);
+            const savedTheme = await storageBackend.getItem(THEME_KEY);
             if (savedTheme) {
                 setThemeMode(savedTheme);
             }
@@ -39,7 +39,7 @@ export const ThemeProvider = ({ children }) => {
     const toggleTheme = useCallback(async (mode) => {
         try {
             setThemeMode(mode);
-            await AsyncStorage.setItem(THEME_KEY, mode);
+            await storageBackend.setItem(THEME_KEY, mode);
         } catch (error) {
             console.error('Failed to save theme preference', error);
         }
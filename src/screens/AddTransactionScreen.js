@@ -10,19 +10,28 @@ import {
     ScrollView,
     Modal,
     TextInput,
-    StatusBar
+    StatusBar,
+    Alert
 } from 'react-native';
 import * as DocumentPicker from 'expo-document-picker';
 import { Ionicons, MaterialCommunityIcons, FontAwesome } from '@expo/vector-icons';
 import { saveLedger } from '../utils/storage';
-import { evaluateMathExpression, calculateBalance, generateId } from '../utils/calculations';
+import { generateId } from '../utils/calculations';
+import { parseAmount, formatMoney, toInputString, getCurrency, getCurrencySymbol } from '../utils/money';
+import { addTransaction as addLedgerTransaction, editTransaction as editLedgerTransaction } from '../utils/ledgerEngine';
 import { useTheme } from '../context/ThemeContext';
+import { useLedger, useTransaction } from '../context/DataContext';
+import { isLedgerRestoring } from '../utils/cloudRestore';
 
 export default function AddTransactionScreen({ route, navigation }) {
     const { colors, isDark } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
-    const { ledger, type, editTransaction } = route.params;
+    const { ledgerId, type, transactionId } = route.params;
+    const ledger = useLedger(ledgerId);
+    const editTransaction = useTransaction(ledgerId, transactionId);
+    const editId = editTransaction ? editTransaction.id : null;
+    const currency = getCurrency(ledger);
     const [amount, setAmount] = useState('0');
     const [note, setNote] = useState('');
     const [date, setDate] = useState(new Date().toLocaleString('en-GB', {
@@ -42,7 +51,7 @@ export default function AddTransactionScreen({ route, navigation }) {
 
     useEffect(() => {
         if (editTransaction) {
-            setAmount(editTransaction.amount.toString());
+            setAmount(toInputString(editTransaction.amount));
             setNote(editTransaction.note || '');
             setDate(editTransaction.displayDate || new Date(editTransaction.date).toLocaleString('en-GB', {
                 day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
@@ -50,7 +59,9 @@ export default function AddTransactionScreen({ route, navigation }) {
             setSelectedDate(new Date(editTransaction.date));
             setBillPhoto(editTransaction.billPhoto);
         }
+    }, [editId]); // Fill the form once, not again when the ledger reloads
 
+    useEffect(() => {
         // Handle physical keyboard input for Web
         if (Platform.OS === 'web') {
             const handleKeyDown = (e) => {
@@ -74,7 +85,7 @@ export default function AddTransactionScreen({ route, navigation }) {
             window.addEventListener('keydown', handleKeyDown);
             return () => window.removeEventListener('keydown', handleKeyDown);
         }
-    }, [editTransaction, amount, note, date]); // Dependency on amount/note/date to ensure handleConfirm/handleKeyPress use latest state
+    }, [amount, note, date]); // Dependency on amount/note/date to ensure handleConfirm/handleKeyPress use latest state
 
     const handleKeyPress = (val) => {
         if (val === 'back') {
@@ -89,13 +100,20 @@ export default function AddTransactionScreen({ route, navigation }) {
     };
 
     const handleConfirm = async () => {
-        const numAmount = evaluateMathExpression(amount);
+        // Saving now would recompute the balance from the entries that are here so far
+        if (isLedgerRestoring(ledgerId)) {
+            const message = 'Entries of this customer are still loading from the cloud. Try again once they are in.';
+            if (Platform.OS === 'web') window.alert(message);
+            else Alert.alert('Still Loading', message);
+            return;
+        }
+
+        const numAmount = parseAmount(amount);
         if (numAmount <= 0) {
             if (Platform.OS === 'web') window.alert('Please enter a valid amount');
             return;
         }
 
-        let updatedTransactions;
         const transactionData = {
             id: editTransaction ? editTransaction.id : generateId(),
             type: type,
@@ -106,38 +124,16 @@ export default function AddTransactionScreen({ route, navigation }) {
             billPhoto: billPhoto,
         };
 
-        if (editTransaction) {
-            updatedTransactions = ledger.transactions.map(t =>
-                t.id === editTransaction.id ? transactionData : t
-            );
-        } else {
-            updatedTransactions = [...ledger.transactions, transactionData];
-        }
-
-        // Sort transactions by date ensure balance calculation is chronological
-        updatedTransactions.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-        // Recalculate balances for all transactions to maintain consistency
-        let runningBalance = 0;
-        updatedTransactions = updatedTransactions.map(t => {
-            if (t.type === 'credit') runningBalance += t.amount;
-            else runningBalance -= t.amount;
-            return { ...t, balanceAfter: runningBalance };
-        });
-
-        const newBalance = runningBalance;
-
-        const updatedLedger = {
-            ...ledger,
-            balance: newBalance,
-            transactions: updatedTransactions,
-        };
+        // Engine sorts by date and rebuilds every balanceAfter
+        const updatedLedger = editTransaction
+            ? editLedgerTransaction(ledger, editTransaction.id, transactionData)
+            : addLedgerTransaction(ledger, transactionData);
 
         const success = await saveLedger(updatedLedger);
         if (success) {
             if (editTransaction) {
                 // Return to ledger screen, skip the detail view
-                navigation.navigate('LedgerDetail', { ledger: updatedLedger });
+                navigation.navigate('LedgerDetail', { ledgerId });
             } else {
                 navigation.goBack();
             }
@@ -146,6 +142,9 @@ export default function AddTransactionScreen({ route, navigation }) {
         }
     };
 
+    // Deleted (or still loading)
+    if (!ledger) return null;
+
     return (
         <SafeAreaView style={styles.container}>
             {/* Custom Header */}
@@ -159,7 +158,7 @@ export default function AddTransactionScreen({ route, navigation }) {
                 <View style={styles.headerTitleContainer}>
                     <Text style={styles.headerName}>{ledger.name}</Text>
                     <Text style={[styles.headerDue, { color: colors.DEBIT_RED }]}>
-                        ₹{Math.abs(ledger.balance).toLocaleString()} Due
+                        {formatMoney(Math.abs(ledger.balance), { currency })} Due
                     </Text>
                 </View>
             </View>
@@ -171,12 +170,12 @@ export default function AddTransactionScreen({ route, navigation }) {
                 </View>
 
                 <View style={styles.amountDisplay}>
-                    <Text style={styles.currencySymbol}>₹</Text>
+                    <Text style={styles.currencySymbol}>{getCurrencySymbol(currency).trim()}</Text>
                     <Text style={[styles.amountText, { color: amount === '0' ? colors.TEXT_LIGHT : colors.TEXT_PRIMARY }]}>
                         {amount}
                     </Text>
                     {amount.match(/[+*/-]/) && (
-                        <Text style={styles.calculationPreview}>= ₹{evaluateMathExpression(amount)}</Text>
+                        <Text style={styles.calculationPreview}>= {formatMoney(parseAmount(amount), { currency })}</Text>
                     )}
                     <View style={[styles.amountUnderline, { backgroundColor: primaryColor }]} />
                 </View>
@@ -17,17 +17,27 @@ import * as ImagePicker from 'expo-image-picker';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { saveLedger, deleteLedger } from '../utils/storage';
 import { useTheme } from '../context/ThemeContext';
+import { useLedger } from '../context/DataContext';
+import { formatMoney, getCurrency } from '../utils/money';
+import CurrencyPicker from '../components/CurrencyPicker';
+import SecurityVerifyModal from '../components/SecurityVerifyModal';
+import { needsVerification, SECURED_ACTIONS } from '../utils/securityPolicy';
+import { isLedgerRestoring } from '../utils/cloudRestore';
 
 export default function CustomerProfileScreen({ route, navigation }) {
     const { colors, isDark } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
-    const { ledger } = route.params;
-    const [name, setName] = useState(ledger.name || '');
-    const [phone, setPhone] = useState(ledger.phone || '');
-    const [address, setAddress] = useState(ledger.address || '');
-    const [profileImage, setProfileImage] = useState(ledger.profileImage || null);
+    const { ledgerId } = route.params;
+    // Saves spread the live ledger, so transactions added meanwhile are kept
+    const ledger = useLedger(ledgerId);
+    const [name, setName] = useState(ledger?.name || '');
+    const [phone, setPhone] = useState(ledger?.phone || '');
+    const [address, setAddress] = useState(ledger?.address || '');
+    const [currency, setCurrency] = useState(getCurrency(ledger));
+    const [profileImage, setProfileImage] = useState(ledger?.profileImage || null);
     const [loading, setLoading] = useState(false);
+    const [showSecurityModal, setShowSecurityModal] = useState(false);
 
     const showAlert = (title, message) => {
         if (Platform.OS === 'web') {
@@ -37,7 +47,15 @@ export default function CustomerProfileScreen({ route, navigation }) {
         }
     };
 
+    // A customer whose entries are still coming down from the cloud is saved with none of them
+    const checkNotRestoring = () => {
+        if (!isLedgerRestoring(ledgerId)) return true;
+        showAlert('Still Loading', 'Entries of this customer are still loading from the cloud. Try again once they are in.');
+        return false;
+    };
+
     const handleUpdate = async () => {
+        if (!checkNotRestoring()) return;
         if (!name.trim()) {
             showAlert('Error', 'Name is required');
             return;
@@ -48,6 +66,7 @@ export default function CustomerProfileScreen({ route, navigation }) {
             name: name.trim(),
             phone: phone.trim(),
             address: address.trim(),
+            currency,
             profileImage: profileImage,
             updatedAt: new Date().toISOString()
         };
@@ -62,30 +81,41 @@ export default function CustomerProfileScreen({ route, navigation }) {
         }
     };
 
+    const performDelete = async () => {
+        setShowSecurityModal(false);
+        const success = await deleteLedger(ledger.id);
+        if (success) {
+            navigation.reset({
+                index: 0,
+                routes: [{ name: 'Home' }],
+            });
+        } else {
+            showAlert('Error', 'Failed to delete customer');
+        }
+    };
+
     const handleDelete = () => {
-        const performDelete = async () => {
-            const success = await deleteLedger(ledger.id);
-            if (success) {
-                navigation.reset({
-                    index: 0,
-                    routes: [{ name: 'Home' }],
-                });
+        if (!checkNotRestoring()) return;
+        // Asks for the PIN after the confirmation when the security policy covers it
+        const confirmDelete = async () => {
+            if (await needsVerification(SECURED_ACTIONS.DELETE_CUSTOMER)) {
+                setShowSecurityModal(true);
             } else {
-                showAlert('Error', 'Failed to delete customer');
+                performDelete();
             }
         };
 
         if (Platform.OS === 'web') {
-            if (window.confirm(`Are you sure you want to delete ${ledger.name}? This cannot be undone.`)) {
-                performDelete();
+            if (window.confirm(`Delete ${ledger.name}? You can restore it from the Recycle Bin.`)) {
+                confirmDelete();
             }
         } else {
             Alert.alert(
                 'Delete Customer',
-                `Are you sure you want to delete ${ledger.name}? all transaction history will be lost.`,
+                `Delete ${ledger.name}? The customer and all transactions move to the Recycle Bin and can be restored from there.`,
                 [
                     { text: 'Cancel', style: 'cancel' },
-                    { text: 'Delete', style: 'destructive', onPress: performDelete }
+                    { text: 'Delete', style: 'destructive', onPress: confirmDelete }
                 ]
             );
         }
@@ -117,6 +147,9 @@ export default function CustomerProfileScreen({ route, navigation }) {
         }
     };
 
+    // Deleted (or still loading)
+    if (!ledger) return null;
+
     return (
         <SafeAreaView style={styles.container}>
             <StatusBar barStyle="light-content" backgroundColor={colors.PRIMARY} />
@@ -144,7 +177,7 @@ export default function CustomerProfileScreen({ route, navigation }) {
                     <Text style={styles.customerNameDisplay}>{name || 'Customer Profile'}</Text>
                     <Text style={styles.balanceText}>
                         Current Balance: <Text style={{ color: ledger.balance >= 0 ? colors.DEBIT_RED : colors.CREDIT_GREEN }}>
-                            ₹{Math.abs(ledger.balance).toLocaleString()}
+                            {formatMoney(Math.abs(ledger.balance), { currency: getCurrency(ledger) })}
                         </Text>
                     </Text>
                 </View>
@@ -185,6 +218,14 @@ export default function CustomerProfileScreen({ route, navigation }) {
                         />
                     </View>
 
+                    <View style={styles.inputGroup}>
+                        <Text style={styles.inputLabel}>CURRENCY</Text>
+                        <CurrencyPicker value={currency} onChange={setCurrency} label={null} />
+                        {currency !== getCurrency(ledger) && ledger.transactions && ledger.transactions.length > 0 && (
+                            <Text style={styles.inputHint}>Existing amounts keep their numbers; they are not converted.</Text>
+                        )}
+                    </View>
+
                     <TouchableOpacity
                         style={[styles.saveButton, loading && { opacity: 0.7 }]}
                         onPress={handleUpdate}
@@ -199,6 +240,13 @@ export default function CustomerProfileScreen({ route, navigation }) {
                     </TouchableOpacity>
                 </View>
             </ScrollView>
+
+            <SecurityVerifyModal
+                visible={showSecurityModal}
+                title={`Delete ${ledger.name}`}
+                onSuccess={performDelete}
+                onCancel={() => setShowSecurityModal(false)}
+            />
         </SafeAreaView>
     );
 }
@@ -302,6 +350,10 @@ const getStyles = (colors) => StyleSheet.create({
         marginBottom: 8,
         letterSpacing: 1,
     },
+    inputHint: {
+        fontSize: 12,
+        color: colors.TEXT_LIGHT,
+    },
     input: {
         borderWidth: 1.5,
         borderColor: colors.BORDER,
@@ -0,0 +1,332 @@
+// Data Integrity Screen - Find inconsistent data and repair it with one tap
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, SafeAreaView, StatusBar, Platform, Alert, ActivityIndicator } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { checkDataIntegrity, repairIssues, getRepairBackup, restoreRepairBackup, ISSUE_TYPES } from '../utils/integrity';
+import { formatDate } from '../utils/calculations';
+import { useTheme } from '../context/ThemeContext';
+
+const ISSUE_ICONS = {
+    balance: 'scale-balance',
+    balanceAfter: 'chart-timeline-variant',
+    duplicateTransactionId: 'content-duplicate',
+    duplicateExpenseId: 'content-duplicate',
+    orphanCategory: 'tag-off-outline',
+};
+
+export default function DataIntegrityScreen({ navigation }) {
+    const { colors, isDark } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+
+    const [issues, setIssues] = useState([]);
+    const [backup, setBackup] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [busyKey, setBusyKey] = useState(null);
+
+    const showAlert = (title, message) => {
+        if (Platform.OS === 'web') {
+            window.alert(`${title}: ${message}`);
+        } else {
+            Alert.alert(title, message);
+        }
+    };
+
+    const confirmAction = (title, message, actionText, onConfirm) => {
+        if (Platform.OS === 'web') {
+            if (window.confirm(message)) onConfirm();
+        } else {
+            Alert.alert(title, message, [
+                { text: 'Cancel', style: 'cancel' },
+                { text: actionText, style: 'destructive', onPress: onConfirm }
+            ]);
+        }
+    };
+
+    const runCheck = useCallback(async () => {
+        setLoading(true);
+        const result = await checkDataIntegrity();
+        setIssues(result.issues);
+        setBackup(await getRepairBackup());
+        setLoading(false);
+        if (!result.success) showAlert('Check Failed', result.error || 'Unknown error');
+    }, []);
+
+    useFocusEffect(
+        useCallback(() => {
+            runCheck();
+        }, [runCheck])
+    );
+
+    const handleRepair = async (toFix, key) => {
+        if (busyKey || toFix.length === 0) return;
+        setBusyKey(key);
+        const result = await repairIssues(toFix);
+        setBusyKey(null);
+        if (!result.success) {
+            showAlert('Repair Failed', result.error || 'Unknown error');
+        } else if (toFix.length > 1) {
+            showAlert('Repaired', `Fixed ${result.fixed} ${result.fixed === 1 ? 'problem' : 'problems'}. A backup was kept in case you want to undo.`);
+        }
+        // Fixing one problem can fix others on the same customer
+        await runCheck();
+    };
+
+    const handleUndo = () => {
+        if (busyKey) return;
+        confirmAction('Undo Last Repair', 'Put the repaired books back the way they were before the last repair? Changes made since then in those books are lost.', 'Undo', async () => {
+            setBusyKey('undo');
+            const result = await restoreRepairBackup();
+            setBusyKey(null);
+            if (!result.success) showAlert('Undo Failed', result.error || 'Unknown error');
+            await runCheck();
+        });
+    };
+
+    const renderIssue = ({ item }) => {
+        const type = ISSUE_TYPES[item.type];
+        const where = item.ledgerId ? item.ledgerName : 'Expenses';
+
+        return (
+            <View style={styles.issueCard}>
+                <View style={styles.issueHeader}>
+                    <View style={styles.issueIcon}>
+                        <MaterialCommunityIcons name={ISSUE_ICONS[item.type]} size={20} color={colors.ERROR} />
+                    </View>
+                    <View style={styles.issueInfo}>
+                        <Text style={styles.issueTitle}>{type.title}</Text>
+                        <Text style={styles.issueSub} numberOfLines={1}>{item.bookName} • {where}</Text>
+                    </View>
+                </View>
+                <Text style={styles.issueMessage}>{item.message}</Text>
+                <TouchableOpacity
+                    style={[styles.fixBtn, !!busyKey && styles.btnDisabled]}
+                    onPress={() => handleRepair([item], item.key)}
+                    disabled={!!busyKey}
+                >
+                    {busyKey === item.key ? (
+                        <ActivityIndicator size="small" color={colors.PRIMARY} />
+                    ) : (
+                        <Text style={styles.fixBtnText}>{type.fixLabel}</Text>
+                    )}
+                </TouchableOpacity>
+            </View>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle={isDark ? "light-content" : "dark-content"} backgroundColor={colors.CARD_BG} />
+
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+                    <Ionicons name="arrow-back" size={24} color={colors.TEXT_PRIMARY} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Check & Repair</Text>
+                <TouchableOpacity onPress={runCheck} disabled={loading || !!busyKey} style={styles.backBtn}>
+                    <Ionicons name="refresh" size={22} color={loading || busyKey ? colors.TEXT_LIGHT : colors.PRIMARY} />
+                </TouchableOpacity>
+            </View>
+
+            {backup && (
+                <View style={styles.backupRow}>
+                    <MaterialCommunityIcons name="backup-restore" size={20} color={colors.TEXT_SECONDARY} />
+                    <Text style={styles.backupText}>Backup from before the last repair, {formatDate(backup.createdAt)}</Text>
+                    <TouchableOpacity onPress={handleUndo} disabled={!!busyKey}>
+                        {busyKey === 'undo' ? (
+                            <ActivityIndicator size="small" color={colors.PRIMARY} />
+                        ) : (
+                            <Text style={styles.undoText}>Undo</Text>
+                        )}
+                    </TouchableOpacity>
+                </View>
+            )}
+
+            {loading ? (
+                <ActivityIndicator style={{ marginTop: 40 }} color={colors.PRIMARY} />
+            ) : (
+                <FlatList
+                    data={issues}
+                    keyExtractor={item => item.key}
+                    renderItem={renderIssue}
+                    contentContainerStyle={styles.listContent}
+                    ListHeaderComponent={issues.length > 0 ? (
+                        <View style={styles.summaryRow}>
+                            <Text style={styles.summaryText}>
+                                Found {issues.length} {issues.length === 1 ? 'problem' : 'problems'}. Your data is backed up before anything is changed.
+                            </Text>
+                            <TouchableOpacity
+                                style={[styles.fixAllBtn, !!busyKey && styles.btnDisabled]}
+                                onPress={() => handleRepair(issues, 'all')}
+                                disabled={!!busyKey}
+                            >
+                                {busyKey === 'all' ? (
+                                    <ActivityIndicator size="small" color={colors.WHITE} />
+                                ) : (
+                                    <Text style={styles.fixAllText}>Fix All</Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    ) : null}
+                    ListEmptyComponent={
+                        <View style={styles.emptyState}>
+                            <MaterialCommunityIcons name="database-check-outline" size={64} color={colors.CREDIT_GREEN} />
+                            <Text style={styles.emptyText}>No problems found</Text>
+                            <Text style={styles.emptySubText}>Balances, ids and categories of every book are consistent.</Text>
+                        </View>
+                    }
+                />
+            )}
+        </SafeAreaView>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.BACKGROUND,
+        paddingTop: Platform.OS === 'android' ? StatusBar.currentHeight : 0,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 20,
+        paddingVertical: 15,
+        backgroundColor: colors.CARD_BG,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.BORDER,
+    },
+    backBtn: {
+        width: 40,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    backupRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 20,
+        paddingVertical: 12,
+        backgroundColor: colors.CARD_BG,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.BORDER,
+    },
+    backupText: {
+        flex: 1,
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginHorizontal: 10,
+    },
+    undoText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.PRIMARY,
+    },
+    listContent: {
+        padding: 20,
+        flexGrow: 1,
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    summaryText: {
+        flex: 1,
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginRight: 12,
+    },
+    fixAllBtn: {
+        paddingVertical: 10,
+        paddingHorizontal: 18,
+        borderRadius: 10,
+        backgroundColor: colors.PRIMARY,
+    },
+    fixAllText: {
+        color: colors.WHITE,
+        fontWeight: 'bold',
+        fontSize: 14,
+    },
+    btnDisabled: {
+        opacity: 0.6,
+    },
+    issueCard: {
+        backgroundColor: colors.CARD_BG,
+        borderRadius: 16,
+        padding: 14,
+        marginBottom: 12,
+        elevation: 2,
+        shadowColor: colors.BLACK,
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: colors.isDark ? 0.3 : 0.08,
+        shadowRadius: 6,
+    },
+    issueHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    issueIcon: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,
+        backgroundColor: colors.isDark ? '#3A1F1F' : '#FFEBEE',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginRight: 12,
+    },
+    issueInfo: {
+        flex: 1,
+    },
+    issueTitle: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.TEXT_PRIMARY,
+    },
+    issueSub: {
+        fontSize: 12,
+        color: colors.TEXT_SECONDARY,
+        marginTop: 2,
+    },
+    issueMessage: {
+        fontSize: 13,
+        color: colors.TEXT_PRIMARY,
+        marginTop: 10,
+        lineHeight: 18,
+    },
+    fixBtn: {
+        alignSelf: 'flex-end',
+        marginTop: 10,
+        paddingVertical: 8,
+        paddingHorizontal: 14,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: colors.PRIMARY,
+    },
+    fixBtnText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: colors.PRIMARY,
+    },
+    emptyState: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingTop: 80,
+    },
+    emptyText: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: colors.TEXT_SECONDARY,
+        marginTop: 12,
+    },
+    emptySubText: {
+        fontSize: 13,
+        color: colors.TEXT_LIGHT,
+        marginTop: 6,
+        textAlign: 'center',
+    },
+});
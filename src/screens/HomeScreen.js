@@ -1,27 +1,47 @@
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
 import { View, Text, StyleSheet, FlatList, TouchableOpacity, RefreshControl, TextInput, Modal, Platform, SafeAreaView, StatusBar, Image, ScrollView } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
-import { getAllLedgers, saveLedger, fetchFromFirebase, deleteLedger, clearAllData, syncAllToFirebase, getExpenses, saveExpense, deleteExpense, fetchExpensesFromFirebase, getCategories, fetchCategoriesFromFirebase, getBackupSettings, getUserProfile } from '../utils/storage';
+import { saveLedger, deleteLedger, clearAllData, saveExpense, deleteExpense, getBackupSettings, getUserProfile, getExchangeRates, getBooks } from '../utils/storage';
+import { syncWithCloud, getSyncConflicts } from '../utils/cloudSync';
+import { getLiveSyncStatus, subscribeLiveSync } from '../utils/liveSync';
+import { restoreFromCloud, getRestoreStatus, subscribeRestore } from '../utils/cloudRestore';
 import { exportDataToBackup, importDataFromBackup } from '../utils/backup';
 import { signOut } from 'firebase/auth';
 import { auth } from '../../firebase';
 import { generateLedgerPDF } from '../utils/pdfGenerator';
-import { generateId, evaluateMathExpression } from '../utils/calculations';
+import { importLedgerFromPdf } from '../utils/pdfParser';
+import { generateId } from '../utils/calculations';
+import { parseAmount, formatMoney, formatTotals, sumByCurrency, convertTotals, getCurrency, getCurrencySymbol, toInputString, DEFAULT_CURRENCY } from '../utils/money';
 import { LedgerCard } from '../components/LedgerCard';
 import CategoryManager from '../components/CategoryManager';
+import CurrencyPicker from '../components/CurrencyPicker';
 import SecurityVerifyModal from '../components/SecurityVerifyModal';
+import { needsVerification, SECURED_ACTIONS } from '../utils/securityPolicy';
+import SyncConflictModal from '../components/SyncConflictModal';
+import BookSwitcherModal from '../components/BookSwitcherModal';
+import { getActiveBookId } from '../utils/books';
 import { useTheme } from '../context/ThemeContext';
+import { useLedgerSummaries, useExpenses, useExpenseTotals, useCategories } from '../context/DataContext';
 
 // Categories are now handled dynamically via storage
 
+// Connection indicator while live sync runs (see liveSync.js)
+const LIVE_SYNC_LABELS = {
+    connecting: 'Connecting...',
+    live: 'Live',
+    offline: 'Offline',
+    error: 'Live Sync Error',
+};
+
 export default function HomeScreen({ navigation }) {
     const { colors, isDark, toggleTheme } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
-    const [ledgers, setLedgers] = useState([]);
-    const [expenses, setExpenses] = useState([]);
-    const [categories, setCategories] = useState([]);
+    const ledgers = useLedgerSummaries();
+    const expenses = useExpenses();
+    const expenseTotals = useExpenseTotals();
+    const categories = useCategories();
     const [activeTab, setActiveTab] = useState('customer');
     const [searchQuery, setSearchQuery] = useState('');
     const [refreshing, setRefreshing] = useState(false);
@@ -35,7 +55,8 @@ export default function HomeScreen({ navigation }) {
     const [showCategoryManager, setShowCategoryManager] = useState(false);
     const [selectedLedger, setSelectedLedger] = useState(null);
     const [newLedgerName, setNewLedgerName] = useState('');
-    const [expenseData, setExpenseData] = useState({ title: '', amount: '', category: 'Food', date: new Date().toISOString() });
+    const [newLedgerCurrency, setNewLedgerCurrency] = useState(DEFAULT_CURRENCY);
+    const [expenseData, setExpenseData] = useState({ title: '', amount: '', category: 'Food', currency: DEFAULT_CURRENCY, date: new Date().toISOString() });
     const [expenseSortBy, setExpenseSortBy] = useState('date_desc'); // date_desc, date_asc, amount_desc, amount_asc
     const [customerSortBy, setCustomerSortBy] = useState('recent'); // recent, oldest, balance_desc, balance_asc
     const [savingExpense, setSavingExpense] = useState(false);
@@ -52,6 +73,13 @@ export default function HomeScreen({ navigation }) {
     const [showDatePicker, setShowDatePicker] = useState(false);
     const [datePickerType, setDatePickerType] = useState('expense'); // 'expense', 'start', 'end'
     const [tempDate, setTempDate] = useState(new Date());
+    const [syncConflicts, setSyncConflicts] = useState([]);
+    const [exchangeRates, setExchangeRates] = useState({});
+    const [showConflictModal, setShowConflictModal] = useState(false);
+    const [activeBook, setActiveBook] = useState(null);
+    const [showBookModal, setShowBookModal] = useState(false);
+    const [liveStatus, setLiveStatus] = useState(getLiveSyncStatus());
+    const [restore, setRestore] = useState(getRestoreStatus());
 
     const showAlert = (title, message) => {
         if (Platform.OS === 'web') {
@@ -64,27 +92,30 @@ export default function HomeScreen({ navigation }) {
     // Sync cooldown: reduced for better responsiveness
     const SYNC_COOLDOWN_MS = 30 * 1000; // 30 seconds instead of 5 minutes
 
-    const loadData = useCallback(async () => {
+    const loadData = useCallback(async ({ forceSync = false } = {}) => {
         setRefreshing(true);
-        const [ledgersData, expensesData, catData, backupData, profileData] = await Promise.all([
-            getAllLedgers(),
-            getExpenses(),
-            getCategories(),
+        const [backupData, profileData, conflictData, ratesData, booksData] = await Promise.all([
             getBackupSettings(),
-            getUserProfile()
+            getUserProfile(),
+            getSyncConflicts(),
+            getExchangeRates(),
+            getBooks()
         ]);
-        setLedgers(Object.values(ledgersData));
-        setExpenses(expensesData);
-        setCategories(catData);
+        setSyncConflicts(conflictData);
+        setExchangeRates(ratesData);
         setBackupEnabled(backupData.autoBackup);
         setLastSync(backupData.lastSync);
         setUserProfile(profileData);
+        setActiveBook(booksData.find(book => book.id === getActiveBookId()) || booksData[0] || null);
 
-        // Auto-sync only if enabled AND cooldown has passed
-        if (backupData.autoBackup && !syncing) {
+        // Auto-sync only if enabled AND cooldown has passed (a freshly opened book syncs right away).
+        // Live sync keeps the book current by itself, and a running restore is already downloading.
+        const live = getLiveSyncStatus().state !== 'off';
+        const restoring = getRestoreStatus().state === 'restoring';
+        if (backupData.autoBackup && !syncing && !restoring && (forceSync || !live)) {
             const lastSyncTime = backupData.lastSync ? new Date(backupData.lastSync).getTime() : 0;
             const now = Date.now();
-            if (now - lastSyncTime > SYNC_COOLDOWN_MS) {
+            if (forceSync || now - lastSyncTime > SYNC_COOLDOWN_MS) {
                 handleAutoSync();
             }
         }
@@ -98,20 +129,49 @@ export default function HomeScreen({ navigation }) {
         }, [loadData])
     );
 
+    useEffect(() => subscribeLiveSync(setLiveStatus), []);
+    useEffect(() => subscribeRestore(setRestore), []);
+
+    // Changes from other devices can bring new conflicts
+    useEffect(() => {
+        if (liveStatus.lastChangeAt) getSyncConflicts().then(setSyncConflicts);
+    }, [liveStatus.lastChangeAt]);
+
+    // Re-read the sync state; merged records reach the data store by themselves
+    const reloadSyncedData = useCallback(async () => {
+        const [backupData, conflictData] = await Promise.all([
+            getBackupSettings(),
+            getSyncConflicts()
+        ]);
+        setLastSync(backupData.lastSync);
+        setSyncConflicts(conflictData);
+    }, []);
+
     const handleAutoSync = useCallback(async () => {
         setSyncing(true);
-        await syncAllToFirebase();
-        const updatedBackup = await getBackupSettings();
-        setLastSync(updatedBackup.lastSync);
+        // A book this phone does not have yet is restored lazily instead of downloaded in one go
+        await restoreFromCloud();
+        await reloadSyncedData();
         setSyncing(false);
-    }, []);
+    }, [reloadSyncedData]);
 
     const handleBackupNow = async () => {
         if (syncing) return;
+        if (await needsVerification(SECURED_ACTIONS.EXPORT_BACKUP)) {
+            setSecurityAction('backup');
+            setShowSecurityModal(true);
+            return;
+        }
+        runBackup();
+    };
+
+    const runBackup = async () => {
         setSyncing(true);
 
-        // 1. Cloud Sync
-        const cloudSuccess = await syncAllToFirebase();
+        // 1. Cloud Sync (merge first so we never overwrite another device's changes)
+        const cloudResult = await syncWithCloud({ upload: true });
+        const cloudSuccess = cloudResult.success;
+        await reloadSyncedData();
 
         // 2. Local File Backup
         const localResult = await exportDataToBackup();
@@ -134,34 +194,31 @@ export default function HomeScreen({ navigation }) {
 
     const handleImportBackup = async () => {
         if (syncing) return;
-        const confirmMsg = "This will replace your local data with data from the cloud. Are you sure?";
+        const confirmMsg = "This will merge your cloud backup with the data on this phone. Records changed in both places will be listed for you to choose. Continue?";
         if (Platform.OS === 'web') {
             if (!window.confirm(confirmMsg)) return;
         }
 
         setSyncing(true);
-        try {
-            const data = await fetchFromFirebase();
-            setSyncing(false);
+        const result = await restoreFromCloud();
+        await reloadSyncedData();
+        setSyncing(false);
 
-            if (data && Object.keys(data).length > 0) {
-                const ledgersArray = Object.values(data);
-                setLedgers(ledgersArray);
-                showAlert('Import Success', 'Data has been restored from your cloud backup! ✨');
-            } else {
-                showAlert('Import Info', 'No backup data found in cloud.');
-            }
-        } catch (error) {
-            setSyncing(false);
-            console.error(error);
-            showAlert('Import Failed', `Error: ${error.message || 'Unknown network error'}`);
+        if (!result.success) {
+            showAlert('Import Failed', `Error: ${result.error || 'Unknown network error'}`);
+        } else if (result.restoring) {
+            navigation.navigate('RestoreProgress');
+        } else if (result.conflicts > 0) {
+            setShowConflictModal(true);
+        } else {
+            showAlert('Import Success', 'Cloud backup merged with this phone! ✨');
         }
     };
 
+    // Runs on the stored summaries only; no transaction is read to search, sort or total
     const sortedLedgers = useMemo(() => {
-        let result = ledgers.filter(l =>
-            l.name.toLowerCase().includes(searchQuery.toLowerCase())
-        );
+        const query = searchQuery.toLowerCase();
+        let result = ledgers.filter(l => l.name.toLowerCase().includes(query));
 
         result.sort((a, b) => {
             let comparison = 0;
@@ -173,9 +230,7 @@ export default function HomeScreen({ navigation }) {
                     comparison = a.balance - b.balance;
                     break;
                 case 'recent':
-                    const dateA = a.transactions.length > 0 ? new Date(a.transactions[a.transactions.length - 1].date).getTime() : 0;
-                    const dateB = b.transactions.length > 0 ? new Date(b.transactions[b.transactions.length - 1].date).getTime() : 0;
-                    comparison = dateB - dateA;
+                    comparison = b.lastActivity - a.lastActivity;
                     break;
                 case 'oldest':
                     comparison = a.id.localeCompare(b.id); // Creation order roughly
@@ -190,23 +245,33 @@ export default function HomeScreen({ navigation }) {
         return result;
     }, [ledgers, searchQuery, customerSortBy]);
 
+    // Balances are totalled per currency; a converted total needs an exchange rate for each
     const totals = useMemo(() => {
-        let give = 0;
-        let receive = 0;
-        ledgers.forEach(l => {
-            if (l.balance > 0) give += l.balance;
-            else if (l.balance < 0) receive += Math.abs(l.balance);
-        });
+        const give = sumByCurrency(ledgers.filter(l => l.balance > 0), l => l.balance);
+        const receive = sumByCurrency(ledgers.filter(l => l.balance < 0), l => Math.abs(l.balance));
+        const net = sumByCurrency(ledgers, l => l.balance);
+        const { spent, mostUsed } = expenseTotals;
+        const convert = (perCurrency) => (Object.keys(perCurrency).length > 1 ? convertTotals(perCurrency, exchangeRates) : null);
+
+        return {
+            give,
+            receive,
+            net,
+            spent,
+            convertedNet: convert(net),
+            convertedSpent: convert(spent),
+            mostUsed,
+        };
+    }, [ledgers, expenseTotals, exchangeRates]);
 
-        // Calculate category usage for expenses
-        const categoryUsage = {};
-        expenses.forEach(e => {
-            categoryUsage[e.category] = (categoryUsage[e.category] || 0) + 1;
-        });
-        const mostUsed = Object.entries(categoryUsage).sort((a, b) => b[1] - a[1])[0]?.[0] || 'None';
+    const liveColor = {
+        connecting: colors.PRIMARY,
+        live: '#4CAF50',
+        offline: colors.TEXT_SECONDARY,
+        error: colors.DEBIT_RED,
+    }[liveStatus.state];
 
-        return { give, receive, mostUsed };
-    }, [ledgers, expenses]);
+    const netEntries = Object.keys(totals.net).length > 0 ? Object.entries(totals.net) : [[DEFAULT_CURRENCY, 0]];
 
     const sortedExpenses = useMemo(() => {
         let result = [...expenses];
@@ -277,20 +342,12 @@ export default function HomeScreen({ navigation }) {
 
     const onRefresh = useCallback(async () => {
         setRefreshing(true);
-        try {
-            const [firebaseLedgers, firebaseExpenses, firebaseCats] = await Promise.all([
-                fetchFromFirebase(),
-                fetchExpensesFromFirebase(),
-                fetchCategoriesFromFirebase()
-            ]);
-            setLedgers(Object.values(firebaseLedgers));
-            setExpenses(firebaseExpenses);
-            setCategories(firebaseCats);
-        } catch (error) {
-            console.error('Error refreshing:', error);
-        }
+        // Merge instead of overwrite so entries made offline on this phone survive
+        const result = await syncWithCloud();
+        if (!result.success) console.error('Error refreshing:', result.error);
+        await reloadSyncedData();
         setRefreshing(false);
-    }, []);
+    }, [reloadSyncedData]);
 
     const handleAddLedger = async () => {
         if (!newLedgerName.trim()) {
@@ -300,13 +357,34 @@ export default function HomeScreen({ navigation }) {
         const newLedger = {
             id: generateId(),
             name: newLedgerName.trim(),
+            currency: newLedgerCurrency,
             balance: 0,
             transactions: [],
         };
         await saveLedger(newLedger);
-        await loadData();
         setNewLedgerName('');
+        setNewLedgerCurrency(DEFAULT_CURRENCY);
+        setShowAddModal(false);
+    };
+
+    // New customer with the entries of a statement PDF; a name typed in the form replaces the guessed one
+    const handleImportPdf = async () => {
+        const imported = await importLedgerFromPdf();
+        if (!imported) return;
+        const newLedger = {
+            ...imported,
+            name: newLedgerName.trim() || imported.name,
+            currency: newLedgerCurrency,
+        };
+        if (!(await saveLedger(newLedger))) {
+            showAlert('Import Failed', 'Could not save the imported customer.');
+            return;
+        }
+        setNewLedgerName('');
+        setNewLedgerCurrency(DEFAULT_CURRENCY);
         setShowAddModal(false);
+        showAlert('Imported', `${newLedger.transactions.length} entries added for ${newLedger.name}.`);
+        navigation.navigate('LedgerDetail', { ledgerId: newLedger.id });
     };
 
     const handleAddExpense = async () => {
@@ -320,12 +398,11 @@ export default function HomeScreen({ navigation }) {
             const expenseToSave = {
                 ...expenseData,
                 id: isEditingExpense ? expenseData.id : generateId(),
-                amount: evaluateMathExpression(expenseData.amount.toString()),
+                amount: parseAmount(expenseData.amount.toString()),
                 date: expenseData.date,
             };
             await saveExpense(expenseToSave);
-            await loadData();
-            setExpenseData({ title: '', amount: '', category: 'Food', date: new Date().toISOString() });
+            setExpenseData({ title: '', amount: '', category: 'Food', currency: expenseData.currency, date: new Date().toISOString() });
             setShowOtherInput(false);
             setShowExpenseModal(false);
             setIsEditingExpense(false);
@@ -339,44 +416,66 @@ export default function HomeScreen({ navigation }) {
     const handleLedgerDelete = async () => {
         if (!selectedLedger) return;
         setShowMenuModal(false);
-        setDeletingType('ledger');
-        setShowSecurityModal(true);
+        requestDelete('ledger', SECURED_ACTIONS.DELETE_CUSTOMER);
     };
 
     const handleExpenseDelete = async () => {
         if (!selectedExpense) return;
         setShowExpenseMenu(false);
-        setDeletingType('expense');
-        setShowSecurityModal(true);
+        requestDelete('expense', SECURED_ACTIONS.DELETE_EXPENSE);
     };
 
-    const [deletingType, setDeletingType] = useState(null); // 'ledger' or 'expense'
+    const [securityAction, setSecurityAction] = useState(null); // 'ledger', 'expense' or 'backup'
+
+    // Asks for the PIN first when the security policy covers the action
+    const requestDelete = async (type, action) => {
+        setSecurityAction(type);
+        if (await needsVerification(action)) {
+            setShowSecurityModal(true);
+        } else {
+            confirmDelete(type);
+        }
+    };
 
-    const confirmDelete = async () => {
+    const handleSecuritySuccess = () => {
+        if (securityAction === 'backup') {
+            setShowSecurityModal(false);
+            setSecurityAction(null);
+            runBackup();
+        } else {
+            confirmDelete(securityAction);
+        }
+    };
+
+    const confirmDelete = async (type) => {
         setShowSecurityModal(false);
-        if (deletingType === 'ledger') {
+        if (type === 'ledger') {
             const success = await deleteLedger(selectedLedger.id);
             if (success) {
-                await loadData();
                 setSelectedLedger(null);
             } else {
                 showAlert('Error', 'Failed to delete customer');
             }
-        } else if (deletingType === 'expense') {
+        } else if (type === 'expense') {
             const success = await deleteExpense(selectedExpense.id);
             if (success) {
-                await loadData();
                 setSelectedExpense(null);
             } else {
                 showAlert('Error', 'Failed to delete expense');
             }
         }
-        setDeletingType(null);
+        setSecurityAction(null);
     };
 
 
     const handleWhatsAppShare = () => {
-        const message = `*My Business Report*\nTotal You Will Get: ₹${totals.give.toLocaleString()}\nTotal You Will Give: ₹${totals.receive.toLocaleString()}\nNet Balance: ₹${Math.abs(totals.give - totals.receive).toLocaleString()} (${totals.give >= totals.receive ? 'You Get' : 'You Give'})\n\nGenerated via MaZaKht`;
+        const netLines = netEntries
+            .map(([currency, net]) => `${formatMoney(Math.abs(net), { currency })} (${net >= 0 ? 'You Get' : 'You Give'})`)
+            .join(', ');
+        const converted = totals.convertedNet != null
+            ? `\nConverted Net: ${formatMoney(Math.abs(totals.convertedNet))} (${totals.convertedNet >= 0 ? 'You Get' : 'You Give'})`
+            : '';
+        const message = `*My Business Report*\nTotal You Will Get: ${formatTotals(totals.give, ', ')}\nTotal You Will Give: ${formatTotals(totals.receive, ', ')}\nNet Balance: ${netLines}${converted}\n\nGenerated via MaZaKht`;
         const url = `https://wa.me/?text=${encodeURIComponent(message)}`;
         if (Platform.OS === 'web') {
             window.open(url, '_blank');
@@ -530,13 +629,35 @@ export default function HomeScreen({ navigation }) {
                         </View>
                     </TouchableOpacity>
                     <View style={styles.profileInfo}>
-                        <Text style={styles.welcomeText}>Welcome,</Text>
+                        <TouchableOpacity style={styles.bookSwitch} onPress={() => setShowBookModal(true)}>
+                            <MaterialCommunityIcons name="book-open-variant" size={12} color={colors.PRIMARY} />
+                            <Text style={styles.bookName} numberOfLines={1}>{activeBook ? activeBook.name : 'Welcome,'}</Text>
+                            <Ionicons name="chevron-down" size={12} color={colors.PRIMARY} />
+                        </TouchableOpacity>
                         <Text style={styles.userName}>{userProfile?.name || 'MaZaKht Business'}</Text>
                     </View>
                 </View>
 
                 <View style={styles.headerActions}>
-                    {backupEnabled ? (
+                    {backupEnabled && liveStatus.state !== 'off' ? (
+                        <View style={styles.autoBackupStatus}>
+                            <MaterialCommunityIcons
+                                name={liveStatus.state === 'live' || liveStatus.state === 'connecting' ? 'access-point' : 'access-point-off'}
+                                size={18}
+                                color={liveColor}
+                            />
+                            <View style={styles.statusTextCol}>
+                                <Text style={[styles.statusMainText, { color: liveColor }]}>
+                                    {LIVE_SYNC_LABELS[liveStatus.state]}
+                                </Text>
+                                {liveStatus.lastChangeAt && (
+                                    <Text style={styles.statusSubText}>
+                                        {new Date(liveStatus.lastChangeAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                    </Text>
+                                )}
+                            </View>
+                        </View>
+                    ) : backupEnabled ? (
                         <View style={styles.autoBackupStatus}>
                             <MaterialCommunityIcons
                                 name={syncing ? "cloud-sync" : "cloud-check"}
@@ -582,6 +703,30 @@ export default function HomeScreen({ navigation }) {
                 </View>
             </View>
 
+            {(restore.state === 'restoring' || restore.state === 'error') && restore.bookId === getActiveBookId() && (
+                <TouchableOpacity style={styles.restoreBanner} onPress={() => navigation.navigate('RestoreProgress')}>
+                    <MaterialCommunityIcons
+                        name={restore.state === 'error' ? 'cloud-alert' : 'cloud-download-outline'}
+                        size={18}
+                        color={restore.state === 'error' ? colors.DEBIT_RED : colors.PRIMARY}
+                    />
+                    <Text style={[styles.restoreBannerText, restore.state === 'error' && { color: colors.DEBIT_RED }]}>
+                        {restore.state === 'error'
+                            ? 'Restore paused. Tap to try again.'
+                            : `Restoring entries for ${restore.ledgers.total - restore.ledgers.done} of ${restore.ledgers.total} customers...`}
+                    </Text>
+                </TouchableOpacity>
+            )}
+
+            {syncConflicts.length > 0 && (
+                <TouchableOpacity style={styles.conflictBanner} onPress={() => setShowConflictModal(true)}>
+                    <MaterialCommunityIcons name="alert-circle-outline" size={18} color={colors.DEBIT_RED} />
+                    <Text style={styles.conflictBannerText}>
+                        {syncConflicts.length} {syncConflicts.length === 1 ? 'record needs' : 'records need'} your choice after sync. Tap to review.
+                    </Text>
+                </TouchableOpacity>
+            )}
+
             {/* 4. Tab Row */}
             <View style={styles.tabRowContainer}>
                 <View style={styles.tabRow}>
@@ -681,24 +826,32 @@ export default function HomeScreen({ navigation }) {
                     </View>
                     <View style={styles.netBalanceRight}>
                         <View style={styles.balanceInfo}>
-                            <Text style={[styles.netBalanceValue, {
-                                color: activeTab === 'customer'
-                                    ? (totals.give >= totals.receive ? colors.DEBIT_RED : colors.CREDIT_GREEN)
-                                    : colors.DEBIT_RED
-                            }]}>
-                                ₹{activeTab === 'customer'
-                                    ? Math.abs(totals.give - totals.receive).toLocaleString()
-                                    : expenses.reduce((acc, curr) => acc + curr.amount, 0).toLocaleString()
-                                }
-                            </Text>
+                            <View>
+                                {activeTab === 'customer' ? netEntries.map(([currency, net]) => (
+                                    <Text key={currency} style={[styles.netBalanceValue, { color: net >= 0 ? colors.DEBIT_RED : colors.CREDIT_GREEN }]}>
+                                        {formatMoney(Math.abs(net), { currency })}
+                                    </Text>
+                                )) : (
+                                    <Text style={[styles.netBalanceValue, { color: colors.DEBIT_RED }]}>
+                                        {formatTotals(totals.spent)}
+                                    </Text>
+                                )}
+                            </View>
                             <Ionicons name="chevron-forward" size={18} color={colors.TEXT_LIGHT} />
                         </View>
                         <Text style={styles.balanceSubText}>
                             {activeTab === 'customer'
-                                ? (totals.give >= totals.receive ? 'Total You Give' : 'Total You Get')
+                                ? (netEntries.length > 1
+                                    ? (totals.convertedNet != null
+                                        ? `≈ ${formatMoney(Math.abs(totals.convertedNet))} ${totals.convertedNet >= 0 ? 'Total You Give' : 'Total You Get'}`
+                                        : 'Add exchange rates in Profile for a total')
+                                    : (netEntries[0][1] >= 0 ? 'Total You Give' : 'Total You Get'))
                                 : `Most Used: ${totals.mostUsed}`
                             }
                         </Text>
+                        {activeTab === 'expenses' && totals.convertedSpent != null && (
+                            <Text style={styles.balanceSubText}>≈ {formatMoney(totals.convertedSpent)} in total</Text>
+                        )}
                     </View>
                 </View>
 
@@ -706,12 +859,12 @@ export default function HomeScreen({ navigation }) {
                     <View style={styles.summaryBreakdown}>
                         <View style={styles.breakdownItem}>
                             <Text style={styles.breakdownLabel}>YOU GIVE</Text>
-                            <Text style={[styles.breakdownValue, { color: colors.DEBIT_RED }]}>₹{totals.give.toLocaleString()}</Text>
+                            <Text style={[styles.breakdownValue, { color: colors.DEBIT_RED }]}>{formatTotals(totals.give)}</Text>
                         </View>
                         <View style={styles.breakdownDivider} />
                         <View style={styles.breakdownItem}>
                             <Text style={styles.breakdownLabel}>YOU'LL GET</Text>
-                            <Text style={[styles.breakdownValue, { color: colors.CREDIT_GREEN }]}>₹{totals.receive.toLocaleString()}</Text>
+                            <Text style={[styles.breakdownValue, { color: colors.CREDIT_GREEN }]}>{formatTotals(totals.receive)}</Text>
                         </View>
                     </View>
                 )}
@@ -840,7 +993,7 @@ export default function HomeScreen({ navigation }) {
                     activeTab === 'customer' ? (
                         <LedgerCard
                             ledger={item}
-                            onPress={() => navigation.navigate('LedgerDetail', { ledger: item })}
+                            onPress={() => navigation.navigate('LedgerDetail', { ledgerId: item.id })}
                             onLongPress={() => {
                                 setSelectedLedger(item);
                                 setShowMenuModal(true);
@@ -867,7 +1020,7 @@ export default function HomeScreen({ navigation }) {
                                     <Text style={styles.expenseCategory}>{item.category} • {new Date(item.date).toLocaleDateString()}</Text>
                                 </View>
                             </View>
-                            <Text style={styles.expenseAmount}>₹{item.amount.toLocaleString()}</Text>
+                            <Text style={styles.expenseAmount}>{formatMoney(item.amount, { currency: getCurrency(item) })}</Text>
                         </TouchableOpacity>
                     )
                 )}
@@ -892,11 +1045,11 @@ export default function HomeScreen({ navigation }) {
             {/* Security Verification Modal */}
             <SecurityVerifyModal
                 visible={showSecurityModal}
-                title={deletingType === 'ledger' ? `Delete ${selectedLedger?.name}` : `Delete ${selectedExpense?.title}`}
-                onSuccess={confirmDelete}
+                title={securityAction === 'backup' ? 'Verify to Export Backup' : (securityAction === 'ledger' ? `Delete ${selectedLedger?.name}` : `Delete ${selectedExpense?.title}`)}
+                onSuccess={handleSecuritySuccess}
                 onCancel={() => {
                     setShowSecurityModal(false);
-                    setDeletingType(null);
+                    setSecurityAction(null);
                 }}
             />
 
@@ -959,12 +1112,16 @@ export default function HomeScreen({ navigation }) {
                         />
                         <TextInput
                             style={styles.input}
-                            placeholder="Amount ₹"
+                            placeholder={`Amount ${getCurrencySymbol(expenseData.currency).trim()}`}
                             placeholderTextColor={colors.TEXT_LIGHT}
                             keyboardType="numeric"
                             value={expenseData.amount}
                             onChangeText={(text) => setExpenseData({ ...expenseData, amount: text })}
                         />
+                        <CurrencyPicker
+                            value={expenseData.currency}
+                            onChange={(currency) => setExpenseData({ ...expenseData, currency })}
+                        />
 
                         <TouchableOpacity
                             style={styles.dateSelector}
@@ -1074,11 +1231,17 @@ export default function HomeScreen({ navigation }) {
                             onChangeText={setNewLedgerName}
                             autoFocus
                         />
+                        <CurrencyPicker value={newLedgerCurrency} onChange={setNewLedgerCurrency} />
+                        <TouchableOpacity onPress={handleImportPdf} style={styles.importPdfBtn}>
+                            <MaterialCommunityIcons name="file-pdf-box" size={18} color={colors.PRIMARY} />
+                            <Text style={styles.importPdfText}>Import entries from a PDF statement</Text>
+                        </TouchableOpacity>
                         <View style={styles.modalButtons}>
                             <TouchableOpacity
                                 onPress={() => {
                                     setShowAddModal(false);
                                     setNewLedgerName('');
+                                    setNewLedgerCurrency(DEFAULT_CURRENCY);
                                 }}
                                 style={styles.modalBtn}
                             >
@@ -1221,7 +1384,7 @@ export default function HomeScreen({ navigation }) {
                                 <TouchableOpacity
                                     style={styles.menuItem}
                                     onPress={() => {
-                                        navigation.navigate('LedgerDetail', { ledger: selectedLedger });
+                                        navigation.navigate('LedgerDetail', { ledgerId: selectedLedger.id });
                                         setShowMenuModal(false);
                                         setSelectedLedger(null);
                                     }}
@@ -1247,6 +1410,18 @@ export default function HomeScreen({ navigation }) {
                                         <Text style={styles.menuItemText}>Account Profile</Text>
                                     </View>
                                 </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={styles.menuItem}
+                                    onPress={() => {
+                                        setShowMenuModal(false);
+                                        navigation.navigate('Trash');
+                                    }}
+                                >
+                                    <View style={styles.menuItemContent}>
+                                        <Ionicons name="trash-bin-outline" size={24} color={colors.PRIMARY} />
+                                        <Text style={styles.menuItemText}>Recycle Bin</Text>
+                                    </View>
+                                </TouchableOpacity>
                                 <TouchableOpacity
                                     style={styles.menuItem}
                                     onPress={() => {
@@ -1316,7 +1491,23 @@ All Rights Reserved.
                     setTimeout(() => setShowExpenseModal(true), 200);
                 }}
                 categories={categories}
-                onUpdate={setCategories}
+            />
+            {/* Business Books */}
+            <BookSwitcherModal
+                visible={showBookModal}
+                onClose={() => setShowBookModal(false)}
+                onChanged={() => loadData({ forceSync: true })}
+            />
+            {/* Sync Conflicts */}
+            <SyncConflictModal
+                visible={showConflictModal}
+                onClose={() => setShowConflictModal(false)}
+                conflicts={syncConflicts}
+                onResolved={async () => {
+                    const remaining = await getSyncConflicts();
+                    await reloadSyncedData();
+                    if (remaining.length === 0) setShowConflictModal(false);
+                }}
             />
             {/* Expense Context Menu Modal */}
             <Modal
@@ -1333,13 +1524,13 @@ All Rights Reserved.
                     <View style={styles.menuContent}>
                         <View style={styles.menuHeader}>
                             <Text style={styles.menuTitle}>{selectedExpense?.title}</Text>
-                            <Text style={styles.menuSubTitle}>₹{selectedExpense?.amount.toLocaleString()}</Text>
+                            <Text style={styles.menuSubTitle}>{formatMoney(selectedExpense?.amount, { currency: getCurrency(selectedExpense) })}</Text>
                         </View>
 
                         <TouchableOpacity
                             style={styles.menuItem}
                             onPress={() => {
-                                setExpenseData({ ...selectedExpense });
+                                setExpenseData({ ...selectedExpense, amount: toInputString(selectedExpense.amount), currency: getCurrency(selectedExpense) });
                                 setIsEditingExpense(true);
                                 setShowExpenseMenu(false);
                                 setShowExpenseModal(true);
@@ -1396,10 +1587,17 @@ const getStyles = (colors) => StyleSheet.create({
     profileInfo: {
         marginLeft: 10,
     },
-    welcomeText: {
+    bookSwitch: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        maxWidth: 160,
+    },
+    bookName: {
         fontSize: 10,
-        color: colors.TEXT_SECONDARY,
+        fontWeight: 'bold',
+        color: colors.PRIMARY,
         textTransform: 'uppercase',
+        marginHorizontal: 3,
     },
     userName: {
         fontSize: 14,
@@ -1659,6 +1857,16 @@ const getStyles = (colors) => StyleSheet.create({
     cancelText: {
         color: colors.TEXT_SECONDARY,
     },
+    importPdfBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    importPdfText: {
+        marginLeft: 6,
+        color: colors.PRIMARY,
+        fontWeight: '600',
+    },
     bottomNav: {
         flexDirection: 'row',
         backgroundColor: colors.CARD_BG,
@@ -1909,6 +2117,40 @@ const getStyles = (colors) => StyleSheet.create({
         color: colors.TEXT_SECONDARY,
         marginTop: -1,
     },
+    conflictBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: 20,
+        marginBottom: 10,
+        paddingHorizontal: 14,
+        paddingVertical: 10,
+        borderRadius: 12,
+        backgroundColor: colors.isDark ? '#3A2222' : '#FFEBEE',
+    },
+    conflictBannerText: {
+        flex: 1,
+        marginLeft: 8,
+        fontSize: 13,
+        fontWeight: '600',
+        color: colors.DEBIT_RED,
+    },
+    restoreBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: 20,
+        marginBottom: 10,
+        paddingHorizontal: 14,
+        paddingVertical: 10,
+        borderRadius: 12,
+        backgroundColor: colors.isDark ? '#1F2A3A' : '#F0F7FF',
+    },
+    restoreBannerText: {
+        flex: 1,
+        marginLeft: 8,
+        fontSize: 13,
+        fontWeight: '600',
+        color: colors.PRIMARY,
+    },
     menuContent: {
         backgroundColor: colors.CARD_BG,
         borderTopLeftRadius: 25,
@@ -1,11 +1,13 @@
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { View, Text, StyleSheet, ScrollView, TouchableOpacity, SafeAreaView, Dimensions, StatusBar, Platform } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
-import { getAllLedgers, getExpenses } from '../utils/storage';
+import { getExchangeRates } from '../utils/storage';
 import { SimpleBarChart, CategoryRing, SimpleLineChart } from '../components/Visualizers';
 import { useTheme } from '../context/ThemeContext';
+import { useLedgerList, useExpenses } from '../context/DataContext';
+import { formatMoney, formatTotals, sumByCurrency, convertAmount, convertTotals, getCurrency, PAISE_PER_RUPEE } from '../utils/money';
 
 const { width } = Dimensions.get('window');
 
@@ -18,18 +20,35 @@ export default function InsightsScreen({ navigation }) {
     const [expenseCategories, setExpenseCategories] = useState([]);
     const [customerBalances, setCustomerBalances] = useState([]);
     const [stats, setStats] = useState({ totalGiven: 0, totalGot: 0, topCustomer: 'None', avgSpend: 0 });
+    const [currencyTotals, setCurrencyTotals] = useState({ balances: {}, spent: {}, convertedBalance: null, convertedSpent: null, unconverted: [] });
     const [loading, setLoading] = useState(true);
+    const ledgers = useLedgerList();
+    const expenses = useExpenses();
+    const [rates, setRates] = useState(null);
 
     useFocusEffect(
         useCallback(() => {
-            processData();
+            getExchangeRates().then(setRates);
         }, [])
     );
 
-    const processData = async () => {
+    // Recomputed whenever the data store changes
+    useEffect(() => {
+        if (rates) processData();
+    }, [ledgers, expenses, rates]);
+
+    const processData = () => {
         setLoading(true);
-        const ledgers = Object.values(await getAllLedgers());
-        const expenses = await getExpenses();
+
+        // Charts add amounts together, so they work in INR. Other currencies are converted
+        // with the user's rates; ones without a rate are left out and listed.
+        const unconverted = new Set();
+        const inDefaultCurrency = (amount, record) => {
+            const currency = getCurrency(record);
+            const value = convertAmount(amount, currency, rates);
+            if (value == null) unconverted.add(currency);
+            return value;
+        };
 
         // 1. Monthly Trends (Last 6 Months)
         const trends = {};
@@ -50,18 +69,21 @@ export default function InsightsScreen({ navigation }) {
         let topCust = { name: 'None', val: 0 };
 
         ledgers.forEach(l => {
-            if (l.balance > topCust.val) topCust = { name: l.name, val: l.balance };
+            const balance = inDefaultCurrency(l.balance, l);
+            if (balance == null) return;
+            if (balance > topCust.val) topCust = { name: l.name, val: balance };
 
             l.transactions.forEach(t => {
                 const date = new Date(t.date);
                 const key = date.toLocaleString('default', { month: 'short', year: '2-digit' });
                 if (trends[key]) {
+                    const amount = inDefaultCurrency(t.amount, l);
                     if (t.type === 'credit') {
-                        trends[key].v1 += t.amount;
-                        totalGiven += t.amount;
+                        trends[key].v1 += amount;
+                        totalGiven += amount;
                     } else {
-                        trends[key].v2 += t.amount;
-                        totalGot += t.amount;
+                        trends[key].v2 += amount;
+                        totalGot += amount;
                     }
                 }
             });
@@ -70,13 +92,15 @@ export default function InsightsScreen({ navigation }) {
         // 2. Expense Category Breakdown & Trends
         const cats = {};
         expenses.forEach(e => {
+            const amount = inDefaultCurrency(e.amount, e);
+            if (amount == null) return;
             const date = new Date(e.date);
             const key = date.toLocaleString('default', { month: 'short', year: '2-digit' });
             if (spendTrends[key]) {
-                spendTrends[key].value += e.amount;
+                spendTrends[key].value += amount;
             }
-            totalSpend += e.amount;
-            cats[e.category] = (cats[e.category] || 0) + e.amount;
+            totalSpend += amount;
+            cats[e.category] = (cats[e.category] || 0) + amount;
         });
 
         const catColors = [colors.PRIMARY, '#FF7043', '#FFCA28', '#66BB6A', '#26A69A', '#78909C'];
@@ -88,7 +112,8 @@ export default function InsightsScreen({ navigation }) {
 
         // 3. Customer-wise Balance (Top 5)
         const custData = ledgers
-            .filter(l => l.balance !== 0)
+            .map(l => ({ name: l.name, balance: inDefaultCurrency(l.balance, l) }))
+            .filter(l => l.balance)
             .map(l => ({
                 label: l.name.length > 8 ? l.name.substring(0, 8) + '..' : l.name,
                 v1: l.balance > 0 ? l.balance : 0, // Give (Debit)
@@ -107,6 +132,16 @@ export default function InsightsScreen({ navigation }) {
             topCustomer: topCust.name,
             avgSpend: totalSpend / (months.length || 1)
         });
+
+        const balances = sumByCurrency(ledgers, l => l.balance);
+        const spent = sumByCurrency(expenses, e => e.amount);
+        setCurrencyTotals({
+            balances,
+            spent,
+            convertedBalance: convertTotals(balances, rates),
+            convertedSpent: convertTotals(spent, rates),
+            unconverted: [...unconverted],
+        });
         setLoading(false);
     };
 
@@ -124,6 +159,36 @@ export default function InsightsScreen({ navigation }) {
 
             <ScrollView contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
 
+                {/* Totals per Currency */}
+                <View style={styles.card}>
+                    <View style={styles.cardHeader}>
+                        <Text style={styles.cardTitle}>Totals by Currency</Text>
+                        <Text style={styles.cardSub}>Net customer balance and expenses</Text>
+                    </View>
+                    <View style={styles.statsRow}>
+                        <View style={[styles.statBox, { backgroundColor: colors.DEBIT_RED + '15' }]}>
+                            <Text style={[styles.statValue, { color: colors.DEBIT_RED }]}>{formatTotals(currencyTotals.balances)}</Text>
+                            <Text style={styles.statLabel}>Net Balance</Text>
+                        </View>
+                        <View style={[styles.statBox, { backgroundColor: colors.PRIMARY + '15' }]}>
+                            <Text style={[styles.statValue, { color: colors.PRIMARY }]}>{formatTotals(currencyTotals.spent)}</Text>
+                            <Text style={styles.statLabel}>Expenses</Text>
+                        </View>
+                    </View>
+                    {Object.keys({ ...currencyTotals.balances, ...currencyTotals.spent }).length > 1 && (
+                        <Text style={styles.cardSub}>
+                            {currencyTotals.convertedBalance != null && currencyTotals.convertedSpent != null
+                                ? `Converted at your rates: ${formatMoney(currencyTotals.convertedBalance)} balance, ${formatMoney(currencyTotals.convertedSpent)} spent`
+                                : 'Add exchange rates in Profile to see a converted total.'}
+                        </Text>
+                    )}
+                    {currencyTotals.unconverted.length > 0 && (
+                        <Text style={styles.cardSub}>
+                            Charts below are in INR and leave out {currencyTotals.unconverted.join(', ')} (no exchange rate).
+                        </Text>
+                    )}
+                </View>
+
                 {/* Monthly Performance Card */}
                 <View style={styles.card}>
                     <View style={styles.cardHeader}>
@@ -162,7 +227,7 @@ export default function InsightsScreen({ navigation }) {
                         </View>
                         <View style={styles.avgBadge}>
                             <Text style={styles.avgLabel}>AVG</Text>
-                            <Text style={styles.avgValue}>₹{Math.round(stats.avgSpend).toLocaleString()}</Text>
+                            <Text style={styles.avgValue}>{formatMoney(Math.round(stats.avgSpend / PAISE_PER_RUPEE) * PAISE_PER_RUPEE)}</Text>
                         </View>
                     </View>
                     <SimpleLineChart
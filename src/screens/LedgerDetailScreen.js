@@ -10,33 +10,46 @@ import {
     SafeAreaView,
     StatusBar,
     Linking,
-    Alert
+    Alert,
+    ActivityIndicator
 } from 'react-native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
-import { getAllLedgers, getUserProfile } from '../utils/storage';
+import { getUserProfile } from '../utils/storage';
 import TransactionItem from '../components/TransactionItem';
 import { useTheme } from '../context/ThemeContext';
+import { useLedger } from '../context/DataContext';
+import { formatMoney, getCurrency, getCurrencySymbol } from '../utils/money';
+import { isLedgerRestoring, loadLedgerNow, subscribeRestore } from '../utils/cloudRestore';
+import SecurityVerifyModal from '../components/SecurityVerifyModal';
+import { needsVerification, SECURED_ACTIONS } from '../utils/securityPolicy';
 export default function LedgerDetailScreen({ route, navigation }) {
     const { colors, isDark } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
-    const { ledger: initialLedger } = route.params;
-    const [ledger, setLedger] = useState(initialLedger);
+    const { ledgerId } = route.params;
+    const ledger = useLedger(ledgerId);
+    const transactions = ledger ? ledger.transactions : null;
+    const currency = getCurrency(ledger);
     const [userProfile, setUserProfile] = useState(null);
     const [initialScrolled, setInitialScrolled] = useState(false);
+    const [restoring, setRestoring] = useState(() => isLedgerRestoring(ledgerId));
+    const [showSecurityModal, setShowSecurityModal] = useState(false);
     const listRef = React.useRef(null);
 
+    // Entries still coming down in a cloud restore: fetch this customer's first
+    useEffect(() => {
+        loadLedgerNow(ledgerId);
+        setRestoring(isLedgerRestoring(ledgerId));
+        return subscribeRestore(() => setRestoring(isLedgerRestoring(ledgerId)));
+    }, [ledgerId]);
+
+    // The ledger itself stays current through the data store
     const fetchInitialData = useCallback(async () => {
-        const allLedgers = await getAllLedgers();
-        const updatedLedger = allLedgers[ledger.id];
-        if (updatedLedger) {
-            setLedger(updatedLedger);
-        }
         const profile = await getUserProfile();
         setUserProfile(profile);
         setInitialScrolled(false);
-    }, [ledger.id]);
+    }, []);
 
     // Use useFocusEffect for automatic cleanup instead of manual listener
     useFocusEffect(
@@ -47,7 +60,7 @@ export default function LedgerDetailScreen({ route, navigation }) {
 
     const groupedTransactions = useMemo(() => {
         const groups = {};
-        ledger.transactions.forEach(t => {
+        (transactions || []).forEach(t => {
             const dateStr = t.displayDate || new Date(t.date).toLocaleDateString('en-GB', {
                 day: '2-digit', month: 'short', year: 'numeric'
             });
@@ -58,7 +71,7 @@ export default function LedgerDetailScreen({ route, navigation }) {
             title: date,
             data: groups[date]
         }));
-    }, [ledger.transactions]);
+    }, [transactions]);
 
     useEffect(() => {
         if (!initialScrolled && listRef.current && groupedTransactions.length > 0) {
@@ -80,7 +93,12 @@ export default function LedgerDetailScreen({ route, navigation }) {
     }, [groupedTransactions, initialScrolled]);
 
     const handleAction = (type) => {
-        navigation.navigate('AddTransaction', { ledger, type });
+        // The balance is the cloud's until the entries are in; a new entry would be based on nothing
+        if (restoring) {
+            showAlert('Still Loading', 'Entries of this customer are still loading from the cloud. Try again once they are in.');
+            return;
+        }
+        navigation.navigate('AddTransaction', { ledgerId, type });
     };
 
     const handleCall = () => {
@@ -91,11 +109,21 @@ export default function LedgerDetailScreen({ route, navigation }) {
         Linking.openURL(`tel:${ledger.phone}`);
     };
 
-    const handleWhatsApp = () => {
+    // The reminder carries the balance and bank/UPI details, so it follows the policy for sharing statements
+    const handleWhatsApp = async () => {
+        if (await needsVerification(SECURED_ACTIONS.SHARE_STATEMENT)) {
+            setShowSecurityModal(true);
+        } else {
+            sendWhatsApp();
+        }
+    };
+
+    const sendWhatsApp = () => {
+        setShowSecurityModal(false);
         const cleanPhone = ledger.phone ? ledger.phone.replace(/[^0-9]/g, '') : '';
         const balanceText = ledger.balance >= 0
-            ? `Pending Payment: ₹${Math.abs(ledger.balance).toLocaleString()} (Due)`
-            : `Advance Balance: ₹${Math.abs(ledger.balance).toLocaleString()} (Advance)`;
+            ? `Pending Payment: ${formatMoney(Math.abs(ledger.balance), { currency })} (Due)`
+            : `Advance Balance: ${formatMoney(Math.abs(ledger.balance), { currency })} (Advance)`;
 
         let paymentDetails = '';
         if (userProfile && (userProfile.bankName || userProfile.accountNumber || userProfile.ifsc || (userProfile.upiIds && userProfile.upiIds.length > 0))) {
@@ -128,8 +156,8 @@ export default function LedgerDetailScreen({ route, navigation }) {
 
     const handleSMS = () => {
         const balanceText = ledger.balance >= 0
-            ? `₹${Math.abs(ledger.balance).toLocaleString()} (Due)`
-            : `₹${Math.abs(ledger.balance).toLocaleString()} (Advance)`;
+            ? `${formatMoney(Math.abs(ledger.balance), { currency })} (Due)`
+            : `${formatMoney(Math.abs(ledger.balance), { currency })} (Advance)`;
 
         const message = `Hello ${ledger.name}, reminder from MaZaKhat. Balance: ${balanceText}. Thanks!`;
         const url = `sms:${ledger.phone || ''}${Platform.OS === 'ios' ? '&' : '?'}body=${encodeURIComponent(message)}`;
@@ -138,7 +166,7 @@ export default function LedgerDetailScreen({ route, navigation }) {
     };
 
     const handleProfile = () => {
-        navigation.navigate('CustomerProfile', { ledger });
+        navigation.navigate('CustomerProfile', { ledgerId });
     };
 
     const showAlert = (title, message) => {
@@ -149,6 +177,9 @@ export default function LedgerDetailScreen({ route, navigation }) {
         }
     };
 
+    // Deleted (or still loading)
+    if (!ledger) return null;
+
     return (
         <SafeAreaView style={styles.container}>
             <StatusBar barStyle="light-content" backgroundColor={colors.PRIMARY} />
@@ -216,7 +247,8 @@ export default function LedgerDetailScreen({ route, navigation }) {
                     renderItem={({ item }) => (
                         <TransactionItem
                             transaction={item}
-                            onPress={() => navigation.navigate('TransactionDetail', { transaction: item, ledger })}
+                            currency={currency}
+                            onPress={() => navigation.navigate('TransactionDetail', { ledgerId, transactionId: item.id })}
                         />
                     )}
                     renderSectionHeader={({ section: { title } }) => (
@@ -226,6 +258,12 @@ export default function LedgerDetailScreen({ route, navigation }) {
                             </View>
                         </View>
                     )}
+                    ListEmptyComponent={restoring ? (
+                        <View style={styles.restoringNote}>
+                            <ActivityIndicator size="small" color={colors.PRIMARY} />
+                            <Text style={styles.restoringText}>Loading entries from the cloud...</Text>
+                        </View>
+                    ) : null}
                     contentContainerStyle={styles.listContent}
                     stickySectionHeadersEnabled={false}
                 />
@@ -234,7 +272,7 @@ export default function LedgerDetailScreen({ route, navigation }) {
             {/* 3. Bottom Dashboard (Fixed at Bottom) */}
             <View style={styles.bottomDashboard}>
                 <View style={styles.toolBar}>
-                    <TouchableOpacity style={styles.toolItem} onPress={() => navigation.navigate('Statement', { ledger })}>
+                    <TouchableOpacity style={styles.toolItem} onPress={() => navigation.navigate('Statement', { ledgerId })}>
                         <MaterialCommunityIcons name="file-pdf-box" size={22} color={colors.TEXT_SECONDARY} />
                         <Text style={styles.toolText}>Report</Text>
                     </TouchableOpacity>
@@ -251,25 +289,32 @@ export default function LedgerDetailScreen({ route, navigation }) {
                 <View style={styles.balanceBar}>
                     <Text style={styles.balanceLabel}>Current Balance</Text>
                     <Text style={[styles.balanceText, { color: ledger.balance >= 0 ? colors.DEBIT_RED : colors.CREDIT_GREEN }]}>
-                        ₹{Math.abs(ledger.balance).toLocaleString()} {ledger.balance >= 0 ? 'Due' : 'Advance'}
+                        {formatMoney(Math.abs(ledger.balance), { currency })} {ledger.balance >= 0 ? 'Due' : 'Advance'}
                     </Text>
                 </View>
 
                 <View style={styles.mainActions}>
                     <TouchableOpacity
-                        style={[styles.actionBtn, styles.receivedBtn]}
+                        style={[styles.actionBtn, styles.receivedBtn, restoring && styles.actionBtnDisabled]}
                         onPress={() => handleAction('payment')}
                     >
-                        <Text style={[styles.actionBtnText, { color: colors.CREDIT_GREEN }]}>Received ₹</Text>
+                        <Text style={[styles.actionBtnText, { color: colors.CREDIT_GREEN }]}>Received {getCurrencySymbol(currency).trim()}</Text>
                     </TouchableOpacity>
                     <TouchableOpacity
-                        style={[styles.actionBtn, styles.givenBtn]}
+                        style={[styles.actionBtn, styles.givenBtn, restoring && styles.actionBtnDisabled]}
                         onPress={() => handleAction('credit')}
                     >
-                        <Text style={[styles.actionBtnText, { color: colors.DEBIT_RED }]}>Given ₹</Text>
+                        <Text style={[styles.actionBtnText, { color: colors.DEBIT_RED }]}>Given {getCurrencySymbol(currency).trim()}</Text>
                     </TouchableOpacity>
                 </View>
             </View>
+
+            <SecurityVerifyModal
+                visible={showSecurityModal}
+                title="Verify to Send Reminder"
+                onSuccess={sendWhatsApp}
+                onCancel={() => setShowSecurityModal(false)}
+            />
         </SafeAreaView>
     );
 }
@@ -315,6 +360,17 @@ const getStyles = (colors) => StyleSheet.create({
         paddingBottom: 180,
         paddingHorizontal: 10,
     },
+    restoringNote: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 40,
+    },
+    restoringText: {
+        marginLeft: 10,
+        fontSize: 14,
+        color: colors.TEXT_SECONDARY,
+    },
     dateHeader: {
         alignItems: 'center',
         marginVertical: 20,
@@ -393,6 +449,9 @@ const getStyles = (colors) => StyleSheet.create({
         borderWidth: 1.5,
         marginHorizontal: 5,
     },
+    actionBtnDisabled: {
+        opacity: 0.5,
+    },
     receivedBtn: {
         borderColor: colors.CREDIT_GREEN,
         backgroundColor: colors.isDark ? '#1B2C26' : '#E8F5E9',
@@ -0,0 +1,212 @@
+// Restore Progress Screen - How much of a cloud restore is still loading
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, SafeAreaView, StatusBar, Platform, ActivityIndicator } from 'react-native';
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { getRestoreStatus, subscribeRestore, retryRestore } from '../utils/cloudRestore';
+import { useTheme } from '../context/ThemeContext';
+
+export default function RestoreProgressScreen({ navigation }) {
+    const { colors, isDark } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+
+    const [restore, setRestore] = useState(getRestoreStatus());
+
+    useEffect(() => subscribeRestore(setRestore), []);
+
+    const { state, ledgers, transactions } = restore;
+    const ledgersLeft = ledgers.total - ledgers.done;
+    const transactionsLeft = transactions.total === null ? null : Math.max(transactions.total - transactions.done, 0);
+    const progress = ledgers.total > 0 ? ledgers.done / ledgers.total : 1;
+
+    const title = {
+        idle: 'Nothing to restore',
+        restoring: 'Restoring from cloud',
+        done: 'Restore complete',
+        error: 'Restore paused',
+    }[state];
+
+    const renderCount = (icon, value, label) => (
+        <View style={styles.countCard}>
+            <MaterialCommunityIcons name={icon} size={24} color={colors.PRIMARY} />
+            <Text style={styles.countValue}>{value}</Text>
+            <Text style={styles.countLabel}>{label}</Text>
+        </View>
+    );
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle={isDark ? "light-content" : "dark-content"} backgroundColor={colors.CARD_BG} />
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+                    <Ionicons name="arrow-back" size={24} color={colors.TEXT_PRIMARY} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Cloud Restore</Text>
+                <View style={styles.backBtn} />
+            </View>
+
+            <View style={styles.content}>
+                <View style={styles.statusIcon}>
+                    {state === 'restoring' ? (
+                        <ActivityIndicator size="large" color={colors.PRIMARY} />
+                    ) : (
+                        <MaterialCommunityIcons
+                            name={state === 'error' ? 'cloud-alert' : 'cloud-check-outline'}
+                            size={48}
+                            color={state === 'error' ? colors.ERROR : colors.CREDIT_GREEN}
+                        />
+                    )}
+                </View>
+                <Text style={styles.title}>{title}</Text>
+                <Text style={styles.subtitle}>
+                    {state === 'error'
+                        ? restore.error
+                        : 'Your customers are already listed. Their entries fill in as they arrive; opening a customer loads it first.'}
+                </Text>
+
+                <View style={styles.progressTrack}>
+                    <View style={[styles.progressFill, { width: `${Math.round(progress * 100)}%` }]} />
+                </View>
+
+                <View style={styles.countRow}>
+                    {renderCount('account-group-outline', ledgersLeft, ledgersLeft === 1 ? 'customer left' : 'customers left')}
+                    {renderCount(
+                        'swap-horizontal',
+                        transactionsLeft === null ? '…' : transactionsLeft,
+                        transactionsLeft === null ? 'counting entries' : (transactionsLeft === 1 ? 'entry left' : 'entries left')
+                    )}
+                </View>
+
+                {state === 'error' && (
+                    <TouchableOpacity style={styles.primaryBtn} onPress={retryRestore}>
+                        <Text style={styles.primaryBtnText}>Try Again</Text>
+                    </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                    style={state === 'error' ? styles.secondaryBtn : styles.primaryBtn}
+                    onPress={() => navigation.goBack()}
+                >
+                    <Text style={state === 'error' ? styles.secondaryBtnText : styles.primaryBtnText}>
+                        {state === 'restoring' ? 'Keep Using the App' : 'Done'}
+                    </Text>
+                </TouchableOpacity>
+            </View>
+        </SafeAreaView>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.BACKGROUND,
+        paddingTop: Platform.OS === 'android' ? StatusBar.currentHeight : 0,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 20,
+        paddingVertical: 15,
+        backgroundColor: colors.CARD_BG,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.BORDER,
+    },
+    backBtn: {
+        width: 40,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    content: {
+        flex: 1,
+        alignItems: 'center',
+        padding: 24,
+        paddingTop: 48,
+    },
+    statusIcon: {
+        width: 88,
+        height: 88,
+        borderRadius: 44,
+        backgroundColor: colors.CARD_BG,
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginBottom: 20,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    subtitle: {
+        fontSize: 14,
+        color: colors.TEXT_SECONDARY,
+        textAlign: 'center',
+        marginTop: 8,
+        lineHeight: 20,
+    },
+    progressTrack: {
+        alignSelf: 'stretch',
+        height: 8,
+        borderRadius: 4,
+        backgroundColor: colors.BORDER,
+        marginTop: 28,
+        overflow: 'hidden',
+    },
+    progressFill: {
+        height: '100%',
+        borderRadius: 4,
+        backgroundColor: colors.PRIMARY,
+    },
+    countRow: {
+        flexDirection: 'row',
+        alignSelf: 'stretch',
+        marginTop: 20,
+        marginBottom: 28,
+    },
+    countCard: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: 16,
+        marginHorizontal: 6,
+        borderRadius: 16,
+        backgroundColor: colors.CARD_BG,
+    },
+    countValue: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+        marginTop: 6,
+    },
+    countLabel: {
+        fontSize: 12,
+        color: colors.TEXT_SECONDARY,
+        marginTop: 2,
+    },
+    primaryBtn: {
+        alignSelf: 'stretch',
+        alignItems: 'center',
+        paddingVertical: 14,
+        borderRadius: 12,
+        backgroundColor: colors.PRIMARY,
+        marginBottom: 12,
+    },
+    primaryBtnText: {
+        color: colors.WHITE,
+        fontWeight: 'bold',
+        fontSize: 15,
+    },
+    secondaryBtn: {
+        alignSelf: 'stretch',
+        alignItems: 'center',
+        paddingVertical: 14,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: colors.PRIMARY,
+    },
+    secondaryBtnText: {
+        color: colors.PRIMARY,
+        fontWeight: 'bold',
+        fontSize: 15,
+    },
+});
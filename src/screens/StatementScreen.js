@@ -15,14 +15,23 @@ import {
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { generateLedgerPDF } from '../utils/pdfGenerator';
 import { useTheme } from '../context/ThemeContext';
+import { useLedger } from '../context/DataContext';
+import { formatMoney, getCurrency } from '../utils/money';
+import SecurityVerifyModal from '../components/SecurityVerifyModal';
+import { needsVerification, SECURED_ACTIONS } from '../utils/securityPolicy';
 
 export default function StatementScreen({ route, navigation }) {
     const { colors, isDark } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
-    const { ledger } = route.params;
+    const { ledgerId } = route.params;
+    const ledger = useLedger(ledgerId);
+    const transactions = ledger ? ledger.transactions : null;
+    const currency = getCurrency(ledger);
     const [selectedFilter, setSelectedFilter] = useState('overall');
     const [loading, setLoading] = useState(false);
+    const [showSecurityModal, setShowSecurityModal] = useState(false);
+    const [pendingAction, setPendingAction] = useState(null); // 'download' or 'share'
     const [showDateRangeModal, setShowDateRangeModal] = useState(false);
     const [customStartDate, setCustomStartDate] = useState(new Date(new Date().setDate(new Date().getDate() - 30))); // Default 30 days ago
     const [customEndDate, setCustomEndDate] = useState(new Date());
@@ -30,20 +39,20 @@ export default function StatementScreen({ route, navigation }) {
     // Date filter logic
     const filteredTransactions = useMemo(() => {
         const now = new Date();
-        const transactions = ledger.transactions || [];
+        const list = transactions || [];
 
         switch (selectedFilter) {
             case 'thisMonth':
-                return transactions.filter(t => {
+                return list.filter(t => {
                     const txnDate = new Date(t.date);
                     return txnDate.getMonth() === now.getMonth() &&
                         txnDate.getFullYear() === now.getFullYear();
                 });
             case 'last7days':
                 const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                return transactions.filter(t => new Date(t.date) >= sevenDaysAgo);
+                return list.filter(t => new Date(t.date) >= sevenDaysAgo);
             case 'dateRange':
-                return transactions.filter(t => {
+                return list.filter(t => {
                     const d = new Date(t.date);
                     // Reset times for accurate date comparison
                     const start = new Date(customStartDate); start.setHours(0, 0, 0, 0);
@@ -52,9 +61,9 @@ export default function StatementScreen({ route, navigation }) {
                 });
             case 'overall':
             default:
-                return transactions;
+                return list;
         }
-    }, [ledger.transactions, selectedFilter, customStartDate, customEndDate]);
+    }, [transactions, selectedFilter, customStartDate, customEndDate]);
 
     // Calculate totals
     const totals = useMemo(() => {
@@ -67,6 +76,23 @@ export default function StatementScreen({ route, navigation }) {
         return { payment, credit };
     }, [filteredTransactions]);
 
+    // Both hand the PDF to other apps, so both follow the policy for sharing statements
+    const requestStatement = async (action) => {
+        setPendingAction(action);
+        if (await needsVerification(SECURED_ACTIONS.SHARE_STATEMENT)) {
+            setShowSecurityModal(true);
+        } else {
+            runStatementAction(action);
+        }
+    };
+
+    const runStatementAction = (action) => {
+        setShowSecurityModal(false);
+        setPendingAction(null);
+        if (action === 'share') handleShare();
+        else handleDownload();
+    };
+
     const handleDownload = async () => {
         setLoading(true);
         const result = await generateLedgerPDF(ledger, filteredTransactions);
@@ -111,6 +137,9 @@ export default function StatementScreen({ route, navigation }) {
         return `${start} - ${end}`;
     };
 
+    // Deleted (or still loading)
+    if (!ledger) return null;
+
     return (
         <SafeAreaView style={styles.container}>
             <StatusBar barStyle={isDark ? "light-content" : "dark-content"} backgroundColor={colors.CARD_BG} />
@@ -155,7 +184,7 @@ export default function StatementScreen({ route, navigation }) {
                     <Text style={styles.headerTitle}>Customer Statement</Text>
                     <Text style={styles.headerSubtitle}>
                         Current Balance <Text style={{ color: ledger.balance >= 0 ? colors.DEBIT_RED : colors.CREDIT_GREEN }}>
-                            ₹{Math.abs(ledger.balance).toLocaleString()}
+                            {formatMoney(Math.abs(ledger.balance), { currency })}
                         </Text>
                     </Text>
                 </View>
@@ -195,16 +224,16 @@ export default function StatementScreen({ route, navigation }) {
 
             {/* Balance Summary */}
             <View style={styles.summaryCard}>
-                <Text style={styles.balanceAmount}>₹{Math.abs(ledger.balance).toLocaleString()}</Text>
+                <Text style={styles.balanceAmount}>{formatMoney(Math.abs(ledger.balance), { currency })}</Text>
                 <Text style={styles.balanceLabel}>Balance | {getDateRange()}</Text>
                 <View style={styles.summaryRow}>
                     <View style={styles.summaryItem}>
                         <Text style={styles.summaryLabel}>Payment ({filteredTransactions.filter(t => t.type === 'credit').length})</Text>
-                        <Text style={[styles.summaryValue, { color: colors.CREDIT_GREEN }]}>₹{totals.payment.toLocaleString()}</Text>
+                        <Text style={[styles.summaryValue, { color: colors.CREDIT_GREEN }]}>{formatMoney(totals.payment, { currency })}</Text>
                     </View>
                     <View style={styles.summaryItem}>
                         <Text style={styles.summaryLabel}>Credit ({filteredTransactions.filter(t => t.type === 'debit').length})</Text>
-                        <Text style={[styles.summaryValue, { color: colors.DEBIT_RED }]}>₹{totals.credit.toLocaleString()}</Text>
+                        <Text style={[styles.summaryValue, { color: colors.DEBIT_RED }]}>{formatMoney(totals.credit, { currency })}</Text>
                     </View>
                 </View>
             </View>
@@ -234,13 +263,13 @@ export default function StatementScreen({ route, navigation }) {
                                             color={isCredit ? colors.CREDIT_GREEN : colors.DEBIT_RED}
                                         />
                                         <Text style={[styles.amountText, { color: isCredit ? colors.CREDIT_GREEN : colors.DEBIT_RED }]}>
-                                            ₹{txn.amount.toLocaleString()}
+                                            {formatMoney(txn.amount, { currency })}
                                         </Text>
                                     </View>
                                     <Text style={styles.transactionType}>
                                         {isCredit ? 'Payment Received' : 'Payment Given'}
                                     </Text>
-                                    <Text style={styles.balanceAfter}>₹{Math.abs(txn.balanceAfter || 0).toLocaleString()} Due</Text>
+                                    <Text style={styles.balanceAfter}>{formatMoney(Math.abs(txn.balanceAfter || 0), { currency })} Due</Text>
                                 </View>
                             </View>
                         );
@@ -251,7 +280,7 @@ export default function StatementScreen({ route, navigation }) {
             <View style={styles.bottomActions}>
                 <TouchableOpacity
                     style={[styles.actionButton, styles.downloadButton]}
-                    onPress={handleDownload}
+                    onPress={() => requestStatement('download')}
                     disabled={loading}
                 >
                     <Ionicons name="download-outline" size={20} color={colors.PRIMARY} />
@@ -259,7 +288,7 @@ export default function StatementScreen({ route, navigation }) {
                 </TouchableOpacity>
                 <TouchableOpacity
                     style={[styles.actionButton, styles.shareButton]}
-                    onPress={handleShare}
+                    onPress={() => requestStatement('share')}
                     disabled={loading}
                 >
                     <MaterialCommunityIcons name="whatsapp" size={20} color={colors.WHITE} />
@@ -314,6 +343,16 @@ export default function StatementScreen({ route, navigation }) {
                     </View>
                 </View>
             </Modal>
+
+            <SecurityVerifyModal
+                visible={showSecurityModal}
+                title="Verify to Share Statement"
+                onSuccess={() => runStatementAction(pendingAction)}
+                onCancel={() => {
+                    setShowSecurityModal(false);
+                    setPendingAction(null);
+                }}
+            />
         </SafeAreaView>
     );
 }
@@ -1,5 +1,5 @@
 // Transaction Detail Screen - View, Edit, and Delete transactions
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     View,
     Text,
@@ -13,26 +13,49 @@ import {
     StatusBar
 } from 'react-native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
-import { deleteTransaction } from '../utils/storage';
+import { deleteTransaction, getTransactionHistory } from '../utils/storage';
 import SecurityVerifyModal from '../components/SecurityVerifyModal';
+import { needsVerification, SECURED_ACTIONS } from '../utils/securityPolicy';
 import { useTheme } from '../context/ThemeContext';
+import { useLedger, useTransaction } from '../context/DataContext';
+import { formatMoney, getCurrency } from '../utils/money';
+
+const HISTORY_LABELS = {
+    created: 'Created',
+    edited: 'Edited',
+    deleted: 'Deleted',
+    restored: 'Restored',
+};
 
 export default function TransactionDetailScreen({ route, navigation }) {
     const { colors, isDark } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
-    const { transaction, ledger } = route.params;
-    const isCredit = transaction.type === 'credit';
+    const { ledgerId, transactionId } = route.params;
+    const ledger = useLedger(ledgerId);
+    const transaction = useTransaction(ledgerId, transactionId);
+    const currency = getCurrency(ledger);
+    const isCredit = transaction?.type === 'credit';
     const [showSecurityModal, setShowSecurityModal] = useState(false);
     const [pendingAction, setPendingAction] = useState(null); // 'edit' or 'delete'
+    const [history, setHistory] = useState([]);
+
+    // Re-read after every change so an edit made meanwhile shows up
+    useEffect(() => {
+        getTransactionHistory(ledgerId, transactionId).then(setHistory);
+    }, [ledgerId, transactionId, transaction]);
 
-    const handleDelete = () => {
+    const handleDelete = async () => {
         setPendingAction('delete');
-        setShowSecurityModal(true);
+        if (await needsVerification(SECURED_ACTIONS.DELETE_TRANSACTION)) {
+            setShowSecurityModal(true);
+        } else {
+            confirmDelete();
+        }
     };
 
     const confirmDelete = async () => {
-        const success = await deleteTransaction(ledger.id, transaction.id);
+        const success = await deleteTransaction(ledgerId, transactionId);
         if (success) {
             navigation.goBack();
         } else {
@@ -40,19 +63,51 @@ export default function TransactionDetailScreen({ route, navigation }) {
         }
     };
 
-    const handleEdit = () => {
+    const handleEdit = async () => {
         setPendingAction('edit');
-        setShowSecurityModal(true);
+        if (await needsVerification(SECURED_ACTIONS.EDIT_TRANSACTION)) {
+            setShowSecurityModal(true);
+        } else {
+            confirmEdit();
+        }
     };
 
     const confirmEdit = () => {
         navigation.navigate('AddTransaction', {
-            ledger,
+            ledgerId,
             type: transaction.type,
-            editTransaction: transaction
+            transactionId
         });
     };
 
+    const formatDateTime = (value) => new Date(value).toLocaleString('en-GB', {
+        day: '2-digit', month: 'short', year: 'numeric',
+        hour: '2-digit', minute: '2-digit'
+    });
+
+    // Human-readable "before → after" line for one audited field
+    const describeChange = (field, { before, after }) => {
+        switch (field) {
+            case 'amount':
+                return `Amount: ${before != null ? formatMoney(before, { currency }) : '—'} → ${after != null ? formatMoney(after, { currency }) : '—'}`;
+            case 'type': {
+                const label = (t) => (t == null ? '—' : t === 'credit' ? 'Given' : 'Received');
+                return `Type: ${label(before)} → ${label(after)}`;
+            }
+            case 'date':
+                return `Date: ${before ? formatDateTime(before) : '—'} → ${after ? formatDateTime(after) : '—'}`;
+            case 'note':
+                return `Note: ${before ? `"${before}"` : '—'} → ${after ? `"${after}"` : '—'}`;
+            case 'billPhoto':
+                return `Bill photo: ${!before ? 'added' : !after ? 'removed' : 'replaced'}`;
+            default:
+                return `${field}: ${before ?? '—'} → ${after ?? '—'}`;
+        }
+    };
+
+    // Deleted (or still loading)
+    if (!ledger || !transaction) return null;
+
     return (
         <SafeAreaView style={styles.container}>
             <View style={styles.header}>
@@ -68,10 +123,10 @@ export default function TransactionDetailScreen({ route, navigation }) {
             <ScrollView contentContainerStyle={styles.content}>
                 <View style={styles.card}>
                     <View style={styles.amountBox}>
-                        <Text style={[styles.amountText, { color: isCredit ? colors.CREDIT_GREEN : colors.DEBIT_RED }]}>
-                            ₹{transaction.amount.toLocaleString()}
+                        <Text style={[styles.amountText, { color: isCredit ? colors.DEBIT_RED : colors.CREDIT_GREEN }]}>
+                            {formatMoney(transaction.amount, { currency })}
                         </Text>
-                        <Text style={styles.typeLabel}>{isCredit ? 'Money Received (Credit)' : 'Money Given (Debit)'}</Text>
+                        <Text style={styles.typeLabel}>{isCredit ? 'Money Given (Credit)' : 'Money Received (Payment)'}</Text>
                     </View>
 
                     <View style={styles.infoRow}>
@@ -111,6 +166,26 @@ export default function TransactionDetailScreen({ route, navigation }) {
                     <Ionicons name="create-outline" size={20} color={colors.WHITE} />
                     <Text style={styles.editBtnText}>Edit Transaction</Text>
                 </TouchableOpacity>
+
+                <View style={[styles.card, styles.historyCard]}>
+                    <Text style={styles.photoLabel}>Edit History</Text>
+                    {history.length === 0 ? (
+                        <Text style={styles.historyEmpty}>No changes recorded for this transaction.</Text>
+                    ) : (
+                        history.slice().reverse().map(entry => (
+                            <View key={entry.id} style={styles.historyItem}>
+                                <View style={styles.historyHeader}>
+                                    <Text style={styles.historyAction}>{HISTORY_LABELS[entry.action] || entry.action}</Text>
+                                    <Text style={styles.historyTime}>{formatDateTime(entry.at)}</Text>
+                                </View>
+                                <Text style={styles.historyBy}>by {entry.by?.email || 'Guest'}</Text>
+                                {entry.action === 'edited' && Object.entries(entry.changes || {}).map(([field, change]) => (
+                                    <Text key={field} style={styles.historyChange}>{describeChange(field, change)}</Text>
+                                ))}
+                            </View>
+                        ))
+                    )}
+                </View>
             </ScrollView>
 
             <SecurityVerifyModal
@@ -232,4 +307,42 @@ const getStyles = (colors) => StyleSheet.create({
         fontWeight: 'bold',
         marginLeft: 10,
     },
+    historyCard: {
+        marginTop: 20,
+    },
+    historyEmpty: {
+        fontSize: 14,
+        color: colors.TEXT_SECONDARY,
+        fontStyle: 'italic',
+    },
+    historyItem: {
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.BORDER,
+    },
+    historyHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    historyAction: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    historyTime: {
+        fontSize: 12,
+        color: colors.TEXT_SECONDARY,
+    },
+    historyBy: {
+        fontSize: 12,
+        color: colors.TEXT_SECONDARY,
+        marginTop: 2,
+        marginBottom: 4,
+    },
+    historyChange: {
+        fontSize: 14,
+        color: colors.TEXT_PRIMARY,
+        marginTop: 2,
+    },
 });
@@ -0,0 +1,332 @@
+// Trash Screen - Restore or permanently remove deleted customers, transactions and expenses
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, SafeAreaView, StatusBar, Platform, Alert, ActivityIndicator } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { getTrashItems, restoreTrashItem, deleteTrashItemsForever, getBackupSettings, updateBackupSettings } from '../utils/storage';
+import { TRASH_RETENTION_OPTIONS } from '../utils/trash';
+import { formatCurrency, formatDate } from '../utils/calculations';
+import { getCurrency } from '../utils/money';
+import { useTheme } from '../context/ThemeContext';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function TrashScreen({ navigation }) {
+    const { colors, isDark } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+
+    const [items, setItems] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(30);
+    const [loading, setLoading] = useState(true);
+    const [busyKey, setBusyKey] = useState(null);
+
+    const showAlert = (title, message) => {
+        if (Platform.OS === 'web') {
+            window.alert(`${title}: ${message}`);
+        } else {
+            Alert.alert(title, message);
+        }
+    };
+
+    const confirmAction = (title, message, actionText, onConfirm) => {
+        if (Platform.OS === 'web') {
+            if (window.confirm(message)) onConfirm();
+        } else {
+            Alert.alert(title, message, [
+                { text: 'Cancel', style: 'cancel' },
+                { text: actionText, style: 'destructive', onPress: onConfirm }
+            ]);
+        }
+    };
+
+    const loadTrash = useCallback(async () => {
+        setLoading(true);
+        const settings = await getBackupSettings();
+        setRetentionDays(settings.trashRetentionDays);
+        setItems(await getTrashItems());
+        setLoading(false);
+    }, []);
+
+    useFocusEffect(
+        useCallback(() => {
+            loadTrash();
+        }, [loadTrash])
+    );
+
+    const handleRetentionChange = async (days) => {
+        setRetentionDays(days);
+        await updateBackupSettings({ trashRetentionDays: days });
+        // Shorter retention may expire items right away
+        setItems(await getTrashItems());
+    };
+
+    const handleRestore = async (item) => {
+        if (busyKey) return;
+        setBusyKey(item.key);
+        const result = await restoreTrashItem(item.key);
+        setBusyKey(null);
+        if (result.success) {
+            setItems(prev => prev.filter(i => i.key !== item.key));
+        } else {
+            showAlert('Restore Failed', result.error || 'Unknown error');
+        }
+    };
+
+    const handleDeleteForever = (item) => {
+        confirmAction('Delete Forever', `Permanently delete "${describeItem(item).title}"? This cannot be undone.`, 'Delete', async () => {
+            await deleteTrashItemsForever([item.key]);
+            setItems(prev => prev.filter(i => i.key !== item.key));
+        });
+    };
+
+    const handleEmptyTrash = () => {
+        if (items.length === 0) return;
+        confirmAction('Empty Recycle Bin', `Permanently delete all ${items.length} items? This cannot be undone.`, 'Empty', async () => {
+            await deleteTrashItemsForever(items.map(i => i.key));
+            setItems([]);
+        });
+    };
+
+    const describeItem = (item) => {
+        const record = item.record || {};
+        switch (item.kind) {
+            case 'ledger':
+                return {
+                    icon: 'account-outline',
+                    title: record.name || 'Customer',
+                    subtitle: `Customer • ${(record.transactions || []).length} transactions`,
+                };
+            case 'transaction':
+                return {
+                    icon: 'swap-horizontal',
+                    title: `${record.type === 'credit' ? 'Given' : 'Received'} ${formatCurrency(Number(record.amount) || 0, item.ledgerCurrency)}`,
+                    subtitle: `Transaction • ${item.ledgerName || 'Customer'} • ${formatDate(record.date)}`,
+                };
+            case 'expense':
+                return {
+                    icon: 'receipt',
+                    title: record.title || 'Expense',
+                    subtitle: `Expense • ${formatCurrency(Number(record.amount) || 0, getCurrency(record))} • ${record.category}`,
+                };
+            default:
+                return { icon: 'file-outline', title: item.id, subtitle: item.kind };
+        }
+    };
+
+    const renderItem = ({ item }) => {
+        const { icon, title, subtitle } = describeItem(item);
+        const deletedAt = new Date(item.deletedAt);
+        const daysLeft = Math.max(0, Math.ceil((deletedAt.getTime() + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+
+        return (
+            <View style={styles.itemCard}>
+                <View style={styles.itemIcon}>
+                    <MaterialCommunityIcons name={icon} size={22} color={colors.PRIMARY} />
+                </View>
+                <View style={styles.itemInfo}>
+                    <Text style={styles.itemTitle} numberOfLines={1}>{title}</Text>
+                    <Text style={styles.itemSub} numberOfLines={1}>{subtitle}</Text>
+                    <Text style={styles.itemMeta}>
+                        Deleted {formatDate(item.deletedAt)} {deletedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} • {daysLeft} {daysLeft === 1 ? 'day' : 'days'} left
+                    </Text>
+                </View>
+                {busyKey === item.key ? (
+                    <ActivityIndicator color={colors.PRIMARY} />
+                ) : (
+                    <View style={styles.itemActions}>
+                        <TouchableOpacity onPress={() => handleRestore(item)} style={styles.actionBtn}>
+                            <MaterialCommunityIcons name="restore" size={22} color={colors.CREDIT_GREEN} />
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => handleDeleteForever(item)} style={styles.actionBtn}>
+                            <Ionicons name="trash-outline" size={20} color={colors.ERROR} />
+                        </TouchableOpacity>
+                    </View>
+                )}
+            </View>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle={isDark ? "light-content" : "dark-content"} backgroundColor={colors.CARD_BG} />
+
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+                    <Ionicons name="arrow-back" size={24} color={colors.TEXT_PRIMARY} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Recycle Bin</Text>
+                <TouchableOpacity onPress={handleEmptyTrash} disabled={items.length === 0}>
+                    <Text style={[styles.emptyBtnText, items.length === 0 && { color: colors.TEXT_LIGHT }]}>Empty</Text>
+                </TouchableOpacity>
+            </View>
+
+            <View style={styles.retentionRow}>
+                <Text style={styles.retentionLabel}>Keep deleted items for</Text>
+                <View style={styles.retentionChips}>
+                    {TRASH_RETENTION_OPTIONS.map(days => (
+                        <TouchableOpacity
+                            key={days}
+                            style={[styles.chip, retentionDays === days && styles.chipActive]}
+                            onPress={() => handleRetentionChange(days)}
+                        >
+                            <Text style={[styles.chipText, retentionDays === days && styles.chipTextActive]}>{days} days</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            </View>
+
+            {loading ? (
+                <ActivityIndicator style={{ marginTop: 40 }} color={colors.PRIMARY} />
+            ) : (
+                <FlatList
+                    data={items}
+                    keyExtractor={item => item.key}
+                    renderItem={renderItem}
+                    contentContainerStyle={styles.listContent}
+                    ListEmptyComponent={
+                        <View style={styles.emptyState}>
+                            <MaterialCommunityIcons name="delete-empty-outline" size={64} color={colors.TEXT_LIGHT} />
+                            <Text style={styles.emptyText}>Recycle bin is empty</Text>
+                            <Text style={styles.emptySubText}>Deleted customers, transactions and expenses show up here.</Text>
+                        </View>
+                    }
+                />
+            )}
+        </SafeAreaView>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.BACKGROUND,
+        paddingTop: Platform.OS === 'android' ? StatusBar.currentHeight : 0,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 20,
+        paddingVertical: 15,
+        backgroundColor: colors.CARD_BG,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.BORDER,
+    },
+    backBtn: {
+        width: 40,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+    emptyBtnText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.ERROR,
+    },
+    retentionRow: {
+        paddingHorizontal: 20,
+        paddingVertical: 12,
+        backgroundColor: colors.CARD_BG,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.BORDER,
+    },
+    retentionLabel: {
+        fontSize: 13,
+        color: colors.TEXT_SECONDARY,
+        marginBottom: 8,
+    },
+    retentionChips: {
+        flexDirection: 'row',
+    },
+    chip: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: colors.BORDER,
+        marginRight: 8,
+    },
+    chipActive: {
+        backgroundColor: colors.PRIMARY,
+        borderColor: colors.PRIMARY,
+    },
+    chipText: {
+        fontSize: 13,
+        color: colors.TEXT_PRIMARY,
+    },
+    chipTextActive: {
+        color: colors.WHITE,
+        fontWeight: '600',
+    },
+    listContent: {
+        padding: 20,
+        flexGrow: 1,
+    },
+    itemCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: colors.CARD_BG,
+        borderRadius: 16,
+        padding: 14,
+        marginBottom: 12,
+        elevation: 2,
+        shadowColor: colors.BLACK,
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: colors.isDark ? 0.3 : 0.08,
+        shadowRadius: 6,
+    },
+    itemIcon: {
+        width: 40,
+        height: 40,
+        borderRadius: 20,
+        backgroundColor: colors.isDark ? '#1B2C26' : '#E3F2FD',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginRight: 12,
+    },
+    itemInfo: {
+        flex: 1,
+    },
+    itemTitle: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.TEXT_PRIMARY,
+    },
+    itemSub: {
+        fontSize: 12,
+        color: colors.TEXT_SECONDARY,
+        marginTop: 2,
+    },
+    itemMeta: {
+        fontSize: 11,
+        color: colors.TEXT_LIGHT,
+        marginTop: 4,
+    },
+    itemActions: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    actionBtn: {
+        padding: 8,
+    },
+    emptyState: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingTop: 80,
+    },
+    emptyText: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: colors.TEXT_SECONDARY,
+        marginTop: 12,
+    },
+    emptySubText: {
+        fontSize: 13,
+        color: colors.TEXT_LIGHT,
+        marginTop: 6,
+        textAlign: 'center',
+    },
+});
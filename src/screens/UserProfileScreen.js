@@ -10,18 +10,28 @@ import {
     Platform,
     SafeAreaView,
     StatusBar,
-    Image
+    Image,
+    ActivityIndicator
 } from 'react-native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
-import { getUserProfile, saveUserProfile, getCategories, saveCategories, clearAllData, saveUserProfileToFirebase, getUserProfileFromFirebase, getBackupSettings, updateBackupSettings, syncAllToFirebase } from '../utils/storage';
+import { getUserProfile, saveUserProfile, getCategories, saveCategories, clearAllData, getUserProfileFromFirebase, getBackupSettings, updateBackupSettings, getExchangeRates } from '../utils/storage';
+import { syncWithCloud } from '../utils/cloudSync';
 import { exportDataToBackup } from '../utils/backup';
+import { getOutboxStatus, subscribeOutbox, drainOutbox } from '../utils/syncOutbox';
+import { getLiveSyncStatus, subscribeLiveSync, refreshLiveSync } from '../utils/liveSync';
 import { signOut, EmailAuthProvider, reauthenticateWithCredential, updatePassword } from 'firebase/auth';
 import { auth } from '../../firebase';
 import { LIGHT_COLORS as COLORS } from '../styles/colors';
 import { isBiometricAvailable, getBiometricPreference, setBiometricPreference, getBiometricType, hasBiometricHardware, isBiometricEnrolled } from '../utils/biometric';
 import { Switch } from 'react-native';
+import { isEncryptionEnabled, enableEncryption, disableEncryption } from '../utils/encryption';
+import { isPINEnabled, disablePIN, getAutoLockTimeout, setAutoLockTimeout, AUTO_LOCK_OPTIONS, DEFAULT_AUTO_LOCK_MS } from '../utils/pinLock';
 import SecurityVerifyModal from '../components/SecurityVerifyModal';
+import { needsVerification, getSecurityPolicy, setActionSecured, SECURED_ACTIONS, SECURED_ACTION_OPTIONS, VERIFY_GRACE_MS } from '../utils/securityPolicy';
+import DeleteAccountModal from '../components/DeleteAccountModal';
+import ExchangeRatesModal from '../components/ExchangeRatesModal';
+import { formatMoney, toPaise } from '../utils/money';
 import { useTheme } from '../context/ThemeContext';
 
 import { saveLedger } from '../utils/storage';
@@ -54,12 +64,26 @@ export default function UserProfileScreen({ navigation }) {
     const [biometricSupported, setBiometricSupported] = useState(false);
     const [biometricEnrolled, setBiometricEnrolled] = useState(false);
     const [biometricEnabled, setBiometricEnabled] = useState(false);
+    const [autoLockMs, setAutoLockMs] = useState(DEFAULT_AUTO_LOCK_MS);
+    const [securityPolicy, setSecurityPolicy] = useState({});
+    const [pendingPolicyChange, setPendingPolicyChange] = useState(null); // { action, secured }
+    // Profile as last loaded or saved, to tell when bank or UPI details change
+    const [savedProfile, setSavedProfile] = useState(null);
     const [bioType, setBioType] = useState('Face / Fingerprint');
+    const [encryptionEnabled, setEncryptionEnabled] = useState(false);
+    const [encryptionBusy, setEncryptionBusy] = useState(false);
     const [showSecurityModal, setShowSecurityModal] = useState(false);
     const [securityTitle, setSecurityTitle] = useState('Verify Identity');
-    const [pendingSecurityAction, setPendingSecurityAction] = useState(null); // 'reset' or 'disable_pin'
-    const [backupSettings, setBackupSettings] = useState({ autoBackup: false, lastSync: null });
+    const [pendingSecurityAction, setPendingSecurityAction] = useState(null); // 'reset', 'delete_account', 'disable_pin', 'change_pin', 'enable_encryption' or 'disable_encryption'
+    const [resetProgress, setResetProgress] = useState(null); // { deleted, total } while Reset All Data runs
+    const [showDeleteAccount, setShowDeleteAccount] = useState(false);
+    const [exchangeRates, setExchangeRates] = useState({});
+    const [showExchangeRates, setShowExchangeRates] = useState(false);
+    const [backupSettings, setBackupSettings] = useState({ autoBackup: false, liveSync: false, lastSync: null });
     const [syncingAll, setSyncingAll] = useState(false);
+    const [syncProgress, setSyncProgress] = useState(null);
+    const [outboxStatus, setOutboxStatus] = useState({ pending: 0, lastError: null, lastErrorAt: null });
+    const [liveStatus, setLiveStatus] = useState(getLiveSyncStatus());
 
     // Import Progress State
 
@@ -79,6 +103,14 @@ export default function UserProfileScreen({ navigation }) {
         loadProfile();
         checkSecuritySettings();
         loadBackupSettings();
+        getExchangeRates().then(setExchangeRates);
+        getOutboxStatus().then(setOutboxStatus);
+        const unsubscribeOutbox = subscribeOutbox(setOutboxStatus);
+        const unsubscribeLive = subscribeLiveSync(setLiveStatus);
+        return () => {
+            unsubscribeOutbox();
+            unsubscribeLive();
+        };
     }, []);
 
     const checkSecuritySettings = async () => {
@@ -87,8 +119,14 @@ export default function UserProfileScreen({ navigation }) {
         const enrolled = await isBiometricEnrolled();
         const bioPref = await getBiometricPreference();
         const type = await getBiometricType();
+        const encrypted = auth.currentUser ? await isEncryptionEnabled(auth.currentUser.uid) : false;
+        const autoLock = await getAutoLockTimeout();
+        const policy = await getSecurityPolicy();
 
         setPinEnabled(pinActive);
+        setAutoLockMs(autoLock);
+        setSecurityPolicy(policy);
+        setEncryptionEnabled(encrypted);
         setBiometricSupported(hasHardware);
         setBiometricEnrolled(enrolled);
         setBiometricEnabled(bioPref);
@@ -117,29 +155,38 @@ export default function UserProfileScreen({ navigation }) {
         }
 
         setProfile(mergedProfile);
+        setSavedProfile(mergedProfile);
         setCategories(catData);
     };
 
+    const paymentDetailsChanged = () => {
+        if (!savedProfile) return false;
+        return ['bankName', 'accountNumber', 'ifsc', 'qrCode'].some(field => (profile[field] || '') !== (savedProfile[field] || ''))
+            || JSON.stringify(profile.upiIds || []) !== JSON.stringify(savedProfile.upiIds || []);
+    };
+
     const handleSave = async () => {
+        if (paymentDetailsChanged() && await needsVerification(SECURED_ACTIONS.CHANGE_PAYMENT_DETAILS)) {
+            setSecurityTitle('Verify to Change Payment Details');
+            setPendingSecurityAction('save_profile');
+            setShowSecurityModal(true);
+            return;
+        }
+        saveProfile();
+    };
+
+    const saveProfile = async () => {
         setSaving(true);
-        // Save to both AsyncStorage and Firestore
-        const [localSuccess, firebaseSuccess] = await Promise.all([
-            saveUserProfile(profile),
-            saveUserProfileToFirebase(profile)
-        ]);
+        // Saved on this phone; the sync outbox uploads it, retrying while offline
+        const success = await saveUserProfile(profile);
         setSaving(false);
 
-        if (localSuccess && firebaseSuccess) {
+        if (success) {
+            setSavedProfile(profile);
             if (Platform.OS === 'web') {
                 alert('Profile updated successfully!');
             } else {
-                Alert.alert('Success', 'Profile updated and synced to cloud!');
-            }
-        } else if (localSuccess) {
-            if (Platform.OS === 'web') {
-                alert('Profile saved locally, but cloud sync failed.');
-            } else {
-                Alert.alert('Partial Success', 'Profile saved locally, but cloud sync failed.');
+                Alert.alert('Success', 'Profile updated successfully!');
             }
         } else {
             if (Platform.OS === 'web') {
@@ -271,6 +318,16 @@ export default function UserProfileScreen({ navigation }) {
         await setBiometricPreference(value);
     };
 
+    const handleAutoLockChange = async (value) => {
+        setAutoLockMs(value);
+        try {
+            await setAutoLockTimeout(value);
+        } catch (error) {
+            console.error('Error saving auto-lock timeout:', error);
+            Alert.alert('Error', 'Failed to save auto-lock setting');
+        }
+    };
+
     const handleTogglePin = async (value) => {
         if (value) {
             // Navigate to setup
@@ -288,8 +345,47 @@ export default function UserProfileScreen({ navigation }) {
         }
     };
 
+    const handleChangePin = () => {
+        setSecurityTitle('Verify to Change PIN');
+        setPendingSecurityAction('change_pin');
+        setShowSecurityModal(true);
+    };
+
+    const handleToggleEncryption = (value) => {
+        if (value && !pinEnabled) {
+            Alert.alert('PIN Required', 'Please enable 4-digit PIN lock before encrypting your data.');
+            return;
+        }
+        setSecurityTitle(value ? 'Verify to Encrypt Data' : 'Verify to Turn Off Encryption');
+        setPendingSecurityAction(value ? 'enable_encryption' : 'disable_encryption');
+        setShowSecurityModal(true);
+    };
+
+    const confirmEncryption = async (enable, pin) => {
+        setEncryptionBusy(true);
+        const uid = auth.currentUser.uid;
+        const result = enable ? await enableEncryption(uid, pin) : await disableEncryption(uid);
+        setEncryptionBusy(false);
+        if (result.success) {
+            setEncryptionEnabled(enable);
+            Alert.alert('Security', enable ? 'Your data on this phone is now encrypted with your PIN.' : 'Encryption turned off.');
+        } else {
+            Alert.alert('Error', `Failed to ${enable ? 'encrypt' : 'decrypt'} data: ${result.error}`);
+        }
+    };
+
     const confirmDisablePin = async () => {
-        const { disablePIN } = require('../security/PINScreen');
+        // Encrypted records cannot outlive the PIN that opens them
+        if (encryptionEnabled) {
+            setEncryptionBusy(true);
+            const decrypted = await disableEncryption(auth.currentUser.uid);
+            setEncryptionBusy(false);
+            if (!decrypted.success) {
+                Alert.alert('Error', `Failed to decrypt data: ${decrypted.error}\nPIN Lock is still on.`);
+                return;
+            }
+            setEncryptionEnabled(false);
+        }
         const success = await disablePIN();
         if (success) {
             setPinEnabled(false);
@@ -300,28 +396,106 @@ export default function UserProfileScreen({ navigation }) {
     };
 
     const handleResetData = async () => {
-        setSecurityTitle('Verify to Reset Data');
-        setPendingSecurityAction('reset');
-        setShowSecurityModal(true);
+        if (await needsVerification(SECURED_ACTIONS.RESET_DATA)) {
+            setSecurityTitle('Verify to Reset Data');
+            setPendingSecurityAction('reset');
+            setShowSecurityModal(true);
+            return;
+        }
+        const message = 'Delete all ledgers and expenses from this phone and your cloud backup? This cannot be undone.';
+        if (Platform.OS === 'web') {
+            if (window.confirm(message)) confirmResetData();
+        } else {
+            Alert.alert('Reset Data', message, [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Reset', style: 'destructive', onPress: confirmResetData }
+            ]);
+        }
+    };
+
+    const handleExportBackup = async () => {
+        if (await needsVerification(SECURED_ACTIONS.EXPORT_BACKUP)) {
+            setSecurityTitle('Verify to Export Backup');
+            setPendingSecurityAction('export_backup');
+            setShowSecurityModal(true);
+            return;
+        }
+        confirmExportBackup();
+    };
+
+    const confirmExportBackup = async () => {
+        const result = await exportDataToBackup();
+        if (result.success && Platform.OS === 'web') alert('Backup file downloaded!');
+    };
+
+    // Changing the policy itself always asks, even within the grace window of the last check
+    const handleTogglePolicy = async (action, secured) => {
+        if (await needsVerification(SECURED_ACTIONS.CHANGE_POLICY)) {
+            setPendingPolicyChange({ action, secured });
+            setSecurityTitle('Verify to Change Security Policy');
+            setPendingSecurityAction('change_policy');
+            setShowSecurityModal(true);
+            return;
+        }
+        confirmPolicyChange({ action, secured });
+    };
+
+    const confirmPolicyChange = async ({ action, secured }) => {
+        setPendingPolicyChange(null);
+        try {
+            setSecurityPolicy(await setActionSecured(action, secured));
+        } catch (error) {
+            console.error('Error saving security policy:', error);
+            Alert.alert('Error', 'Failed to save security policy');
+        }
     };
 
     const confirmResetData = async () => {
         setShowSecurityModal(false);
-        const success = await clearAllData();
+        if (resetProgress) return;
+        setResetProgress({ deleted: 0, total: 0 });
+        const { success, error } = await clearAllData({ onProgress: setResetProgress });
+        setResetProgress(null);
         if (success) {
             Alert.alert('Success', 'All data has been reset.');
             navigation.navigate('Home');
         } else {
-            Alert.alert('Error', 'Failed to reset data');
+            Alert.alert('Error', `Failed to reset data: ${error}\nNothing was deleted from this phone. Check your connection and try again.`);
         }
     };
 
-    const handleSecuritySuccess = () => {
+    const handleDeleteAccount = () => {
+        setSecurityTitle('Verify to Delete Account');
+        setPendingSecurityAction('delete_account');
+        setShowSecurityModal(true);
+    };
+
+    const handleAccountDeleted = async () => {
+        setShowDeleteAccount(false);
+        const msg = 'Your account and all of its data have been deleted.';
+        Platform.OS === 'web' ? alert(msg) : Alert.alert('Account Deleted', msg);
+    };
+
+    const handleSecuritySuccess = (pin) => {
         setShowSecurityModal(false);
         if (pendingSecurityAction === 'reset') {
             confirmResetData();
+        } else if (pendingSecurityAction === 'delete_account') {
+            setShowDeleteAccount(true);
         } else if (pendingSecurityAction === 'disable_pin') {
             confirmDisablePin();
+        } else if (pendingSecurityAction === 'change_pin') {
+            navigation.navigate('PINSetup', { onComplete: checkSecuritySettings });
+        } else if (pendingSecurityAction === 'enable_encryption') {
+            confirmEncryption(true, pin);
+        } else if (pendingSecurityAction === 'disable_encryption') {
+            confirmEncryption(false);
+        } else if (pendingSecurityAction === 'save_profile') {
+            saveProfile();
+        } else if (pendingSecurityAction === 'export_backup') {
+            confirmExportBackup();
+        } else if (pendingSecurityAction === 'change_policy' && pendingPolicyChange) {
+            confirmPolicyChange(pendingPolicyChange);
         }
     };
 
@@ -338,16 +512,24 @@ export default function UserProfileScreen({ navigation }) {
     const handleToggleBackup = async (value) => {
         setBackupSettings(prev => ({ ...prev, autoBackup: value }));
         await updateBackupSettings({ autoBackup: value });
+        refreshLiveSync();
         if (value) {
             handleSyncNow(); // Initial sync when enabled
         }
     };
 
+    const handleToggleLiveSync = async (value) => {
+        setBackupSettings(prev => ({ ...prev, liveSync: value }));
+        await updateBackupSettings({ liveSync: value });
+        refreshLiveSync();
+    };
+
     const handleSyncNow = async () => {
         if (syncingAll) return;
         setSyncingAll(true);
-        const success = await syncAllToFirebase();
+        const { success } = await syncWithCloud({ upload: true, onProgress: setSyncProgress });
         setSyncingAll(false);
+        setSyncProgress(null);
         if (success) {
             loadBackupSettings(); // Refresh timestamp
             if (Platform.OS === 'web') alert('Cloud Sync Complete! ✨');
@@ -358,6 +540,17 @@ export default function UserProfileScreen({ navigation }) {
         }
     };
 
+    const syncNowLabel = () => {
+        if (!syncingAll) return 'Sync Now';
+        if (syncProgress && syncProgress.stage === 'upload') {
+            return syncProgress.total > 0 ? `Uploading ${syncProgress.uploaded}/${syncProgress.total}` : 'Uploading...';
+        }
+        if (syncProgress && syncProgress.total) {
+            return `Downloading ${syncProgress.ledgers}/${syncProgress.total}`;
+        }
+        return 'Downloading...';
+    };
+
     // Profile Image Picker
     const pickProfileImage = async () => {
         const handleImageResult = (result) => {
@@ -653,6 +846,25 @@ export default function UserProfileScreen({ navigation }) {
                     </View>
                 </View>
 
+                {/* Currency Section */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>Currencies</Text>
+                    <TouchableOpacity style={styles.securityRow} onPress={() => setShowExchangeRates(true)}>
+                        <View style={styles.securityInfo}>
+                            <Ionicons name="cash-outline" size={24} color={colors.PRIMARY} />
+                            <View style={styles.securityTextGroup}>
+                                <Text style={styles.securityLabel}>Exchange Rates</Text>
+                                <Text style={styles.securitySub}>
+                                    {Object.keys(exchangeRates).length > 0
+                                        ? Object.entries(exchangeRates).map(([code, rate]) => `1 ${code} = ${formatMoney(toPaise(rate))}`).join(' • ')
+                                        : 'Not set - totals stay separate per currency'}
+                                </Text>
+                            </View>
+                        </View>
+                        <Ionicons name="chevron-forward" size={20} color={colors.TEXT_LIGHT} />
+                    </TouchableOpacity>
+                </View>
+
                 {/* Security Section */}
                 <View style={styles.section}>
                     <Text style={styles.sectionTitle}>Security & Lock</Text>
@@ -702,6 +914,98 @@ export default function UserProfileScreen({ navigation }) {
                             thumbColor={Platform.OS === 'ios' ? '#FFF' : biometricEnabled ? colors.PRIMARY : '#F4F3F4'}
                         />
                     </View>
+
+                    {/* Encryption Toggle - records stored encrypted with a PIN-derived key */}
+                    <View style={[styles.securityRow, { marginTop: 15, borderTopWidth: 1, borderTopColor: colors.BORDER, paddingTop: 15 }]}>
+                        <View style={styles.securityInfo}>
+                            <MaterialCommunityIcons name="shield-key-outline" size={26} color={pinEnabled ? colors.PRIMARY : (colors.isDark ? '#444' : '#BDBDBD')} />
+                            <View style={styles.securityTextGroup}>
+                                <Text style={[styles.securityLabel, !pinEnabled && { color: (colors.isDark ? '#777' : '#BDBDBD') }]}>Encrypt Data on This Phone</Text>
+                                <Text style={styles.securitySub}>
+                                    {encryptionBusy
+                                        ? 'Rewriting your data...'
+                                        : (encryptionEnabled ? 'Unlocks with your PIN; your password recovers it' : 'Store ledgers, expenses and bank details encrypted')}
+                                </Text>
+                            </View>
+                        </View>
+                        {encryptionBusy ? (
+                            <ActivityIndicator size="small" color={colors.PRIMARY} />
+                        ) : (
+                            <Switch
+                                value={encryptionEnabled}
+                                disabled={!pinEnabled}
+                                onValueChange={handleToggleEncryption}
+                                trackColor={{ false: '#D1D1D1', true: colors.PRIMARY }}
+                                thumbColor={Platform.OS === 'ios' ? '#FFF' : encryptionEnabled ? colors.PRIMARY : '#F4F3F4'}
+                            />
+                        )}
+                    </View>
+
+                    {/* Auto-Lock - asks for the PIN again while the app is open (security/AppLock.js) */}
+                    {pinEnabled && (
+                        <View style={{ marginTop: 15, borderTopWidth: 1, borderTopColor: colors.BORDER, paddingTop: 15 }}>
+                            <View style={styles.securityInfo}>
+                                <Ionicons name="timer-outline" size={24} color={colors.PRIMARY} />
+                                <View style={styles.securityTextGroup}>
+                                    <Text style={styles.securityLabel}>Auto-Lock</Text>
+                                    <Text style={styles.securitySub}>Lock again when idle or in the background</Text>
+                                </View>
+                            </View>
+                            <View style={styles.autoLockChips}>
+                                {AUTO_LOCK_OPTIONS.map(option => (
+                                    <TouchableOpacity
+                                        key={option.label}
+                                        style={[styles.chip, autoLockMs === option.value && styles.chipActive]}
+                                        onPress={() => handleAutoLockChange(option.value)}
+                                    >
+                                        <Text style={[styles.chipText, autoLockMs === option.value && styles.chipTextActive]}>{option.label}</Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                        </View>
+                    )}
+
+                    {/* Security Policy - actions that ask for the PIN again (utils/securityPolicy.js) */}
+                    {pinEnabled && (
+                        <View style={{ marginTop: 15, borderTopWidth: 1, borderTopColor: colors.BORDER, paddingTop: 15 }}>
+                            <View style={styles.securityInfo}>
+                                <Ionicons name="shield-checkmark-outline" size={24} color={colors.PRIMARY} />
+                                <View style={styles.securityTextGroup}>
+                                    <Text style={styles.securityLabel}>Ask for PIN Before</Text>
+                                    <Text style={styles.securitySub}>Not asked again for {VERIFY_GRACE_MS / 60000} minutes after a check</Text>
+                                </View>
+                            </View>
+                            {SECURED_ACTION_OPTIONS.map(option => (
+                                <View key={option.action} style={styles.policyRow}>
+                                    <Text style={styles.policyLabel}>{option.label}</Text>
+                                    <Switch
+                                        value={!!securityPolicy[option.action]}
+                                        onValueChange={(value) => handleTogglePolicy(option.action, value)}
+                                        trackColor={{ false: '#D1D1D1', true: colors.PRIMARY }}
+                                        thumbColor={Platform.OS === 'ios' ? '#FFF' : securityPolicy[option.action] ? colors.PRIMARY : '#F4F3F4'}
+                                    />
+                                </View>
+                            ))}
+                        </View>
+                    )}
+
+                    {pinEnabled && (
+                        <TouchableOpacity
+                            style={[styles.securityRow, { marginTop: 15, borderTopWidth: 1, borderTopColor: colors.BORDER, paddingTop: 15 }]}
+                            onPress={handleChangePin}
+                        >
+                            <View style={styles.securityInfo}>
+                                <Ionicons name="keypad-outline" size={24} color={colors.PRIMARY} />
+                                <View style={styles.securityTextGroup}>
+                                    <Text style={styles.securityLabel}>Change PIN</Text>
+                                    <Text style={styles.securitySub}>
+                                        {encryptionEnabled ? 'Encrypted data moves to a new key' : 'Pick a new 4-digit PIN'}
+                                    </Text>
+                                </View>
+                            </View>
+                            <Ionicons name="chevron-forward" size={20} color={colors.TEXT_LIGHT} />
+                        </TouchableOpacity>
+                    )}
                 </View>
 
                 {/* Cloud Backup Section */}
@@ -723,6 +1027,92 @@ export default function UserProfileScreen({ navigation }) {
                         />
                     </View>
 
+                    <View style={[styles.securityRow, { marginTop: 15, borderTopWidth: 1, borderTopColor: colors.BORDER, paddingTop: 15 }]}>
+                        <View style={styles.securityInfo}>
+                            <Ionicons name="sync-outline" size={24} color={colors.PRIMARY} />
+                            <View style={styles.securityTextGroup}>
+                                <Text style={styles.securityLabel}>Sync Changes</Text>
+                                <Text style={styles.securitySub}>
+                                    {backupSettings.lastSync
+                                        ? `Last synced ${new Date(backupSettings.lastSync).toLocaleString()}`
+                                        : 'Not synced yet'}
+                                </Text>
+                            </View>
+                        </View>
+                        <TouchableOpacity
+                            style={[styles.syncNowBtn, syncingAll && { opacity: 0.7 }]}
+                            onPress={handleSyncNow}
+                            disabled={syncingAll}
+                        >
+                            {syncingAll
+                                ? <ActivityIndicator size="small" color={colors.PRIMARY} />
+                                : <Ionicons name="sync" size={18} color={colors.PRIMARY} />}
+                            <Text style={styles.syncNowText}>{syncNowLabel()}</Text>
+                        </TouchableOpacity>
+                    </View>
+
+                    <View style={[styles.securityRow, { marginTop: 15, borderTopWidth: 1, borderTopColor: colors.BORDER, paddingTop: 15 }]}>
+                        <View style={styles.securityInfo}>
+                            <MaterialCommunityIcons
+                                name={liveStatus.state === 'error' ? 'access-point-off' : 'access-point'}
+                                size={24}
+                                color={liveStatus.state === 'error' ? colors.DEBIT_RED : (backupSettings.autoBackup ? colors.PRIMARY : colors.TEXT_LIGHT)}
+                            />
+                            <View style={styles.securityTextGroup}>
+                                <Text style={styles.securityLabel}>Live Sync</Text>
+                                {liveStatus.state === 'error' ? (
+                                    <Text style={[styles.securitySub, { color: colors.DEBIT_RED }]} numberOfLines={2}>
+                                        {liveStatus.error}
+                                    </Text>
+                                ) : (
+                                    <Text style={styles.securitySub}>
+                                        {backupSettings.autoBackup
+                                            ? 'Show changes from your other devices instantly'
+                                            : 'Turn on Auto Cloud Backup first'}
+                                    </Text>
+                                )}
+                            </View>
+                        </View>
+                        <Switch
+                            value={backupSettings.autoBackup && backupSettings.liveSync}
+                            onValueChange={handleToggleLiveSync}
+                            disabled={!backupSettings.autoBackup}
+                            trackColor={{ false: '#D1D1D1', true: colors.PRIMARY }}
+                            thumbColor={Platform.OS === 'ios' ? '#FFF' : backupSettings.liveSync ? colors.PRIMARY : '#F4F3F4'}
+                        />
+                    </View>
+
+                    <View style={[styles.securityRow, { marginTop: 15, borderTopWidth: 1, borderTopColor: colors.BORDER, paddingTop: 15 }]}>
+                        <View style={styles.securityInfo}>
+                            <MaterialCommunityIcons
+                                name={outboxStatus.lastError ? 'cloud-alert' : (outboxStatus.pending > 0 ? 'cloud-sync-outline' : 'cloud-check-outline')}
+                                size={24}
+                                color={outboxStatus.lastError ? colors.DEBIT_RED : colors.PRIMARY}
+                            />
+                            <View style={styles.securityTextGroup}>
+                                <Text style={styles.securityLabel}>
+                                    {outboxStatus.pending > 0 ? `${outboxStatus.pending} change${outboxStatus.pending === 1 ? '' : 's'} waiting to sync` : 'All changes synced'}
+                                </Text>
+                                {outboxStatus.lastError ? (
+                                    <Text style={[styles.securitySub, { color: colors.DEBIT_RED }]} numberOfLines={2}>
+                                        Last error: {outboxStatus.lastError}
+                                    </Text>
+                                ) : (
+                                    <Text style={styles.securitySub}>Offline edits upload automatically when online</Text>
+                                )}
+                            </View>
+                        </View>
+                        {outboxStatus.pending > 0 && (
+                            <TouchableOpacity
+                                style={styles.syncNowBtn}
+                                onPress={() => drainOutbox({ force: true })}
+                            >
+                                <Ionicons name="refresh" size={18} color={colors.PRIMARY} />
+                                <Text style={styles.syncNowText}>Retry</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+
                     <View style={[styles.securityRow, { marginTop: 15, borderTopWidth: 1, borderTopColor: colors.BORDER, paddingTop: 15 }]}>
                         <View style={styles.securityInfo}>
                             <Ionicons name="logo-google" size={24} color="#4285F4" />
@@ -733,10 +1123,7 @@ export default function UserProfileScreen({ navigation }) {
                         </View>
                         <TouchableOpacity
                             style={[styles.syncNowBtn, { borderColor: '#4285F4' }]}
-                            onPress={async () => {
-                                const result = await exportDataToBackup();
-                                if (result.success && Platform.OS === 'web') alert('Backup file downloaded!');
-                            }}
+                            onPress={handleExportBackup}
                         >
                             <Ionicons name="share-outline" size={18} color="#4285F4" />
                             <Text style={[styles.syncNowText, { color: '#4285F4' }]}>Export</Text>
@@ -746,14 +1133,34 @@ export default function UserProfileScreen({ navigation }) {
 
                 <View style={[styles.section, { borderBottomWidth: 0, marginBottom: 40 }]}>
                     <Text style={[styles.sectionTitle, { color: colors.PRIMARY }]}>Data Tools</Text>
-
+                    <TouchableOpacity style={styles.dangerBtn} onPress={() => navigation.navigate('DataIntegrity')}>
+                        <MaterialCommunityIcons name="database-check-outline" size={24} color={colors.PRIMARY} />
+                        <View style={styles.dangerBtnInfo}>
+                            <Text style={styles.dangerBtnText}>Check & Repair Data</Text>
+                            <Text style={styles.dangerBtnSub}>Find wrong balances, duplicate ids and deleted categories</Text>
+                        </View>
+                        <Ionicons name="chevron-forward" size={20} color={colors.TEXT_LIGHT} />
+                    </TouchableOpacity>
 
                     <Text style={[styles.sectionTitle, { color: colors.DEBIT_RED, marginTop: 20 }]}>Account Settings</Text>
-                    <TouchableOpacity style={styles.dangerBtn} onPress={handleResetData}>
+                    <TouchableOpacity style={styles.dangerBtn} onPress={handleResetData} disabled={!!resetProgress}>
                         <Ionicons name="trash-bin-outline" size={24} color={colors.DEBIT_RED} />
                         <View style={styles.dangerBtnInfo}>
                             <Text style={styles.dangerBtnText}>Reset All Data</Text>
-                            <Text style={styles.dangerBtnSub}>Wipe all customers and transactions</Text>
+                            <Text style={styles.dangerBtnSub}>
+                                {resetProgress
+                                    ? `Deleting... ${resetProgress.deleted}/${resetProgress.total}`
+                                    : 'Wipe customers, transactions, expenses and profile'}
+                            </Text>
+                        </View>
+                        <Ionicons name="chevron-forward" size={20} color={colors.TEXT_LIGHT} />
+                    </TouchableOpacity>
+
+                    <TouchableOpacity style={styles.dangerBtn} onPress={handleDeleteAccount}>
+                        <Ionicons name="person-remove-outline" size={24} color={colors.DEBIT_RED} />
+                        <View style={styles.dangerBtnInfo}>
+                            <Text style={styles.dangerBtnText}>Delete Account</Text>
+                            <Text style={styles.dangerBtnSub}>Permanently delete your account and all data</Text>
                         </View>
                         <Ionicons name="chevron-forward" size={20} color={colors.TEXT_LIGHT} />
                     </TouchableOpacity>
@@ -772,9 +1179,21 @@ export default function UserProfileScreen({ navigation }) {
             <SecurityVerifyModal
                 visible={showSecurityModal}
                 title={securityTitle}
+                requirePIN={pendingSecurityAction === 'enable_encryption'}
                 onSuccess={handleSecuritySuccess}
                 onCancel={() => setShowSecurityModal(false)}
             />
+
+            <DeleteAccountModal
+                visible={showDeleteAccount}
+                onClose={() => setShowDeleteAccount(false)}
+                onDeleted={handleAccountDeleted}
+            />
+            <ExchangeRatesModal
+                visible={showExchangeRates}
+                onClose={() => setShowExchangeRates(false)}
+                onSaved={() => getExchangeRates().then(setExchangeRates)}
+            />
         </SafeAreaView>
     );
 }
@@ -992,6 +1411,44 @@ const getStyles = (colors) => StyleSheet.create({
         color: colors.TEXT_SECONDARY,
         marginTop: 2,
     },
+    policyRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginLeft: 39,
+        paddingVertical: 4,
+    },
+    policyLabel: {
+        fontSize: 14,
+        color: colors.TEXT_PRIMARY,
+    },
+    autoLockChips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginTop: 10,
+        marginLeft: 39,
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: colors.BORDER,
+        marginRight: 8,
+        marginBottom: 8,
+    },
+    chipActive: {
+        backgroundColor: colors.PRIMARY,
+        borderColor: colors.PRIMARY,
+    },
+    chipText: {
+        fontSize: 13,
+        color: colors.TEXT_PRIMARY,
+    },
+    chipTextActive: {
+        color: colors.WHITE,
+        fontWeight: '600',
+    },
     syncNowBtn: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { View, Text, StyleSheet, Modal, AppState, Platform } from 'react-native';
+import { BlurView } from 'expo-blur';
+import { Ionicons } from '@expo/vector-icons';
+import PINScreen from './PINScreen';
+import { isPINEnabled, getAutoLockTimeout, subscribeAutoLock, DEFAULT_AUTO_LOCK_MS } from '../utils/pinLock';
+import { markVerified, clearVerification } from '../utils/securityPolicy';
+import { lockEncryption, isEncryptionEnabled } from '../utils/encryption';
+import { emitDataChange } from '../utils/dataEvents';
+import { setLiveSyncPaused } from '../utils/liveSync';
+import { setOutboxPaused } from '../utils/syncOutbox';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Locks the running app again: PINScreen (or biometrics) comes back once the app has gone the
+ * account's auto-lock timeout (utils/pinLock.js) without a touch, or comes back after spending
+ * that long in the background. "Immediately" (0) only locks on leaving the app.
+ * Locking also forgets the encryption keys (utils/encryption.js), so encrypted records stay
+ * unreadable until the PIN is entered again; live sync and the outbox wait until then too.
+ *
+ * While the app is not in the foreground a cover hides balances from the app switcher.
+ * `uid` is the signed-in user; `active` is false until the start-up PIN check has passed.
+ */
+export default function AppLock({ uid, active, children }) {
+    const { colors } = useTheme();
+    const styles = React.useMemo(() => getStyles(colors), [colors]);
+
+    const [appState, setAppState] = useState(AppState.currentState);
+    const [locked, setLocked] = useState(false);
+    const [timeoutMs, setTimeoutMs] = useState(DEFAULT_AUTO_LOCK_MS);
+    const lastTouch = useRef(Date.now());
+    const backgroundedAt = useRef(null);
+    const pinEnabled = useRef(false);
+    const idleTimer = useRef(null);
+
+    const enabled = Boolean(uid && active);
+
+    const refreshPINEnabled = useCallback(async () => {
+        pinEnabled.current = uid ? await isPINEnabled(uid) : false;
+    }, [uid]);
+
+    const lock = useCallback(() => {
+        // Stop sync first so nothing reads or writes records without the keys
+        setLiveSyncPaused(true);
+        setOutboxPaused(true);
+        lockEncryption();
+        setLocked(true);
+    }, []);
+
+    const clearIdleTimer = () => {
+        if (idleTimer.current) {
+            clearTimeout(idleTimer.current);
+            idleTimer.current = null;
+        }
+    };
+
+    // Locks once the time since the last touch reaches the timeout
+    const armIdleTimer = useCallback(() => {
+        clearIdleTimer();
+        if (!enabled || locked || !timeoutMs) return;
+        const remaining = Math.max(timeoutMs - (Date.now() - lastTouch.current), 0);
+        idleTimer.current = setTimeout(async () => {
+            idleTimer.current = null;
+            // The PIN may have been turned on or off since the last check
+            await refreshPINEnabled();
+            if (pinEnabled.current) lock();
+        }, remaining);
+    }, [enabled, locked, timeoutMs, refreshPINEnabled, lock]);
+
+    useEffect(() => {
+        if (!uid) return undefined;
+        getAutoLockTimeout(uid).then(setTimeoutMs);
+        refreshPINEnabled();
+        return subscribeAutoLock((value, scope) => {
+            if (scope === uid) setTimeoutMs(value);
+        });
+    }, [uid, refreshPINEnabled]);
+
+    // A sign-out or another account drops the lock of the previous one
+    useEffect(() => {
+        if (!enabled) setLocked(false);
+        lastTouch.current = Date.now();
+    }, [enabled, uid]);
+
+    // Actions checked by the security policy ask again after the app has locked.
+    // Unlocking (or signing out while locked) lets sync run again.
+    useEffect(() => {
+        if (locked) {
+            clearVerification();
+        } else {
+            setLiveSyncPaused(false);
+            setOutboxPaused(false);
+        }
+    }, [locked]);
+
+    useEffect(() => {
+        armIdleTimer();
+        return clearIdleTimer;
+    }, [armIdleTimer]);
+
+    useEffect(() => {
+        const subscription = AppState.addEventListener('change', (nextState) => {
+            if (nextState === 'background') {
+                backgroundedAt.current = Date.now();
+                clearIdleTimer();
+                // Read now: the lock has to be decided before the first frame on return
+                refreshPINEnabled().catch(error => console.error('AppLock: could not read PIN status:', error));
+            } else if (nextState === 'active') {
+                // Time away counts from leaving the app, not from the last touch before it
+                const away = backgroundedAt.current === null ? null : Date.now() - backgroundedAt.current;
+                if (enabled && away !== null && pinEnabled.current && timeoutMs !== null && away >= timeoutMs) {
+                    lock();
+                } else {
+                    armIdleTimer();
+                }
+                backgroundedAt.current = null;
+            }
+            setAppState(nextState);
+        });
+        return () => subscription.remove();
+    }, [enabled, timeoutMs, armIdleTimer, refreshPINEnabled, lock]);
+
+    const handleTouch = () => {
+        lastTouch.current = Date.now();
+        armIdleTimer();
+        // Only watching: the touch still goes to the screen below
+        return false;
+    };
+
+    const handleUnlock = async () => {
+        lastTouch.current = Date.now();
+        markVerified();
+        setLocked(false);
+        // Screens read while the keys were forgotten got nothing; PINScreen has unlocked them again
+        if (uid && await isEncryptionEnabled(uid)) emitDataChange({ kind: 'all' });
+    };
+
+    return (
+        <View style={styles.container} onStartShouldSetResponderCapture={handleTouch}>
+            {children}
+
+            {uid && appState !== 'active' && !locked && (
+                Platform.OS === 'ios' ? (
+                    <BlurView intensity={100} tint={colors.isDark ? 'dark' : 'light'} style={styles.cover}>
+                        <Ionicons name="lock-closed" size={48} color={colors.PRIMARY} />
+                    </BlurView>
+                ) : (
+                    // Blur on Android is only a translucent tint, which would leave balances readable
+                    <View style={[styles.cover, styles.solidCover]}>
+                        <Ionicons name="lock-closed" size={48} color={colors.PRIMARY} />
+                        <Text style={styles.coverText}>MaZaKhat</Text>
+                    </View>
+                )
+            )}
+
+            <Modal visible={locked} animationType="fade" onRequestClose={() => { }}>
+                <PINScreen mode="verify" onSuccess={handleUnlock} />
+            </Modal>
+        </View>
+    );
+}
+
+const getStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+    },
+    cover: {
+        ...StyleSheet.absoluteFillObject,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    solidCover: {
+        backgroundColor: colors.BACKGROUND,
+    },
+    coverText: {
+        marginTop: 12,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: colors.TEXT_PRIMARY,
+    },
+});
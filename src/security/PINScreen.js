@@ -7,45 +7,88 @@ import {
     StyleSheet,
     TouchableOpacity,
     Alert,
-    Vibration
+    Vibration,
+    ActivityIndicator
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { COLORS } from '../styles/colors';
 import { useTheme } from '../context/ThemeContext';
 import * as LocalAuthentication from 'expo-local-authentication';
 import { getBiometricPreference, authenticateBiometric, getBiometricType, hasBiometricHardware, isBiometricEnrolled } from '../utils/biometric';
 import { auth } from '../../firebase';
-import { signOut } from 'firebase/auth';
-
-const PIN_KEY = 'app_pin';
-const PIN_ENABLED_KEY = 'pin_enabled';
+import { savePIN as storePIN, checkPIN, getPINLockout } from '../utils/pinLock';
+import { resetLocalAccount } from '../utils/storage';
+import { isEncryptionEnabled, isEncryptionLocked, unlockEncryption, changeEncryptionPIN } from '../utils/encryption';
+import RecoverAccessModal from '../components/RecoverAccessModal';
+
+// "45 seconds", "5 minutes", "1 hour"
+const formatWait = (ms) => {
+    const seconds = Math.max(Math.ceil(ms / 1000), 1);
+    if (seconds < 60) return `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+    const hours = Math.ceil(minutes / 60);
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
 
-export default function PINScreen({ onSuccess, mode = 'verify' }) {
+/**
+ * PIN entry. In verify mode a correct PIN also unlocks encrypted records (utils/encryption.js)
+ * and is passed to onSuccess; requirePIN hides the biometric shortcut for callers that need it.
+ */
+export default function PINScreen({ onSuccess, mode = 'verify', requirePIN = false }) {
     const { colors } = useTheme();
     const styles = React.useMemo(() => getStyles(colors), [colors]);
 
     const [pin, setPin] = useState('');
     const [confirmPin, setConfirmPin] = useState('');
     const [step, setStep] = useState(mode === 'setup' ? 'create' : 'verify');
-    const [failedAttempts, setFailedAttempts] = useState(0);
-    const [isLocked, setIsLocked] = useState(false);
+    const [lockedUntil, setLockedUntil] = useState(null);
+    const [now, setNow] = useState(Date.now());
+    const [verifying, setVerifying] = useState(false);
     const [biometricAvailable, setBiometricAvailable] = useState(false);
     const [bioType, setBioType] = useState('Fingerprint');
+    const [encrypted, setEncrypted] = useState(false);
+    const [showRecovery, setShowRecovery] = useState(false);
+    const [recovering, setRecovering] = useState(false);
+
+    const isLocked = lockedUntil !== null && lockedUntil > now;
 
     useEffect(() => {
         checkBiometricAvailability();
+        // A lock started before the app was closed still holds
+        getPINLockout()
+            .then(lockout => setLockedUntil(lockout.lockedUntil))
+            .catch(error => console.error('PIN: could not read lockout:', error));
     }, []);
 
+    // Count down while entry is locked
+    useEffect(() => {
+        if (!lockedUntil) return undefined;
+        setNow(Date.now());
+        const timer = setInterval(() => {
+            setNow(Date.now());
+            if (Date.now() >= lockedUntil) {
+                clearInterval(timer);
+                setLockedUntil(null);
+            }
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [lockedUntil]);
+
     const checkBiometricAvailability = async () => {
         const compatible = await hasBiometricHardware();
         const enrolled = await isBiometricEnrolled();
         const pref = await getBiometricPreference();
         const type = await getBiometricType();
+        const user = auth.currentUser;
+        // Encrypted records only open with the PIN itself
+        const locked = user ? await isEncryptionLocked(user.uid) : false;
+        const available = compatible && enrolled && !locked && !requirePIN;
 
-        setBiometricAvailable(compatible && enrolled);
+        setEncrypted(user ? await isEncryptionEnabled(user.uid) : false);
+        setBiometricAvailable(available);
         setBioType(type);
 
-        if (mode === 'verify' && compatible && enrolled && pref) {
+        if (mode === 'verify' && available && pref) {
             // Wait a tiny bit for UI to mount
             setTimeout(() => {
                 handleBiometric();
@@ -70,7 +113,7 @@ export default function PINScreen({ onSuccess, mode = 'verify' }) {
     };
 
     const handleNumberPress = (number) => {
-        if (isLocked) return;
+        if (isLocked || verifying) return;
 
         if (pin.length < 4) {
             const newPin = pin + number;
@@ -111,77 +154,98 @@ export default function PINScreen({ onSuccess, mode = 'verify' }) {
 
     const savePIN = async (pinCode) => {
         try {
-            await AsyncStorage.setItem(PIN_KEY, pinCode);
-            await AsyncStorage.setItem(PIN_ENABLED_KEY, 'true');
+            // Encrypted records move to a key wrapped with the new PIN
+            const user = auth.currentUser;
+            const result = user ? await changeEncryptionPIN(user.uid, pinCode) : { success: true };
+            if (!result.success) {
+                Alert.alert('Error', `Could not change the PIN of your encrypted data: ${result.error}`);
+                setPin('');
+                setConfirmPin('');
+                setStep('create');
+                return;
+            }
+            await storePIN(pinCode);
+            setLockedUntil(null);
             Alert.alert('Success', 'PIN created successfully!');
-            onSuccess();
+            setRecovering(false);
+            onSuccess(pinCode);
         } catch (error) {
             Alert.alert('Error', 'Failed to save PIN');
         }
     };
 
     const verifyPIN = async (enteredPin) => {
+        setVerifying(true);
         try {
-            const storedPin = await AsyncStorage.getItem(PIN_KEY);
+            const result = await checkPIN(enteredPin);
 
-            if (enteredPin === storedPin) {
-                setFailedAttempts(0);
-                onSuccess();
+            if (result.success) {
+                const user = auth.currentUser;
+                if (user && !(await unlockEncryption(user.uid, enteredPin))) {
+                    setPin('');
+                    Alert.alert('Data Locked', 'This PIN does not open your encrypted data. Use Forgot PIN to unlock it with your account password.');
+                    return;
+                }
+                onSuccess(enteredPin);
             } else {
                 Vibration.vibrate(500);
-                const newAttempts = failedAttempts + 1;
-                setFailedAttempts(newAttempts);
                 setPin('');
 
-                if (newAttempts >= 3) {
-                    setIsLocked(true);
-                    Alert.alert('Too Many Attempts', 'Please wait 30 seconds');
-                    setTimeout(() => {
-                        setIsLocked(false);
-                        setFailedAttempts(0);
-                    }, 30000);
+                if (result.lockedUntil) {
+                    setLockedUntil(result.lockedUntil);
+                    Alert.alert('Too Many Attempts', `Please wait ${formatWait(result.lockedUntil - Date.now())}`);
                 } else {
-                    Alert.alert('Incorrect PIN', `${3 - newAttempts} attempts remaining`);
+                    Alert.alert('Incorrect PIN', `${result.attemptsLeft} attempts remaining`);
                 }
             }
         } catch (error) {
+            setPin('');
             Alert.alert('Error', 'Failed to verify PIN');
+        } finally {
+            setVerifying(false);
         }
     };
 
+    const handleRecovered = () => {
+        setShowRecovery(false);
+        setRecovering(true);
+        setLockedUntil(null);
+        setPin('');
+        setConfirmPin('');
+        setStep('create');
+    };
+
     const handleForgotPIN = () => {
-        if (step === 'verify') {
-            Alert.alert(
-                'Forgot PIN?',
-                'You can Logout and Login again to reset your PIN (Cloud data will be safe). Or perform a Full Reset (Wipes all local data).',
-                [
-                    { text: 'Cancel', style: 'cancel' },
-                    {
-                        text: 'Logout & Reset',
-                        onPress: async () => {
-                            try {
-                                await signOut(auth);
-                                // The auth listener in App.js will handle redirect to Login
-                            } catch (err) {
-                                Alert.alert('Error', 'Failed to logout');
-                            }
-                        }
-                    },
-                    {
-                        text: 'Full Reset (Destructive)',
-                        style: 'destructive',
-                        onPress: async () => {
-                            await AsyncStorage.clear();
-                            Alert.alert('Success', 'All data wiped. Restart the app.');
-                        }
-                    }
-                ]
-            );
+        if (step !== 'verify') return;
+        const buttons = [{ text: 'Cancel', style: 'cancel' }];
+        // Signing in again with the account password allows choosing a new PIN
+        if (auth.currentUser) {
+            buttons.push({ text: 'Use Password', onPress: () => setShowRecovery(true) });
         }
+        // Only this account: other accounts on the phone keep their data and PINs
+        buttons.push({
+            text: 'Reset Account (Destructive)',
+            style: 'destructive',
+            onPress: async () => {
+                const result = await resetLocalAccount();
+                if (result.success) {
+                    Alert.alert('Success', "This account's data and PIN were removed from this phone. Restart the app.");
+                } else {
+                    Alert.alert('Error', result.error || 'Could not reset this account');
+                }
+            }
+        });
+        Alert.alert(
+            'Forgot PIN?',
+            encrypted
+                ? 'Your data on this phone is encrypted with your PIN. Unlock it with your account password and choose a new PIN, or reset this account (removes its data and PIN from this phone; changes not yet backed up are lost).'
+                : 'Confirm your account password to choose a new PIN (Cloud data will be safe). Or reset this account (removes its data and PIN from this phone; changes not yet backed up are lost).',
+            buttons
+        );
     };
 
     const getTitle = () => {
-        if (step === 'create') return 'Create PIN';
+        if (step === 'create') return recovering ? 'Create New PIN' : 'Create PIN';
         if (step === 'confirm') return 'Confirm PIN';
         return 'Enter PIN';
     };
@@ -203,7 +267,10 @@ export default function PINScreen({ onSuccess, mode = 'verify' }) {
             </View>
 
             {isLocked && (
-                <Text style={styles.lockText}>Locked for 30 seconds</Text>
+                <Text style={styles.lockText}>Too many attempts. Try again in {formatWait(lockedUntil - now)}</Text>
+            )}
+            {verifying && (
+                <ActivityIndicator style={styles.verifying} color={colors.PRIMARY} />
             )}
 
             <View style={styles.keypad}>
@@ -250,6 +317,12 @@ export default function PINScreen({ onSuccess, mode = 'verify' }) {
                     <Text style={styles.forgotText}>Forgot PIN?</Text>
                 </TouchableOpacity>
             )}
+
+            <RecoverAccessModal
+                visible={showRecovery}
+                onClose={() => setShowRecovery(false)}
+                onRecovered={handleRecovered}
+            />
         </View>
     );
 }
@@ -319,25 +392,9 @@ const getStyles = (colors) => StyleSheet.create({
         color: colors.DEBIT_RED,
         fontSize: 16,
         marginBottom: 20,
+        textAlign: 'center',
+    },
+    verifying: {
+        marginBottom: 20,
     },
 });
-
-// Helper functions for PIN management
-export const isPINEnabled = async () => {
-    try {
-        const enabled = await AsyncStorage.getItem(PIN_ENABLED_KEY);
-        return enabled === 'true';
-    } catch (error) {
-        return false;
-    }
-};
-
-export const disablePIN = async () => {
-    try {
-        await AsyncStorage.removeItem(PIN_KEY);
-        await AsyncStorage.setItem(PIN_ENABLED_KEY, 'false');
-        return true;
-    } catch (error) {
-        return false;
-    }
-};
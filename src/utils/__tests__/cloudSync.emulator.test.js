@@ -0,0 +1,126 @@
+// Sync between two phones through the Firestore and Auth emulators.
+// Needs the emulators, so `npm test` skips it; run it with `npm run test:emulator`.
+//
+// Both phones run in this one process: each has its own memoryBackend, and the test switches
+// between them. They share the signed-in session, the open book and the device id.
+
+import { getDocs, getDoc, collection, doc, terminate } from 'firebase/firestore';
+import { createUserWithEmailAndPassword } from 'firebase/auth';
+import { db, auth } from '../../../firebase';
+import { setStorageBackend } from '../storageBackend';
+import { createMemoryBackend } from '../memoryBackend';
+import { saveLedger, getLedgers, updateBackupSettings } from '../storage';
+import { drainOutbox } from '../syncOutbox';
+import { syncWithCloud, applyRemoteChanges } from '../cloudSync';
+import { buildLedger, addTransaction } from '../ledgerEngine';
+import { fromFirestore } from '../recordSchema';
+import { getBookPath, DEFAULT_BOOK_ID } from '../books';
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('@react-native-community/netinfo', () => require('@react-native-community/netinfo/jest/netinfo-mock'));
+jest.mock('expo-sqlite', () => ({}));
+jest.mock('expo-secure-store', () => {
+    const values = new Map();
+    return {
+        getItemAsync: async (key) => (values.has(key) ? values.get(key) : null),
+        setItemAsync: async (key, value) => { values.set(key, value); },
+        deleteItemAsync: async (key) => { values.delete(key); },
+    };
+});
+
+// The app's firebase.js, pointed at the emulators started by `firebase emulators:exec`
+jest.mock('../../../firebase', () => {
+    const { initializeApp } = require('firebase/app');
+    const { initializeFirestore, connectFirestoreEmulator } = require('firebase/firestore');
+    const { initializeAuth, inMemoryPersistence, connectAuthEmulator } = require('firebase/auth');
+
+    const app = initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-mazkhat', apiKey: 'demo-key' });
+    const db = initializeFirestore(app, { experimentalForceLongPolling: true });
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+    const auth = initializeAuth(app, { persistence: inMemoryPersistence });
+    connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    return { db, auth };
+});
+
+const counter = createMemoryBackend();
+const owner = createMemoryBackend();
+const usePhone = (backend) => setStorageBackend(backend, 'memory');
+
+const ledgerId = 'L1';
+const ledger = buildLedger({ id: ledgerId, name: 'Asha Stores', phone: '9876543210', currency: 'INR' }, [
+    { id: 'T1', type: 'credit', amount: 150000, date: '2026-03-01T10:00:00.000Z', note: 'Rice' },
+]);
+
+// What liveSync.js hands to applyRemoteChanges after a ledger and its transactions changed
+const readCloudLedger = async (uid) => {
+    const bookPath = getBookPath(uid, DEFAULT_BOOK_ID);
+    const ledgerDoc = await getDoc(doc(db, ...bookPath, 'ledgers', ledgerId));
+    const transactionDocs = await getDocs(collection(db, ...bookPath, 'ledgers', ledgerId, 'transactions'));
+    const transactions = {};
+    transactionDocs.forEach(d => { transactions[d.id] = fromFirestore('transaction', d.id, d.data()); });
+    return {
+        ledgers: { [ledgerId]: fromFirestore('ledger', ledgerId, ledgerDoc.data()) },
+        transactions: { [ledgerId]: transactions },
+        expenses: {},
+        categories: null,
+        tombstones: {},
+    };
+};
+
+beforeAll(async () => {
+    await createUserWithEmailAndPassword(auth, `shop-${Date.now()}@example.com`, 'secret-password');
+    for (const phone of [counter, owner]) {
+        usePhone(phone);
+        await updateBackupSettings({ autoBackup: true });
+    }
+});
+
+afterAll(async () => {
+    await auth.signOut();
+    await terminate(db);
+});
+
+test('a ledger saved on one phone reaches the other with syncWithCloud', async () => {
+    usePhone(counter);
+    expect(await saveLedger(ledger)).toBe(true);
+    await drainOutbox();
+
+    usePhone(owner);
+    const result = await syncWithCloud({ upload: false });
+    expect(result.success).toBe(true);
+
+    const { [ledgerId]: synced } = await getLedgers([ledgerId]);
+    expect(synced.name).toBe('Asha Stores');
+    expect(synced.balance).toBe(ledger.balance);
+    expect(synced.transactions.map(t => [t.id, t.amount])).toEqual([['T1', 150000]]);
+});
+
+test('applyRemoteChanges merges a transaction added on the other phone', async () => {
+    usePhone(counter);
+    const { [ledgerId]: current } = await getLedgers([ledgerId]);
+    const updated = addTransaction(current, { id: 'T2', type: 'payment', amount: 50000, date: '2026-03-02T10:00:00.000Z', note: 'Cash' });
+    expect(await saveLedger(updated)).toBe(true);
+    await drainOutbox();
+
+    usePhone(owner);
+    const changed = await applyRemoteChanges(auth.currentUser.uid, DEFAULT_BOOK_ID, await readCloudLedger(auth.currentUser.uid));
+    expect(changed.ledgerIds).toEqual([ledgerId]);
+    expect(changed.conflicts).toBe(0);
+
+    const { [ledgerId]: merged } = await getLedgers([ledgerId]);
+    expect(merged.transactions.map(t => t.id)).toEqual(['T1', 'T2']);
+    expect(merged.balance).toBe(updated.balance);
+});
+
+test('an edit on this phone that the cloud has not seen survives a remote change', async () => {
+    usePhone(owner);
+    const { [ledgerId]: local } = await getLedgers([ledgerId]);
+    expect(await saveLedger({ ...local, name: 'Asha Stores & Sons' })).toBe(true);
+
+    const changed = await applyRemoteChanges(auth.currentUser.uid, DEFAULT_BOOK_ID, await readCloudLedger(auth.currentUser.uid));
+    expect(changed.conflicts).toBe(0);
+    const { [ledgerId]: merged } = await getLedgers([ledgerId]);
+    expect(merged.name).toBe('Asha Stores & Sons');
+    await drainOutbox();
+});
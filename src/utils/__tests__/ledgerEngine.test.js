@@ -0,0 +1,161 @@
+import {
+    getSignedAmount,
+    normalizeType,
+    buildBalanceChain,
+    recomputeLedger,
+    addTransaction,
+    editTransaction,
+    deleteTransaction,
+    reorderTransaction,
+    buildLedger,
+} from '../ledgerEngine';
+
+const txn = (id, type, amount, date) => ({ id, type, amount, date });
+
+const ledger = {
+    id: 'L1',
+    name: 'Asha',
+    transactions: [
+        txn('a', 'credit', 50000, '2026-01-01T10:00:00.000Z'),
+        txn('b', 'payment', 20000, '2026-01-02T10:00:00.000Z'),
+        txn('c', 'credit', 10000, '2026-01-03T10:00:00.000Z'),
+    ],
+};
+
+describe('getSignedAmount', () => {
+    it('adds credits and subtracts payments', () => {
+        expect(getSignedAmount('credit', 500)).toBe(500);
+        expect(getSignedAmount('payment', 500)).toBe(-500);
+    });
+
+    it('treats legacy debit as a payment and ignores the sign of the amount', () => {
+        expect(normalizeType('debit')).toBe('payment');
+        expect(getSignedAmount('debit', 500)).toBe(-500);
+        expect(getSignedAmount('credit', -500)).toBe(500);
+    });
+
+    it('rounds to whole paise and treats bad amounts as zero', () => {
+        expect(getSignedAmount('credit', 100.6)).toBe(101);
+        expect(getSignedAmount('credit', 'abc')).toBe(0);
+    });
+});
+
+describe('buildBalanceChain', () => {
+    it('keeps a running balance in list order', () => {
+        const { transactions, balance } = buildBalanceChain(ledger.transactions);
+        expect(transactions.map(t => t.balanceAfter)).toEqual([50000, 30000, 40000]);
+        expect(balance).toBe(40000);
+    });
+
+    it('returns a zero balance for no transactions', () => {
+        expect(buildBalanceChain([])).toEqual({ transactions: [], balance: 0 });
+    });
+});
+
+describe('recomputeLedger', () => {
+    it('sorts by date and rebuilds stale balanceAfter values', () => {
+        const stale = {
+            ...ledger,
+            balance: 999,
+            transactions: [
+                { ...ledger.transactions[2], balanceAfter: 1 },
+                { ...ledger.transactions[0], balanceAfter: 2 },
+                { ...ledger.transactions[1], balanceAfter: 3 },
+            ],
+        };
+        const result = recomputeLedger(stale);
+        expect(result.transactions.map(t => t.id)).toEqual(['a', 'b', 'c']);
+        expect(result.transactions.map(t => t.balanceAfter)).toEqual([50000, 30000, 40000]);
+        expect(result.balance).toBe(40000);
+    });
+
+    it('does not mutate its input', () => {
+        const input = JSON.parse(JSON.stringify(ledger));
+        recomputeLedger(input);
+        expect(input).toEqual(ledger);
+    });
+});
+
+describe('addTransaction', () => {
+    it('inserts by date and updates later balances', () => {
+        const result = addTransaction(ledger, txn('d', 'payment', 5000, '2026-01-01T12:00:00.000Z'));
+        expect(result.transactions.map(t => t.id)).toEqual(['a', 'd', 'b', 'c']);
+        expect(result.transactions.map(t => t.balanceAfter)).toEqual([50000, 45000, 25000, 35000]);
+        expect(result.balance).toBe(35000);
+    });
+});
+
+describe('editTransaction', () => {
+    it('applies changes, keeps the id and rebuilds the chain', () => {
+        const result = editTransaction(ledger, 'b', { amount: 60000, id: 'other' });
+        expect(result.transactions[1].id).toBe('b');
+        expect(result.transactions.map(t => t.balanceAfter)).toEqual([50000, -10000, 0]);
+        expect(result.balance).toBe(0);
+    });
+
+    it('moves a transaction whose date changes', () => {
+        const result = editTransaction(ledger, 'c', { date: '2025-12-31T10:00:00.000Z' });
+        expect(result.transactions.map(t => t.id)).toEqual(['c', 'a', 'b']);
+        expect(result.balance).toBe(40000);
+    });
+
+    it('leaves the ledger as it was for an unknown id', () => {
+        expect(editTransaction(ledger, 'zzz', { amount: 1 }).balance).toBe(40000);
+    });
+});
+
+describe('deleteTransaction', () => {
+    it('removes the transaction and rebuilds the chain', () => {
+        const result = deleteTransaction(ledger, 'a');
+        expect(result.transactions.map(t => t.id)).toEqual(['b', 'c']);
+        expect(result.transactions.map(t => t.balanceAfter)).toEqual([-20000, -10000]);
+        expect(result.balance).toBe(-10000);
+    });
+});
+
+describe('reorderTransaction', () => {
+    const sameDay = {
+        id: 'L2',
+        transactions: [
+            txn('x', 'credit', 100, '2026-02-01T00:00:00.000Z'),
+            txn('y', 'payment', 300, '2026-02-01T00:00:00.000Z'),
+            txn('z', 'credit', 50, '2026-02-02T00:00:00.000Z'),
+        ],
+    };
+
+    it('reorders entries that share a timestamp', () => {
+        const result = reorderTransaction(sameDay, 'y', 0);
+        expect(result.transactions.map(t => t.id)).toEqual(['y', 'x', 'z']);
+        expect(result.transactions.map(t => t.balanceAfter)).toEqual([-300, -200, -150]);
+        expect(result.balance).toBe(-150);
+    });
+
+    it('refuses moves that break date order', () => {
+        const result = reorderTransaction(sameDay, 'z', 0);
+        expect(result.transactions.map(t => t.id)).toEqual(['x', 'y', 'z']);
+    });
+
+    it('ignores unknown ids', () => {
+        expect(reorderTransaction(sameDay, 'nope', 0).transactions.map(t => t.id)).toEqual(['x', 'y', 'z']);
+    });
+});
+
+describe('buildLedger', () => {
+    it('sorts out-of-order imports and normalizes types and amounts', () => {
+        const result = buildLedger({ id: 'L3', name: 'Imported' }, [
+            { id: '2', type: 'debit', amount: '2000', date: '2026-03-05T00:00:00.000Z' },
+            { id: '1', type: 'credit', amount: -5000, date: '2026-03-01T00:00:00.000Z' },
+            { id: '3', type: 'credit', amount: 1000.4, date: '2026-03-09T00:00:00.000Z' },
+        ]);
+        expect(result.name).toBe('Imported');
+        expect(result.transactions.map(t => t.id)).toEqual(['1', '2', '3']);
+        expect(result.transactions.map(t => t.type)).toEqual(['credit', 'payment', 'credit']);
+        expect(result.transactions.map(t => t.amount)).toEqual([5000, 2000, 1000]);
+        expect(result.transactions.map(t => t.balanceAfter)).toEqual([5000, 3000, 4000]);
+        expect(result.balance).toBe(4000);
+    });
+
+    it('builds an empty ledger with a zero balance', () => {
+        expect(buildLedger({ id: 'L4' })).toEqual({ id: 'L4', transactions: [], balance: 0 });
+    });
+});
@@ -0,0 +1,150 @@
+import {
+    toFirestore,
+    fromFirestore,
+    auditToFirestore,
+    auditFromFirestore,
+    tombstoneToFirestore,
+    tombstoneFromFirestore,
+    MONEY_UNIT,
+} from '../recordSchema';
+
+// A ledger as the cloud sync pushes it: ledger fields, transactions (own subcollection),
+// audit entries and the tombstones of deleted records
+const sync = { updatedAt: '2026-04-02T09:30:00.000Z', deviceId: 'device-a', syncBase: '2026-04-01T08:00:00.000Z' };
+
+const ledger = {
+    id: 'L1',
+    name: 'Asha Stores',
+    phone: '9876543210',
+    address: 'Main Road',
+    profileImage: 'data:image/jpeg;base64,AAAA',
+    currency: 'USD',
+    balance: 12550,
+    ...sync,
+};
+
+const transactions = [
+    {
+        id: 'T1',
+        type: 'credit',
+        amount: 15050,
+        date: '2026-04-01T10:00:00.000Z',
+        displayDate: '01 Apr 2026',
+        note: 'Rice',
+        billPhoto: 'file:///bills/T1.jpg',
+        balanceAfter: 15050,
+        ...sync,
+    },
+    {
+        id: 'T2',
+        type: 'payment',
+        amount: 2500,
+        date: '2026-04-02T10:00:00.000Z',
+        displayDate: '02 Apr 2026',
+        note: '',
+        billPhoto: null,
+        balanceAfter: 12550,
+        ...sync,
+    },
+];
+
+const expense = {
+    id: 'E1',
+    title: 'Rent',
+    amount: 500000,
+    category: 'Rent',
+    currency: 'INR',
+    date: '2026-04-01T00:00:00.000Z',
+    ...sync,
+};
+
+const auditEntry = {
+    id: 'A1',
+    ledgerId: 'L1',
+    transactionId: 'T1',
+    action: 'edited',
+    changes: { amount: { before: 10000, after: 15050 } },
+    at: '2026-04-02T09:30:00.000Z',
+    deviceId: 'device-a',
+};
+
+const tombstones = [
+    { key: 'transaction:L1/T9', kind: 'transaction', id: 'T9', ledgerId: 'L1', deletedAt: '2026-04-02T09:00:00.000Z', deviceId: 'device-a' },
+    { key: 'ledger:L7', kind: 'ledger', id: 'L7', deletedAt: '2026-03-30T12:00:00.000Z', deviceId: 'device-b' },
+];
+
+// Firestore keeps plain data; this drops anything it could not store (functions, undefined)
+const throughFirestore = (data) => JSON.parse(JSON.stringify(data));
+
+const roundTrip = (kind, record) => fromFirestore(kind, record.id, throughFirestore(toFirestore(kind, record)));
+
+describe('toFirestore / fromFirestore', () => {
+    it('round-trips a fully populated ledger with its transactions', () => {
+        expect(roundTrip('ledger', ledger)).toEqual(ledger);
+        transactions.forEach(t => expect(roundTrip('transaction', t)).toEqual(t));
+    });
+
+    it('round-trips an expense', () => {
+        expect(roundTrip('expense', expense)).toEqual(expense);
+    });
+
+    it('marks documents as paise and leaves the id out of the body', () => {
+        const data = toFirestore('transaction', transactions[0]);
+        expect(data.moneyUnit).toBe(MONEY_UNIT);
+        expect(data).not.toHaveProperty('id');
+    });
+
+    it('fills missing fields with defaults instead of undefined', () => {
+        const data = toFirestore('transaction', { id: 'T3', type: 'credit', amount: 100 });
+        expect(Object.values(data)).not.toContain(undefined);
+        expect(data.billPhoto).toBeNull();
+        expect(data.note).toBe('');
+    });
+
+    it('round-trips audit entries', () => {
+        const { id, ...body } = auditEntry;
+        expect(auditFromFirestore(id, throughFirestore(auditToFirestore(body)))).toEqual(auditEntry);
+    });
+
+    it('round-trips tombstones, with and without a ledger id', () => {
+        tombstones.forEach(({ key, ...tombstone }) => {
+            const data = throughFirestore(tombstoneToFirestore({ key, ...tombstone }));
+            expect(Object.values(data)).not.toContain(undefined);
+            expect(tombstoneFromFirestore(data)).toEqual({ key, tombstone });
+        });
+    });
+});
+
+describe('legacy rupee documents', () => {
+    // Written by builds before paise: amounts in rupees and no moneyUnit
+    it('converts ledger and transaction amounts to paise', () => {
+        expect(fromFirestore('ledger', 'L1', { name: 'Asha Stores', balance: 125.5 }))
+            .toEqual({ id: 'L1', name: 'Asha Stores', balance: 12550 });
+        expect(fromFirestore('transaction', 'T1', { type: 'credit', amount: 150.5, balanceAfter: '1,150.50', date: '2026-01-01' }))
+            .toEqual({ id: 'T1', type: 'credit', amount: 15050, balanceAfter: 115050, date: '2026-01-01' });
+    });
+
+    it('converts expense amounts to paise', () => {
+        expect(fromFirestore('expense', 'E1', { title: 'Tea', amount: 1.005 }).amount).toBe(101);
+    });
+
+    it('reads back the same record once re-saved in paise', () => {
+        const upgraded = fromFirestore('transaction', 'T1', { type: 'payment', amount: 20, date: '2026-01-01' });
+        expect(upgraded.amount).toBe(2000);
+        expect(roundTrip('transaction', upgraded)).toEqual({
+            ...upgraded,
+            displayDate: null,
+            note: '',
+            billPhoto: null,
+            balanceAfter: 0,
+            updatedAt: null,
+            deviceId: null,
+            syncBase: null,
+        });
+    });
+
+    it('converts legacy audit amounts to paise', () => {
+        const entry = auditFromFirestore('A1', { action: 'edited', changes: { amount: { before: 10, after: 12.5 } } });
+        expect(entry.changes.amount).toEqual({ before: 1000, after: 1250 });
+    });
+});
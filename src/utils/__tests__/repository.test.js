@@ -0,0 +1,174 @@
+import { setStorageBackend } from '../storageBackend';
+import { createMemoryBackend } from '../memoryBackend';
+import {
+    writeLedger,
+    readLedgers,
+    readTransactions,
+    getLedgerKey,
+    getTransactionChunkKey,
+    TRANSACTION_CHUNK_SIZE,
+} from '../ledgerStore';
+import {
+    readExpenses,
+    writeExpenses,
+    readCategories,
+    writeCategories,
+    readProfile,
+    writeProfile,
+    readSettings,
+    writeSettings,
+    readExchangeRates,
+    writeExchangeRates,
+    getExpensesKey,
+} from '../repository';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({}));
+jest.mock('expo-sqlite', () => ({}));
+
+const SCOPE = 'u1_default';
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2026, 0, 1);
+
+// One transaction a day from START, enough for three chunks
+const dailyTransactions = (count) => Array.from({ length: count }, (_, i) => ({
+    id: `T${i}`,
+    type: i % 2 ? 'payment' : 'credit',
+    amount: 1000,
+    date: new Date(START + i * DAY).toISOString(),
+}));
+
+let backend;
+
+beforeEach(() => {
+    backend = createMemoryBackend();
+    setStorageBackend(backend, 'memory');
+});
+
+describe('transactions by ledger and date', () => {
+    const ledger = { id: 'L1', name: 'Asha', balance: 0, transactions: dailyTransactions(2 * TRANSACTION_CHUNK_SIZE + 50) };
+
+    beforeEach(async () => {
+        await writeLedger(SCOPE, ledger, []);
+    });
+
+    test('the ledger meta records the date range of every chunk', async () => {
+        const meta = JSON.parse(await backend.getItem(getLedgerKey(SCOPE, 'L1')));
+        expect(meta.transactionChunks).toBe(3);
+        expect(meta.chunkDates).toEqual([
+            [START, START + (TRANSACTION_CHUNK_SIZE - 1) * DAY],
+            [START + TRANSACTION_CHUNK_SIZE * DAY, START + (2 * TRANSACTION_CHUNK_SIZE - 1) * DAY],
+            [START + 2 * TRANSACTION_CHUNK_SIZE * DAY, START + (2 * TRANSACTION_CHUNK_SIZE + 49) * DAY],
+        ]);
+    });
+
+    test('a date range reads only the chunks that overlap it', async () => {
+        const multiGet = jest.spyOn(backend, 'multiGet');
+        const from = new Date(START + 210 * DAY).toISOString();
+        const to = START + 219 * DAY;
+
+        const transactions = await readTransactions(SCOPE, 'L1', { from, to });
+
+        expect(transactions.map(t => t.id)).toEqual(Array.from({ length: 10 }, (_, i) => `T${210 + i}`));
+        expect(multiGet).toHaveBeenCalledTimes(1);
+        expect(multiGet.mock.calls[0][0]).toEqual([getTransactionChunkKey(SCOPE, 'L1', 1)]);
+    });
+
+    test('a range across a chunk boundary reads both chunks', async () => {
+        const transactions = await readTransactions(SCOPE, 'L1', {
+            from: START + 195 * DAY,
+            to: START + 204 * DAY,
+        });
+        expect(transactions.map(t => t.id)).toEqual(Array.from({ length: 10 }, (_, i) => `T${195 + i}`));
+    });
+
+    test('without a range every transaction comes back in order', async () => {
+        const transactions = await readTransactions(SCOPE, 'L1');
+        expect(transactions).toEqual(ledger.transactions);
+    });
+
+    test('a range outside the ledger reads no chunks', async () => {
+        const multiGet = jest.spyOn(backend, 'multiGet');
+        expect(await readTransactions(SCOPE, 'L1', { to: START - DAY })).toEqual([]);
+        expect(multiGet).not.toHaveBeenCalled();
+    });
+
+    test('a missing ledger reads as null', async () => {
+        expect(await readTransactions(SCOPE, 'nope')).toBeNull();
+    });
+
+    test('ledgers written before the index existed still answer range queries', async () => {
+        const meta = JSON.parse(await backend.getItem(getLedgerKey(SCOPE, 'L1')));
+        delete meta.chunkDates;
+        await backend.setItem(getLedgerKey(SCOPE, 'L1'), JSON.stringify(meta));
+
+        const transactions = await readTransactions(SCOPE, 'L1', { from: START + 410 * DAY });
+        expect(transactions.map(t => t.id)).toEqual(Array.from({ length: 40 }, (_, i) => `T${410 + i}`));
+    });
+
+    test('full ledger reads do not expose the index', async () => {
+        const { L1 } = await readLedgers(SCOPE, ['L1']);
+        expect(L1.chunkDates).toBeUndefined();
+        expect(L1.transactionChunks).toBeUndefined();
+        expect(L1.transactions).toHaveLength(ledger.transactions.length);
+    });
+});
+
+describe('expenses', () => {
+    const expenses = [
+        { id: 'E3', title: 'Rent', amount: 500000, category: 'Rent', date: '2026-03-01T09:00:00.000Z' },
+        { id: 'E2', title: 'Bus', amount: 2000, category: 'Travel', date: '2026-02-10T09:00:00.000Z' },
+        { id: 'E1', title: 'Tea', amount: 1500, category: 'Food', date: '2026-01-05T09:00:00.000Z' },
+    ];
+
+    test('an empty book has no expenses', async () => {
+        expect(await readExpenses(SCOPE)).toEqual([]);
+    });
+
+    test('round-trip in stored order and filter by date', async () => {
+        await writeExpenses(SCOPE, expenses);
+        expect(await readExpenses(SCOPE)).toEqual(expenses);
+        expect((await readExpenses(SCOPE, { from: '2026-02-01', to: '2026-02-28' })).map(e => e.id)).toEqual(['E2']);
+        expect((await readExpenses(SCOPE, { from: '2026-02-01' })).map(e => e.id)).toEqual(['E3', 'E2']);
+    });
+
+    test('books keep separate lists', async () => {
+        await writeExpenses(SCOPE, expenses);
+        expect(await readExpenses('u1_shop')).toEqual([]);
+    });
+
+    test('an unreadable list reads as empty', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+        await backend.setItem(getExpensesKey(SCOPE), '{not json');
+        expect(await readExpenses(SCOPE)).toEqual([]);
+        console.error.mockRestore();
+    });
+});
+
+describe('categories, profile and account records', () => {
+    test('categories are null until stored', async () => {
+        expect(await readCategories(SCOPE)).toBeNull();
+        const categories = [{ id: 'Food', icon: 'food', color: '#FF7043' }];
+        await writeCategories(SCOPE, categories);
+        expect(await readCategories(SCOPE)).toEqual(categories);
+    });
+
+    test('the profile belongs to the book', async () => {
+        expect(await readProfile(SCOPE)).toBeNull();
+        await writeProfile(SCOPE, { name: 'Asha Stores', upiIds: ['asha@upi'] });
+        expect(await readProfile(SCOPE)).toEqual({ name: 'Asha Stores', upiIds: ['asha@upi'] });
+        expect(await readProfile('u1_shop')).toBeNull();
+    });
+
+    test('settings and exchange rates belong to the account', async () => {
+        expect(await readSettings('u1')).toBeNull();
+        expect(await readExchangeRates('u1')).toEqual({});
+
+        await writeSettings('u1', { autoBackup: true });
+        await writeExchangeRates('u1', { USD: 83.2 });
+
+        expect(await readSettings('u1')).toEqual({ autoBackup: true });
+        expect(await readExchangeRates('u1')).toEqual({ USD: 83.2 });
+        expect(await readSettings('guest')).toBeNull();
+        expect(await readExchangeRates('guest')).toEqual({});
+    });
+});
@@ -0,0 +1,119 @@
+// Audit Log - Append-only history of transaction changes per ledger
+//
+// `ledgerAudit_<scope>_<ledgerId>` -> [{ id, ledgerId, transactionId, action, changes, at, by, deviceId }]
+//   action:  'created' | 'edited' | 'deleted' | 'restored'
+//   changes: { [field]: { before, after } } (transactionId null = the customer itself)
+// Entries are never edited or removed; cloud sync unions them by id.
+// Writers are primitives; storage.js calls them inside enqueueWrite.
+
+import storageBackend from './storageBackend';
+import { generateId } from './calculations';
+
+export const AUDITED_FIELDS = ['type', 'amount', 'date', 'note', 'billPhoto'];
+
+export const getAuditLogKey = (scope, ledgerId) => `ledgerAudit_${scope}_${ledgerId}`;
+
+/**
+ * Read a ledger's audit log, oldest first
+ * @param {string} scope - User scope
+ * @param {string} ledgerId - Ledger id
+ * @returns {Promise<Array<object>>} Entries
+ */
+export const readAuditLog = async (scope, ledgerId) => {
+    const jsonValue = await storageBackend.getItem(getAuditLogKey(scope, ledgerId));
+    if (jsonValue == null) return [];
+    try {
+        return JSON.parse(jsonValue);
+    } catch (e) {
+        console.error('Error parsing audit log JSON:', e);
+        return [];
+    }
+};
+
+/**
+ * Append entries to a ledger's audit log (entries already present are ignored)
+ * @param {string} scope - User scope
+ * @param {string} ledgerId - Ledger id
+ * @param {Array<object>} entries - New entries
+ * @returns {Promise<Array<object>>} Entries that were actually added
+ */
+export const appendAuditEntries = async (scope, ledgerId, entries) => {
+    if (entries.length === 0) return [];
+    const log = await readAuditLog(scope, ledgerId);
+    const known = new Set(log.map(e => e.id));
+    const added = entries.filter(e => !known.has(e.id));
+    if (added.length === 0) return [];
+    const next = [...log, ...added].sort((a, b) => a.at.localeCompare(b.at));
+    await storageBackend.setItem(getAuditLogKey(scope, ledgerId), JSON.stringify(next));
+    return added;
+};
+
+const pickFields = (transaction, side) => {
+    const changes = {};
+    AUDITED_FIELDS.forEach(field => {
+        const value = transaction[field];
+        if (value == null || value === '') return;
+        changes[field] = side === 'before' ? { before: value, after: null } : { before: null, after: value };
+    });
+    return changes;
+};
+
+/**
+ * Build one audit entry
+ * @param {object} params - { ledgerId, transactionId, action, changes, actor, deviceId, now }
+ * @returns {object} Entry
+ */
+export const makeAuditEntry = ({ ledgerId, transactionId = null, action, changes = {}, actor, deviceId, now }) => ({
+    id: generateId(),
+    ledgerId,
+    transactionId,
+    action,
+    changes,
+    at: now,
+    by: actor,
+    deviceId,
+});
+
+/**
+ * Describe how a ledger's transactions changed between two saved versions
+ * @param {Array} previousList - Stored transactions
+ * @param {Array} nextList - Transactions about to be saved
+ * @returns {Array<{ transactionId, action, changes }>} One item per created, edited or deleted transaction
+ */
+export const diffTransactions = (previousList = [], nextList = []) => {
+    const previousById = {};
+    previousList.forEach(t => { previousById[t.id] = t; });
+    const nextIds = new Set(nextList.map(t => t.id));
+    const diffs = [];
+
+    nextList.forEach(t => {
+        const before = previousById[t.id];
+        if (!before) {
+            diffs.push({ transactionId: t.id, action: 'created', changes: pickFields(t, 'after') });
+            return;
+        }
+        const changes = {};
+        AUDITED_FIELDS.forEach(field => {
+            const a = before[field] == null || before[field] === '' ? null : before[field];
+            const b = t[field] == null || t[field] === '' ? null : t[field];
+            if (a !== b) changes[field] = { before: a, after: b };
+        });
+        if (Object.keys(changes).length > 0) {
+            diffs.push({ transactionId: t.id, action: 'edited', changes });
+        }
+    });
+
+    previousList.forEach(t => {
+        if (!nextIds.has(t.id)) {
+            diffs.push({ transactionId: t.id, action: 'deleted', changes: pickFields(t, 'before') });
+        }
+    });
+    return diffs;
+};
+
+/**
+ * Audit changes for a whole transaction appearing again (restore from the recycle bin)
+ * @param {object} transaction - Restored transaction
+ * @returns {object} { field: { before: null, after } }
+ */
+export const restoredChanges = (transaction) => pickFields(transaction, 'after');
@@ -3,13 +3,30 @@
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import * as DocumentPicker from 'expo-document-picker';
-import { getAllLedgers } from './storage';
+import { getAllLedgers, replaceAllLedgers } from './storage';
 import { Platform } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageBackend from './storageBackend';
 import { auth } from '../../firebase';
+import { MONEY_UNIT, legacyLedgerToPaise } from './recordSchema';
+import { getBookScope, getActiveBookId } from './books';
+import { readExpenses, readCategories } from './repository';
 
 const LEDGERS_KEY = 'ledgers';
 
+/**
+ * Ledgers of a backup with amounts in paise (backups before version 2.0 stored rupees)
+ * @param {object} backupData - Parsed backup data
+ * @returns {object} Ledgers keyed by id
+ */
+const ledgersFromBackup = (backupData) => {
+    if (backupData.moneyUnit === MONEY_UNIT) return backupData.ledgers;
+    const ledgers = {};
+    Object.keys(backupData.ledgers).forEach(id => {
+        ledgers[id] = legacyLedgerToPaise(backupData.ledgers[id]);
+    });
+    return ledgers;
+};
+
 /**
  * Export all app data to JSON backup file
  * @returns {Promise<object>} { success: boolean, filePath: string }
@@ -20,21 +37,17 @@ export const exportDataToBackup = async () => {
         const allLedgers = await getAllLedgers();
         console.log('Got ledgers:', Object.keys(allLedgers).length);
 
-        // Get expenses and categories from storage
-        const expensesKey = 'expenses_' + (auth.currentUser ? auth.currentUser.uid : 'guest');
-        const categoriesKey = 'categories_' + (auth.currentUser ? auth.currentUser.uid : 'guest');
-
-        const expensesJson = await AsyncStorage.getItem(expensesKey);
-        const categoriesJson = await AsyncStorage.getItem(categoriesKey);
-
-        const expenses = expensesJson ? JSON.parse(expensesJson) : [];
-        const categories = categoriesJson ? JSON.parse(categoriesJson) : [];
+        // Get expenses and categories of the open book from storage
+        const scope = getBookScope(auth.currentUser ? auth.currentUser.uid : 'guest', getActiveBookId());
+        const expenses = await readExpenses(scope);
+        const categories = (await readCategories(scope)) || [];
 
         console.log('Got expenses:', expenses.length, 'categories:', categories.length);
 
         // Create backup object with metadata
         const backupData = {
-            version: '1.0',
+            version: '2.0',
+            moneyUnit: MONEY_UNIT,
             exportDate: new Date().toISOString(),
             ledgers: allLedgers,
             expenses: expenses,
@@ -118,8 +131,8 @@ export const importDataFromBackup = async (fileUri = null) => {
                             return;
                         }
 
-                        // Restore data to AsyncStorage
-                        await AsyncStorage.setItem(LEDGERS_KEY, JSON.stringify(backupData.ledgers));
+                        // Restore data to local storage
+                        await replaceAllLedgers(ledgersFromBackup(backupData));
 
                         const ledgersCount = Object.keys(backupData.ledgers).length;
                         resolve({ success: true, ledgersCount });
@@ -163,8 +176,8 @@ export const importDataFromBackup = async (fileUri = null) => {
             return { success: false, error: 'Invalid backup file format' };
         }
 
-        // Restore data to AsyncStorage
-        await AsyncStorage.setItem(LEDGERS_KEY, JSON.stringify(backupData.ledgers));
+        // Restore data to local storage
+        await replaceAllLedgers(ledgersFromBackup(backupData));
 
         const ledgersCount = Object.keys(backupData.ledgers).length;
 
@@ -217,7 +230,7 @@ export const validateBackupFile = (data) => {
  */
 export const clearAllData = async () => {
     try {
-        await AsyncStorage.removeItem(LEDGERS_KEY);
+        await storageBackend.removeItem(LEDGERS_KEY);
         return true;
     } catch (error) {
         console.error('Error clearing data:', error);
@@ -1,8 +1,7 @@
 import * as LocalAuthentication from 'expo-local-authentication';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageBackend from './storageBackend';
 import { Platform } from 'react-native';
-
-const BIOMETRIC_KEY = 'mazkhat_biometric_enabled';
+import { getLockKey, BIOMETRIC_NAME } from './pinLock';
 
 /**
  * Checks if the device hardware supports biometrics.
@@ -98,11 +97,11 @@ export const authenticateBiometric = async () => {
 };
 
 /**
- * Persists the user's biometric preference.
+ * Persists the user's biometric preference (per account, next to the PIN).
  */
-export const setBiometricPreference = async (enabled) => {
+export const setBiometricPreference = async (enabled, scope) => {
     try {
-        await AsyncStorage.setItem(BIOMETRIC_KEY, JSON.stringify(enabled));
+        await storageBackend.setItem(getLockKey(BIOMETRIC_NAME, scope), JSON.stringify(enabled));
     } catch (error) {
         console.error('Biometric: Failed to save preference', error);
     }
@@ -111,9 +110,9 @@ export const setBiometricPreference = async (enabled) => {
 /**
  * Retrieves the user's biometric preference.
  */
-export const getBiometricPreference = async () => {
+export const getBiometricPreference = async (scope) => {
     try {
-        const value = await AsyncStorage.getItem(BIOMETRIC_KEY);
+        const value = await storageBackend.getItem(getLockKey(BIOMETRIC_NAME, scope));
         return value ? JSON.parse(value) : false;
     } catch (error) {
         console.error('Biometric: Failed to load preference', error);
@@ -0,0 +1,133 @@
+// Books - Separate businesses inside one account
+//
+// Every account has at least the default book. A book's customers, expenses, categories,
+// profile branding, tombstones, recycle bin and audit logs are stored under the book scope
+// `<scope>_<bookId>` (e.g. `expenses_<uid>_default`) and in Firestore under
+// users/{uid}/books/{bookId}/... Settings, exchange rates, the outbox and the schema
+// version stay with the account scope (uid or 'guest').
+//
+// The book list lives in `books_<scope>` and the open book in `activeBook_<scope>`.
+// Book keys still contain `_<scope>_`, so belongsToScope (migrations.js) matches them.
+// Writers must run inside enqueueWrite.
+
+import storageBackend from './storageBackend';
+
+export const DEFAULT_BOOK_ID = 'default';
+export const DEFAULT_BOOK_NAME = 'My Business';
+
+// Storage key names of records that belong to a book rather than the account
+export const BOOK_KEY_NAMES = [
+    'ledgers',
+    'ledgerIndex',
+    'ledger',
+    'ledgerTxns',
+    'ledgerAudit',
+    'ledgerSummaries',
+    'expenses',
+    'categories',
+    'profile',
+    'tombstones',
+    'trash',
+    'syncConflicts',
+];
+
+const getBooksKey = (scope) => `books_${scope}`;
+const getActiveBookKey = (scope) => `activeBook_${scope}`;
+
+/**
+ * Storage scope of a book's records
+ * @param {string} scope - Account scope (uid or 'guest')
+ * @param {string} bookId - Book id (defaults to the default book)
+ * @returns {string} e.g. "<uid>_default"
+ */
+export const getBookScope = (scope, bookId) => `${scope}_${bookId || DEFAULT_BOOK_ID}`;
+
+/**
+ * Firestore path segments of a book document
+ * @param {string} uid - Firebase user id
+ * @param {string} bookId - Book id (defaults to the default book)
+ * @returns {Array<string>} ['users', uid, 'books', bookId]
+ */
+export const getBookPath = (uid, bookId) => ['users', uid, 'books', bookId || DEFAULT_BOOK_ID];
+
+const makeDefaultBook = () => ({ id: DEFAULT_BOOK_ID, name: DEFAULT_BOOK_NAME, createdAt: null, updatedAt: null });
+
+/**
+ * Read the books of an account, default book first
+ * @param {string} scope - Account scope
+ * @returns {Promise<Array<object>>} [{ id, name, createdAt, updatedAt }]
+ */
+export const readBooks = async (scope) => {
+    let books = [];
+    const jsonValue = await storageBackend.getItem(getBooksKey(scope));
+    if (jsonValue != null) {
+        try {
+            books = JSON.parse(jsonValue).filter(book => book && book.id);
+        } catch (e) {
+            console.error('Error parsing books JSON:', e);
+        }
+    }
+    const defaultBook = books.find(book => book.id === DEFAULT_BOOK_ID) || makeDefaultBook();
+    return [defaultBook, ...books.filter(book => book.id !== DEFAULT_BOOK_ID)];
+};
+
+/**
+ * Replace the book list of an account
+ * @param {string} scope - Account scope
+ * @param {Array<object>} books - Book list
+ * @returns {Promise<void>}
+ */
+export const writeBooks = async (scope, books) => {
+    await storageBackend.setItem(getBooksKey(scope), JSON.stringify(books));
+};
+
+/**
+ * The open book is kept in memory so storage keys can be built synchronously
+ */
+let activeBookId = DEFAULT_BOOK_ID;
+const listeners = new Set();
+
+/**
+ * Id of the book the app is showing
+ * @returns {string} Book id
+ */
+export const getActiveBookId = () => activeBookId;
+
+const setActiveBookId = (bookId) => {
+    if (bookId === activeBookId) return;
+    activeBookId = bookId;
+    listeners.forEach(listener => listener(bookId));
+};
+
+/**
+ * Subscribe to book switches
+ * @param {Function} listener - Called with the new book id
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeActiveBook = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Open the book an account used last (the default book if it no longer exists)
+ * @param {string} scope - Account scope
+ * @returns {Promise<string>} Book id
+ */
+export const loadActiveBook = async (scope) => {
+    const [stored, books] = await Promise.all([storageBackend.getItem(getActiveBookKey(scope)), readBooks(scope)]);
+    const bookId = books.some(book => book.id === stored) ? stored : DEFAULT_BOOK_ID;
+    setActiveBookId(bookId);
+    return bookId;
+};
+
+/**
+ * Open a book and remember it for the next launch
+ * @param {string} scope - Account scope
+ * @param {string} bookId - Book id
+ * @returns {Promise<void>}
+ */
+export const setActiveBook = async (scope, bookId) => {
+    await storageBackend.setItem(getActiveBookKey(scope), bookId);
+    setActiveBookId(bookId);
+};
@@ -1,37 +1,37 @@
 // Balance Calculation Utilities
+// All amounts are integer paise (see money.js)
+
+import { getSignedAmount } from './ledgerEngine';
+import { formatMoney } from './money';
 
 /**
  * Calculate running balance after a transaction
- * @param {number} currentBalance - Current balance before transaction
- * @param {string} type - "credit" or "debit"
- * @param {number} amount - Transaction amount
+ * @param {number} currentBalance - Current balance before transaction (paise)
+ * @param {string} type - "credit" (given) or "payment" (received)
+ * @param {number} amount - Transaction amount (paise)
  * @returns {number} New balance after transaction
  */
 export const calculateBalance = (currentBalance, type, amount) => {
-    if (type === 'credit') {
-        // Credit = Money received = Balance increases
-        return currentBalance + amount;
-    } else {
-        // Debit = Money given = Balance decreases
-        return currentBalance - amount;
-    }
+    // Sign convention lives in the ledger engine
+    return currentBalance + getSignedAmount(type, amount);
 };
 
 /**
  * Format balance display text (GET or GIVE)
- * @param {number} balance - Current balance
- * @returns {object} { text: string, isPositive: boolean }
+ * @param {number} balance - Current balance (paise)
+ * @param {string} currency - Ledger currency code (default INR)
+ * @returns {object} { text: string, isPositive: boolean, amount: paise }
  */
-export const formatBalance = (balance) => {
+export const formatBalance = (balance, currency) => {
     if (balance > 0) {
         return {
-            text: `You will GET ₹${balance.toFixed(2)}`,
+            text: `You will GET ${formatMoney(balance, { fixed: true, currency })}`,
             isPositive: true,
             amount: balance
         };
     } else if (balance < 0) {
         return {
-            text: `You will GIVE ₹${Math.abs(balance).toFixed(2)}`,
+            text: `You will GIVE ${formatMoney(Math.abs(balance), { fixed: true, currency })}`,
             isPositive: false,
             amount: Math.abs(balance)
         };
@@ -46,11 +46,12 @@ export const formatBalance = (balance) => {
 
 /**
  * Format currency amount
- * @param {number} amount - Amount to format
- * @returns {string} Formatted amount with rupee symbol
+ * @param {number} amount - Amount in paise
+ * @param {string} currency - Currency code (default INR)
+ * @returns {string} Formatted amount with currency symbol and two decimals
  */
-export const formatCurrency = (amount) => {
-    return `₹${amount.toFixed(2)}`;
+export const formatCurrency = (amount, currency) => {
+    return formatMoney(amount, { fixed: true, currency });
 };
 
 /**
@@ -73,30 +74,3 @@ export const formatDate = (dateString) => {
     const year = date.getFullYear();
     return `${day}/${month}/${year}`;
 };
-/**
- * Safely evaluate a mathematical expression string (e.g., "75+38+58")
- * Supports +, -, *, /
- * @param {string} expr - Expression string
- * @returns {number} Evaluated result or original number
- */
-export const evaluateMathExpression = (expr) => {
-    if (typeof expr !== 'string' || !expr.trim()) return 0;
-
-    // Remove all characters except digits, ., +, -, *, /
-    const cleanExpr = expr.replace(/[^0-9.+-/*]/g, '');
-
-    if (!cleanExpr) return 0;
-
-    try {
-        // Using Function constructor for a simple, self-contained evaluator.
-        // The regex above ensures we only pass safe mathematical characters.
-        // eslint-disable-next-line no-new-func
-        const result = new Function(`return ${cleanExpr}`)();
-        return isFinite(result) ? parseFloat(result.toFixed(2)) : 0;
-    } catch (e) {
-        console.warn('Evaluation error:', e);
-        // Fallback: try parsing as a single number
-        const singleNum = parseFloat(cleanExpr);
-        return isNaN(singleNum) ? 0 : singleNum;
-    }
-};
@@ -0,0 +1,117 @@
+// Cloud Deletion - Removes Firestore documents together with their subcollections
+//
+// Deleting a document never deletes its subcollections, and the client SDK cannot list
+// them, so BOOK_DATA_TREE names every collection the app writes under a book
+// (users/{uid}/books/{bookId}, and users/{uid} itself before books existed).
+// Deletes are sent as writeBatch commits of at most BATCH_LIMIT documents.
+
+import { collection, doc, getDocs, writeBatch } from 'firebase/firestore';
+import { db } from '../../firebase';
+import { DEFAULT_BOOK_ID, getBookPath } from './books';
+
+// Firestore's maximum number of writes per batch
+export const BATCH_LIMIT = 500;
+
+const LEDGER_SUBCOLLECTIONS = { transactions: {}, audit: {} };
+
+export const BOOK_DATA_TREE = {
+    ledgers: LEDGER_SUBCOLLECTIONS,
+    expenses: {},
+    settings: {},
+    profile: {},
+    tombstones: {},
+};
+
+/**
+ * Collect every document under the given collections, children before their parent
+ * @param {Array<string>} path - Path segments of the parent document
+ * @param {object} tree - { collectionName: subtree }
+ * @param {Array<object>} docs - Accumulator
+ * @returns {Promise<Array<object>>} [{ path: segments of the document, snapshot }]
+ */
+export const collectDocs = async (path, tree, docs = []) => {
+    for (const [name, subtree] of Object.entries(tree)) {
+        const snapshot = await getDocs(collection(db, ...path, name));
+        for (const docSnap of snapshot.docs) {
+            const docPath = [...path, name, docSnap.id];
+            await collectDocs(docPath, subtree, docs);
+            docs.push({ path: docPath, snapshot: docSnap });
+        }
+    }
+    return docs;
+};
+
+const collectRefs = async (path, tree, refs = []) => {
+    (await collectDocs(path, tree)).forEach(({ snapshot }) => refs.push(snapshot.ref));
+    return refs;
+};
+
+/**
+ * Delete documents in chunked batches
+ * @param {Array<object>} refs - Document references
+ * @param {Function} onProgress - Called with { deleted, total } after each batch
+ * @returns {Promise<number>} Number of documents deleted
+ */
+const deleteRefs = async (refs, onProgress) => {
+    const total = refs.length;
+    if (onProgress) onProgress({ deleted: 0, total });
+    for (let start = 0; start < total; start += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        refs.slice(start, start + BATCH_LIMIT).forEach(ref => batch.delete(ref));
+        await batch.commit();
+        if (onProgress) onProgress({ deleted: Math.min(start + BATCH_LIMIT, total), total });
+    }
+    return total;
+};
+
+/**
+ * Delete a ledger document with its transactions and audit entries
+ * @param {string} uid - Firebase user id
+ * @param {string} bookId - Book the ledger belongs to
+ * @param {string} ledgerId - Ledger id
+ * @param {Function} onProgress - Optional, called with { deleted, total }
+ * @returns {Promise<number>} Number of documents deleted
+ */
+export const deleteLedgerTree = async (uid, bookId, ledgerId, onProgress) => {
+    const path = [...getBookPath(uid, bookId), 'ledgers', ledgerId];
+    const refs = await collectRefs(path, LEDGER_SUBCOLLECTIONS);
+    refs.push(doc(db, ...path));
+    return deleteRefs(refs, onProgress);
+};
+
+// Everything under one book root
+const collectBookRefs = async (path, refs) => {
+    // Transactions of ledgers deleted earlier outlive their parent document; the
+    // ledger tombstones still name them
+    const tombstones = await getDocs(collection(db, ...path, 'tombstones'));
+    const ledgerDocs = await getDocs(collection(db, ...path, 'ledgers'));
+    const liveLedgerIds = new Set(ledgerDocs.docs.map(d => d.id));
+    for (const docSnap of tombstones.docs) {
+        const tombstone = docSnap.data();
+        if (tombstone.kind === 'ledger' && !liveLedgerIds.has(tombstone.id)) {
+            await collectRefs([...path, 'ledgers', tombstone.id], LEDGER_SUBCOLLECTIONS, refs);
+        }
+    }
+    await collectRefs(path, BOOK_DATA_TREE, refs);
+};
+
+/**
+ * Delete everything stored for a user in Firestore
+ * @param {string} uid - Firebase user id
+ * @param {Function} onProgress - Optional, called with { deleted, total }
+ * @returns {Promise<number>} Number of documents deleted
+ */
+export const deleteAllCloudData = async (uid, onProgress) => {
+    const refs = [];
+    const bookDocs = await getDocs(collection(db, 'users', uid, 'books'));
+    const bookIds = new Set([DEFAULT_BOOK_ID, ...bookDocs.docs.map(d => d.id)]);
+    for (const bookId of bookIds) {
+        await collectBookRefs(getBookPath(uid, bookId), refs);
+        refs.push(doc(db, ...getBookPath(uid, bookId)));
+    }
+
+    // Data written before books existed
+    await collectBookRefs(['users', uid], refs);
+    refs.push(doc(db, 'users', uid));
+    return deleteRefs(refs, onProgress);
+};
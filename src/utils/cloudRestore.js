@@ -0,0 +1,225 @@
+// Cloud Restore - Bring a book down from Firestore onto a phone that does not have it yet
+//
+// A full sync reads every ledger's transactions before anything is merged, which keeps a
+// new phone on an empty Home for a long time. Restore works in two steps instead:
+//   1. ledger documents (name, balance), expenses, categories and tombstones are merged
+//      right away, so Home lists every customer with the cloud's balance
+//   2. each ledger's transactions and audit log follow, FETCH_PARALLEL ledgers at a time,
+//      read in pages (fetchLedgerHistory in cloudSync.js) and merged once the ledger is
+//      complete. A ledger the user opens (loadLedgerNow) jumps the queue.
+// Books that already have ledgers on this phone take the normal path (syncWithCloud), which
+// reads the same way but merges each ledger before it returns, so it can upload afterwards.
+// A restore cut short is finished by the next sync, which merges whatever is missing.
+//
+// Progress for RestoreProgressScreen and the Home banner: subscribeRestore / getRestoreStatus.
+
+import { collection, getCountFromServer } from 'firebase/firestore';
+import { db, auth } from '../../firebase';
+import { enqueueWrite } from './writeQueue';
+import { syncWithCloud, syncBooks, fetchRemoteSummary, fetchLedgerHistory, applyRemoteChanges, FETCH_PARALLEL } from './cloudSync';
+import { ensureLedgerLayout } from './ledgerStore';
+import { appendAuditEntries } from './auditLog';
+import { getBackupSettings, updateBackupSettings } from './storage';
+import { getBookPath, getBookScope, getActiveBookId } from './books';
+import { mapWithLimit } from './parallel';
+
+let session = null;
+
+/**
+ * Restore progress listeners (RestoreProgressScreen, Home banner, LedgerDetailScreen)
+ */
+const IDLE_STATUS = {
+    state: 'idle',
+    bookId: null,
+    ledgers: { total: 0, done: 0 },
+    transactions: { total: null, done: 0 },
+    error: null,
+};
+let status = IDLE_STATUS;
+const listeners = new Set();
+
+const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Subscribe to restore progress
+ * @param {Function} listener - Called with the status (see getRestoreStatus)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeRestore = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Current restore progress
+ * @returns {object} { state: 'idle'|'restoring'|'done'|'error', bookId, ledgers: { total, done },
+ *   transactions: { total (null while counting), done }, error }
+ */
+export const getRestoreStatus = () => status;
+
+/**
+ * Whether a ledger is still waiting for its transactions. Its balance is the cloud's until they
+ * arrive, so it must not be edited or repaired before then.
+ * @param {string} ledgerId - Ledger id
+ * @param {string} bookId - Book of the ledger (default: the open book)
+ * @returns {boolean}
+ */
+export const isLedgerRestoring = (ledgerId, bookId = getActiveBookId()) => {
+    return Boolean(session && session.bookId === bookId && session.waiting.has(ledgerId));
+};
+
+/**
+ * Load a ledger's transactions before the others (the user opened it)
+ * @param {string} ledgerId - Ledger id
+ */
+export const loadLedgerNow = (ledgerId) => {
+    if (!session || session.bookId !== getActiveBookId()) return;
+    const position = session.queue.indexOf(ledgerId);
+    if (position > 0) {
+        session.queue.splice(position, 1);
+        session.queue.unshift(ledgerId);
+    }
+};
+
+// The restore stops when its user signs out or another account signs in
+const isCurrent = (s) => session === s && auth.currentUser && auth.currentUser.uid === s.uid;
+
+const countRead = (count) => {
+    setStatus({ transactions: { ...status.transactions, done: status.transactions.done + count } });
+};
+
+const restoreLedger = async (s, ledgerId) => {
+    let read = 0;
+    let history;
+    try {
+        history = await fetchLedgerHistory(s.uid, s.bookId, ledgerId, {
+            onPage: (count) => {
+                read += count;
+                countRead(count);
+            },
+            isCancelled: () => !isCurrent(s),
+        });
+    } catch (error) {
+        // The ledger is read again from the start on retry
+        countRead(-read);
+        throw error;
+    }
+    if (!history) return;
+
+    if (Object.keys(history.transactions).length > 0) {
+        await applyRemoteChanges(s.uid, s.bookId, { transactions: { [ledgerId]: history.transactions } });
+    }
+    await enqueueWrite(() => appendAuditEntries(s.scope, ledgerId, history.audit));
+
+    s.waiting.delete(ledgerId);
+    setStatus({ ledgers: { ...status.ledgers, done: status.ledgers.done + 1 } });
+};
+
+// Count every ledger's transactions for the progress screen, next to the loading itself
+const countTransactions = async (s, ledgerIds) => {
+    const bookPath = getBookPath(s.uid, s.bookId);
+    const counts = await mapWithLimit(ledgerIds, FETCH_PARALLEL, async (ledgerId) => {
+        if (!isCurrent(s)) return 0;
+        const snapshot = await getCountFromServer(collection(db, ...bookPath, 'ledgers', ledgerId, 'transactions'));
+        return snapshot.data().count;
+    });
+    if (isCurrent(s)) {
+        setStatus({ transactions: { ...status.transactions, total: counts.reduce((sum, count) => sum + count, 0) } });
+    }
+};
+
+const loadTransactions = async (s) => {
+    s.error = null;
+    const worker = async () => {
+        while (s.queue.length > 0 && !s.error && isCurrent(s)) {
+            const ledgerId = s.queue.shift();
+            try {
+                await restoreLedger(s, ledgerId);
+            } catch (error) {
+                s.error = s.error || error;
+            }
+        }
+    };
+    const counting = status.transactions.total === null
+        ? countTransactions(s, [...s.waiting]).catch(error => console.error('Restore: could not count transactions:', error))
+        : null;
+    await Promise.all([counting, ...Array.from({ length: FETCH_PARALLEL }, worker)]);
+
+    if (session !== s) return;
+    if (!isCurrent(s)) {
+        session = null;
+        setStatus(IDLE_STATUS);
+    } else if (s.error) {
+        console.error('Restore: could not load transactions:', s.error);
+        // Keep the session so retryRestore picks up the ledgers that are left
+        s.queue = [...s.waiting];
+        setStatus({ state: 'error', error: s.error.message || String(s.error) });
+    } else {
+        session = null;
+        await updateBackupSettings({ lastSync: new Date().toISOString() });
+        setStatus({ state: 'done' });
+    }
+};
+
+/**
+ * Bring the open book down from the cloud. On a phone without any of the book's ledgers the
+ * ledger list is saved first and the transactions keep loading in the background; otherwise
+ * this is a normal two-way sync.
+ * @param {object} options - Passed on to syncWithCloud
+ * @returns {Promise<object>} { success, conflicts, uploaded, restoring (transactions still loading), error? }
+ */
+export const restoreFromCloud = async (options = {}) => {
+    const user = auth.currentUser;
+    if (!user) return { success: false, conflicts: 0, uploaded: 0, restoring: false, error: 'Not signed in' };
+    const bookId = getActiveBookId();
+    const scope = getBookScope(user.uid, bookId);
+
+    if (session && session.uid === user.uid && session.bookId === bookId) {
+        return { success: true, conflicts: 0, uploaded: 0, restoring: true };
+    }
+    const index = await enqueueWrite(() => ensureLedgerLayout(scope));
+    if (index.length > 0) {
+        return { ...(await syncWithCloud(options)), restoring: false };
+    }
+
+    try {
+        const settings = await getBackupSettings();
+        await syncBooks(user.uid, options.upload !== undefined ? options.upload : settings.autoBackup);
+        const remote = await fetchRemoteSummary(user.uid, bookId);
+        // The book has no ledgers here, so every ledger written is one waiting for its transactions
+        const { ledgerIds, conflicts } = await applyRemoteChanges(user.uid, bookId, remote);
+
+        if (ledgerIds.length === 0) {
+            await updateBackupSettings({ lastSync: new Date().toISOString() });
+            return { success: true, conflicts, uploaded: 0, restoring: false };
+        }
+        const s = { uid: user.uid, bookId, scope, queue: [...ledgerIds], waiting: new Set(ledgerIds) };
+        session = s;
+        setStatus({
+            ...IDLE_STATUS,
+            state: 'restoring',
+            bookId,
+            ledgers: { total: ledgerIds.length, done: 0 },
+        });
+        loadTransactions(s);
+        return { success: true, conflicts, uploaded: 0, restoring: true };
+    } catch (error) {
+        console.error('Error restoring from cloud:', error);
+        return { success: false, conflicts: 0, uploaded: 0, restoring: false, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Continue a restore that stopped on an error with the ledgers it had left
+ * @returns {boolean} Whether there was one to continue
+ */
+export const retryRestore = () => {
+    const s = session;
+    if (!s || status.state !== 'error' || !isCurrent(s)) return false;
+    setStatus({ state: 'restoring', error: null });
+    loadTransactions(s);
+    return true;
+};
@@ -0,0 +1,756 @@
+// Cloud Sync - Two-way merge between local storage and Firestore
+//
+// Replaces the old "cloud overwrites local" fetches. Cloud records are merged record by record
+// with the local copy inside the write queue (see syncMerge.js): first the book's summary
+// (ledger documents, expenses, categories, tombstones), then each ledger once its transactions
+// and audit log have been read in pages, FETCH_PARALLEL ledgers at a time. A big book is never
+// held in memory at once, and a sync cut short keeps the ledgers it had merged.
+// Records edited on both sides since the last sync are kept local and stored in
+// `syncConflicts_<scope>` until the user picks a side.
+//
+// A sync covers the open book (users/{uid}/books/{bookId}) and the list of books.
+// Live sync (liveSync.js) feeds single changed documents through applyRemoteChanges instead.
+//
+// Uploading after a merge sends only dirty records (isDirty in syncMerge.js) in writeBatch
+// commits of up to BATCH_LIMIT documents, marking each batch synced as soon as it lands.
+
+import storageBackend from './storageBackend';
+import {
+    collection, doc, getDoc, getDocs, writeBatch, query, orderBy, limit, startAfter, documentId,
+} from 'firebase/firestore';
+import { db, auth } from '../../firebase';
+import { enqueueWrite } from './writeQueue';
+import { queueSyncOp, markRecordsPushed } from './syncOutbox';
+import { emitDataChange } from './dataEvents';
+import { ensureLedgerLayout, readLedgers, writeLedger, removeLedger } from './ledgerStore';
+import { writeExpenses, writeCategories, readProfile, writeProfile } from './repository';
+import { recomputeLedger } from './ledgerEngine';
+import { mergeLedgers, mergeCollection, getRecordKey, isDirty } from './syncMerge';
+import { readTombstones, writeTombstones } from './tombstones';
+import { getDeviceId } from './device';
+import { fromFirestore, auditFromFirestore, toFirestore, auditToFirestore, tombstoneFromFirestore, MONEY_UNIT } from './recordSchema';
+import { readAuditLog, appendAuditEntries } from './auditLog';
+import { getExpenses, getCategories, getBackupSettings, updateBackupSettings } from './storage';
+import { readBooks, writeBooks, getBookPath, getBookScope, getActiveBookId, DEFAULT_BOOK_ID } from './books';
+import { collectDocs, BOOK_DATA_TREE, BATCH_LIMIT } from './cloudDeletion';
+import { mapWithLimit } from './parallel';
+
+const getSyncConflictsKey = (scope) => `syncConflicts_${scope}`;
+
+// Ledgers whose transactions are read at the same time
+export const FETCH_PARALLEL = 4;
+
+// Transactions (or audit entries) read per request
+const PAGE_SIZE = 200;
+
+const byId = (list = []) => {
+    const map = {};
+    list.forEach(item => { if (item && item.id) map[item.id] = item; });
+    return map;
+};
+
+const readConflicts = async (scope) => {
+    const jsonValue = await storageBackend.getItem(getSyncConflictsKey(scope));
+    if (jsonValue == null) return [];
+    try {
+        return JSON.parse(jsonValue);
+    } catch (e) {
+        console.error('Error parsing sync conflicts JSON:', e);
+        return [];
+    }
+};
+
+/**
+ * Download a book's ledger documents (without their transactions), expenses, categories and tombstones
+ * @param {string} uid - Firebase user id
+ * @param {string} bookId - Book id
+ * @returns {Promise<object>} { ledgers: { [id]: ledger fields }, expenses, categories, tombstones }
+ */
+export const fetchRemoteSummary = async (uid, bookId) => {
+    const bookPath = getBookPath(uid, bookId);
+    const [ledgersSnapshot, expensesSnapshot, categoriesSnapshot, tombstonesSnapshot] = await Promise.all([
+        getDocs(collection(db, ...bookPath, 'ledgers')),
+        getDocs(collection(db, ...bookPath, 'expenses')),
+        getDoc(doc(db, ...bookPath, 'settings', 'categories')),
+        getDocs(collection(db, ...bookPath, 'tombstones')),
+    ]);
+
+    const ledgers = {};
+    ledgersSnapshot.docs.forEach(ledgerDoc => {
+        ledgers[ledgerDoc.id] = fromFirestore('ledger', ledgerDoc.id, ledgerDoc.data());
+    });
+    const expenses = byId(expensesSnapshot.docs.map(expDoc => fromFirestore('expense', expDoc.id, expDoc.data())));
+    const categories = byId(categoriesSnapshot.exists() ? categoriesSnapshot.data().list || [] : []);
+
+    const tombstones = {};
+    tombstonesSnapshot.forEach(tombDoc => {
+        const { key, tombstone } = tombstoneFromFirestore(tombDoc.data());
+        if (key) tombstones[key] = tombstone;
+    });
+
+    return { ledgers, expenses, categories, tombstones };
+};
+
+// Read a subcollection page by page, in document id order; null once isCancelled says so
+const readAllPages = async (ref, { onPage, isCancelled } = {}) => {
+    const docs = [];
+    let last = null;
+    for (;;) {
+        if (isCancelled && isCancelled()) return null;
+        const page = await getDocs(last
+            ? query(ref, orderBy(documentId()), startAfter(last), limit(PAGE_SIZE))
+            : query(ref, orderBy(documentId()), limit(PAGE_SIZE)));
+        docs.push(...page.docs);
+        if (onPage) onPage(page.docs.length);
+        if (page.docs.length < PAGE_SIZE) return docs;
+        last = page.docs[page.docs.length - 1];
+    }
+};
+
+/**
+ * Download one ledger's transactions and audit log, PAGE_SIZE documents per request
+ * @param {string} uid - Firebase user id
+ * @param {string} bookId - Book id
+ * @param {string} ledgerId - Ledger id
+ * @param {object} options - { onPage: called with the number of transactions in each page,
+ *   isCancelled: stops the download when it returns true }
+ * @returns {Promise<object|null>} { transactions: { [id]: transaction }, audit: [entries] }, null if cancelled
+ */
+export const fetchLedgerHistory = async (uid, bookId, ledgerId, { onPage, isCancelled } = {}) => {
+    const ledgerPath = [...getBookPath(uid, bookId), 'ledgers', ledgerId];
+    const transactionDocs = await readAllPages(collection(db, ...ledgerPath, 'transactions'), { onPage, isCancelled });
+    if (!transactionDocs) return null;
+    const auditDocs = await readAllPages(collection(db, ...ledgerPath, 'audit'), { isCancelled });
+    if (!auditDocs) return null;
+
+    const transactions = {};
+    transactionDocs.forEach(txnDoc => {
+        transactions[txnDoc.id] = fromFirestore('transaction', txnDoc.id, txnDoc.data());
+    });
+    return { transactions, audit: auditDocs.map(entryDoc => auditFromFirestore(entryDoc.id, entryDoc.data())) };
+};
+
+/**
+ * Move data written before books existed (directly under users/{uid}) into the default book.
+ * A copy already in the book is only replaced by a newer one. Runs once per account.
+ * @param {string} uid - Firebase user id
+ * @returns {Promise<void>}
+ */
+const moveLegacyCloudData = async (uid) => {
+    const legacy = await collectDocs(['users', uid], BOOK_DATA_TREE);
+    if (legacy.length > 0) {
+        const bookPath = getBookPath(uid, DEFAULT_BOOK_ID);
+        const existing = {};
+        (await collectDocs(bookPath, BOOK_DATA_TREE)).forEach(({ path, snapshot }) => {
+            existing[path.slice(bookPath.length).join('/')] = snapshot.data();
+        });
+
+        // Every document takes two writes: the copy and the delete
+        const perBatch = BATCH_LIMIT / 2;
+        for (let start = 0; start < legacy.length; start += perBatch) {
+            const batch = writeBatch(db);
+            legacy.slice(start, start + perBatch).forEach(({ path, snapshot }) => {
+                const relative = path.slice(2);
+                const data = snapshot.data();
+                const current = existing[relative.join('/')];
+                if (!current || (data.updatedAt || '') > (current.updatedAt || '')) {
+                    batch.set(doc(db, ...bookPath, ...relative), data);
+                }
+                batch.delete(snapshot.ref);
+            });
+            await batch.commit();
+        }
+    }
+    await updateBackupSettings({ legacyCloudMoved: true });
+};
+
+const isBlank = (value) => value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Copy the fields `target` leaves blank from `source`; returns whether any was copied
+const fillBlankFields = (target, source) => {
+    let filled = false;
+    Object.entries(source || {}).forEach(([field, value]) => {
+        if (field !== 'updatedAt' && isBlank(target[field]) && !isBlank(value)) {
+            target[field] = value;
+            filled = true;
+        }
+    });
+    return filled;
+};
+
+/**
+ * Fold the profile older builds kept at users/{uid}/settings/profile into the default book's
+ * profile, as schema migration v4 flags it for. The legacy copy is stale, so it only fills
+ * fields that neither this phone's profile nor profile/info has set.
+ * Another device may already have moved it into the book (moveLegacyCloudData).
+ * @param {string} uid - Firebase user id
+ * @returns {Promise<void>}
+ */
+const foldLegacyProfile = async (uid) => {
+    const bookPath = getBookPath(uid, DEFAULT_BOOK_ID);
+    let snapshot = await getDoc(doc(db, 'users', uid, 'settings', 'profile'));
+    if (!snapshot.exists()) snapshot = await getDoc(doc(db, ...bookPath, 'settings', 'profile'));
+
+    if (snapshot.exists()) {
+        const cloudProfile = await getDoc(doc(db, ...bookPath, 'profile', 'info'));
+        const scope = getBookScope(uid, DEFAULT_BOOK_ID);
+        const merged = await enqueueWrite(async () => {
+            const profile = { ...await readProfile(scope) };
+            if (cloudProfile.exists()) fillBlankFields(profile, cloudProfile.data());
+            if (!fillBlankFields(profile, snapshot.data())) return null;
+            profile.upiIds = Array.isArray(profile.upiIds) ? profile.upiIds : [];
+            await writeProfile(scope, profile);
+            return profile;
+        });
+        if (merged) {
+            await queueSyncOp({
+                kind: 'upsertProfile',
+                payload: { ...merged, updatedAt: new Date().toISOString() },
+                bookId: DEFAULT_BOOK_ID
+            });
+        }
+    }
+    await updateBackupSettings({ legacyProfilePending: false });
+};
+
+/**
+ * Merge the account's books with users/{uid}/books; the newer copy of each book wins.
+ * Data written before books existed is moved into the default book first.
+ * @param {string} uid - Firebase user id
+ * @param {boolean} upload - Queue the books the cloud is missing or has an older copy of
+ * @returns {Promise<void>}
+ */
+export const syncBooks = async (uid, upload) => {
+    const settings = await getBackupSettings();
+    if (settings.legacyProfilePending) await foldLegacyProfile(uid);
+    if (!settings.legacyCloudMoved) await moveLegacyCloudData(uid);
+
+    const remote = {};
+    const snapshot = await getDocs(collection(db, 'users', uid, 'books'));
+    snapshot.forEach(bookDoc => { remote[bookDoc.id] = { ...bookDoc.data(), id: bookDoc.id }; });
+    const isNewer = (a, b) => (a.updatedAt || '') > (b.updatedAt || '');
+
+    const outdated = await enqueueWrite(async () => {
+        const local = await readBooks(uid);
+        const known = new Set(local.map(book => book.id));
+        const merged = [
+            ...local.map(book => (remote[book.id] && isNewer(remote[book.id], book) ? { ...book, ...remote[book.id] } : book)),
+            ...Object.values(remote).filter(book => !known.has(book.id)),
+        ];
+        await writeBooks(uid, merged);
+        return merged.filter(book => !remote[book.id] || isNewer(book, remote[book.id]));
+    });
+
+    if (upload) {
+        for (const book of outdated) {
+            await queueSyncOp({ kind: 'upsertBook', targetId: book.id, payload: book, bookId: book.id });
+        }
+    }
+};
+
+// Keep the local category order, then append categories that only exist in the cloud
+const orderCategories = (localList, remoteMap, merged) => {
+    const ordered = localList.filter(c => merged[c.id]).map(c => merged[c.id]);
+    const seen = new Set(ordered.map(c => c.id));
+    Object.keys(remoteMap).forEach(id => {
+        if (merged[id] && !seen.has(id)) ordered.push(merged[id]);
+    });
+    return ordered;
+};
+
+/**
+ * Upload the records a merge picked for the cloud: only the dirty ones, read fresh from local
+ * storage, in writeBatch commits of up to BATCH_LIMIT documents. Each commit marks its records
+ * synced, so an interrupted upload resumes with the rest on the next sync.
+ * @param {string} uid - Firebase user id
+ * @param {string} bookId - Book id
+ * @param {object} picked - { ledgerIds, expenseIds, categories (list or null), audit, skipKeys (conflicted record keys) }
+ * @param {Function} onProgress - Called with { stage: 'upload', uploaded, total } in documents
+ * @returns {Promise<number>} Documents written
+ */
+const uploadRecords = async (uid, bookId, { ledgerIds, expenseIds, categories, audit, skipKeys }, onProgress) => {
+    const scope = getBookScope(uid, bookId);
+    const bookPath = getBookPath(uid, bookId);
+    const now = new Date().toISOString();
+    const wanted = (record, key) => isDirty(record) && !skipKeys.has(key);
+    const writes = [];
+
+    const ledgers = await readLedgers(scope, ledgerIds);
+    Object.values(ledgers).forEach(ledger => {
+        // Path: users/{uid}/books/{bookId}/ledgers/{ledgerId}
+        const ledgerRef = doc(db, ...bookPath, 'ledgers', ledger.id);
+        if (wanted(ledger, getRecordKey('ledger', ledger.id))) {
+            writes.push({
+                ref: ledgerRef,
+                data: toFirestore('ledger', { ...ledger, updatedAt: ledger.updatedAt || now }),
+                pushed: { kind: 'ledger', id: ledger.id, updatedAt: ledger.updatedAt },
+            });
+        } else {
+            // The balance is derived from transactions and may still have moved
+            writes.push({ ref: ledgerRef, data: { balance: ledger.balance, moneyUnit: MONEY_UNIT }, merge: true });
+        }
+        ledger.transactions
+            .filter(t => wanted(t, getRecordKey('transaction', t.id, ledger.id)))
+            .forEach(t => writes.push({
+                ref: doc(db, ...bookPath, 'ledgers', ledger.id, 'transactions', t.id),
+                data: toFirestore('transaction', t),
+                pushed: { kind: 'transaction', id: t.id, ledgerId: ledger.id, updatedAt: t.updatedAt },
+            }));
+    });
+
+    const expenseIdSet = new Set(expenseIds);
+    (await getExpenses(scope))
+        .filter(e => expenseIdSet.has(e.id) && wanted(e, getRecordKey('expense', e.id)))
+        .forEach(e => writes.push({
+            ref: doc(db, ...bookPath, 'expenses', e.id),
+            data: toFirestore('expense', { ...e, updatedAt: e.updatedAt || now }),
+            pushed: { kind: 'expense', id: e.id, updatedAt: e.updatedAt },
+        }));
+
+    if (categories) {
+        writes.push({ ref: doc(db, ...bookPath, 'settings', 'categories'), data: { list: categories, updatedAt: now } });
+    }
+    // Audit entries never change once written
+    audit.forEach(entry => writes.push({
+        ref: doc(db, ...bookPath, 'ledgers', entry.ledgerId, 'audit', entry.id),
+        data: auditToFirestore(entry),
+    }));
+
+    const total = writes.length;
+    if (onProgress) onProgress({ stage: 'upload', uploaded: 0, total });
+    for (let start = 0; start < total; start += BATCH_LIMIT) {
+        const chunk = writes.slice(start, start + BATCH_LIMIT);
+        const batch = writeBatch(db);
+        chunk.forEach(({ ref, data, merge }) => {
+            if (merge) batch.set(ref, data, { merge: true });
+            else batch.set(ref, data);
+        });
+        await batch.commit();
+        await markRecordsPushed(scope, chunk.filter(w => w.pushed && w.pushed.updatedAt).map(w => w.pushed));
+        if (onProgress) onProgress({ stage: 'upload', uploaded: start + chunk.length, total });
+    }
+    return total;
+};
+
+// Tombstones of the ledgers (and their transactions) whose id passes the test
+const pickLedgerTombstones = (tombstones, test) => {
+    const picked = {};
+    Object.entries(tombstones).forEach(([key, tomb]) => {
+        const ledgerId = tomb.kind === 'ledger' ? tomb.id : tomb.kind === 'transaction' ? tomb.ledgerId : null;
+        if (ledgerId && test(ledgerId)) picked[key] = tomb;
+    });
+    return picked;
+};
+
+/**
+ * Merge one ledger downloaded from the cloud (with all its transactions) into local storage
+ * @param {string} scope - Book scope
+ * @param {object} remoteLedger - Ledger fields and transactions
+ * @param {Array<object>} remoteAudit - The ledger's audit entries in the cloud
+ * @param {object} remoteTombstones - The book's tombstones in the cloud
+ * @returns {Promise<object>} mergeLedgers result for the ledger, plus uploadAudit (entries the cloud lacks)
+ */
+const mergeCloudLedger = (scope, remoteLedger, remoteAudit, remoteTombstones) => enqueueWrite(async () => {
+    const ledgerId = remoteLedger.id;
+    const isThisLedger = (id) => id === ledgerId;
+    const index = await ensureLedgerLayout(scope);
+    const local = index.includes(ledgerId) ? await readLedgers(scope, [ledgerId]) : {};
+    const localTombstones = await readTombstones(scope);
+
+    const result = mergeLedgers({
+        local,
+        remote: { [ledgerId]: remoteLedger },
+        localTombstones: pickLedgerTombstones(localTombstones, isThisLedger),
+        remoteTombstones: pickLedgerTombstones(remoteTombstones, isThisLedger),
+    });
+    const ledger = result.ledgers[ledgerId];
+    if (ledger) {
+        await writeLedger(scope, ledger, index);
+    } else if (local[ledgerId]) {
+        await removeLedger(scope, ledgerId, index);
+    }
+    if (Object.keys(result.tombstones).length > 0) {
+        await writeTombstones(scope, { ...localTombstones, ...result.tombstones });
+    }
+
+    // Audit logs are append-only: take the union and upload what the cloud lacks
+    const uploadAudit = [];
+    if (ledger) {
+        const remoteIds = new Set(remoteAudit.map(e => e.id));
+        uploadAudit.push(...(await readAuditLog(scope, ledgerId)).filter(e => !remoteIds.has(e.id)));
+        await appendAuditEntries(scope, ledgerId, remoteAudit);
+    }
+    return { ...result, uploadAudit };
+});
+
+/**
+ * Merge the cloud copy into local storage and upload the local changes the cloud is missing
+ * @param {object} options - { upload: push local winners and deletions (defaults to the auto-backup setting),
+ *   onProgress: called with { stage: 'download', ledgers, total (null until known) } as ledgers are merged,
+ *   then { stage: 'upload', uploaded, total } }
+ * @returns {Promise<object>} { success, conflicts, uploaded, error? }
+ */
+export const syncWithCloud = async ({ upload, onProgress } = {}) => {
+    const user = auth.currentUser;
+    if (!user) return { success: false, conflicts: 0, error: 'Not signed in' };
+    // Switching books mid-sync must not mix them up
+    const bookId = getActiveBookId();
+    const scope = getBookScope(user.uid, bookId);
+
+    try {
+        const settings = await getBackupSettings();
+        const shouldUpload = upload !== undefined ? upload : settings.autoBackup;
+        await syncBooks(user.uid, shouldUpload);
+
+        // Network first, outside the queue, so local saves are never blocked on Firestore
+        if (onProgress) onProgress({ stage: 'download', ledgers: 0, total: null });
+        const remote = await fetchRemoteSummary(user.uid, bookId);
+        const remoteLedgerIds = Object.keys(remote.ledgers);
+        const isLocalOnly = (ledgerId) => !remote.ledgers[ledgerId];
+
+        // 1. Expenses, categories, tombstones and the ledgers the cloud does not have
+        const bookResult = await enqueueWrite(async () => {
+            let index = await ensureLedgerLayout(scope);
+            const localTombstones = await readTombstones(scope);
+            const localOnly = await readLedgers(scope, index.filter(isLocalOnly));
+            const localExpenses = await getExpenses(scope);
+            const localCategories = await getCategories(scope);
+
+            const ledgerResult = mergeLedgers({
+                local: localOnly,
+                localTombstones: pickLedgerTombstones(localTombstones, isLocalOnly),
+                remoteTombstones: pickLedgerTombstones(remote.tombstones, isLocalOnly),
+            });
+            const expenseResult = mergeCollection({
+                kind: 'expense',
+                local: byId(localExpenses),
+                remote: remote.expenses,
+                localTombstones,
+                remoteTombstones: remote.tombstones,
+            });
+            const categoryResult = mergeCollection({
+                kind: 'category',
+                local: byId(localCategories),
+                remote: remote.categories,
+                localTombstones,
+                remoteTombstones: remote.tombstones,
+            });
+
+            const expenses = Object.values(expenseResult.merged)
+                .sort((a, b) => new Date(b.date) - new Date(a.date));
+            const categories = orderCategories(localCategories, remote.categories, categoryResult.merged);
+
+            for (const ledgerId of Object.keys(localOnly)) {
+                index = ledgerResult.ledgers[ledgerId]
+                    ? await writeLedger(scope, ledgerResult.ledgers[ledgerId], index)
+                    : await removeLedger(scope, ledgerId, index);
+            }
+            await writeExpenses(scope, expenses);
+            await writeCategories(scope, categories);
+            await writeTombstones(scope, {
+                ...localTombstones,
+                ...remote.tombstones,
+                ...ledgerResult.tombstones,
+                ...expenseResult.tombstones,
+                ...categoryResult.tombstones,
+            });
+
+            // The cloud has no audit entries for these ledgers
+            const uploadAudit = [];
+            for (const ledgerId of Object.keys(ledgerResult.ledgers)) {
+                uploadAudit.push(...await readAuditLog(scope, ledgerId));
+            }
+
+            return {
+                uploadLedgerIds: ledgerResult.uploadLedgerIds,
+                deleteRemote: expenseResult.deleteRemote.map(id => `expense:${id}`),
+                uploadExpenses: expenseResult.upload,
+                uploadCategories: categoryResult.upload.length > 0 || categoryResult.deleteRemote.length > 0,
+                uploadAudit,
+                categories,
+                conflicts: [...ledgerResult.conflicts, ...expenseResult.conflicts, ...categoryResult.conflicts],
+            };
+        });
+        emitDataChange({ kind: 'all', bookId });
+
+        // 2. The ledgers in the cloud, each merged as soon as its history has been read
+        let downloaded = 0;
+        const ledgerResults = await mapWithLimit(remoteLedgerIds, FETCH_PARALLEL, async (ledgerId) => {
+            const history = await fetchLedgerHistory(user.uid, bookId, ledgerId);
+            const ledgerResult = await mergeCloudLedger(scope, {
+                ...remote.ledgers[ledgerId],
+                transactions: Object.values(history.transactions),
+            }, history.audit, remote.tombstones);
+            emitDataChange({ kind: 'ledgers', ledgerIds: [ledgerId], bookId });
+            downloaded += 1;
+            if (onProgress) onProgress({ stage: 'download', ledgers: downloaded, total: remoteLedgerIds.length });
+            return ledgerResult;
+        });
+
+        const result = {
+            ...bookResult,
+            uploadLedgerIds: [...bookResult.uploadLedgerIds, ...ledgerResults.flatMap(r => r.uploadLedgerIds)],
+            deleteRemote: [...ledgerResults.flatMap(r => r.deleteRemote), ...bookResult.deleteRemote],
+            uploadAudit: [...bookResult.uploadAudit, ...ledgerResults.flatMap(r => r.uploadAudit)],
+            conflicts: [...ledgerResults.flatMap(r => r.conflicts), ...bookResult.conflicts],
+        };
+        const tombstones = await enqueueWrite(async () => {
+            await storageBackend.setItem(getSyncConflictsKey(scope), JSON.stringify(result.conflicts));
+            return readTombstones(scope);
+        });
+
+        // Pulling alone never writes to the cloud unless the user opted into backups
+        let uploaded = 0;
+        if (shouldUpload) {
+            for (const recordKey of result.deleteRemote) {
+                const tombstone = { key: recordKey, ...tombstones[recordKey] };
+                if (tombstone.kind === 'ledger') {
+                    await queueSyncOp({ kind: 'deleteLedger', targetId: tombstone.id, payload: tombstone, bookId });
+                } else if (tombstone.kind === 'transaction') {
+                    await queueSyncOp({ kind: 'deleteTransaction', targetId: `${tombstone.ledgerId}/${tombstone.id}`, payload: tombstone, bookId });
+                } else if (tombstone.kind === 'expense') {
+                    await queueSyncOp({ kind: 'deleteExpense', targetId: tombstone.id, payload: tombstone, bookId });
+                }
+            }
+            uploaded = await uploadRecords(user.uid, bookId, {
+                ledgerIds: result.uploadLedgerIds,
+                expenseIds: result.uploadExpenses.map(e => e.id),
+                categories: result.uploadCategories ? result.categories : null,
+                audit: result.uploadAudit,
+                skipKeys: new Set(result.conflicts.map(c => c.key)),
+            }, onProgress);
+        }
+
+        await updateBackupSettings({ lastSync: new Date().toISOString() });
+        return { success: true, conflicts: result.conflicts.length, uploaded };
+    } catch (error) {
+        console.error('Error syncing with cloud:', error);
+        return { success: false, conflicts: 0, uploaded: 0, error: error.message || String(error) };
+    }
+};
+
+// Merge only the records with these ids (and their tombstones); everything else stays as it is
+const mergeSome = ({ kind, ids, local, remote, localTombstones, remoteTombstones, ledgerId = null }) => {
+    const pick = (map, keyOf) => {
+        const picked = {};
+        ids.forEach(id => {
+            const key = keyOf(id);
+            if (map[key]) picked[key] = map[key];
+        });
+        return picked;
+    };
+    const recordKey = (id) => getRecordKey(kind, id, ledgerId);
+    return mergeCollection({
+        kind,
+        ledgerId,
+        local: pick(local, id => id),
+        remote: pick(remote, id => id),
+        localTombstones: pick(localTombstones, recordKey),
+        remoteTombstones: pick(remoteTombstones, recordKey),
+    });
+};
+
+/**
+ * Merge cloud documents that changed (seen by liveSync.js) into local storage, record by record,
+ * with the same rules as syncWithCloud. Records not named here are left alone. Nothing is uploaded:
+ * local changes are already on their way through the outbox.
+ * @param {string} uid - Firebase user id
+ * @param {string} bookId - Book the documents belong to
+ * @param {object} changes - { ledgers: { [id]: ledger fields }, transactions: { [ledgerId]: { [id]: transaction } },
+ *   expenses: { [id]: expense }, categories: { [id]: category } (the whole list) or null,
+ *   tombstones: { [recordKey]: tombstone } }
+ * @returns {Promise<object>} { ledgerIds, expenses, categories, conflicts } - what changed locally
+ */
+export const applyRemoteChanges = async (uid, bookId, changes) => {
+    const scope = getBookScope(uid, bookId);
+    const remoteLedgers = changes.ledgers || {};
+    const remoteTransactions = changes.transactions || {};
+    const remoteExpenses = changes.expenses || {};
+    const remoteCategories = changes.categories || null;
+    const remoteTombstones = changes.tombstones || {};
+    const tombstoned = Object.values(remoteTombstones);
+    const tombstonedIds = (kind, ledgerId = null) => tombstoned
+        .filter(t => t.kind === kind && (kind !== 'transaction' || t.ledgerId === ledgerId))
+        .map(t => t.id);
+
+    const result = await enqueueWrite(async () => {
+        const localTombstones = await readTombstones(scope);
+        const merge = (params) => mergeSome({ ...params, localTombstones, remoteTombstones });
+        const conflicts = [];
+        const tombstones = {};
+        const changed = { ledgerIds: [], expenses: false, categories: false };
+
+        const ledgerIds = new Set([
+            ...Object.keys(remoteLedgers),
+            ...Object.keys(remoteTransactions),
+            ...tombstonedIds('ledger'),
+            ...tombstoned.filter(t => t.kind === 'transaction').map(t => t.ledgerId),
+        ]);
+        let index = await ensureLedgerLayout(scope);
+        const localLedgers = await readLedgers(scope, [...ledgerIds].filter(id => index.includes(id)));
+        for (const ledgerId of ledgerIds) {
+            let ledger = localLedgers[ledgerId] || null;
+            if (remoteLedgers[ledgerId] || remoteTombstones[getRecordKey('ledger', ledgerId)]) {
+                const ledgerResult = merge({
+                    kind: 'ledger',
+                    ids: [ledgerId],
+                    local: ledger ? { [ledgerId]: ledger } : {},
+                    remote: remoteLedgers,
+                });
+                conflicts.push(...ledgerResult.conflicts);
+                Object.assign(tombstones, ledgerResult.tombstones);
+                const kept = ledgerResult.merged[ledgerId];
+                if (!kept) {
+                    if (ledger) {
+                        index = await removeLedger(scope, ledgerId, index);
+                        changed.ledgerIds.push(ledgerId);
+                    }
+                    continue;
+                }
+                // The ledger document carries no transactions; they have their own listener
+                ledger = { ...kept, transactions: ledger ? ledger.transactions : [] };
+            }
+            // Transactions of a customer this phone does not have yet wait for the ledger document
+            if (!ledger) continue;
+
+            const transactionIds = new Set([
+                ...Object.keys(remoteTransactions[ledgerId] || {}),
+                ...tombstonedIds('transaction', ledgerId),
+            ]);
+            if (transactionIds.size > 0) {
+                const transactionResult = merge({
+                    kind: 'transaction',
+                    ids: [...transactionIds],
+                    local: byId(ledger.transactions),
+                    remote: remoteTransactions[ledgerId] || {},
+                    ledgerId,
+                });
+                conflicts.push(...transactionResult.conflicts.map(c => ({ ...c, currency: ledger.currency })));
+                Object.assign(tombstones, transactionResult.tombstones);
+                ledger = {
+                    ...ledger,
+                    transactions: [
+                        ...ledger.transactions.filter(t => !transactionIds.has(t.id)),
+                        ...Object.values(transactionResult.merged),
+                    ],
+                };
+            }
+            // A customer new to this phone keeps the cloud's balance until its transactions arrive
+            const waitingForTransactions = !localLedgers[ledgerId] && ledger.transactions.length === 0;
+            index = await writeLedger(scope, waitingForTransactions ? ledger : recomputeLedger(ledger), index);
+            changed.ledgerIds.push(ledgerId);
+        }
+
+        const expenseIds = [...Object.keys(remoteExpenses), ...tombstonedIds('expense')];
+        if (expenseIds.length > 0) {
+            const localExpenses = await getExpenses(scope);
+            const expenseResult = merge({ kind: 'expense', ids: expenseIds, local: byId(localExpenses), remote: remoteExpenses });
+            conflicts.push(...expenseResult.conflicts);
+            Object.assign(tombstones, expenseResult.tombstones);
+            const touched = new Set(expenseIds);
+            const expenses = [...localExpenses.filter(e => !touched.has(e.id)), ...Object.values(expenseResult.merged)]
+                .sort((a, b) => new Date(b.date) - new Date(a.date));
+            await writeExpenses(scope, expenses);
+            changed.expenses = true;
+        }
+
+        const categoryIds = [...Object.keys(remoteCategories || {}), ...tombstonedIds('category')];
+        if (categoryIds.length > 0) {
+            const localCategories = await getCategories(scope);
+            const categoryResult = merge({ kind: 'category', ids: categoryIds, local: byId(localCategories), remote: remoteCategories || {} });
+            conflicts.push(...categoryResult.conflicts);
+            Object.assign(tombstones, categoryResult.tombstones);
+            const merged = byId(localCategories);
+            categoryIds.forEach(id => { delete merged[id]; });
+            Object.assign(merged, categoryResult.merged);
+            const categories = orderCategories(localCategories, remoteCategories || {}, merged);
+            await writeCategories(scope, categories);
+            changed.categories = true;
+        }
+
+        if (tombstoned.length > 0) {
+            await writeTombstones(scope, { ...localTombstones, ...remoteTombstones, ...tombstones });
+        }
+        if (conflicts.length > 0) {
+            const keys = new Set(conflicts.map(c => c.key));
+            const stored = (await readConflicts(scope)).filter(c => !keys.has(c.key));
+            await storageBackend.setItem(getSyncConflictsKey(scope), JSON.stringify([...stored, ...conflicts]));
+        }
+        return { ...changed, conflicts: conflicts.length };
+    });
+
+    if (result.ledgerIds.length > 0) emitDataChange({ kind: 'ledgers', ledgerIds: result.ledgerIds, bookId });
+    if (result.expenses) emitDataChange({ kind: 'expenses', bookId });
+    if (result.categories) emitDataChange({ kind: 'categories', bookId });
+    return result;
+};
+
+/**
+ * Records that changed on this phone and in the cloud since the last sync
+ * @returns {Promise<Array<object>>} [{ key, kind, id, ledgerId, local, remote }]
+ */
+export const getSyncConflicts = async () => {
+    const user = auth.currentUser;
+    if (!user) return [];
+    return readConflicts(getBookScope(user.uid, getActiveBookId()));
+};
+
+/**
+ * Settle one conflict by keeping this phone's or the cloud's version
+ * @param {object} conflict - Entry from getSyncConflicts
+ * @param {string} choice - 'local' | 'remote'
+ * @returns {Promise<boolean>} Success status
+ */
+export const resolveSyncConflict = async (conflict, choice) => {
+    const user = auth.currentUser;
+    if (!user) return false;
+    const bookId = getActiveBookId();
+    const scope = getBookScope(user.uid, bookId);
+
+    try {
+        const { kind, id, ledgerId, local, remote } = conflict;
+        // Either way the resolved record now descends from the cloud version
+        const record = choice === 'local'
+            ? { ...local, updatedAt: new Date().toISOString(), deviceId: await getDeviceId(), syncBase: remote.updatedAt || null }
+            : { ...remote, syncBase: remote.updatedAt || null };
+
+        const upload = await enqueueWrite(async () => {
+            let op = null;
+            if (kind === 'ledger' || kind === 'transaction') {
+                const index = await ensureLedgerLayout(scope);
+                const targetId = kind === 'ledger' ? id : ledgerId;
+                const ledger = (await readLedgers(scope, [targetId]))[targetId];
+                if (ledger) {
+                    const { transactions: _transactions, ...fields } = record;
+                    const updated = recomputeLedger(kind === 'ledger'
+                        ? { ...fields, transactions: ledger.transactions }
+                        : { ...ledger, transactions: ledger.transactions.map(t => t.id === id ? record : t) });
+                    await writeLedger(scope, updated, index);
+                    op = { kind: 'upsertLedger', targetId: updated.id, payload: updated };
+                }
+            } else if (kind === 'expense') {
+                const expenses = (await getExpenses(scope)).map(e => e.id === id ? record : e);
+                await writeExpenses(scope, expenses);
+                op = { kind: 'upsertExpense', targetId: id, payload: record };
+            } else if (kind === 'category') {
+                const categories = (await getCategories(scope)).map(c => c.id === id ? record : c);
+                await writeCategories(scope, categories);
+                op = { kind: 'upsertCategories', payload: categories };
+            }
+
+            const remaining = (await readConflicts(scope)).filter(c => c.key !== conflict.key);
+            await storageBackend.setItem(getSyncConflictsKey(scope), JSON.stringify(remaining));
+            return op;
+        });
+        emitDataChange({ kind: 'all', bookId });
+
+        // The cloud already holds the remote version; only a kept local copy needs pushing
+        if (choice === 'local' && upload) {
+            await queueSyncOp({ ...upload, bookId });
+        }
+        return true;
+    } catch (error) {
+        console.error('Error resolving sync conflict:', error);
+        return false;
+    }
+};
@@ -0,0 +1,93 @@
+// Crypto - Small helpers over @noble for the PIN hash (pinLock.js) and encrypted storage
+// (encryption.js)
+//
+// Everything runs in JavaScript: Hermes has no WebCrypto, and expo-crypto only provides the
+// random bytes. Binary values are stored as base64 strings.
+
+import { gcm } from '@noble/ciphers/aes';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { getRandomBytes } from 'expo-crypto';
+
+// PBKDF2 runs in JavaScript; this takes a few seconds on a mid-range phone
+const KDF_ITERATIONS = 50000;
+export const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const NONCE_BYTES = 12;
+
+// Hermes has btoa/atob but not always TextDecoder, so bytes go through binary strings
+const BINARY_CHUNK = 0x8000;
+
+const bytesToBinary = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += BINARY_CHUNK) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BINARY_CHUNK));
+    }
+    return binary;
+};
+
+const binaryToBytes = (binary) => {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+};
+
+export const toBase64 = (bytes) => btoa(bytesToBinary(bytes));
+export const fromBase64 = (text) => binaryToBytes(atob(text));
+export const utf8ToBytes = (text) => binaryToBytes(unescape(encodeURIComponent(text)));
+export const bytesToUtf8 = (bytes) => decodeURIComponent(escape(bytesToBinary(bytes)));
+
+/**
+ * Compare two byte arrays in time that does not depend on where they differ
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+export const equalBytes = (a, b) => {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+};
+
+/**
+ * Encrypt with AES-256-GCM under a random nonce
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Uint8Array} bytes - Plaintext
+ * @param {Uint8Array} associatedData - Authenticated but not encrypted (what the value belongs to)
+ * @returns {string} base64 of nonce + ciphertext
+ */
+export const seal = (key, bytes, associatedData) => {
+    const nonce = getRandomBytes(NONCE_BYTES);
+    const sealed = gcm(key, nonce, associatedData).encrypt(bytes);
+    const out = new Uint8Array(NONCE_BYTES + sealed.length);
+    out.set(nonce);
+    out.set(sealed, NONCE_BYTES);
+    return toBase64(out);
+};
+
+/**
+ * Decrypt a value from seal; throws if the key is wrong or the value was changed
+ * @param {Uint8Array} key - 32-byte key
+ * @param {string} text - Output of seal
+ * @param {Uint8Array} associatedData - Same as given to seal
+ * @returns {Uint8Array} Plaintext
+ */
+export const open = (key, text, associatedData) => {
+    const bytes = fromBase64(text);
+    return gcm(key, bytes.subarray(0, NONCE_BYTES), associatedData).decrypt(bytes.subarray(NONCE_BYTES));
+};
+
+/**
+ * New key derivation settings with a random salt
+ * @returns {object} { name, iterations, salt (base64) }
+ */
+export const newKdf = () => ({ name: 'pbkdf2-sha256', iterations: KDF_ITERATIONS, salt: toBase64(getRandomBytes(SALT_BYTES)) });
+
+/**
+ * Derive a 32-byte key from a PIN (PBKDF2-SHA256)
+ * @param {string} pin - PIN
+ * @param {object} kdf - Settings from newKdf
+ * @returns {Promise<Uint8Array>}
+ */
+export const derivePINKey = (pin, kdf) => pbkdf2Async(sha256, pin, fromBase64(kdf.salt), { c: kdf.iterations, dkLen: KEY_BYTES });
@@ -0,0 +1,33 @@
+// Data Events - Tells the app-wide data store (context/DataContext.js) what changed
+//
+// Writers emit after their write has landed:
+//   { kind: 'ledgers', ledgerIds }  - these ledgers were saved or removed (all ledgers if omitted)
+//   { kind: 'expenses' } / { kind: 'categories' }
+//   { kind: 'all' }                 - anything may have changed (sync, merge, restore)
+// `bookId` limits a change to one book; without it the change is for the open book.
+
+const listeners = new Set();
+
+/**
+ * Announce a change to local data
+ * @param {object} change - See above
+ */
+export const emitDataChange = (change) => {
+    listeners.forEach(listener => {
+        try {
+            listener(change);
+        } catch (error) {
+            console.error('Data change listener failed:', error);
+        }
+    });
+};
+
+/**
+ * Subscribe to local data changes
+ * @param {Function} listener - Called with each change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeDataChanges = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
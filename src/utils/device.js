@@ -0,0 +1,32 @@
+// Device Identity - Stable per-install id used to tag synced records
+
+import storageBackend from './storageBackend';
+import { generateId } from './calculations';
+
+const DEVICE_ID_KEY = 'mazkhat_device_id';
+
+let cachedDeviceId = null;
+
+/**
+ * Get this install's device id, creating it on first use
+ * @returns {Promise<string>} Device id
+ */
+export const getDeviceId = async () => {
+    if (cachedDeviceId) return cachedDeviceId;
+    try {
+        const stored = await storageBackend.getItem(DEVICE_ID_KEY);
+        if (stored) {
+            cachedDeviceId = stored;
+            return stored;
+        }
+        const created = `device-${generateId()}`;
+        await storageBackend.setItem(DEVICE_ID_KEY, created);
+        cachedDeviceId = created;
+        return created;
+    } catch (error) {
+        console.error('Error reading device id:', error);
+        // Still tag records consistently for this session
+        cachedDeviceId = cachedDeviceId || `device-${generateId()}`;
+        return cachedDeviceId;
+    }
+};
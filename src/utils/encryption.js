@@ -0,0 +1,385 @@
+// Encryption - Optional at-rest encryption of an account's records with a PIN-derived key
+//
+// Once turned on, every record of the account (keys in its scope, see belongsToScope) is
+// stored as `enc:<keyId>:<base64 of nonce + AES-256-GCM ciphertext>`, with the storage key
+// as associated data so a value cannot be moved under another key. Records are encrypted
+// with a random data key; the account's keyring (`keyring_<uid>`, stored readable) holds that
+// key wrapped twice:
+//   pin      - with a key derived from the PIN (derivePINKey in crypto.js, random salt)
+//   recovery - with a random secret of its own, kept in Firestore at users/{uid}/keys/{keyId},
+//              which the account reads after signing in again with its password
+//              (recoverEncryption)
+// New secrets are only ever created, so the Firestore rules can allow reading them only after a
+// recent sign-in (see README) without getting in the way of turning encryption on or changing
+// the PIN; otherwise the auth session saved on the phone would be enough to read them.
+// A 4-digit PIN has only 10,000 values: the slow KDF makes every guess cost time, it does
+// not make the PIN strong.
+//
+// PINScreen unlocks the keys into memory. Until then, reading an encrypted value or writing
+// one of the account's records fails with code 'storage/locked', so a locked phone can never
+// overwrite data it could not read.
+//
+// Turning encryption on or off and changing the PIN rewrite every record of the account
+// (`pending` in the keyring); a PIN change also moves the records to a new data key. A rewrite
+// cut short is finished by the next unlock, and records written meanwhile already take their
+// final form.
+
+import { getRandomBytes } from 'expo-crypto';
+import { doc, getDoc, setDoc, deleteDoc } from 'firebase/firestore';
+import { EmailAuthProvider, reauthenticateWithCredential } from 'firebase/auth';
+import NetInfo from '@react-native-community/netinfo';
+import { db, auth } from '../../firebase';
+import storageBackend, { setValueCodec } from './storageBackend';
+import { enqueueWrite } from './writeQueue';
+import { belongsToScope } from './migrations';
+import { generateId } from './calculations';
+import { KEY_BYTES, toBase64, fromBase64, utf8ToBytes, bytesToUtf8, seal, open, newKdf, derivePINKey } from './crypto';
+import { LOCK_KEY_NAMES } from './pinLock';
+
+const KEYRING_NAME = 'keyring';
+const VALUE_PREFIX = 'enc:';
+const REWRITE_BATCH_SIZE = 100;
+
+// Records that must stay readable while the account is locked
+const PLAIN_KEY_NAMES = new Set([KEYRING_NAME, ...LOCK_KEY_NAMES]);
+
+// uid -> keyring, read on first use
+let keyringsLoad = null;
+// keyId -> unlocked data key
+const dataKeys = new Map();
+
+/**
+ * Storage key of an account's keyring (kept by clearAllData, which does not turn encryption off)
+ * @param {string} uid - Firebase user id
+ * @returns {string}
+ */
+export const getKeyringKey = (uid) => `${KEYRING_NAME}_${uid}`;
+
+const isPlainKey = (key) => PLAIN_KEY_NAMES.has(key.slice(0, key.indexOf('_')));
+
+const lockedError = () => {
+    const error = new Error('Local data is locked. Unlock the app with your PIN.');
+    error.code = 'storage/locked';
+    return error;
+};
+
+// Unwrap every data key of a keyring with the PIN key, or with each key's recovery secret
+const unwrapKeys = (keyring, slot, getWrappingKey) => {
+    const keys = new Map();
+    Object.entries(keyring.keys).forEach(([keyId, wrapped]) => {
+        keys.set(keyId, open(getWrappingKey(keyId), wrapped[slot], utf8ToBytes(keyId)));
+    });
+    return keys;
+};
+
+const readKeyrings = async (backend) => {
+    const keys = (await backend.getAllKeys()).filter(key => key.startsWith(`${KEYRING_NAME}_`));
+    const keyrings = new Map();
+    (await backend.multiGet(keys)).forEach(([key, value]) => {
+        if (value) keyrings.set(key.slice(KEYRING_NAME.length + 1), JSON.parse(value));
+    });
+    return keyrings;
+};
+
+const loadKeyrings = (backend = storageBackend) => {
+    if (!keyringsLoad) {
+        keyringsLoad = readKeyrings(backend);
+        // A failed read is retried on the next use
+        keyringsLoad.catch(() => { keyringsLoad = null; });
+    }
+    return keyringsLoad;
+};
+
+const getKeyring = async (uid) => (await loadKeyrings()).get(uid) || null;
+
+const saveKeyring = async (uid, keyring) => {
+    const keyrings = await loadKeyrings();
+    if (keyring) {
+        await storageBackend.setItem(getKeyringKey(uid), JSON.stringify(keyring));
+        keyrings.set(uid, keyring);
+    } else {
+        await storageBackend.removeItem(getKeyringKey(uid));
+        keyrings.delete(uid);
+    }
+};
+
+const isUnlocked = (keyring) => Object.keys(keyring.keys).every(keyId => dataKeys.has(keyId));
+
+const encode = async (pairs, backend) => {
+    const keyrings = await loadKeyrings(backend);
+    if (keyrings.size === 0) return pairs;
+    return pairs.map(([key, value]) => {
+        if (value == null || isPlainKey(key)) return [key, value];
+        const uid = [...keyrings.keys()].find(id => belongsToScope(key, id));
+        const keyring = uid ? keyrings.get(uid) : null;
+        if (!keyring || !keyring.enabled) return [key, value];
+        const dataKey = dataKeys.get(keyring.currentKey);
+        if (!dataKey) throw lockedError();
+        return [key, `${VALUE_PREFIX}${keyring.currentKey}:${seal(dataKey, utf8ToBytes(value), utf8ToBytes(key))}`];
+    });
+};
+
+const decode = async (pairs) => pairs.map(([key, value]) => {
+    if (typeof value !== 'string' || !value.startsWith(VALUE_PREFIX)) return [key, value];
+    const separator = value.indexOf(':', VALUE_PREFIX.length);
+    const dataKey = dataKeys.get(value.slice(VALUE_PREFIX.length, separator));
+    if (!dataKey) throw lockedError();
+    return [key, bytesToUtf8(open(dataKey, value.slice(separator + 1), utf8ToBytes(key)))];
+});
+
+setValueCodec({
+    encode,
+    decode,
+    // storageBackend.clear() removed the keyrings
+    reset: () => {
+        keyringsLoad = null;
+        dataKeys.clear();
+    },
+});
+
+// Path: users/{uid}/keys/{keyId}
+const getRecoveryRef = (uid, keyId) => doc(db, 'users', uid, 'keys', keyId);
+
+// A new data key wrapped with the PIN key and with a recovery secret saved to Firestore
+const createDataKey = async (uid, pinKey) => {
+    // Offline, the write would wait for the connection instead of failing
+    const { isConnected } = await NetInfo.fetch();
+    if (!isConnected) throw new Error('Connect to the internet to save the recovery key');
+    const keyId = generateId();
+    const dataKey = getRandomBytes(KEY_BYTES);
+    const secret = getRandomBytes(KEY_BYTES);
+    await setDoc(getRecoveryRef(uid, keyId), { secret: toBase64(secret), createdAt: new Date().toISOString() });
+    dataKeys.set(keyId, dataKey);
+    return {
+        keyId,
+        wrapped: {
+            pin: seal(pinKey, dataKey, utf8ToBytes(keyId)),
+            recovery: seal(secret, dataKey, utf8ToBytes(keyId)),
+        },
+    };
+};
+
+const deleteRecoverySecrets = async (uid, keyIds) => {
+    try {
+        await Promise.all(keyIds.map(keyId => deleteDoc(getRecoveryRef(uid, keyId))));
+    } catch (error) {
+        // A leftover secret opens nothing once its key is gone from the phone
+        console.error('Encryption: could not delete recovery secrets:', error);
+    }
+};
+
+// Read every record of the account and write it back in the keyring's current form
+const rewriteRecords = async (uid) => {
+    const keys = (await storageBackend.getAllKeys()).filter(key => belongsToScope(key, uid) && !isPlainKey(key));
+    for (let i = 0; i < keys.length; i += REWRITE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + REWRITE_BATCH_SIZE);
+        await enqueueWrite(async () => {
+            const pairs = (await storageBackend.multiGet(batch)).filter(([, value]) => value != null);
+            if (pairs.length > 0) await storageBackend.multiSet(pairs);
+        });
+    }
+};
+
+// Finish a started rewrite, then drop the keys no record uses any more
+const finishRewrite = async (uid) => {
+    const keyring = await getKeyring(uid);
+    if (!keyring || !keyring.pending) return;
+    await rewriteRecords(uid);
+    const retired = Object.keys(keyring.keys).filter(keyId => !keyring.enabled || keyId !== keyring.currentKey);
+    await saveKeyring(uid, keyring.enabled ? {
+        ...keyring,
+        pending: false,
+        keys: { [keyring.currentKey]: keyring.keys[keyring.currentKey] },
+    } : null);
+    retired.forEach(keyId => dataKeys.delete(keyId));
+    await deleteRecoverySecrets(uid, retired);
+};
+
+/**
+ * Whether the account's records are encrypted on this phone
+ * @param {string} uid - Firebase user id
+ * @returns {Promise<boolean>}
+ */
+export const isEncryptionEnabled = async (uid) => {
+    const keyring = await getKeyring(uid);
+    return Boolean(keyring && keyring.enabled);
+};
+
+/**
+ * Whether the account has encrypted records that cannot be read until the PIN is entered
+ * @param {string} uid - Firebase user id
+ * @returns {Promise<boolean>}
+ */
+export const isEncryptionLocked = async (uid) => {
+    const keyring = await getKeyring(uid);
+    return Boolean(keyring) && !isUnlocked(keyring);
+};
+
+/**
+ * Unlock the account's records with its PIN (and finish a rewrite that was cut short)
+ * @param {string} uid - Firebase user id
+ * @param {string} pin - PIN entered
+ * @returns {Promise<boolean>} false if the PIN does not open the keyring
+ */
+export const unlockEncryption = async (uid, pin) => {
+    const keyring = await getKeyring(uid);
+    if (!keyring) return true;
+    if (!isUnlocked(keyring)) {
+        let keys;
+        try {
+            const pinKey = await derivePINKey(pin, keyring.kdf);
+            keys = unwrapKeys(keyring, 'pin', () => pinKey);
+        } catch (error) {
+            return false;
+        }
+        keys.forEach((key, keyId) => dataKeys.set(keyId, key));
+    }
+    try {
+        await finishRewrite(uid);
+    } catch (error) {
+        // Records are readable in either form; the next unlock tries again
+        console.error('Encryption: could not finish rewriting records:', error);
+    }
+    return true;
+};
+
+/**
+ * Unlock the account's records without the PIN, by signing in again with the account password.
+ * Follow with changeEncryptionPIN: the old PIN still opens the keyring until then.
+ * @param {string} password - Current account password
+ * @returns {Promise<object>} { success, error? }
+ */
+export const recoverEncryption = async (password) => {
+    const user = auth.currentUser;
+    if (!user) return { success: false, error: 'Not signed in' };
+    try {
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+    } catch (error) {
+        console.error('Error verifying password:', error);
+        const wrongPassword = error.code === 'auth/wrong-password' || error.code === 'auth/invalid-credential';
+        return { success: false, error: wrongPassword ? 'Password is incorrect' : (error.message || String(error)) };
+    }
+
+    try {
+        const keyring = await getKeyring(user.uid);
+        if (!keyring) return { success: true };
+        const secrets = {};
+        for (const keyId of Object.keys(keyring.keys)) {
+            const snapshot = await getDoc(getRecoveryRef(user.uid, keyId));
+            if (!snapshot.exists()) return { success: false, error: 'No recovery key was found for this account' };
+            secrets[keyId] = fromBase64(snapshot.data().secret);
+        }
+        unwrapKeys(keyring, 'recovery', keyId => secrets[keyId]).forEach((key, keyId) => dataKeys.set(keyId, key));
+        return { success: true };
+    } catch (error) {
+        console.error('Error recovering encrypted data:', error);
+        return { success: false, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Encrypt the account's records on this phone. Needs a connection to save the recovery secret.
+ * @param {string} uid - Firebase user id
+ * @param {string} pin - The app PIN
+ * @returns {Promise<object>} { success, error? }
+ */
+export const enableEncryption = async (uid, pin) => {
+    try {
+        const keyring = await getKeyring(uid);
+        if (keyring) {
+            // Turned back on while records were still being decrypted
+            if (!isUnlocked(keyring)) return { success: false, error: 'Unlock the app with your PIN first' };
+            if (!keyring.enabled) await saveKeyring(uid, { ...keyring, enabled: true, pending: true });
+        } else {
+            const kdf = newKdf();
+            const { keyId, wrapped } = await createDataKey(uid, await derivePINKey(pin, kdf));
+            await saveKeyring(uid, {
+                version: 1,
+                enabled: true,
+                pending: true,
+                kdf,
+                currentKey: keyId,
+                keys: { [keyId]: wrapped },
+            });
+        }
+        await finishRewrite(uid);
+        return { success: true };
+    } catch (error) {
+        console.error('Error enabling encryption:', error);
+        return { success: false, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Decrypt the account's records and remove its keyring. The account must be unlocked.
+ * @param {string} uid - Firebase user id
+ * @returns {Promise<object>} { success, error? }
+ */
+export const disableEncryption = async (uid) => {
+    try {
+        const keyring = await getKeyring(uid);
+        if (!keyring) return { success: true };
+        if (!isUnlocked(keyring)) return { success: false, error: 'Unlock the app with your PIN first' };
+        await saveKeyring(uid, { ...keyring, enabled: false, pending: true });
+        await finishRewrite(uid);
+        return { success: true };
+    } catch (error) {
+        console.error('Error disabling encryption:', error);
+        return { success: false, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Move the account's records to a new data key wrapped with a new PIN. The account must be
+ * unlocked, and a connection is needed to wrap the new key for recovery.
+ * @param {string} uid - Firebase user id
+ * @param {string} pin - The new PIN
+ * @returns {Promise<object>} { success, error? }
+ */
+export const changeEncryptionPIN = async (uid, pin) => {
+    try {
+        const keyring = await getKeyring(uid);
+        if (!keyring) return { success: true };
+        if (!isUnlocked(keyring)) return { success: false, error: 'Unlock the app with your PIN first' };
+        const kdf = newKdf();
+        const pinKey = await derivePINKey(pin, kdf);
+        // Keys still in use until the rewrite ends are wrapped with the new PIN too
+        const keys = {};
+        Object.entries(keyring.keys).forEach(([keyId, wrapped]) => {
+            keys[keyId] = { ...wrapped, pin: seal(pinKey, dataKeys.get(keyId), utf8ToBytes(keyId)) };
+        });
+        let currentKey = keyring.currentKey;
+        if (keyring.enabled) {
+            const created = await createDataKey(uid, pinKey);
+            currentKey = created.keyId;
+            keys[currentKey] = created.wrapped;
+        }
+        await saveKeyring(uid, { ...keyring, pending: true, kdf, currentKey, keys });
+        await finishRewrite(uid);
+        return { success: true };
+    } catch (error) {
+        console.error('Error changing encryption PIN:', error);
+        return { success: false, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Forget the unlocked keys (sign out); encrypted records need the PIN again
+ */
+export const lockEncryption = () => {
+    dataKeys.clear();
+};
+
+/**
+ * Remove a deleted account's keyring and its recovery secrets
+ * @param {string} uid - Firebase user id
+ * @returns {Promise<void>}
+ */
+export const forgetEncryption = async (uid) => {
+    const keyring = await getKeyring(uid);
+    if (!keyring) return;
+    const keyIds = Object.keys(keyring.keys);
+    await saveKeyring(uid, null);
+    keyIds.forEach(keyId => dataKeys.delete(keyId));
+    await deleteRecoverySecrets(uid, keyIds);
+};
@@ -0,0 +1,209 @@
+// Guest Data - Moves records saved while signed out into the signed-in account
+//
+// Storage keys fall back to the 'guest' scope when nobody is signed in. After signup or
+// login the app offers to merge that data into the account: each guest book goes into the
+// account's book with the same id (`<key>_guest_<bookId>` into `<key>_<uid>_<bookId>`),
+// records are de-duplicated by id (the account's copy wins), then every guest key is cleared.
+// Merged records keep `syncBase: null`, so they are dirty and get uploaded.
+
+import storageBackend from './storageBackend';
+import { enqueueWrite } from './writeQueue';
+import { queueSyncOp } from './syncOutbox';
+import { runMigrations, belongsToScope } from './migrations';
+import { readLedgers, writeLedger, removeAllLedgers, ensureLedgerLayout } from './ledgerStore';
+import { readExpenses, writeExpenses, readCategories, writeCategories, readProfile, writeProfile } from './repository';
+import { recomputeLedger } from './ledgerEngine';
+import { readAuditLog, appendAuditEntries } from './auditLog';
+import { readTrash, addToTrash } from './trash';
+import { getBackupSettings, getUserProfileFromFirebase } from './storage';
+import { readBooks, writeBooks, getBookScope } from './books';
+import { emitDataChange } from './dataEvents';
+
+const GUEST_SCOPE = 'guest';
+
+// Union two lists by id; records already in `primary` win and keep their order
+const unionById = (primary = [], secondary = []) => {
+    const known = new Set(primary.map(r => r.id));
+    const added = secondary.filter(r => r && r.id && !known.has(r.id));
+    return { list: [...primary, ...added], added };
+};
+
+const hasProfileDetails = (profile) => !!profile && ['name', 'phone', 'bankName', 'accountNumber'].some(field => !!profile[field]);
+
+/**
+ * Count the records saved while signed out
+ * @returns {Promise<object>} { hasData, ledgers, expenses }
+ */
+export const getGuestDataSummary = async () => {
+    try {
+        // Guest data may predate the current schema (e.g. books)
+        const migrated = await runMigrations(null);
+        if (!migrated.success) throw new Error(migrated.error);
+
+        let ledgers = 0;
+        let expenseCount = 0;
+        let hasProfile = false;
+        for (const book of await readBooks(GUEST_SCOPE)) {
+            const scope = getBookScope(GUEST_SCOPE, book.id);
+            const index = await enqueueWrite(() => ensureLedgerLayout(scope));
+            const expenses = await readExpenses(scope);
+            ledgers += index.length;
+            expenseCount += Array.isArray(expenses) ? expenses.length : 0;
+            hasProfile = hasProfile || hasProfileDetails(await readProfile(scope));
+        }
+        return {
+            hasData: ledgers > 0 || expenseCount > 0 || hasProfile,
+            ledgers,
+            expenses: expenseCount,
+        };
+    } catch (error) {
+        console.error('Error reading guest data:', error);
+        return { hasData: false, ledgers: 0, expenses: 0 };
+    }
+};
+
+/**
+ * Merge one guest book into the account's book with the same id.
+ * Must only be called from within enqueueWrite.
+ * @param {string} guestScope - Book scope of the guest copy
+ * @param {string} accountScope - Book scope of the account copy
+ * @param {object} accountProfile - The account book's profile
+ * @returns {Promise<object>} { changedLedgers, auditEntries, addedExpenses, categories, profile }
+ */
+const mergeBook = async (guestScope, accountScope, accountProfile) => {
+    const guestIndex = await ensureLedgerLayout(guestScope);
+    const guestLedgers = await readLedgers(guestScope, guestIndex);
+    let index = await ensureLedgerLayout(accountScope);
+    const accountLedgers = await readLedgers(accountScope, index);
+
+    const changedLedgers = [];
+    const auditEntries = [];
+    for (const guestLedger of Object.values(guestLedgers)) {
+        const existing = accountLedgers[guestLedger.id];
+        let merged = guestLedger;
+        if (existing) {
+            const { added } = unionById(existing.transactions, guestLedger.transactions);
+            if (added.length === 0) continue;
+            merged = recomputeLedger({ ...existing, transactions: [...existing.transactions, ...added] });
+        }
+        index = await writeLedger(accountScope, merged, index);
+        changedLedgers.push(merged);
+
+        const guestLog = await readAuditLog(guestScope, guestLedger.id);
+        auditEntries.push(...await appendAuditEntries(accountScope, guestLedger.id, guestLog));
+    }
+
+    const expenses = unionById(
+        await readExpenses(accountScope),
+        await readExpenses(guestScope)
+    );
+    expenses.list.sort((a, b) => new Date(b.date) - new Date(a.date));
+    await writeExpenses(accountScope, expenses.list);
+
+    // Without stored categories the account still shows the defaults, so only merge into a real list
+    const accountCategories = await readCategories(accountScope);
+    const guestCategories = (await readCategories(guestScope)) || [];
+    let categories = null;
+    if (accountCategories) {
+        const union = unionById(accountCategories, guestCategories);
+        if (union.added.length > 0) categories = union.list;
+    } else if (guestCategories.length > 0) {
+        categories = guestCategories;
+    }
+    if (categories) await writeCategories(accountScope, categories);
+
+    // Fill in profile fields the account left empty
+    const guestProfile = (await readProfile(guestScope)) || {};
+    let profile = null;
+    if (hasProfileDetails(guestProfile)) {
+        profile = { ...accountProfile };
+        Object.keys(guestProfile).forEach(field => {
+            const value = profile[field];
+            if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) {
+                profile[field] = guestProfile[field];
+            }
+        });
+        await writeProfile(accountScope, profile);
+    }
+
+    const guestTrash = await readTrash(guestScope);
+    await addToTrash(accountScope, Object.values(guestTrash));
+    await removeAllLedgers(guestScope);
+
+    return { changedLedgers, auditEntries, addedExpenses: expenses.added, categories, profile };
+};
+
+/**
+ * Merge guest data into an account and clear the guest copies
+ * @param {string} uid - Firebase uid of the signed-in account
+ * @returns {Promise<object>} { success, ledgers, expenses, error? } (counts of records moved)
+ */
+export const mergeGuestDataIntoAccount = async (uid) => {
+    try {
+        // Guest data may predate the current schema; upgrade it before merging
+        const migrated = await runMigrations(null);
+        if (!migrated.success) throw new Error(migrated.error);
+
+        // Loads account profiles from the cloud when this phone has no copy yet
+        const guestBooks = await readBooks(GUEST_SCOPE);
+        const accountProfiles = {};
+        for (const book of guestBooks) {
+            accountProfiles[book.id] = await readProfile(getBookScope(uid, book.id))
+                || await getUserProfileFromFirebase(book.id)
+                || {};
+        }
+
+        const { merged: results, addedBooks } = await enqueueWrite(async () => {
+            const merged = [];
+            for (const book of guestBooks) {
+                const result = await mergeBook(getBookScope(GUEST_SCOPE, book.id), getBookScope(uid, book.id), accountProfiles[book.id]);
+                merged.push({ bookId: book.id, ...result });
+            }
+
+            // Books the account does not have yet keep their guest name
+            const accountBooks = await readBooks(uid);
+            const known = new Set(accountBooks.map(book => book.id));
+            const addedBooks = guestBooks.filter(book => !known.has(book.id));
+            await writeBooks(uid, [...accountBooks, ...addedBooks]);
+
+            // Everything is in the account now; drop the guest copies
+            const guestKeys = (await storageBackend.getAllKeys()).filter(key =>
+                belongsToScope(key, GUEST_SCOPE) && key !== `schemaVersion_${GUEST_SCOPE}`
+            );
+            if (guestKeys.length > 0) await storageBackend.multiRemove(guestKeys);
+
+            return { merged, addedBooks };
+        });
+        emitDataChange({ kind: 'all' });
+
+        const settings = await getBackupSettings();
+        if (settings.autoBackup) {
+            for (const book of addedBooks) {
+                await queueSyncOp({ kind: 'upsertBook', targetId: book.id, payload: book, bookId: book.id });
+            }
+            for (const { bookId, ...result } of results) {
+                for (const ledger of result.changedLedgers) {
+                    await queueSyncOp({ kind: 'upsertLedger', targetId: ledger.id, payload: ledger, bookId });
+                }
+                for (const entry of result.auditEntries) {
+                    await queueSyncOp({ kind: 'appendAudit', targetId: `${entry.ledgerId}/${entry.id}`, payload: entry, bookId });
+                }
+                for (const expense of result.addedExpenses) {
+                    await queueSyncOp({ kind: 'upsertExpense', targetId: expense.id, payload: expense, bookId });
+                }
+                if (result.categories) {
+                    await queueSyncOp({ kind: 'upsertCategories', payload: result.categories, bookId });
+                }
+                if (result.profile) {
+                    await queueSyncOp({ kind: 'upsertProfile', payload: { ...result.profile, updatedAt: new Date().toISOString() }, bookId });
+                }
+            }
+        }
+
+        const count = (field) => results.reduce((total, result) => total + result[field].length, 0);
+        return { success: true, ledgers: count('changedLedgers'), expenses: count('addedExpenses') };
+    } catch (error) {
+        console.error('Error merging guest data:', error);
+        return { success: false, ledgers: 0, expenses: 0, error: error.message || String(error) };
+    }
+};
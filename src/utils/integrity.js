@@ -0,0 +1,339 @@
+// Integrity - Finds and repairs inconsistent local data
+//
+// Scans every book of the account for ledgers whose stored balance or running balances
+// (balanceAfter) disagree with their transactions, ids that generateId handed out twice,
+// and expenses whose category was deleted in the category manager.
+//
+// Before a repair touches anything, the affected books are copied to
+// `integrityBackup_<scope>` (chunked like transactions, see ledgerStore.js) so the last
+// repair can be undone on this device. Repaired records are stamped and queued for upload
+// like any other edit.
+
+import storageBackend from './storageBackend';
+import { auth } from '../../firebase';
+import { enqueueWrite } from './writeQueue';
+import { queueSyncOp } from './syncOutbox';
+import { snapshotScope, restoreScope, belongsToScope } from './migrations';
+import { readLedgers, ensureLedgerLayout } from './ledgerStore';
+import { writeExpenses, writeCategories } from './repository';
+import { sortTransactions, buildBalanceChain, recomputeLedger } from './ledgerEngine';
+import { stampList } from './syncMerge';
+import { getDeviceId } from './device';
+import { generateId } from './calculations';
+import { formatMoney, getCurrency } from './money';
+import { readBooks, getBookScope } from './books';
+import { getExpenses, getCategories, saveLedger, getBackupSettings } from './storage';
+import { emitDataChange } from './dataEvents';
+import { isLedgerRestoring } from './cloudRestore';
+
+export const ISSUE_TYPES = {
+    balance: { title: 'Wrong balance', fixLabel: 'Recompute balances' },
+    balanceAfter: { title: 'Wrong running balance', fixLabel: 'Recompute balances' },
+    duplicateTransactionId: { title: 'Duplicate transaction id', fixLabel: 'Give new ids' },
+    duplicateExpenseId: { title: 'Duplicate expense id', fixLabel: 'Give new ids' },
+    orphanCategory: { title: 'Deleted category', fixLabel: 'Move to Other' },
+};
+
+// Where expenses of deleted categories go; added back to the list if it was deleted too
+const FALLBACK_CATEGORY = { id: 'Other', icon: 'dots-horizontal', color: '#78909C' };
+
+// Characters per backup key, well under Android's per-value limit
+const BACKUP_CHUNK_SIZE = 500000;
+
+const getAccountScope = () => (auth.currentUser ? auth.currentUser.uid : 'guest');
+const getBackupKey = (scope) => `integrityBackup_${scope}`;
+const getBackupChunkKey = (scope, chunk) => `integrityBackup_${scope}_${chunk}`;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// Ids that appear more than once, with how often
+const findDuplicateIds = (records = []) => {
+    const counts = {};
+    records.forEach(r => { counts[r.id] = (counts[r.id] || 0) + 1; });
+    return Object.entries(counts).filter(([, count]) => count > 1);
+};
+
+// The last copy keeps its id (stampList and the audit diff match it to the stored one),
+// earlier copies get fresh ids and are uploaded as new records
+const reassignDuplicateIds = (records) => {
+    const lastIndex = {};
+    records.forEach((r, i) => { lastIndex[r.id] = i; });
+    const taken = new Set(records.map(r => r.id));
+    return records.map((r, i) => {
+        if (lastIndex[r.id] === i) return r;
+        let id = generateId();
+        while (taken.has(id)) id = generateId();
+        taken.add(id);
+        return { ...r, id };
+    });
+};
+
+const checkLedger = (ledger, base) => {
+    const issues = [];
+    const currency = getCurrency(ledger);
+    const target = { ...base, ledgerId: ledger.id, ledgerName: ledger.name || 'Customer' };
+    const sorted = sortTransactions(ledger.transactions || []);
+    const chain = buildBalanceChain(sorted);
+
+    if (ledger.balance !== chain.balance) {
+        const stored = typeof ledger.balance === 'number' ? formatMoney(ledger.balance, { currency }) : 'missing';
+        issues.push({
+            ...target,
+            type: 'balance',
+            message: `Balance is ${stored}, but the transactions add up to ${formatMoney(chain.balance, { currency })}.`,
+        });
+    }
+
+    const wrong = sorted.filter((t, i) => t.balanceAfter !== chain.transactions[i].balanceAfter).length;
+    if (wrong > 0) {
+        issues.push({
+            ...target,
+            type: 'balanceAfter',
+            message: `${plural(wrong, 'transaction')} of ${sorted.length} show a missing or wrong running balance.`,
+        });
+    }
+
+    findDuplicateIds(ledger.transactions).forEach(([id, count]) => {
+        issues.push({
+            ...target,
+            type: 'duplicateTransactionId',
+            recordId: id,
+            message: `${count} transactions share one id, so edits, deletes and cloud backup can mix them up.`,
+        });
+    });
+    return issues;
+};
+
+const checkExpenses = (expenses, categories, base) => {
+    const issues = [];
+    findDuplicateIds(expenses).forEach(([id, count]) => {
+        const titles = expenses.filter(e => e.id === id).map(e => e.title || 'Expense');
+        issues.push({
+            ...base,
+            type: 'duplicateExpenseId',
+            recordId: id,
+            message: `${count} expenses share one id (${titles.join(', ')}), so edits, deletes and cloud backup can mix them up.`,
+        });
+    });
+
+    const categoryIds = new Set(categories.map(c => c.id));
+    const orphans = {};
+    expenses.forEach(e => {
+        if (!categoryIds.has(e.category)) orphans[e.category || ''] = (orphans[e.category || ''] || 0) + 1;
+    });
+    Object.entries(orphans).forEach(([category, count]) => {
+        issues.push({
+            ...base,
+            type: 'orphanCategory',
+            category,
+            message: category
+                ? `${plural(count, 'expense')} still ${count === 1 ? 'uses' : 'use'} "${category}", which is no longer a category.`
+                : `${plural(count, 'expense')} ${count === 1 ? 'has' : 'have'} no category.`,
+        });
+    });
+    return issues;
+};
+
+/**
+ * Scan every book of the current account for inconsistent data
+ * @returns {Promise<object>} { success, issues: [{ key, type, bookId, bookName, ledgerId?, ledgerName?, recordId?, category?, message }], error? }
+ */
+export const checkDataIntegrity = async () => {
+    try {
+        const accountScope = getAccountScope();
+        const issues = [];
+        for (const book of await readBooks(accountScope)) {
+            const scope = getBookScope(accountScope, book.id);
+            const base = { bookId: book.id, bookName: book.name };
+            const index = await enqueueWrite(() => ensureLedgerLayout(scope));
+            // Ledgers of a running cloud restore have no transactions yet; they are checked once loaded
+            const ledgers = await readLedgers(scope, index.filter(ledgerId => !isLedgerRestoring(ledgerId, book.id)));
+            Object.values(ledgers).forEach(ledger => issues.push(...checkLedger(ledger, base)));
+            issues.push(...checkExpenses(await getExpenses(scope), await getCategories(scope), base));
+        }
+        return {
+            success: true,
+            issues: issues.map(issue => ({
+                ...issue,
+                key: [issue.type, issue.bookId, issue.ledgerId, issue.recordId, issue.category].filter(v => v != null).join(':'),
+            })),
+        };
+    } catch (error) {
+        console.error('Error checking data:', error);
+        return { success: false, issues: [], error: error.message || String(error) };
+    }
+};
+
+// Split [key, value] pairs into chunks of about BACKUP_CHUNK_SIZE characters
+const chunkPairs = (pairs) => {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+    pairs.forEach(pair => {
+        const length = pair[0].length + (pair[1] || '').length;
+        if (current.length > 0 && size + length > BACKUP_CHUNK_SIZE) {
+            chunks.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(pair);
+        size += length;
+    });
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+};
+
+const readBackupMeta = async (scope) => {
+    const jsonValue = await storageBackend.getItem(getBackupKey(scope));
+    if (jsonValue == null) return null;
+    try {
+        return JSON.parse(jsonValue);
+    } catch (e) {
+        console.error('Error parsing integrity backup JSON:', e);
+        return null;
+    }
+};
+
+const removeBackup = async (scope) => {
+    const meta = await readBackupMeta(scope);
+    const keys = [getBackupKey(scope)];
+    for (let chunk = 0; meta && chunk < meta.chunks; chunk++) keys.push(getBackupChunkKey(scope, chunk));
+    await storageBackend.multiRemove(keys);
+};
+
+// Replace the backup with the current records of the given books. Must run inside enqueueWrite.
+const writeBackup = async (scope, bookIds) => {
+    const pairs = [];
+    for (const bookId of bookIds) pairs.push(...await snapshotScope(getBookScope(scope, bookId)));
+    const chunks = chunkPairs(pairs);
+    await removeBackup(scope);
+    await storageBackend.multiSet(chunks.map((chunk, i) => [getBackupChunkKey(scope, i), JSON.stringify(chunk)]));
+    await storageBackend.setItem(getBackupKey(scope), JSON.stringify({
+        createdAt: new Date().toISOString(),
+        bookIds,
+        chunks: chunks.length,
+    }));
+};
+
+// Re-id duplicates and recompute every ledger with an issue
+const repairLedgers = async (scope, bookId, issues) => {
+    const ledgerIds = [...new Set(issues.filter(i => i.ledgerId).map(i => i.ledgerId))];
+    const ledgers = await readLedgers(scope, ledgerIds);
+    let repaired = 0;
+    for (const ledgerId of ledgerIds) {
+        const ledger = ledgers[ledgerId];
+        if (!ledger || isLedgerRestoring(ledgerId, bookId)) continue;
+        const reId = issues.some(i => i.ledgerId === ledgerId && i.type === 'duplicateTransactionId');
+        const transactions = reId ? reassignDuplicateIds(ledger.transactions || []) : ledger.transactions;
+        if (!(await saveLedger(recomputeLedger({ ...ledger, transactions }), bookId))) {
+            throw new Error(`Could not save customer ${ledger.name || ledgerId}`);
+        }
+        repaired += issues.filter(i => i.ledgerId === ledgerId).length;
+    }
+    return repaired;
+};
+
+// Re-id duplicate expenses and move expenses of deleted categories to Other
+const repairExpenses = async (scope, bookId, issues, upload) => {
+    const reId = issues.some(i => i.type === 'duplicateExpenseId');
+    const orphaned = new Set(issues.filter(i => i.type === 'orphanCategory').map(i => i.category));
+    if (!reId && orphaned.size === 0) return 0;
+
+    const stamp = { deviceId: await getDeviceId(), now: new Date().toISOString() };
+    const { expenses, categories } = await enqueueWrite(async () => {
+        const previous = await getExpenses(scope);
+        let next = reId ? reassignDuplicateIds(previous) : previous;
+        next = next.map(e => (orphaned.has(e.category || '') ? { ...e, category: FALLBACK_CATEGORY.id } : e));
+        const stampedExpenses = stampList(previous, next, 'expense', stamp).list;
+        await writeExpenses(scope, stampedExpenses);
+
+        let stampedCategories = null;
+        const previousCategories = await getCategories(scope);
+        if (orphaned.size > 0 && !previousCategories.some(c => c.id === FALLBACK_CATEGORY.id)) {
+            stampedCategories = stampList(previousCategories, [...previousCategories, FALLBACK_CATEGORY], 'category', stamp).list;
+            await writeCategories(scope, stampedCategories);
+        }
+        return { expenses: stampedExpenses, categories: stampedCategories };
+    });
+    emitDataChange({ kind: 'all', bookId });
+
+    if (upload) {
+        for (const expense of expenses.filter(e => e.updatedAt === stamp.now)) {
+            await queueSyncOp({ kind: 'upsertExpense', targetId: expense.id, payload: expense, bookId });
+        }
+        if (categories) await queueSyncOp({ kind: 'upsertCategories', payload: categories, bookId });
+    }
+    return issues.filter(i => i.type === 'duplicateExpenseId' || i.type === 'orphanCategory').length;
+};
+
+/**
+ * Fix issues found by checkDataIntegrity, after backing up the books they are in
+ * @param {Array<object>} issues - Issues to fix
+ * @returns {Promise<object>} { success, fixed, error? }
+ */
+export const repairIssues = async (issues) => {
+    try {
+        const accountScope = getAccountScope();
+        const bookIds = [...new Set(issues.map(i => i.bookId))];
+        if (bookIds.length === 0) return { success: true, fixed: 0 };
+        await enqueueWrite(() => writeBackup(accountScope, bookIds));
+
+        const settings = await getBackupSettings();
+        const upload = !!auth.currentUser && settings.autoBackup;
+        let fixed = 0;
+        for (const bookId of bookIds) {
+            const scope = getBookScope(accountScope, bookId);
+            const bookIssues = issues.filter(i => i.bookId === bookId);
+            fixed += await repairLedgers(scope, bookId, bookIssues);
+            fixed += await repairExpenses(scope, bookId, bookIssues, upload);
+        }
+        return { success: true, fixed };
+    } catch (error) {
+        console.error('Error repairing data:', error);
+        return { success: false, fixed: 0, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Describe the backup taken before the last repair
+ * @returns {Promise<object|null>} { createdAt, bookIds }, null if there is none
+ */
+export const getRepairBackup = async () => {
+    try {
+        const meta = await readBackupMeta(getAccountScope());
+        return meta ? { createdAt: meta.createdAt, bookIds: meta.bookIds } : null;
+    } catch (error) {
+        console.error('Error reading integrity backup:', error);
+        return null;
+    }
+};
+
+/**
+ * Put the repaired books back the way they were before the last repair (on this device)
+ * @returns {Promise<object>} { success, error? }
+ */
+export const restoreRepairBackup = async () => {
+    try {
+        const scope = getAccountScope();
+        await enqueueWrite(async () => {
+            const meta = await readBackupMeta(scope);
+            if (!meta) throw new Error('There is no backup to restore');
+            const pairs = [];
+            for (let chunk = 0; chunk < meta.chunks; chunk++) {
+                const jsonValue = await storageBackend.getItem(getBackupChunkKey(scope, chunk));
+                if (jsonValue == null) throw new Error('The backup is incomplete');
+                pairs.push(...JSON.parse(jsonValue));
+            }
+            for (const bookId of meta.bookIds) {
+                const bookScope = getBookScope(scope, bookId);
+                await restoreScope(bookScope, pairs.filter(([key]) => belongsToScope(key, bookScope)));
+            }
+            await removeBackup(scope);
+        });
+        emitDataChange({ kind: 'all' });
+        return { success: true };
+    } catch (error) {
+        console.error('Error restoring integrity backup:', error);
+        return { success: false, error: error.message || String(error) };
+    }
+};
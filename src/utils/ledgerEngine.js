@@ -0,0 +1,156 @@
+// Ledger Engine - Single source of truth for transaction math
+//
+// Sign convention (used everywhere in the app):
+//   'credit'            = Money GIVEN to the customer  -> balance increases (customer owes more, "Due")
+//   'payment' / 'debit' = Money RECEIVED from customer -> balance decreases ("Advance" when negative)
+//
+// Amounts and balances are integer paise (see money.js).
+// Every function here is pure: it never mutates its input and never touches storage.
+
+export const TRANSACTION_TYPES = {
+    CREDIT: 'credit',
+    PAYMENT: 'payment',
+};
+
+/**
+ * Normalize legacy/imported transaction types to the engine's vocabulary
+ * @param {string} type - Raw type ("credit", "payment", "debit", ...)
+ * @returns {string} 'credit' or 'payment'
+ */
+export const normalizeType = (type) => {
+    return type === TRANSACTION_TYPES.CREDIT ? TRANSACTION_TYPES.CREDIT : TRANSACTION_TYPES.PAYMENT;
+};
+
+/**
+ * Signed effect of a transaction on the ledger balance
+ * @param {string} type - Transaction type
+ * @param {number} amount - Transaction amount in paise (always positive)
+ * @returns {number} +amount for credit, -amount otherwise
+ */
+export const getSignedAmount = (type, amount) => {
+    const value = Math.abs(Math.round(Number(amount)) || 0);
+    return normalizeType(type) === TRANSACTION_TYPES.CREDIT ? value : -value;
+};
+
+/**
+ * Sort transactions chronologically. Ties keep their existing relative order.
+ * @param {Array} transactions - Transactions to sort
+ * @returns {Array} New sorted array
+ */
+export const sortTransactions = (transactions = []) => {
+    return transactions
+        .map((t, index) => ({ t, index }))
+        .sort((a, b) => {
+            const diff = new Date(a.t.date) - new Date(b.t.date);
+            return diff !== 0 ? diff : a.index - b.index;
+        })
+        .map(({ t }) => t);
+};
+
+/**
+ * Rebuild the balanceAfter chain for an already ordered list of transactions
+ * @param {Array} transactions - Ordered transactions
+ * @returns {{ transactions: Array, balance: number }}
+ */
+export const buildBalanceChain = (transactions = []) => {
+    let runningBalance = 0;
+    const chained = transactions.map(t => {
+        runningBalance += getSignedAmount(t.type, t.amount);
+        return { ...t, balanceAfter: runningBalance };
+    });
+    return { transactions: chained, balance: runningBalance };
+};
+
+/**
+ * Recompute a ledger: sort transactions by date, rebuild balanceAfter and the ledger balance
+ * @param {object} ledger - Ledger object
+ * @returns {object} New ledger object
+ */
+export const recomputeLedger = (ledger) => {
+    const { transactions, balance } = buildBalanceChain(sortTransactions(ledger.transactions || []));
+    return { ...ledger, balance, transactions };
+};
+
+/**
+ * Add a transaction to a ledger
+ * @param {object} ledger - Ledger object
+ * @param {object} transaction - Transaction to add (must carry an id)
+ * @returns {object} New ledger object
+ */
+export const addTransaction = (ledger, transaction) => {
+    return recomputeLedger({
+        ...ledger,
+        transactions: [...(ledger.transactions || []), transaction],
+    });
+};
+
+/**
+ * Replace fields of an existing transaction
+ * @param {object} ledger - Ledger object
+ * @param {string} transactionId - ID of the transaction to edit
+ * @param {object} changes - Fields to overwrite
+ * @returns {object} New ledger object (unchanged if the id is not found)
+ */
+export const editTransaction = (ledger, transactionId, changes) => {
+    return recomputeLedger({
+        ...ledger,
+        transactions: (ledger.transactions || []).map(t =>
+            t.id === transactionId ? { ...t, ...changes, id: t.id } : t
+        ),
+    });
+};
+
+/**
+ * Remove a transaction from a ledger
+ * @param {object} ledger - Ledger object
+ * @param {string} transactionId - ID of the transaction to remove
+ * @returns {object} New ledger object
+ */
+export const deleteTransaction = (ledger, transactionId) => {
+    return recomputeLedger({
+        ...ledger,
+        transactions: (ledger.transactions || []).filter(t => t.id !== transactionId),
+    });
+};
+
+/**
+ * Move a transaction to a new position among transactions sharing the same date.
+ * Dates always win over manual order, so only same-timestamp entries can be reordered.
+ * @param {object} ledger - Ledger object
+ * @param {string} transactionId - ID of the transaction to move
+ * @param {number} toIndex - Target index in the sorted transaction list
+ * @returns {object} New ledger object
+ */
+export const reorderTransaction = (ledger, transactionId, toIndex) => {
+    const sorted = sortTransactions(ledger.transactions || []);
+    const fromIndex = sorted.findIndex(t => t.id === transactionId);
+    if (fromIndex === -1) return recomputeLedger(ledger);
+
+    const target = Math.max(0, Math.min(toIndex, sorted.length - 1));
+    const [moved] = sorted.splice(fromIndex, 1);
+    sorted.splice(target, 0, moved);
+
+    // Keep the move only if it doesn't break chronological order
+    const isChronological = sorted.every((t, i) => i === 0 || new Date(sorted[i - 1].date) <= new Date(t.date));
+    if (!isChronological) return recomputeLedger(ledger);
+
+    const { transactions, balance } = buildBalanceChain(sorted);
+    return { ...ledger, balance, transactions };
+};
+
+/**
+ * Build a fresh ledger from a list of raw transactions (e.g. from the PDF importer)
+ * @param {object} base - Ledger fields (id, name, phone, ...)
+ * @param {Array} rawTransactions - Transactions without balanceAfter
+ * @returns {object} New ledger object
+ */
+export const buildLedger = (base, rawTransactions = []) => {
+    return recomputeLedger({
+        ...base,
+        transactions: rawTransactions.map(t => ({
+            ...t,
+            type: normalizeType(t.type),
+            amount: Math.abs(Math.round(Number(t.amount)) || 0),
+        })),
+    });
+};
@@ -0,0 +1,304 @@
+// Ledger Store - Per-ledger storage layout
+//
+// Key layout (scope = book scope, e.g. <uid>_default or guest_default; see books.js):
+//   ledgerIndex_<scope>                 -> ["ledgerId", ...]
+//   ledger_<scope>_<ledgerId>           -> ledger fields (no transactions) + transactionChunks
+//                                          + chunkDates: [[earliest, latest] ms per chunk]
+//   ledgerTxns_<scope>_<ledgerId>_<n>   -> up to TRANSACTION_CHUNK_SIZE transactions
+//   ledgerSummaries_<scope>             -> { [ledgerId]: summary } (see summarizeLedger)
+//
+// The summaries are rewritten together with their ledger, so lists can sort and total
+// customers without reading any transactions. chunkDates index the transactions by
+// ledger and date: readTransactions reads only the chunks that overlap a date range.
+//
+// Writers here are plain primitives; callers in storage.js run them inside enqueueWrite.
+
+import storageBackend from './storageBackend';
+
+export const TRANSACTION_CHUNK_SIZE = 200;
+
+export const getLegacyLedgersKey = (scope) => `ledgers_${scope}`;
+export const getLedgerIndexKey = (scope) => `ledgerIndex_${scope}`;
+export const getLedgerKey = (scope, ledgerId) => `ledger_${scope}_${ledgerId}`;
+export const getTransactionChunkKey = (scope, ledgerId, chunk) => `ledgerTxns_${scope}_${ledgerId}_${chunk}`;
+export const getLedgerSummariesKey = (scope) => `ledgerSummaries_${scope}`;
+
+const parseJSON = (jsonValue, fallback) => {
+    if (jsonValue == null) return fallback;
+    try {
+        return JSON.parse(jsonValue);
+    } catch (e) {
+        console.error('Error parsing ledger store JSON:', e);
+        return fallback;
+    }
+};
+
+const chunkKeysFor = (scope, ledgerId, count) => {
+    return Array.from({ length: count }, (_, i) => getTransactionChunkKey(scope, ledgerId, i));
+};
+
+const activityTime = (transaction) => {
+    const time = new Date(transaction.date).getTime();
+    return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * Build the list entry of a ledger: what Home shows, sorts and totals by
+ * @param {object} ledger - Full ledger (transactions sorted by date, as ledgerEngine keeps them)
+ * @returns {object} { id, name, phone, profileImage, currency, balance, transactionCount,
+ *   lastActivity (ms, 0 without transactions), lastNote, lastTransaction: { id, type, amount, date, is_edited, is_deleted } | null }
+ */
+export const summarizeLedger = (ledger) => {
+    const transactions = ledger.transactions || [];
+    const last = transactions.length > 0 ? transactions[transactions.length - 1] : null;
+    return {
+        id: ledger.id,
+        name: ledger.name,
+        phone: ledger.phone,
+        profileImage: ledger.profileImage,
+        currency: ledger.currency,
+        balance: ledger.balance,
+        transactionCount: transactions.length,
+        lastActivity: last ? activityTime(last) : 0,
+        lastNote: last ? last.note || '' : '',
+        lastTransaction: last ? {
+            id: last.id,
+            type: last.type,
+            amount: last.amount,
+            date: last.date,
+            is_edited: last.is_edited,
+            is_deleted: last.is_deleted,
+        } : null,
+    };
+};
+
+/**
+ * Read the ledger summaries
+ * @param {string} scope - User scope
+ * @returns {Promise<object|null>} { [ledgerId]: summary }, or null if they were never built
+ */
+export const readLedgerSummaries = async (scope) => {
+    const jsonValue = await storageBackend.getItem(getLedgerSummariesKey(scope));
+    return jsonValue == null ? null : parseJSON(jsonValue, null);
+};
+
+/**
+ * Read the ledger id index
+ * @param {string} scope - User scope
+ * @returns {Promise<Array<string>|null>} Ledger ids, or null if the index was never written
+ */
+export const readLedgerIndex = async (scope) => {
+    const jsonValue = await storageBackend.getItem(getLedgerIndexKey(scope));
+    return jsonValue == null ? null : parseJSON(jsonValue, []);
+};
+
+/**
+ * Read a set of ledgers (fields + all transaction chunks) with two multiGet round trips
+ * @param {string} scope - User scope
+ * @param {Array<string>} ledgerIds - Ledgers to read
+ * @returns {Promise<object>} { [ledgerId]: ledger }
+ */
+export const readLedgers = async (scope, ledgerIds) => {
+    if (ledgerIds.length === 0) return {};
+
+    const metaPairs = await storageBackend.multiGet(ledgerIds.map(id => getLedgerKey(scope, id)));
+    const metas = metaPairs
+        .map(([, value]) => parseJSON(value, null))
+        .filter(Boolean);
+
+    const chunkKeys = metas.flatMap(meta => chunkKeysFor(scope, meta.id, meta.transactionChunks || 0));
+    const chunkPairs = chunkKeys.length > 0 ? await storageBackend.multiGet(chunkKeys) : [];
+    const chunks = {};
+    chunkPairs.forEach(([key, value]) => {
+        chunks[key] = parseJSON(value, []);
+    });
+
+    const ledgers = {};
+    metas.forEach(meta => {
+        const { transactionChunks = 0, chunkDates: _chunkDates, ...fields } = meta;
+        ledgers[meta.id] = {
+            ...fields,
+            transactions: chunkKeysFor(scope, meta.id, transactionChunks).flatMap(key => chunks[key] || []),
+        };
+    });
+    return ledgers;
+};
+
+/**
+ * Read the transactions of one ledger, optionally only those dated within a range
+ * @param {string} scope - User scope
+ * @param {string} ledgerId - Ledger to read
+ * @param {object} range - { from, to }: ms or anything Date accepts, both inclusive and optional
+ * @returns {Promise<Array<object>|null>} Transactions in stored order, null if the ledger does not exist
+ */
+export const readTransactions = async (scope, ledgerId, { from = null, to = null } = {}) => {
+    const meta = parseJSON(await storageBackend.getItem(getLedgerKey(scope, ledgerId)), null);
+    if (!meta) return null;
+
+    const start = from == null ? -Infinity : new Date(from).getTime();
+    const end = to == null ? Infinity : new Date(to).getTime();
+    const inRange = (transaction) => {
+        const time = activityTime(transaction);
+        return time >= start && time <= end;
+    };
+
+    // Ledgers written before chunkDates existed have every chunk read
+    const chunkDates = meta.chunkDates || [];
+    const chunkKeys = chunkKeysFor(scope, ledgerId, meta.transactionChunks || 0).filter((key, i) => {
+        const dates = chunkDates[i];
+        return !dates || (dates[1] >= start && dates[0] <= end);
+    });
+    if (chunkKeys.length === 0) return [];
+
+    const chunkPairs = await storageBackend.multiGet(chunkKeys);
+    return chunkPairs.flatMap(([, value]) => parseJSON(value, [])).filter(inRange);
+};
+
+/**
+ * Write one ledger under its own keys and register it in the index
+ * @param {string} scope - User scope
+ * @param {object} ledger - Full ledger object
+ * @param {Array<string>} index - Current index (will be extended if needed)
+ * @returns {Promise<Array<string>>} The updated index
+ */
+export const writeLedger = async (scope, ledger, index) => {
+    const [[, metaValue], [, summariesValue]] = await storageBackend.multiGet([
+        getLedgerKey(scope, ledger.id),
+        getLedgerSummariesKey(scope),
+    ]);
+    const summaries = parseJSON(summariesValue, null) || {};
+    summaries[ledger.id] = summarizeLedger(ledger);
+    return writeLedgerKeys(scope, ledger, index, parseJSON(metaValue, null), [
+        [getLedgerSummariesKey(scope), JSON.stringify(summaries)],
+    ]);
+};
+
+// Write a ledger's own keys plus `extraPairs` in one multiSet
+const writeLedgerKeys = async (scope, ledger, index, previousMeta, extraPairs = []) => {
+    const { transactions = [], ...fields } = ledger;
+    const previousChunks = previousMeta ? previousMeta.transactionChunks || 0 : 0;
+
+    const chunkCount = Math.ceil(transactions.length / TRANSACTION_CHUNK_SIZE);
+    const chunkPairs = [];
+    const chunkDates = [];
+    for (let i = 0; i < chunkCount; i++) {
+        const chunk = transactions.slice(i * TRANSACTION_CHUNK_SIZE, (i + 1) * TRANSACTION_CHUNK_SIZE);
+        chunkPairs.push([getTransactionChunkKey(scope, ledger.id, i), JSON.stringify(chunk)]);
+        const times = chunk.map(activityTime);
+        chunkDates.push([Math.min(...times), Math.max(...times)]);
+    }
+    const meta = { ...fields, transactionChunks: chunkCount, chunkDates };
+    const pairs = [[getLedgerKey(scope, ledger.id), JSON.stringify(meta)], ...chunkPairs];
+
+    const nextIndex = index.includes(ledger.id) ? index : [...index, ledger.id];
+    if (nextIndex !== index) {
+        pairs.push([getLedgerIndexKey(scope), JSON.stringify(nextIndex)]);
+    }
+    await storageBackend.multiSet([...pairs, ...extraPairs]);
+
+    // Drop chunks left over from a longer previous version of this ledger
+    if (previousChunks > chunkCount) {
+        const stale = chunkKeysFor(scope, ledger.id, previousChunks).slice(chunkCount);
+        await storageBackend.multiRemove(stale);
+    }
+    return nextIndex;
+};
+
+/**
+ * Remove one ledger's keys and unregister it from the index
+ * @param {string} scope - User scope
+ * @param {string} ledgerId - Ledger to remove
+ * @param {Array<string>} index - Current index
+ * @returns {Promise<Array<string>>} The updated index
+ */
+export const removeLedger = async (scope, ledgerId, index) => {
+    const [[, metaValue], [, summariesValue]] = await storageBackend.multiGet([
+        getLedgerKey(scope, ledgerId),
+        getLedgerSummariesKey(scope),
+    ]);
+    const meta = parseJSON(metaValue, null);
+    const chunkCount = meta ? meta.transactionChunks || 0 : 0;
+    const summaries = parseJSON(summariesValue, null) || {};
+    delete summaries[ledgerId];
+
+    const nextIndex = index.filter(id => id !== ledgerId);
+    await storageBackend.multiSet([
+        [getLedgerIndexKey(scope), JSON.stringify(nextIndex)],
+        [getLedgerSummariesKey(scope), JSON.stringify(summaries)],
+    ]);
+    await storageBackend.multiRemove([getLedgerKey(scope, ledgerId), ...chunkKeysFor(scope, ledgerId, chunkCount)]);
+    return nextIndex;
+};
+
+/**
+ * Remove every ledger in a scope, including the legacy single-blob key
+ * @param {string} scope - User scope
+ * @returns {Promise<void>}
+ */
+export const removeAllLedgers = async (scope) => {
+    let index = (await readLedgerIndex(scope)) || [];
+    for (const ledgerId of [...index]) {
+        index = await removeLedger(scope, ledgerId, index);
+    }
+    await storageBackend.multiRemove([getLedgerIndexKey(scope), getLedgerSummariesKey(scope), getLegacyLedgersKey(scope)]);
+};
+
+/**
+ * Replace every ledger of a scope with the given set
+ * @param {string} scope - User scope
+ * @param {object} allLedgers - { [ledgerId]: ledger }
+ * @returns {Promise<void>}
+ */
+export const writeAllLedgers = async (scope, allLedgers) => {
+    await removeAllLedgers(scope);
+    let index = [];
+    const summaries = {};
+    for (const ledger of Object.values(allLedgers)) {
+        index = await writeLedgerKeys(scope, ledger, index, null);
+        summaries[ledger.id] = summarizeLedger(ledger);
+    }
+    await storageBackend.multiSet([
+        [getLedgerIndexKey(scope), JSON.stringify(index)],
+        [getLedgerSummariesKey(scope), JSON.stringify(summaries)],
+    ]);
+};
+
+/**
+ * Make sure a scope uses the per-ledger layout, splitting the legacy
+ * `ledgers_<scope>` blob into per-ledger keys the first time it is seen.
+ * @param {string} scope - User scope
+ * @returns {Promise<Array<string>>} The ledger index
+ */
+export const ensureLedgerLayout = async (scope) => {
+    const existing = await readLedgerIndex(scope);
+    if (existing) return existing;
+
+    const legacy = parseJSON(await storageBackend.getItem(getLegacyLedgersKey(scope)), {});
+    let index = [];
+    for (const ledger of Object.values(legacy)) {
+        if (ledger && ledger.id) index = await writeLedger(scope, ledger, index);
+    }
+    await storageBackend.setItem(getLedgerIndexKey(scope), JSON.stringify(index));
+    await storageBackend.removeItem(getLegacyLedgersKey(scope));
+    return index;
+};
+
+/**
+ * Make sure a scope has ledger summaries for every ledger in its index, building them
+ * from the ledgers when they are missing (data written before summaries existed)
+ * @param {string} scope - User scope
+ * @returns {Promise<object>} { [ledgerId]: summary }
+ */
+export const ensureLedgerSummaries = async (scope) => {
+    const index = await ensureLedgerLayout(scope);
+    const existing = await readLedgerSummaries(scope);
+    if (existing && index.every(id => existing[id])) return existing;
+
+    const ledgers = await readLedgers(scope, index);
+    const summaries = {};
+    index.forEach(id => {
+        if (ledgers[id]) summaries[id] = summarizeLedger(ledgers[id]);
+    });
+    await storageBackend.setItem(getLedgerSummariesKey(scope), JSON.stringify(summaries));
+    return summaries;
+};
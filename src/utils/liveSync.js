@@ -0,0 +1,242 @@
+// Live Sync - Opt-in real-time updates of the open book through Firestore snapshot listeners
+//
+// While it is on (settings.liveSync, which needs auto backup), listeners watch the book's
+// ledgers, each ledger's transactions, expenses, categories and tombstones. Documents that
+// changed are collected for a moment and merged into local storage record by record
+// (applyRemoteChanges in cloudSync.js); the data store picks them up from there. Local
+// edits still go up through the outbox, so documents this device wrote are skipped.
+//
+// Status for the connection indicator: off | connecting | live | offline | error.
+// The listeners stop while the app is locked (the records cannot be written then) and
+// catch up from the first snapshot after unlocking.
+// Point firebase.js at the Firestore emulator to try two devices against one machine.
+
+import { collection, doc, onSnapshot } from 'firebase/firestore';
+import { db, auth } from '../../firebase';
+import { applyRemoteChanges } from './cloudSync';
+import { fromFirestore, tombstoneFromFirestore } from './recordSchema';
+import { getBackupSettings } from './storage';
+import { getDeviceId } from './device';
+import { getBookPath, getActiveBookId, subscribeActiveBook } from './books';
+
+// Snapshots that arrive together (e.g. the first load of every ledger) land in one write
+const FLUSH_DELAY_MS = 500;
+const RETRY_MS = 30 * 1000;
+
+// fromCache flips to false once the listeners reach the server
+const LISTENER_OPTIONS = { includeMetadataChanges: true };
+
+const TRANSACTIONS_PREFIX = 'transactions:';
+
+const emptyChanges = () => ({ ledgers: {}, transactions: {}, expenses: {}, categories: null, tombstones: {} });
+
+let running = false;
+let paused = false;
+let session = null;
+let retryTimer = null;
+let refreshing = Promise.resolve();
+let applying = Promise.resolve();
+
+/**
+ * Live sync status listeners (HomeScreen header, UserProfileScreen backup section)
+ */
+let status = { state: 'off', error: null, lastChangeAt: null };
+const listeners = new Set();
+
+const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Subscribe to live sync status changes
+ * @param {Function} listener - Called with { state, error, lastChangeAt }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeLiveSync = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Current live sync status
+ * @returns {object} { state: 'off'|'connecting'|'live'|'offline'|'error', error, lastChangeAt }
+ */
+export const getLiveSyncStatus = () => status;
+
+const updateState = (s) => {
+    const names = Object.keys(s.unsubscribes);
+    let state = 'live';
+    if (names.some(name => s.fromCache[name] === undefined)) state = 'connecting';
+    else if (names.some(name => s.fromCache[name])) state = 'offline';
+    if (state !== status.state) setStatus({ state, error: null });
+};
+
+const flush = (s) => {
+    s.flushTimer = null;
+    const changes = s.pending;
+    s.pending = emptyChanges();
+    applying = applying
+        .then(() => applyRemoteChanges(s.uid, s.bookId, changes))
+        .then(() => setStatus({ lastChangeAt: new Date().toISOString() }))
+        .catch(error => console.error('Live sync: could not apply changes:', error));
+};
+
+const scheduleFlush = (s) => {
+    if (!s.flushTimer) s.flushTimer = setTimeout(() => flush(s), FLUSH_DELAY_MS);
+};
+
+// Queue the documents of a snapshot that changed on another device
+const collect = (s, snapshot, add) => {
+    let added = false;
+    snapshot.docChanges().forEach(change => {
+        // Deletions arrive as tombstones; writes still on their way up are already local
+        if (change.type === 'removed' || change.doc.metadata.hasPendingWrites) return;
+        const data = change.doc.data();
+        if (data.deviceId && data.deviceId === s.deviceId) return;
+        add(change.doc.id, data);
+        added = true;
+    });
+    if (added) scheduleFlush(s);
+};
+
+const stopSession = () => {
+    if (!session) return;
+    const s = session;
+    session = null;
+    if (s.flushTimer) clearTimeout(s.flushTimer);
+    Object.values(s.unsubscribes).forEach(unsubscribe => unsubscribe());
+};
+
+const startSession = async (uid, bookId) => {
+    const deviceId = await getDeviceId();
+    const bookPath = getBookPath(uid, bookId);
+    const s = { uid, bookId, deviceId, unsubscribes: {}, fromCache: {}, pending: emptyChanges(), flushTimer: null };
+    session = s;
+    setStatus({ state: 'connecting', error: null });
+
+    const fail = (name, error) => {
+        if (session !== s) return;
+        console.error(`Live sync: ${name} listener failed:`, error);
+        stopSession();
+        setStatus({ state: 'error', error: error.message || String(error) });
+        if (retryTimer) clearTimeout(retryTimer);
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            refreshLiveSync();
+        }, RETRY_MS);
+    };
+
+    const listen = (name, ref, onChange) => {
+        s.unsubscribes[name] = onSnapshot(ref, LISTENER_OPTIONS, snapshot => {
+            if (session !== s) return;
+            s.fromCache[name] = snapshot.metadata.fromCache;
+            onChange(snapshot);
+            updateState(s);
+        }, error => fail(name, error));
+    };
+
+    const stopListening = (name) => {
+        s.unsubscribes[name]();
+        delete s.unsubscribes[name];
+        delete s.fromCache[name];
+    };
+
+    // Path: users/{uid}/books/{bookId}/ledgers, plus one transactions listener per ledger
+    listen('ledgers', collection(db, ...bookPath, 'ledgers'), snapshot => {
+        collect(s, snapshot, (id, data) => {
+            s.pending.ledgers[id] = fromFirestore('ledger', id, data);
+        });
+        const ledgerIds = new Set(snapshot.docs.map(ledgerDoc => ledgerDoc.id));
+        ledgerIds.forEach(ledgerId => {
+            const name = `${TRANSACTIONS_PREFIX}${ledgerId}`;
+            if (s.unsubscribes[name]) return;
+            listen(name, collection(db, ...bookPath, 'ledgers', ledgerId, 'transactions'), txnSnapshot => {
+                collect(s, txnSnapshot, (id, data) => {
+                    s.pending.transactions[ledgerId] = s.pending.transactions[ledgerId] || {};
+                    s.pending.transactions[ledgerId][id] = fromFirestore('transaction', id, data);
+                });
+            });
+        });
+        Object.keys(s.unsubscribes)
+            .filter(name => name.startsWith(TRANSACTIONS_PREFIX) && !ledgerIds.has(name.slice(TRANSACTIONS_PREFIX.length)))
+            .forEach(stopListening);
+    });
+
+    listen('expenses', collection(db, ...bookPath, 'expenses'), snapshot => {
+        collect(s, snapshot, (id, data) => {
+            s.pending.expenses[id] = fromFirestore('expense', id, data);
+        });
+    });
+
+    // Categories are one document holding the whole list
+    let categoriesVersion = null;
+    listen('categories', doc(db, ...bookPath, 'settings', 'categories'), snapshot => {
+        if (!snapshot.exists() || snapshot.metadata.hasPendingWrites) return;
+        const data = snapshot.data();
+        if (data.updatedAt && data.updatedAt === categoriesVersion) return;
+        categoriesVersion = data.updatedAt || null;
+        const categories = {};
+        (data.list || []).forEach(category => {
+            if (category && category.id) categories[category.id] = category;
+        });
+        s.pending.categories = categories;
+        scheduleFlush(s);
+    });
+
+    listen('tombstones', collection(db, ...bookPath, 'tombstones'), snapshot => {
+        collect(s, snapshot, (id, data) => {
+            const { key, tombstone } = tombstoneFromFirestore(data);
+            if (key) s.pending.tombstones[key] = tombstone;
+        });
+    });
+};
+
+/**
+ * Start or stop the listeners to match the setting, the signed-in user and the open book.
+ * Call after changing settings.liveSync or settings.autoBackup.
+ * @returns {Promise<void>}
+ */
+export const refreshLiveSync = () => {
+    refreshing = refreshing.then(async () => {
+        const user = auth.currentUser;
+        const settings = user && !paused ? await getBackupSettings() : null;
+        const wanted = running && !paused && user && settings.autoBackup && settings.liveSync;
+        const bookId = getActiveBookId();
+        if (session && (!wanted || session.uid !== user.uid || session.bookId !== bookId)) stopSession();
+        if (wanted && !session && !retryTimer) await startSession(user.uid, bookId);
+        if (!wanted) {
+            if (retryTimer) clearTimeout(retryTimer);
+            retryTimer = null;
+            setStatus({ state: 'off', error: null });
+        }
+    }).catch(error => console.error('Live sync: could not start:', error));
+    return refreshing;
+};
+
+/**
+ * Stop the listeners while the app is locked and start them again on unlock
+ * @param {boolean} value - True while locked
+ * @returns {Promise<void>}
+ */
+export const setLiveSyncPaused = (value) => {
+    if (value === paused) return refreshing;
+    paused = value;
+    return refreshLiveSync();
+};
+
+/**
+ * Run live sync for the signed-in user while the setting is on, following book switches
+ * @returns {Function} Stop listening
+ */
+export const startLiveSync = () => {
+    running = true;
+    const unsubscribeBook = subscribeActiveBook(() => refreshLiveSync());
+    refreshLiveSync();
+
+    return () => {
+        running = false;
+        unsubscribeBook();
+        refreshLiveSync();
+    };
+};
@@ -0,0 +1,35 @@
+// Memory Backend - Local records in a Map, for tests and tooling
+//
+// Behaves like AsyncStorage (values are strings, missing keys read as null) but keeps
+// nothing across restarts. Install it with setStorageBackend (storageBackend.js).
+
+/**
+ * Build an empty in-memory storage backend
+ * @param {object} initial - Optional { [key]: value } to start with
+ * @returns {object} Backend
+ */
+export const createMemoryBackend = (initial = {}) => {
+    const records = new Map(Object.entries(initial));
+    const read = (key) => (records.has(key) ? records.get(key) : null);
+
+    return {
+        getItem: async (key) => read(key),
+        setItem: async (key, value) => {
+            records.set(key, String(value));
+        },
+        removeItem: async (key) => {
+            records.delete(key);
+        },
+        multiGet: async (keys) => keys.map(key => [key, read(key)]),
+        multiSet: async (pairs) => {
+            pairs.forEach(([key, value]) => records.set(key, String(value)));
+        },
+        multiRemove: async (keys) => {
+            keys.forEach(key => records.delete(key));
+        },
+        getAllKeys: async () => [...records.keys()],
+        clear: async () => {
+            records.clear();
+        },
+    };
+};
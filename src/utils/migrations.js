@@ -0,0 +1,325 @@
+// Schema Migrations - Upgrades stored data to the current shape at startup
+//
+// Each user scope (uid or 'guest') stores its own `schemaVersion_<scope>`.
+// Migrations run in order inside the write queue; every step is snapshotted
+// first and rolled back on failure, so a crash never leaves half-written data.
+
+import storageBackend from './storageBackend';
+import { enqueueWrite } from './writeQueue';
+import { ensureLedgerLayout, ensureLedgerSummaries, readLedgers, writeLedger } from './ledgerStore';
+import { recomputeLedger, normalizeType } from './ledgerEngine';
+import { getDeviceId } from './device';
+import { legacyAmountsToPaise, legacyLedgerToPaise, legacyAuditEntryToPaise } from './recordSchema';
+import { getBookScope, readBooks, DEFAULT_BOOK_ID, BOOK_KEY_NAMES } from './books';
+
+const getSchemaVersionKey = (scope) => `schemaVersion_${scope}`;
+
+const readJSON = async (key, fallback) => {
+    const jsonValue = await storageBackend.getItem(key);
+    if (jsonValue == null) return fallback;
+    return JSON.parse(jsonValue);
+};
+
+const DEFAULT_PROFILE = {
+    name: '',
+    phone: '',
+    email: '',
+    bankName: '',
+    accountNumber: '',
+    ifsc: '',
+    upiIds: [],
+    profileImage: null,
+    qrCode: null
+};
+
+/**
+ * Ordered list of migrations. `version` is the schema version AFTER the step runs.
+ * Never reorder or edit a shipped step; append a new one instead.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Split the single ledgers blob into per-ledger keys',
+        run: async ({ scope }) => {
+            await ensureLedgerLayout(scope);
+        }
+    },
+    {
+        version: 2,
+        description: 'Normalize transaction types and rebuild balanceAfter',
+        run: async ({ scope }) => {
+            let index = await ensureLedgerLayout(scope);
+            const ledgers = await readLedgers(scope, index);
+            for (const ledger of Object.values(ledgers)) {
+                const upgraded = recomputeLedger({
+                    ...ledger,
+                    transactions: (ledger.transactions || []).map(t => ({
+                        ...t,
+                        type: normalizeType(t.type),
+                        amount: Math.abs(Number(t.amount) || 0),
+                    })),
+                });
+                index = await writeLedger(scope, upgraded, index);
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Normalize expenses and categories',
+        run: async ({ scope }) => {
+            const expensesKey = `expenses_${scope}`;
+            const expenses = await readJSON(expensesKey, null);
+            if (Array.isArray(expenses)) {
+                const upgraded = expenses
+                    .filter(e => e && e.id)
+                    .map(e => ({
+                        ...e,
+                        title: e.title || '',
+                        amount: Math.abs(Number(e.amount) || 0),
+                        category: e.category || 'Other',
+                        date: e.date || new Date().toISOString(),
+                    }));
+                await storageBackend.setItem(expensesKey, JSON.stringify(upgraded));
+            }
+
+            const categoriesKey = `categories_${scope}`;
+            const categories = await readJSON(categoriesKey, null);
+            if (Array.isArray(categories)) {
+                const seen = new Set();
+                const upgraded = categories
+                    .map(c => (typeof c === 'string' ? { id: c } : c))
+                    .filter(c => c && c.id && !seen.has(c.id) && seen.add(c.id))
+                    .map(c => ({ icon: 'tag', color: '#78909C', ...c }));
+                await storageBackend.setItem(categoriesKey, JSON.stringify(upgraded));
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Consolidate profile into profile/info',
+        run: async ({ scope, uid }) => {
+            // Without a local profile getUserProfile still falls back to the cloud copy
+            const profileKey = `profile_${scope}`;
+            const localProfile = await readJSON(profileKey, null);
+            if (localProfile) {
+                const merged = { ...DEFAULT_PROFILE, ...localProfile };
+                merged.upiIds = Array.isArray(merged.upiIds) ? merged.upiIds : [];
+                await storageBackend.setItem(profileKey, JSON.stringify(merged));
+            }
+
+            // Older builds also wrote users/{uid}/settings/profile. Migrations must not need the
+            // network, so the next sync folds it into profile/info (foldLegacyProfile in cloudSync.js)
+            if (uid) {
+                const settingsKey = `settings_${scope}`;
+                const settings = await readJSON(settingsKey, {});
+                await storageBackend.setItem(settingsKey, JSON.stringify({ ...settings, legacyProfilePending: true }));
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Stamp records with updatedAt and deviceId for merge sync',
+        run: async ({ scope }) => {
+            const stamp = { updatedAt: new Date().toISOString(), deviceId: await getDeviceId(), syncBase: null };
+            const withStamp = (record) => (record.updatedAt ? record : { ...record, ...stamp });
+
+            let index = await ensureLedgerLayout(scope);
+            const ledgers = await readLedgers(scope, index);
+            for (const ledger of Object.values(ledgers)) {
+                index = await writeLedger(scope, {
+                    ...withStamp(ledger),
+                    transactions: (ledger.transactions || []).map(withStamp),
+                }, index);
+            }
+
+            for (const key of [`expenses_${scope}`, `categories_${scope}`]) {
+                const records = await readJSON(key, null);
+                if (Array.isArray(records)) {
+                    await storageBackend.setItem(key, JSON.stringify(records.map(withStamp)));
+                }
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Store amounts as integer paise',
+        run: async ({ scope, uid }) => {
+            // Content only changes representation, so records are not restamped; cloud copies
+            // without a moneyUnit are converted the same way when they are read
+            let index = await ensureLedgerLayout(scope);
+            const ledgers = await readLedgers(scope, index);
+            for (const ledger of Object.values(ledgers)) {
+                index = await writeLedger(scope, recomputeLedger(legacyLedgerToPaise(ledger)), index);
+            }
+
+            const expensesKey = `expenses_${scope}`;
+            const expenses = await readJSON(expensesKey, null);
+            if (Array.isArray(expenses)) {
+                await storageBackend.setItem(expensesKey, JSON.stringify(expenses.map(e => legacyAmountsToPaise('expense', e))));
+            }
+
+            const auditKeys = (await storageBackend.getAllKeys()).filter(key => key.startsWith(`ledgerAudit_${scope}_`));
+            for (const key of auditKeys) {
+                const log = await readJSON(key, []);
+                await storageBackend.setItem(key, JSON.stringify(log.map(legacyAuditEntryToPaise)));
+            }
+
+            const convertRecord = (kind, record) => {
+                if (!record) return record;
+                return kind === 'ledger' ? legacyLedgerToPaise(record) : legacyAmountsToPaise(kind, record);
+            };
+
+            const trashKey = `trash_${scope}`;
+            const trash = await readJSON(trashKey, null);
+            if (trash) {
+                Object.values(trash).forEach(entry => { entry.record = convertRecord(entry.kind, entry.record); });
+                await storageBackend.setItem(trashKey, JSON.stringify(trash));
+            }
+
+            const conflictsKey = `syncConflicts_${scope}`;
+            const conflicts = await readJSON(conflictsKey, null);
+            if (Array.isArray(conflicts)) {
+                await storageBackend.setItem(conflictsKey, JSON.stringify(conflicts.map(c => (
+                    c.kind === 'category' ? c : { ...c, local: convertRecord(c.kind, c.local), remote: convertRecord(c.kind, c.remote) }
+                ))));
+            }
+
+            // Pending uploads carry copies of the records
+            if (uid) {
+                const outboxKey = `outbox_${uid}`;
+                const outbox = await readJSON(outboxKey, null);
+                if (outbox && Array.isArray(outbox.ops)) {
+                    const payloadConverters = {
+                        upsertLedger: legacyLedgerToPaise,
+                        upsertExpense: (expense) => legacyAmountsToPaise('expense', expense),
+                        appendAudit: legacyAuditEntryToPaise,
+                    };
+                    outbox.ops = outbox.ops.map(op => (
+                        payloadConverters[op.kind] && op.payload ? { ...op, payload: payloadConverters[op.kind](op.payload) } : op
+                    ));
+                    await storageBackend.setItem(outboxKey, JSON.stringify(outbox));
+                }
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Move records into the default book',
+        run: async ({ scope }) => {
+            // `<name>_<scope>[_...]` becomes `<name>_<scope>_default[_...]`; settings, exchange
+            // rates and the outbox stay with the account. Queued ops without a bookId already
+            // go to the default book, and its cloud copy is moved by the first sync (cloudSync.js).
+            const bookScope = getBookScope(scope, DEFAULT_BOOK_ID);
+            const keys = (await storageBackend.getAllKeys()).filter(key => {
+                const name = key.slice(0, key.indexOf('_'));
+                if (!BOOK_KEY_NAMES.includes(name) || belongsToScope(key, bookScope)) return false;
+                return key === `${name}_${scope}` || key.startsWith(`${name}_${scope}_`);
+            });
+            if (keys.length === 0) return;
+
+            const pairs = (await storageBackend.multiGet(keys))
+                .filter(([, value]) => value != null)
+                .map(([key, value]) => {
+                    const name = key.slice(0, key.indexOf('_'));
+                    return [`${name}_${bookScope}${key.slice(name.length + scope.length + 1)}`, value];
+                });
+            if (pairs.length > 0) await storageBackend.multiSet(pairs);
+            await storageBackend.multiRemove(keys);
+        }
+    },
+    {
+        version: 8,
+        description: 'Build the ledger summaries of every book',
+        run: async ({ scope }) => {
+            for (const book of await readBooks(scope)) {
+                await ensureLedgerSummaries(getBookScope(scope, book.id));
+            }
+        }
+    },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Whether a storage key holds data of a user scope (`<name>_<scope>` or `<name>_<scope>_<...>`)
+ * @param {string} key - Storage key
+ * @param {string} scope - User scope
+ * @returns {boolean}
+ */
+export const belongsToScope = (key, scope) => key.endsWith(`_${scope}`) || key.includes(`_${scope}_`);
+
+/**
+ * Read every stored record of a scope
+ * @param {string} scope - User or book scope
+ * @returns {Promise<Array>} [[key, value]] pairs
+ */
+export const snapshotScope = async (scope) => {
+    const keys = (await storageBackend.getAllKeys()).filter(key => belongsToScope(key, scope));
+    return storageBackend.multiGet(keys);
+};
+
+/**
+ * Put a scope back to a snapshot, removing keys that were added since
+ * @param {string} scope - User or book scope
+ * @param {Array} snapshot - Pairs from snapshotScope
+ * @returns {Promise<void>}
+ */
+export const restoreScope = async (scope, snapshot) => {
+    const snapshotKeys = new Set(snapshot.map(([key]) => key));
+    const currentKeys = (await storageBackend.getAllKeys()).filter(key => belongsToScope(key, scope));
+    const added = currentKeys.filter(key => !snapshotKeys.has(key));
+    if (added.length > 0) await storageBackend.multiRemove(added);
+    const pairs = snapshot.filter(([, value]) => value != null);
+    if (pairs.length > 0) await storageBackend.multiSet(pairs);
+};
+
+/**
+ * Get the stored schema version for a scope
+ * @param {string} scope - User scope (uid or 'guest')
+ * @returns {Promise<number>} 0 if the scope was never migrated
+ */
+export const getSchemaVersion = async (scope) => {
+    const value = await storageBackend.getItem(getSchemaVersionKey(scope));
+    return value == null ? 0 : parseInt(value, 10) || 0;
+};
+
+/**
+ * Run every pending migration for a user scope
+ * @param {string|null} uid - Firebase uid, or null for guest data
+ * @returns {Promise<object>} { success, fromVersion, toVersion, failed?: { version, description }, error? }
+ */
+export const runMigrations = async (uid) => {
+    const scope = uid || 'guest';
+    return enqueueWrite(async () => {
+        const fromVersion = await getSchemaVersion(scope);
+        let version = fromVersion;
+
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= version) continue;
+
+            const snapshot = await snapshotScope(scope);
+            try {
+                console.log(`Migrations: [${scope}] v${version} -> v${migration.version}: ${migration.description}`);
+                await migration.run({ scope, uid });
+                await storageBackend.setItem(getSchemaVersionKey(scope), String(migration.version));
+                version = migration.version;
+            } catch (error) {
+                console.error(`Migrations: v${migration.version} failed, rolling back:`, error);
+                try {
+                    await restoreScope(scope, snapshot);
+                } catch (restoreError) {
+                    console.error('Migrations: rollback failed:', restoreError);
+                }
+                return {
+                    success: false,
+                    fromVersion,
+                    toVersion: version,
+                    failed: { version: migration.version, description: migration.description },
+                    error: error.message || String(error)
+                };
+            }
+        }
+
+        return { success: true, fromVersion, toVersion: version };
+    });
+};
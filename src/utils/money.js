@@ -0,0 +1,225 @@
+// Money - Amounts are integers in the currency's minor unit (paise for INR)
+//
+// Every stored and computed amount (transaction amount, balanceAfter, ledger balance,
+// expense amount) is an integer number of paise, so sums never pick up floating-point
+// drift. Rupees only appear at the edges: parsing what the user typed and formatting
+// for display, PDFs and charts.
+//
+// Ledgers and expenses carry a `currency` code (records without one are INR). Every
+// supported currency has 100 minor units, so the paise helpers below work for cents and
+// fils too; only the symbol changes. Amounts in different currencies are never added
+// together except through convertTotals, which uses the user's exchange rates.
+
+export const PAISE_PER_RUPEE = 100;
+export const DEFAULT_CURRENCY = 'INR';
+
+export const CURRENCIES = {
+    INR: { code: 'INR', symbol: '₹', name: 'Indian Rupee' },
+    USD: { code: 'USD', symbol: '$', name: 'US Dollar' },
+    AED: { code: 'AED', symbol: 'AED ', name: 'UAE Dirham' },
+    EUR: { code: 'EUR', symbol: '€', name: 'Euro' },
+    GBP: { code: 'GBP', symbol: '£', name: 'British Pound' },
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+/**
+ * Currency code of a ledger or expense
+ * @param {object} record - Ledger or expense
+ * @returns {string} e.g. "USD" (INR when the record has none or an unknown one)
+ */
+export const getCurrency = (record) => {
+    const code = record && record.currency;
+    return CURRENCIES[code] ? code : DEFAULT_CURRENCY;
+};
+
+/**
+ * Symbol shown before amounts in a currency
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "$"
+ */
+export const getCurrencySymbol = (currency) => (CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY]).symbol;
+
+/**
+ * Convert a rupee value (number or numeric string) to integer paise
+ * @param {number|string} rupees - e.g. 12.5 or "1,234.56"
+ * @returns {number} Paise, 0 if not a number
+ */
+export const toPaise = (rupees) => {
+    const value = typeof rupees === 'string' ? Number(rupees.replace(/,/g, '')) : Number(rupees);
+    if (!isFinite(value)) return 0;
+    // Shift the decimal point in the string form so 1.005 becomes 100.5 (not 100.49999...)
+    const shifted = Number(`${value}e2`);
+    return Math.round(isFinite(shifted) ? shifted : value * PAISE_PER_RUPEE);
+};
+
+/**
+ * Convert paise to a rupee number (for charts and other numeric consumers)
+ * @param {number} paise - Integer paise
+ * @returns {number} Rupees
+ */
+export const toRupees = (paise) => (Number(paise) || 0) / PAISE_PER_RUPEE;
+
+/**
+ * Sum amounts in paise
+ * @param {Array} items - Items to sum
+ * @param {Function} pick - Returns the paise amount of an item (defaults to the item itself)
+ * @returns {number} Integer paise
+ */
+export const sumPaise = (items = [], pick = (item) => item) => {
+    return items.reduce((total, item) => total + (Math.round(Number(pick(item))) || 0), 0);
+};
+
+/**
+ * Format paise as a rupee amount without the symbol, e.g. 123450 -> "1,234.50"
+ * @param {number} paise - Integer paise (negative values keep their sign)
+ * @param {object} options - { fixed: always show two decimals (default: only when there are paise) }
+ * @returns {string} Formatted amount
+ */
+export const formatAmount = (paise, { fixed = false } = {}) => {
+    const value = Math.round(Number(paise) || 0);
+    const abs = Math.abs(value);
+    const rupees = Math.floor(abs / PAISE_PER_RUPEE).toLocaleString();
+    const fraction = abs % PAISE_PER_RUPEE;
+    const decimals = fixed || fraction !== 0 ? `.${String(fraction).padStart(2, '0')}` : '';
+    return `${value < 0 ? '-' : ''}${rupees}${decimals}`;
+};
+
+/**
+ * Format paise with the currency symbol, e.g. 150000 -> "₹1,500", or "$1,500" for USD
+ * @param {number} paise - Integer minor units
+ * @param {object} options - See formatAmount, plus { currency: code (default INR) }
+ * @returns {string} Formatted amount
+ */
+export const formatMoney = (paise, { currency = DEFAULT_CURRENCY, ...options } = {}) => {
+    const value = Number(paise) || 0;
+    return `${value < 0 ? '-' : ''}${getCurrencySymbol(currency)}${formatAmount(Math.abs(value), options)}`;
+};
+
+/**
+ * Sum amounts separately for each currency
+ * @param {Array} items - Items to sum
+ * @param {Function} pick - Returns the paise amount of an item
+ * @param {Function} pickCurrency - Returns the currency code of an item (defaults to getCurrency)
+ * @returns {object} { [currency]: paise }, in first-seen order
+ */
+export const sumByCurrency = (items = [], pick = (item) => item.amount, pickCurrency = getCurrency) => {
+    const totals = {};
+    items.forEach(item => {
+        const currency = pickCurrency(item);
+        totals[currency] = (totals[currency] || 0) + (Math.round(Number(pick(item))) || 0);
+    });
+    return totals;
+};
+
+/**
+ * Format per-currency totals
+ * @param {object} totals - { [currency]: paise } (see sumByCurrency)
+ * @param {string} separator - Placed between currencies (default: one per line)
+ * @returns {string} e.g. "₹1,200\n$40" ("₹0" when there is nothing to total)
+ */
+export const formatTotals = (totals, separator = '\n') => {
+    const entries = Object.entries(totals);
+    if (entries.length === 0) return formatMoney(0);
+    return entries.map(([currency, paise]) => formatMoney(paise, { currency })).join(separator);
+};
+
+/**
+ * Convert an amount to the default currency with the user's exchange rates
+ * @param {number} paise - Integer minor units
+ * @param {string} currency - Currency of the amount
+ * @param {object} rates - { [currency]: value of 1 unit in the default currency }
+ * @returns {number|null} Paise in the default currency, null if there is no rate
+ */
+export const convertAmount = (paise, currency, rates = {}) => {
+    if (currency === DEFAULT_CURRENCY) return Math.round(Number(paise) || 0);
+    const rate = Number(rates[currency]);
+    if (!(rate > 0)) return null;
+    return Math.round((Number(paise) || 0) * rate);
+};
+
+/**
+ * Add up per-currency totals in the default currency
+ * @param {object} totals - { [currency]: paise } (see sumByCurrency)
+ * @param {object} rates - See convertAmount
+ * @returns {number|null} Paise in the default currency, null if a currency has no rate
+ */
+export const convertTotals = (totals, rates = {}) => {
+    let converted = 0;
+    for (const [currency, paise] of Object.entries(totals)) {
+        const value = convertAmount(paise, currency, rates);
+        if (value == null) return null;
+        converted += value;
+    }
+    return converted;
+};
+
+// Expression parser over paise: "75+38.5*2" -> 15200. Literals become paise first so
+// additions are exact; products and quotients are rounded once at the end.
+const tokenize = (expr) => expr.match(/\d*\.?\d+|[+\-*/]/g) || [];
+
+const parseExpression = (tokens) => {
+    let position = 0;
+
+    const parseNumber = () => {
+        const token = tokens[position];
+        if (token === '-' || token === '+') {
+            position++;
+            const value = parseNumber();
+            return token === '-' ? -value : value;
+        }
+        if (token == null || !/\d/.test(token)) throw new Error(`Unexpected "${token || 'end'}"`);
+        position++;
+        return toPaise(token);
+    };
+
+    const parseTerm = () => {
+        let value = parseNumber();
+        while (tokens[position] === '*' || tokens[position] === '/') {
+            const operator = tokens[position++];
+            const right = parseNumber();
+            if (operator === '*') {
+                value = (value * right) / PAISE_PER_RUPEE;
+            } else {
+                if (right === 0) throw new Error('Division by zero');
+                value = (value * PAISE_PER_RUPEE) / right;
+            }
+        }
+        return value;
+    };
+
+    let value = parseTerm();
+    while (tokens[position] === '+' || tokens[position] === '-') {
+        const operator = tokens[position++];
+        const right = parseTerm();
+        value = operator === '+' ? value + right : value - right;
+    }
+    if (position !== tokens.length) throw new Error(`Unexpected "${tokens[position]}"`);
+    return Math.round(value);
+};
+
+/**
+ * Parse what the user typed (a number or a +, -, *, / expression) into paise
+ * @param {string|number} input - e.g. "75+38+58", "1,250.50"
+ * @returns {number} Integer paise, 0 if it cannot be parsed
+ */
+export const parseAmount = (input) => {
+    if (typeof input === 'number') return toPaise(input);
+    if (typeof input !== 'string' || !input.trim()) return 0;
+    // A trailing operator ("75+") is still being typed; ignore it
+    const tokens = tokenize(input.replace(/,/g, '').replace(/[+\-*/\s]+$/, ''));
+    if (tokens.length === 0) return 0;
+    try {
+        return parseExpression(tokens);
+    } catch (e) {
+        // Half-typed expressions ("75+(") land here on every keystroke
+        return 0;
+    }
+};
+
+/**
+ * Show a paise amount in an editable input (no grouping, no trailing ".00")
+ * @param {number} paise - Integer paise
+ * @returns {string} e.g. "1250.5"
+ */
+export const toInputString = (paise) => String(toRupees(paise));
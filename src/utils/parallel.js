@@ -0,0 +1,30 @@
+// Parallel - Run async work over a list with a cap on how many run at once
+//
+// Used for Firestore reads (one per ledger) so a book with hundreds of customers neither
+// waits on them one by one nor fires every request at the same moment.
+
+/**
+ * Call `task` for every item, at most `limit` at a time. Results keep the order of `items`.
+ * @param {Array} items - Inputs
+ * @param {number} limit - Most tasks running at once
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>} Results; rejects with the first error once running tasks settle
+ */
+export const mapWithLimit = async (items, limit, task) => {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+    const worker = async () => {
+        while (next < items.length && !failure) {
+            const index = next++;
+            try {
+                results[index] = await task(items[index], index);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    if (failure) throw failure;
+    return results;
+};
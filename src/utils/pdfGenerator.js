@@ -3,6 +3,7 @@ import * as Print from 'expo-print';
 import * as Sharing from 'expo-sharing';
 import * as FileSystem from 'expo-file-system';
 import { Platform } from 'react-native';
+import { formatMoney, getCurrency } from './money';
 
 /**
  * Generate high-quality PDF report for a ledger
@@ -53,6 +54,7 @@ export const generateLedgerPDF = async (ledger, transactions = null) => {
  */
 const createProfessionalHTML = (ledger, transactions) => {
     const { name, balance, phone = '' } = ledger;
+    const currency = getCurrency(ledger);
 
     // Calculate totals
     let payment = 0;
@@ -89,10 +91,10 @@ const createProfessionalHTML = (ledger, transactions) => {
             <td style="padding: 12px; border-bottom: 1px solid #f0f0f0;">
                 <div style="display: flex; align-items: center; margin-bottom: 5px;">
                     <span style="color: ${color}; font-size: 18px; margin-right: 5px;">${arrow}</span>
-                    <span style="color: ${color}; font-size: 16px; font-weight: bold;">₹${txn.amount.toLocaleString()}</span>
+                    <span style="color: ${color}; font-size: 16px; font-weight: bold;">${formatMoney(txn.amount, { currency })}</span>
                 </div>
                 <div style="font-size: 13px; color: #666;">${isCredit ? 'Payment Received' : 'Payment Given'}</div>
-                <div style="font-size: 12px; color: #999;">₹${Math.abs(txn.balanceAfter || 0).toLocaleString()} Due</div>
+                <div style="font-size: 12px; color: #999;">${formatMoney(Math.abs(txn.balanceAfter || 0), { currency })} Due</div>
             </td>
         </tr>
         `;
@@ -209,20 +211,20 @@ const createProfessionalHTML = (ledger, transactions) => {
         <div class="container">
             <div class="header">
                 <h1>Customer Statement</h1>
-                <p class="subtitle">Current Balance: <strong style="color: ${balance >= 0 ? '#F44336' : '#4CAF50'};">₹${Math.abs(balance).toLocaleString()}</strong></p>
+                <p class="subtitle">Current Balance: <strong style="color: ${balance >= 0 ? '#F44336' : '#4CAF50'};">${formatMoney(Math.abs(balance), { currency })}</strong></p>
             </div>
 
             <div class="balance-card">
-                <div class="balance-amount">₹${Math.abs(balance).toLocaleString()}</div>
+                <div class="balance-amount">${formatMoney(Math.abs(balance), { currency })}</div>
                 <div class="balance-label">Balance | ${getDateRange()}</div>
                 <div class="summary-row">
                     <div class="summary-item">
                         <div class="label">Payment (${transactions.filter(t => t.type === 'credit').length})</div>
-                        <div class="value payment">₹${payment.toLocaleString()}</div>
+                        <div class="value payment">${formatMoney(payment, { currency })}</div>
                     </div>
                     <div class="summary-item">
                         <div class="label">Credit (${transactions.filter(t => t.type === 'debit').length})</div>
-                        <div class="value credit">₹${credit.toLocaleString()}</div>
+                        <div class="value credit">${formatMoney(credit, { currency })}</div>
                     </div>
                 </div>
             </div>
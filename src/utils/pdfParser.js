@@ -1,10 +1,13 @@
 import * as DocumentPicker from 'expo-document-picker';
 import { getTextFromPdf } from 'expo-pdf-text-extract';
 import { Alert } from 'react-native';
+import { buildLedger } from './ledgerEngine';
+import { generateId } from './calculations';
+import { toPaise } from './money';
 
 /**
  * Parses a PDF file to extract ledger transactions
- * @returns {Promise<{name: string, phone: string, transactions: Array<{date: string, amount: number, type: 'credit'|'payment', note: string}>} | null>}
+ * @returns {Promise<{id: string, name: string, phone: string, balance: number, transactions: Array<{id: string, date: string, amount: number, type: 'credit'|'payment', note: string, balanceAfter: number}>} | null>}
  */
 export const importLedgerFromPdf = async () => {
     try {
@@ -69,7 +72,7 @@ const parsePdfText = (text) => {
             const amountMatch = cleanLine.match(/(\d+\.?\d{0,2})\s*$/); // Number at end of line?
 
             if (amountMatch) {
-                const amount = parseFloat(amountMatch[1]);
+                const amount = toPaise(amountMatch[1]);
                 // Determine type: Credit (Given) or Payment (Received)
                 // Heuristic: keywords
                 const isPayment = /payment|received|credit|gpay|upi/i.test(line);
@@ -88,6 +91,7 @@ const parsePdfText = (text) => {
                 const isoDate = `${year}-${month}-${day}T12:00:00.000Z`;
 
                 transactions.push({
+                    id: generateId(),
                     date: isoDate,
                     amount: amount,
                     type: typeGuess,
@@ -99,9 +103,10 @@ const parsePdfText = (text) => {
 
     console.log(`Parsed ${transactions.length} transactions.`);
 
-    return {
+    // Ledger engine sorts the rows and builds the balanceAfter chain
+    return buildLedger({
+        id: generateId(),
         name,
         phone,
-        transactions
-    };
+    }, transactions);
 };
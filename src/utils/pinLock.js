@@ -0,0 +1,279 @@
+// PIN Lock - The app PIN, stored as a salted slow hash, and the pace of wrong guesses
+//
+// Every account keeps its own lock: `pinHash_<uid>` holds PBKDF2-SHA256 of the PIN with a
+// random salt (derivePINKey in crypto.js), next to `pinEnabled_<uid>` and the biometric
+// preference (biometric.js). Someone else signing in on the same phone starts without a PIN,
+// and signing out leaves the lock in place for the next sign-in.
+//
+// FREE_ATTEMPTS wrong PINs in a row lock entry for 30 seconds, and every further miss locks
+// it for the next delay of LOCKOUT_STEPS_MS (1m, 5m, 15m, then 1h each time). The count and
+// the end of the lock are stored, so restarting the app does not reset them; a correct PIN
+// or a new PIN does.
+//
+// The lockout (`pinLockout_<uid>`) and the security policy (`verifyPolicy_<uid>`) live in the
+// platform keystore (expo-secure-store) rather than in app storage, which is readable and
+// writable to anyone holding a copy of it: editing them there would reset the wrong-guess count
+// or switch the action checks off. The web has no keystore and keeps them in app storage.
+//
+// While the app runs, security/AppLock.js asks for the PIN again once it has been idle or in
+// the background for the account's auto-lock timeout (`autoLock_<uid>`). Which actions ask
+// again before they run is kept under `verifyPolicy_<uid>` (securityPolicy.js).
+
+import storageBackend from './storageBackend';
+import * as SecureStore from 'expo-secure-store';
+import { auth } from '../../firebase';
+import { toBase64, fromBase64, equalBytes, newKdf, derivePINKey } from './crypto';
+
+const PIN_HASH_NAME = 'pinHash';
+const PIN_ENABLED_NAME = 'pinEnabled';
+const LOCKOUT_NAME = 'pinLockout';
+const AUTO_LOCK_NAME = 'autoLock';
+export const BIOMETRIC_NAME = 'biometricEnabled';
+export const POLICY_NAME = 'verifyPolicy';
+
+// Read before the PIN unlocks anything, so encryption.js leaves them in clear text
+export const LOCK_KEY_NAMES = [PIN_HASH_NAME, PIN_ENABLED_NAME, LOCKOUT_NAME, AUTO_LOCK_NAME, BIOMETRIC_NAME, POLICY_NAME];
+
+// Kept in the keystore; only the web, which has none, stores them with the others
+const SECURE_LOCK_KEY_NAMES = [LOCKOUT_NAME, POLICY_NAME];
+
+// Auto-lock timeouts in ms; null never locks a running app. 0 (the default) locks only on
+// coming back to the app, as before the timeout could be chosen.
+export const DEFAULT_AUTO_LOCK_MS = 0;
+export const AUTO_LOCK_OPTIONS = [
+    { label: 'Immediately', value: 0 },
+    { label: '30 sec', value: 30 * 1000 },
+    { label: '1 min', value: 60 * 1000 },
+    { label: '5 min', value: 5 * 60 * 1000 },
+    { label: '15 min', value: 15 * 60 * 1000 },
+    { label: 'Never', value: null },
+];
+
+// One PIN (kept as typed) used to guard the whole phone under these keys
+const DEVICE_KEYS = {
+    plainPIN: 'app_pin',
+    enabled: 'pin_enabled',
+    biometric: 'mazkhat_biometric_enabled',
+};
+
+const FREE_ATTEMPTS = 3;
+const LOCKOUT_STEPS_MS = [30 * 1000, 60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000];
+
+const NO_LOCKOUT = { failures: 0, lockedUntil: null };
+
+// Auto-lock setting listeners (security/AppLock.js)
+const autoLockListeners = new Set();
+
+let keystoreAvailable = null;
+
+const hasKeystore = async () => {
+    if (keystoreAvailable === null) keystoreAvailable = await SecureStore.isAvailableAsync();
+    return keystoreAvailable;
+};
+
+const getLockScope = () => {
+    const user = auth.currentUser;
+    return user ? user.uid : 'guest';
+};
+
+/**
+ * Storage key of one lock setting
+ * @param {string} name - One of LOCK_KEY_NAMES, or a setting kept in the keystore
+ * @param {string} scope - uid (default: signed-in user, 'guest' when signed out)
+ * @returns {string}
+ */
+export const getLockKey = (name, scope = getLockScope()) => `${name}_${scope}`;
+
+/**
+ * Read a lock setting kept in the keystore
+ * @param {string} name - LOCKOUT_NAME or POLICY_NAME
+ * @param {string} scope - uid (default: signed-in user, 'guest' when signed out)
+ * @returns {Promise<*>} The stored value, null if none
+ */
+export const getSecureLockValue = async (name, scope = getLockScope()) => {
+    const key = getLockKey(name, scope);
+    const value = (await hasKeystore()) ? await SecureStore.getItemAsync(key) : await storageBackend.getItem(key);
+    return value == null ? null : JSON.parse(value);
+};
+
+/**
+ * Write a lock setting kept in the keystore
+ * @param {string} name - LOCKOUT_NAME or POLICY_NAME
+ * @param {*} value - JSON value; null removes it
+ * @param {string} scope - uid (default: signed-in user, 'guest' when signed out)
+ * @returns {Promise<void>}
+ */
+export const setSecureLockValue = async (name, value, scope = getLockScope()) => {
+    const key = getLockKey(name, scope);
+    if (!(await hasKeystore())) {
+        await (value == null ? storageBackend.removeItem(key) : storageBackend.setItem(key, JSON.stringify(value)));
+    } else if (value == null) {
+        await SecureStore.deleteItemAsync(key);
+    } else {
+        await SecureStore.setItemAsync(key, JSON.stringify(value));
+    }
+};
+
+const hashPIN = async (pin) => {
+    const kdf = newKdf();
+    const hash = await derivePINKey(pin, kdf);
+    return JSON.stringify({ ...kdf, hash: toBase64(hash) });
+};
+
+/**
+ * Whether the app asks this account for a PIN
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<boolean>}
+ */
+export const isPINEnabled = async (scope = getLockScope()) => {
+    try {
+        const enabled = await storageBackend.getItem(getLockKey(PIN_ENABLED_NAME, scope));
+        return enabled === 'true';
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Save a new PIN (hashed) and turn the lock on; clears any lockout
+ * @param {string} pin - New PIN
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<void>}
+ */
+export const savePIN = async (pin, scope = getLockScope()) => {
+    await storageBackend.multiSet([
+        [getLockKey(PIN_HASH_NAME, scope), await hashPIN(pin)],
+        [getLockKey(PIN_ENABLED_NAME, scope), 'true'],
+    ]);
+    await setSecureLockValue(LOCKOUT_NAME, null, scope);
+};
+
+/**
+ * Remove this account's PIN and turn its lock off. Other accounts on the phone keep theirs.
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<boolean>} Whether it was removed
+ */
+export const disablePIN = async (scope = getLockScope()) => {
+    try {
+        await storageBackend.removeItem(getLockKey(PIN_HASH_NAME, scope));
+        await setSecureLockValue(LOCKOUT_NAME, null, scope);
+        await storageBackend.setItem(getLockKey(PIN_ENABLED_NAME, scope), 'false');
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Remove every lock setting of an account (used when the account is deleted)
+ * @param {string} scope - uid
+ * @returns {Promise<void>}
+ */
+export const forgetPIN = async (scope) => {
+    for (const name of SECURE_LOCK_KEY_NAMES) await setSecureLockValue(name, null, scope);
+    await storageBackend.multiRemove(LOCK_KEY_NAMES.map(name => getLockKey(name, scope)));
+};
+
+/**
+ * Give the phone-wide PIN of older versions to the account signed in now, unless that
+ * account already has a lock of its own. The phone-wide keys are removed either way.
+ * @param {string} scope - uid
+ * @returns {Promise<boolean>} Whether a lock was taken over
+ */
+export const adoptDevicePIN = async (scope) => {
+    const values = Object.fromEntries(await storageBackend.multiGet(Object.values(DEVICE_KEYS)));
+    if (Object.values(values).every(value => value == null)) return false;
+
+    const hasOwn = (await storageBackend.getItem(getLockKey(PIN_ENABLED_NAME, scope))) !== null;
+    let adopted = false;
+    if (!hasOwn) {
+        const pinHash = values[DEVICE_KEYS.plainPIN] ? await hashPIN(values[DEVICE_KEYS.plainPIN]) : null;
+        const pairs = [
+            [PIN_HASH_NAME, pinHash],
+            [PIN_ENABLED_NAME, values[DEVICE_KEYS.enabled]],
+            [BIOMETRIC_NAME, values[DEVICE_KEYS.biometric]],
+        ].filter(([, value]) => value != null).map(([name, value]) => [getLockKey(name, scope), value]);
+        if (pairs.length > 0) await storageBackend.multiSet(pairs);
+        adopted = values[DEVICE_KEYS.enabled] === 'true';
+    }
+    await storageBackend.multiRemove(Object.values(DEVICE_KEYS));
+    return adopted;
+};
+
+/**
+ * Wrong guesses so far and the end of the current lock
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<object>} { failures, lockedUntil (ms timestamp, null if not locked) }
+ */
+export const getPINLockout = async (scope = getLockScope()) => {
+    const value = await getSecureLockValue(LOCKOUT_NAME, scope);
+    return value ? { ...NO_LOCKOUT, ...value } : NO_LOCKOUT;
+};
+
+const matchesStoredPIN = async (pin, scope) => {
+    const stored = await storageBackend.getItem(getLockKey(PIN_HASH_NAME, scope));
+    if (!stored) return false;
+    const record = JSON.parse(stored);
+    return equalBytes(await derivePINKey(pin, record), fromBase64(record.hash));
+};
+
+/**
+ * Check an entered PIN, counting wrong guesses
+ * @param {string} pin - PIN entered
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<object>} { success, lockedUntil (ms timestamp or null), attemptsLeft (before the next lock) }
+ */
+export const checkPIN = async (pin, scope = getLockScope()) => {
+    const lockout = await getPINLockout(scope);
+    if (lockout.lockedUntil && lockout.lockedUntil > Date.now()) {
+        return { success: false, lockedUntil: lockout.lockedUntil, attemptsLeft: 0 };
+    }
+    if (await matchesStoredPIN(pin, scope)) {
+        if (lockout.failures > 0) await setSecureLockValue(LOCKOUT_NAME, null, scope);
+        return { success: true, lockedUntil: null, attemptsLeft: FREE_ATTEMPTS };
+    }
+
+    const failures = lockout.failures + 1;
+    const step = failures - FREE_ATTEMPTS;
+    const lockedUntil = step >= 0
+        ? Date.now() + LOCKOUT_STEPS_MS[Math.min(step, LOCKOUT_STEPS_MS.length - 1)]
+        : null;
+    await setSecureLockValue(LOCKOUT_NAME, { failures, lockedUntil }, scope);
+    return { success: false, lockedUntil, attemptsLeft: Math.max(FREE_ATTEMPTS - failures, 0) };
+};
+
+/**
+ * How long the app may sit idle or in the background before asking for the PIN again
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<number|null>} Timeout in ms, null for never
+ */
+export const getAutoLockTimeout = async (scope = getLockScope()) => {
+    try {
+        const value = await storageBackend.getItem(getLockKey(AUTO_LOCK_NAME, scope));
+        return value == null ? DEFAULT_AUTO_LOCK_MS : JSON.parse(value);
+    } catch (error) {
+        console.error('PIN: Failed to load auto-lock timeout', error);
+        return DEFAULT_AUTO_LOCK_MS;
+    }
+};
+
+/**
+ * Save the auto-lock timeout and tell the running lock
+ * @param {number|null} timeoutMs - One of AUTO_LOCK_OPTIONS
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<void>}
+ */
+export const setAutoLockTimeout = async (timeoutMs, scope = getLockScope()) => {
+    await storageBackend.setItem(getLockKey(AUTO_LOCK_NAME, scope), JSON.stringify(timeoutMs));
+    autoLockListeners.forEach(listener => listener(timeoutMs, scope));
+};
+
+/**
+ * Subscribe to auto-lock timeout changes
+ * @param {Function} listener - (timeoutMs, scope) => void
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeAutoLock = (listener) => {
+    autoLockListeners.add(listener);
+    return () => autoLockListeners.delete(listener);
+};
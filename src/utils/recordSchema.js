@@ -0,0 +1,180 @@
+// Record Schema - The fields each synced record kind stores in Firestore
+//
+// Documents are built from and read back through these lists, so a field added here
+// round-trips through the cloud without touching the sync code. `id` is the document id
+// and a ledger's transactions live in their own subcollection, so neither is listed.
+// Values are the defaults written when a record does not have the field.
+//
+// Amounts are integer paise (money.js) and every document says so with `moneyUnit`.
+// Documents without it were written by older builds in rupees and are converted on read.
+
+import { toPaise, DEFAULT_CURRENCY } from './money';
+
+export const MONEY_UNIT = 'paise';
+
+const SYNC_FIELDS = {
+    updatedAt: null,
+    deviceId: null,
+    syncBase: null,
+};
+
+export const RECORD_SCHEMAS = {
+    ledger: {
+        name: '',
+        phone: '',
+        address: '',
+        profileImage: null,
+        currency: DEFAULT_CURRENCY,
+        balance: 0,
+        ...SYNC_FIELDS,
+    },
+    transaction: {
+        type: 'credit',
+        amount: 0,
+        date: null,
+        displayDate: null,
+        note: '',
+        billPhoto: null,
+        balanceAfter: 0,
+        ...SYNC_FIELDS,
+    },
+    expense: {
+        title: '',
+        amount: 0,
+        category: 'Other',
+        currency: DEFAULT_CURRENCY,
+        date: null,
+        ...SYNC_FIELDS,
+    },
+};
+
+const MONEY_FIELDS = {
+    ledger: ['balance'],
+    transaction: ['amount', 'balanceAfter'],
+    expense: ['amount'],
+};
+
+/**
+ * Convert the amount fields of a record stored in rupees to paise
+ * @param {string} kind - Key of RECORD_SCHEMAS
+ * @param {object} record - Record with rupee amounts
+ * @returns {object} Record with paise amounts
+ */
+export const legacyAmountsToPaise = (kind, record) => {
+    const converted = { ...record };
+    MONEY_FIELDS[kind].forEach(field => {
+        if (typeof record[field] === 'number' || typeof record[field] === 'string') {
+            converted[field] = toPaise(record[field]);
+        }
+    });
+    return converted;
+};
+
+/**
+ * Convert a ledger and its transactions from rupees to paise
+ * @param {object} ledger - Ledger with rupee amounts
+ * @returns {object} Ledger with paise amounts
+ */
+export const legacyLedgerToPaise = (ledger) => ({
+    ...legacyAmountsToPaise('ledger', ledger),
+    transactions: (ledger.transactions || []).map(t => legacyAmountsToPaise('transaction', t)),
+});
+
+/**
+ * Convert the amount change of an audit entry from rupees to paise
+ * @param {object} entry - Audit entry
+ * @returns {object} Entry with paise amounts
+ */
+export const legacyAuditEntryToPaise = (entry) => {
+    const amount = entry.changes && entry.changes.amount;
+    if (!amount) return entry;
+    const convert = (value) => (value == null ? value : toPaise(value));
+    return {
+        ...entry,
+        changes: { ...entry.changes, amount: { before: convert(amount.before), after: convert(amount.after) } },
+    };
+};
+
+/**
+ * Build the Firestore document body of a record
+ * @param {string} kind - Key of RECORD_SCHEMAS
+ * @param {object} record - Local record
+ * @returns {object} Every schema field (Firestore rejects undefined, so missing ones get the default)
+ */
+export const toFirestore = (kind, record) => {
+    const schema = RECORD_SCHEMAS[kind];
+    const data = {};
+    Object.keys(schema).forEach(field => {
+        data[field] = record[field] === undefined ? schema[field] : record[field];
+    });
+    data.moneyUnit = MONEY_UNIT;
+    return data;
+};
+
+/**
+ * Read a record back from a Firestore document
+ * @param {string} kind - Key of RECORD_SCHEMAS
+ * @param {string} id - Document id
+ * @param {object} data - Document data
+ * @returns {object} Record with the schema fields the document has, amounts in paise
+ */
+export const fromFirestore = (kind, id, data) => {
+    const record = { id };
+    Object.keys(RECORD_SCHEMAS[kind]).forEach(field => {
+        if (data[field] !== undefined) record[field] = data[field];
+    });
+    return data.moneyUnit === MONEY_UNIT ? record : legacyAmountsToPaise(kind, record);
+};
+
+// Deletion records (tombstones.js); `key` is the record key, the document id a safe copy of it
+const TOMBSTONE_FIELDS = {
+    kind: null,
+    id: null,
+    ledgerId: null,
+    deletedAt: null,
+    deviceId: null,
+};
+
+/**
+ * Build the Firestore document body of a tombstone
+ * @param {object} tombstone - { key, kind, id, ledgerId?, deletedAt, deviceId }
+ * @returns {object} Document data (missing fields are null: Firestore rejects undefined)
+ */
+export const tombstoneToFirestore = (tombstone) => {
+    const data = { key: tombstone.key };
+    Object.keys(TOMBSTONE_FIELDS).forEach(field => {
+        data[field] = tombstone[field] === undefined ? TOMBSTONE_FIELDS[field] : tombstone[field];
+    });
+    return data;
+};
+
+/**
+ * Read a tombstone back from a Firestore document
+ * @param {object} data - Document data
+ * @returns {object} { key, tombstone } with only the fields the deletion had
+ */
+export const tombstoneFromFirestore = (data) => {
+    const tombstone = {};
+    Object.keys(TOMBSTONE_FIELDS).forEach(field => {
+        if (data[field] != null) tombstone[field] = data[field];
+    });
+    return { key: data.key || null, tombstone };
+};
+
+/**
+ * Build the Firestore document body of an audit entry
+ * @param {object} entry - Audit entry
+ * @returns {object} Document data
+ */
+export const auditToFirestore = (entry) => ({ ...entry, moneyUnit: MONEY_UNIT });
+
+/**
+ * Read an audit entry back from a Firestore document
+ * @param {string} id - Document id
+ * @param {object} data - Document data
+ * @returns {object} Audit entry, amounts in paise
+ */
+export const auditFromFirestore = (id, data) => {
+    const { moneyUnit, ...entry } = data;
+    return moneyUnit === MONEY_UNIT ? { ...entry, id } : legacyAuditEntryToPaise({ ...entry, id });
+};
@@ -0,0 +1,117 @@
+// Repository - Typed access to the local records of a scope
+//
+// Where each kind of record lives (scope = book scope, account = uid or 'guest'; see books.js):
+//   ledgers, transactions          -> ledgerStore.js (per-ledger keys, summaries, and
+//                                     transactions indexed by ledger and date)
+//   expenses_<scope>               -> [expense], newest first
+//   categories_<scope>             -> [category]; missing until the user changes the defaults
+//   profile_<scope>                -> the book's business profile
+//   settings_<account>             -> backup and sync settings
+//   exchangeRates_<account>        -> { [currency]: value of 1 unit in INR }
+//
+// Scopes are passed in: nothing here knows who is signed in or talks to Firebase, so the
+// records can be read and written against any backend (tests use memoryBackend.js).
+// storage.js binds them to the open book and account. Writers are plain primitives;
+// callers run them inside enqueueWrite.
+
+import storageBackend from './storageBackend';
+
+export const getExpensesKey = (scope) => `expenses_${scope}`;
+export const getCategoriesKey = (scope) => `categories_${scope}`;
+export const getProfileKey = (scope) => `profile_${scope}`;
+export const getSettingsKey = (account) => `settings_${account}`;
+export const getExchangeRatesKey = (account) => `exchangeRates_${account}`;
+
+const readRecord = async (key, fallback, label) => {
+    const jsonValue = await storageBackend.getItem(key);
+    if (jsonValue == null) return fallback;
+    try {
+        return JSON.parse(jsonValue);
+    } catch (e) {
+        console.error(`Error parsing ${label} JSON:`, e);
+        return fallback;
+    }
+};
+
+const writeRecord = (key, value) => storageBackend.setItem(key, JSON.stringify(value));
+
+const dateTime = (value) => {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * Read the expenses of a book, optionally only those dated within a range
+ * @param {string} scope - Book scope
+ * @param {object} range - { from, to }: ms or anything Date accepts, both inclusive and optional
+ * @returns {Promise<Array<object>>} Expenses in stored order (newest first)
+ */
+export const readExpenses = async (scope, { from = null, to = null } = {}) => {
+    const expenses = await readRecord(getExpensesKey(scope), [], 'expenses');
+    if (from == null && to == null) return expenses;
+    const start = from == null ? -Infinity : dateTime(from);
+    const end = to == null ? Infinity : dateTime(to);
+    return expenses.filter(expense => {
+        const time = dateTime(expense.date);
+        return time >= start && time <= end;
+    });
+};
+
+/**
+ * @param {string} scope - Book scope
+ * @param {Array<object>} expenses - Every expense of the book, newest first
+ * @returns {Promise<void>}
+ */
+export const writeExpenses = (scope, expenses) => writeRecord(getExpensesKey(scope), expenses);
+
+/**
+ * @param {string} scope - Book scope
+ * @returns {Promise<Array<object>|null>} Stored categories, or null while the book uses the defaults
+ */
+export const readCategories = (scope) => readRecord(getCategoriesKey(scope), null, 'categories');
+
+/**
+ * @param {string} scope - Book scope
+ * @param {Array<object>} categories - Every category of the book
+ * @returns {Promise<void>}
+ */
+export const writeCategories = (scope, categories) => writeRecord(getCategoriesKey(scope), categories);
+
+/**
+ * @param {string} scope - Book scope
+ * @returns {Promise<object|null>} The book's profile, or null if this phone has none
+ */
+export const readProfile = (scope) => readRecord(getProfileKey(scope), null, 'profile');
+
+/**
+ * @param {string} scope - Book scope
+ * @param {object} profile - Whole profile
+ * @returns {Promise<void>}
+ */
+export const writeProfile = (scope, profile) => writeRecord(getProfileKey(scope), profile);
+
+/**
+ * @param {string} account - Account scope (uid or 'guest')
+ * @returns {Promise<object|null>} Stored settings (without defaults), or null if none were saved
+ */
+export const readSettings = (account) => readRecord(getSettingsKey(account), null, 'backup settings');
+
+/**
+ * @param {string} account - Account scope (uid or 'guest')
+ * @param {object} settings - Whole settings object
+ * @returns {Promise<void>}
+ */
+export const writeSettings = (account, settings) => writeRecord(getSettingsKey(account), settings);
+
+/**
+ * @param {string} account - Account scope (uid or 'guest')
+ * @returns {Promise<object>} { [currency]: value of 1 unit in INR }
+ */
+export const readExchangeRates = (account) => readRecord(getExchangeRatesKey(account), {}, 'exchange rates');
+
+/**
+ * @param {string} account - Account scope (uid or 'guest')
+ * @param {object} rates - { [currency]: value of 1 unit in INR }
+ * @returns {Promise<void>}
+ */
+export const writeExchangeRates = (account, rates) => writeRecord(getExchangeRatesKey(account), rates);
@@ -0,0 +1,113 @@
+// Security Policy - Which actions ask for the PIN (or biometrics) again before they run
+//
+// The owner picks the actions in UserProfileScreen; the choice is kept per account in the
+// keystore with the PIN lockout (pinLock.js). Screens call needsVerification before an action
+// and show SecurityVerifyModal only when it says so. A successful check opens a grace window:
+// actions within VERIFY_GRACE_MS go through without asking again, until the app locks or signs
+// out. Changing the policy itself always asks.
+
+import { isPINEnabled, getSecureLockValue, setSecureLockValue, POLICY_NAME } from './pinLock';
+
+export const SECURED_ACTIONS = {
+    DELETE_CUSTOMER: 'deleteCustomer',
+    DELETE_TRANSACTION: 'deleteTransaction',
+    EDIT_TRANSACTION: 'editTransaction',
+    DELETE_EXPENSE: 'deleteExpense',
+    EXPORT_BACKUP: 'exportBackup',
+    SHARE_STATEMENT: 'shareStatement',
+    CHANGE_PAYMENT_DETAILS: 'changePaymentDetails',
+    RESET_DATA: 'resetData',
+    // Not listed in the settings: editing the policy always asks
+    CHANGE_POLICY: 'changePolicy',
+};
+
+// Settings list, in the order shown
+export const SECURED_ACTION_OPTIONS = [
+    { action: SECURED_ACTIONS.DELETE_CUSTOMER, label: 'Delete customers' },
+    { action: SECURED_ACTIONS.DELETE_TRANSACTION, label: 'Delete transactions' },
+    { action: SECURED_ACTIONS.EDIT_TRANSACTION, label: 'Edit transactions' },
+    { action: SECURED_ACTIONS.DELETE_EXPENSE, label: 'Delete expenses' },
+    { action: SECURED_ACTIONS.EXPORT_BACKUP, label: 'Export backups' },
+    { action: SECURED_ACTIONS.SHARE_STATEMENT, label: 'Share statements & WhatsApp reminders' },
+    { action: SECURED_ACTIONS.CHANGE_PAYMENT_DETAILS, label: 'Change bank & UPI details' },
+    { action: SECURED_ACTIONS.RESET_DATA, label: 'Reset data' },
+];
+
+// The actions that always asked before the policy existed stay on
+const DEFAULT_POLICY = {
+    [SECURED_ACTIONS.DELETE_CUSTOMER]: true,
+    [SECURED_ACTIONS.DELETE_TRANSACTION]: true,
+    [SECURED_ACTIONS.EDIT_TRANSACTION]: true,
+    [SECURED_ACTIONS.DELETE_EXPENSE]: true,
+    [SECURED_ACTIONS.EXPORT_BACKUP]: false,
+    [SECURED_ACTIONS.SHARE_STATEMENT]: false,
+    [SECURED_ACTIONS.CHANGE_PAYMENT_DETAILS]: true,
+    [SECURED_ACTIONS.RESET_DATA]: true,
+};
+
+// Used when the stored policy cannot be read: every action asks
+const STRICT_POLICY = Object.fromEntries(Object.keys(DEFAULT_POLICY).map(action => [action, true]));
+
+export const VERIFY_GRACE_MS = 2 * 60 * 1000;
+
+// Time of the last successful check in this session
+let lastVerifiedAt = null;
+
+/**
+ * Which actions ask for verification
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<object>} { [action]: boolean } for every SECURED_ACTIONS value
+ */
+export const getSecurityPolicy = async (scope) => {
+    try {
+        const value = await getSecureLockValue(POLICY_NAME, scope);
+        return value ? { ...DEFAULT_POLICY, ...value } : { ...DEFAULT_POLICY };
+    } catch (error) {
+        console.error('Error loading security policy:', error);
+        return { ...STRICT_POLICY };
+    }
+};
+
+/**
+ * Turn verification for one action on or off
+ * @param {string} action - One of SECURED_ACTIONS
+ * @param {boolean} secured - Whether it asks
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<object>} The updated policy
+ */
+export const setActionSecured = async (action, secured, scope) => {
+    const policy = { ...(await getSecurityPolicy(scope)), [action]: secured };
+    await setSecureLockValue(POLICY_NAME, policy, scope);
+    return policy;
+};
+
+/**
+ * Whether an action has to show SecurityVerifyModal first: the PIN is on, the policy covers
+ * the action and the grace window of the last check has passed (CHANGE_POLICY ignores it)
+ * @param {string} action - One of SECURED_ACTIONS
+ * @param {string} scope - uid (default: signed-in user)
+ * @returns {Promise<boolean>}
+ */
+export const needsVerification = async (action, scope) => {
+    if (!(await isPINEnabled(scope))) return false;
+    // A grace window left open must not be enough to switch the checks off
+    if (action === SECURED_ACTIONS.CHANGE_POLICY) return true;
+    const policy = await getSecurityPolicy(scope);
+    // Actions the owner cannot turn off are missing from the policy and always ask
+    if (policy[action] === false) return false;
+    return lastVerifiedAt === null || Date.now() - lastVerifiedAt >= VERIFY_GRACE_MS;
+};
+
+/**
+ * Record a successful PIN or biometric check (starts the grace window)
+ */
+export const markVerified = () => {
+    lastVerifiedAt = Date.now();
+};
+
+/**
+ * End the grace window (app locked or signed out)
+ */
+export const clearVerification = () => {
+    lastVerifiedAt = null;
+};
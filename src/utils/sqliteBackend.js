@@ -0,0 +1,83 @@
+// SQLite Backend - Local records in an expo-sqlite database
+//
+// One table keyed like AsyncStorage, so every module keeps its key layout:
+//   records(key TEXT PRIMARY KEY, value TEXT)
+// Reads are primary-key lookups (multiGet is one `IN` query per batch), and unlike
+// AsyncStorage on Android there is no total size cap, so large books keep fitting.
+// Multi-key writes run in one exclusive transaction: all of them land or none do.
+
+import * as SQLite from 'expo-sqlite';
+
+const DATABASE_NAME = 'mazkhat.db';
+
+// SQLite caps bound parameters per statement (999 on older builds)
+const BATCH_SIZE = 400;
+
+const batches = (items) => {
+    const result = [];
+    for (let i = 0; i < items.length; i += BATCH_SIZE) result.push(items.slice(i, i + BATCH_SIZE));
+    return result;
+};
+
+/**
+ * Open the database and build a storage backend on it (see storageBackend.js)
+ * @param {string} name - Database file name
+ * @returns {Promise<object>} Backend
+ */
+export const createSQLiteBackend = async (name = DATABASE_NAME) => {
+    const db = await SQLite.openDatabaseAsync(name);
+    await db.execAsync(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS records (key TEXT PRIMARY KEY NOT NULL, value TEXT NOT NULL);
+    `);
+
+    const multiGet = async (keys) => {
+        const values = {};
+        for (const batch of batches(keys)) {
+            const rows = await db.getAllAsync(
+                `SELECT key, value FROM records WHERE key IN (${batch.map(() => '?').join(',')})`,
+                batch
+            );
+            rows.forEach(row => { values[row.key] = row.value; });
+        }
+        return keys.map(key => [key, values[key] === undefined ? null : values[key]]);
+    };
+
+    const multiSet = async (pairs) => {
+        if (pairs.length === 0) return;
+        await db.withExclusiveTransactionAsync(async (txn) => {
+            for (const [key, value] of pairs) {
+                await txn.runAsync('INSERT OR REPLACE INTO records (key, value) VALUES (?, ?)', [key, value]);
+            }
+        });
+    };
+
+    const multiRemove = async (keys) => {
+        if (keys.length === 0) return;
+        await db.withExclusiveTransactionAsync(async (txn) => {
+            for (const batch of batches(keys)) {
+                await txn.runAsync(`DELETE FROM records WHERE key IN (${batch.map(() => '?').join(',')})`, batch);
+            }
+        });
+    };
+
+    return {
+        getItem: async (key) => {
+            const row = await db.getFirstAsync('SELECT value FROM records WHERE key = ?', [key]);
+            return row ? row.value : null;
+        },
+        setItem: async (key, value) => {
+            await db.runAsync('INSERT OR REPLACE INTO records (key, value) VALUES (?, ?)', [key, value]);
+        },
+        removeItem: async (key) => {
+            await db.runAsync('DELETE FROM records WHERE key = ?', [key]);
+        },
+        multiGet,
+        multiSet,
+        multiRemove,
+        getAllKeys: async () => (await db.getAllAsync('SELECT key FROM records')).map(row => row.key),
+        clear: async () => {
+            await db.runAsync('DELETE FROM records');
+        },
+    };
+};
@@ -1,44 +1,64 @@
-// AsyncStorage Utilities for Offline-First Data Persistence
-
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { collection, doc, setDoc, getDocs, deleteDoc } from 'firebase/firestore';
+// Local Storage Utilities for Offline-First Data Persistence
+//
+// What screens call: these bind the records of repository.js and ledgerStore.js to the
+// signed-in account and open book, serialize writes and queue them for the cloud.
+
+import storageBackend from './storageBackend';
+import { doc, getDoc } from 'firebase/firestore';
+import { EmailAuthProvider, reauthenticateWithCredential, deleteUser } from 'firebase/auth';
 import { db, auth } from '../../firebase';
-
-const getLedgersKey = () => {
+import { deleteTransaction as removeLedgerTransaction, addTransaction as addLedgerTransaction } from './ledgerEngine';
+import { enqueueWrite } from './writeQueue';
+import { queueSyncOp, discardOutbox } from './syncOutbox';
+import { deleteAllCloudData } from './cloudDeletion';
+import { belongsToScope } from './migrations';
+import { readLedgerIndex, readLedgers, readLedgerSummaries, readTransactions, writeLedger, writeAllLedgers, removeLedger, removeAllLedgers, ensureLedgerLayout, ensureLedgerSummaries } from './ledgerStore';
+import { stampLedger, stampRecord, stampList, getRecordKey } from './syncMerge';
+import { addTombstones, removeTombstones } from './tombstones';
+import { readTrash, addToTrash, removeFromTrash, pruneTrash, DEFAULT_TRASH_RETENTION_DAYS } from './trash';
+import { readAuditLog, appendAuditEntries, makeAuditEntry, diffTransactions, restoredChanges } from './auditLog';
+import { getDeviceId } from './device';
+import { generateId } from './calculations';
+import { emitDataChange } from './dataEvents';
+import { getKeyringKey, forgetEncryption } from './encryption';
+import { LOCK_KEY_NAMES, getLockKey, forgetPIN } from './pinLock';
+import { readExpenses, writeExpenses, readCategories, writeCategories, readProfile, writeProfile, readSettings, writeSettings, readExchangeRates, writeExchangeRates } from './repository';
+import { readBooks, writeBooks, getBookScope, getBookPath, getActiveBookId, setActiveBook, loadActiveBook, DEFAULT_BOOK_ID } from './books';
+
+const getAccountScope = () => {
     const user = auth.currentUser;
-    return user ? `ledgers_${user.uid}` : 'ledgers_guest';
+    return user ? user.uid : 'guest';
 };
 
-const getExpensesKey = () => {
-    const user = auth.currentUser;
-    return user ? `expenses_${user.uid}` : 'expenses_guest';
-};
+// Records of the open book (see books.js)
+const getUserScope = () => getBookScope(getAccountScope(), getActiveBookId());
 
-const getCategoriesKey = () => {
-    const user = auth.currentUser;
-    return user ? `categories_${user.uid}` : 'categories_guest';
-};
+// Path: users/{uid}/books/{bookId}/profile/info
+const getProfileRef = (uid, bookId = getActiveBookId()) => doc(db, ...getBookPath(uid, bookId), 'profile', 'info');
 
-const getSettingsKey = () => {
-    const user = auth.currentUser;
-    return user ? `settings_${user.uid}` : 'settings_guest';
+// Until the first sync moves it into the book (cloudSync.js), the default book's profile
+// may still be at users/{uid}/profile/info
+const fetchCloudProfile = async (uid, bookId = getActiveBookId()) => {
+    const snapshot = await getDoc(getProfileRef(uid, bookId));
+    if (snapshot.exists()) return snapshot.data();
+    if (bookId !== DEFAULT_BOOK_ID) return null;
+    const legacy = await getDoc(doc(db, 'users', uid, 'profile', 'info'));
+    return legacy.exists() ? legacy.data() : null;
 };
 
 /**
- * Get all ledgers from AsyncStorage for the current user
+ * Get all ledgers from local storage for the current user
  * @returns {Promise<object>} Object containing all ledgers
  */
 export const getAllLedgers = async () => {
     try {
-        const key = getLedgersKey();
-        const jsonValue = await AsyncStorage.getItem(key);
-        if (jsonValue == null) return {};
-        try {
-            return JSON.parse(jsonValue);
-        } catch (e) {
-            console.error('Error parsing ledgers JSON:', e);
-            return {};
+        const scope = getUserScope();
+        let index = await readLedgerIndex(scope);
+        if (index == null) {
+            // First read after upgrading from the single-blob layout
+            index = await enqueueWrite(() => ensureLedgerLayout(scope));
         }
+        return await readLedgers(scope, index);
     } catch (error) {
         console.error('Error reading ledgers:', error);
         return {};
@@ -46,71 +66,266 @@ export const getAllLedgers = async () => {
 };
 
 /**
- * Clear all data (For testing/reset purposes)
- * @returns {Promise<boolean>} Success status
+ * Get the list entry of every ledger of the open book, without reading any transactions
+ * @returns {Promise<Array<object>>} Summaries in ledger order (see summarizeLedger in ledgerStore.js)
  */
-export const clearAllData = async () => {
-    console.log('Starting clearAllData...');
+export const getLedgerSummaries = async () => {
+    try {
+        const scope = getUserScope();
+        const [index, stored] = await Promise.all([readLedgerIndex(scope), readLedgerSummaries(scope)]);
+        let summaries = stored;
+        if (index == null || !summaries || index.some(id => !summaries[id])) {
+            // Data written before summaries existed
+            summaries = await enqueueWrite(() => ensureLedgerSummaries(scope));
+        }
+        return (index || Object.keys(summaries)).filter(id => summaries[id]).map(id => summaries[id]);
+    } catch (error) {
+        console.error('Error reading ledger summaries:', error);
+        return [];
+    }
+};
+
+/**
+ * Get some ledgers of the open book
+ * @param {Array<string>} ledgerIds - Ledger ids
+ * @returns {Promise<object>} { [ledgerId]: ledger } for the ids that exist
+ */
+export const getLedgers = async (ledgerIds) => {
     try {
-        // 1. Clear Local Storage (Try both keys to be safe)
-        const userKey = getLedgersKey();
-        const guestKey = 'ledgers_guest';
+        const scope = getUserScope();
+        // Before the per-ledger layout exists, getAllLedgers creates it
+        if ((await readLedgerIndex(scope)) == null) return await getAllLedgers();
+        return await readLedgers(scope, ledgerIds);
+    } catch (error) {
+        console.error('Error reading ledgers:', error);
+        return {};
+    }
+};
 
-        console.log(`Clearing AsyncStorage keys: ${userKey}, ${guestKey}`);
-        await AsyncStorage.removeItem(userKey);
-        await AsyncStorage.removeItem(guestKey);
+/**
+ * Get the transactions of one ledger of the open book dated within a range, reading only
+ * the stored chunks that overlap it (see readTransactions in ledgerStore.js)
+ * @param {string} ledgerId - Ledger id
+ * @param {object} range - { from, to }: ms or anything Date accepts, both inclusive and optional
+ * @returns {Promise<Array<object>>} Transactions in ledger order
+ */
+export const getLedgerTransactions = async (ledgerId, range = {}) => {
+    try {
+        return (await readTransactions(getUserScope(), ledgerId, range)) || [];
+    } catch (error) {
+        console.error('Error reading transactions:', error);
+        return [];
+    }
+};
 
-        // 2. Clear Firebase Data
+/**
+ * Delete every record of the current user from this phone and from Firebase
+ * (every book with its ledgers, transactions, audit logs, expenses, categories and profile, and the settings).
+ * Cloud data goes first; if that fails nothing local is touched, so a retry starts over.
+ * @param {object} options - { onProgress: called with { deleted, total } cloud documents }
+ * @returns {Promise<object>} { success, error? }
+ */
+export const clearAllData = async ({ onProgress } = {}) => {
+    console.log('Starting clearAllData...');
+    try {
+        const scope = getAccountScope();
         const user = auth.currentUser;
         if (user) {
-            console.log(`Clearing Firebase data for user: ${user.uid}`);
-            try {
-                const ledgersRef = collection(db, 'users', user.uid, 'ledgers');
-                const snapshot = await getDocs(ledgersRef);
-
-                console.log(`Found ${snapshot.docs.length} ledgers to delete from Firebase.`);
-
-                // Delete all documents in the ledgers collection
-                const deletePromises = snapshot.docs.map(doc => {
-                    console.log(`Deleting ledger doc: ${doc.id}`);
-                    return deleteDoc(doc.ref);
-                });
-
-                await Promise.all(deletePromises);
-                console.log('Firebase deletion complete.');
-            } catch (firebaseError) {
-                console.error('Firebase clear error (continuing with local clear):', firebaseError);
-                // We don't return false here, because local clear is still valuable
-            }
-        } else {
-            console.log('No authenticated user, skipping Firebase clear.');
+            // Pending writes would re-upload what we are about to delete
+            await discardOutbox(user.uid);
+            const deleted = await deleteAllCloudData(user.uid, onProgress);
+            console.log(`Deleted ${deleted} Firebase documents for user: ${user.uid}`);
         }
 
-        return true;
+        // The schema version stays: an empty scope is already in the current shape.
+        // So does the keyring: records written from now on are still encrypted.
+        // The app lock (PIN and biometric settings) is kept too.
+        const scopes = [scope, 'guest'];
+        const kept = new Set(scopes.flatMap(s => [`schemaVersion_${s}`, getKeyringKey(s), ...LOCK_KEY_NAMES.map(name => getLockKey(name, s))]));
+        console.log(`Clearing local keys for scopes: ${scopes.join(', ')}`);
+        await enqueueWrite(async () => {
+            for (const s of scopes) {
+                for (const book of await readBooks(s)) await removeAllLedgers(getBookScope(s, book.id));
+            }
+            const keys = (await storageBackend.getAllKeys()).filter(key =>
+                !kept.has(key) && scopes.some(s => belongsToScope(key, s))
+            );
+            if (keys.length > 0) await storageBackend.multiRemove(keys);
+            // Only the default book is left
+            await loadActiveBook(scope);
+        });
+        emitDataChange({ kind: 'all' });
+        return { success: true };
     } catch (error) {
         console.error('Error clearing data:', error);
-        return false;
+        return { success: false, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Remove the current account from this phone after a forgotten PIN: its records in every book,
+ * its encryption keyring and its app lock. Works while the records are still locked.
+ * Cloud data and other accounts on the phone are kept; changes not yet uploaded are lost.
+ * @returns {Promise<object>} { success, error? }
+ */
+export const resetLocalAccount = async () => {
+    try {
+        const scope = getAccountScope();
+        // As in clearAllData the schema version stays: the emptied scope is in the current shape
+        await enqueueWrite(async () => {
+            const keys = (await storageBackend.getAllKeys()).filter(key =>
+                key !== `schemaVersion_${scope}` && belongsToScope(key, scope)
+            );
+            if (keys.length > 0) await storageBackend.multiRemove(keys);
+        });
+        await forgetEncryption(scope);
+        await forgetPIN(scope);
+        return { success: true };
+    } catch (error) {
+        console.error('Error resetting local data:', error);
+        return { success: false, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Permanently delete the signed-in Firebase account and all of its data.
+ * Firebase only deletes users who signed in recently, so the password is checked first.
+ * @param {string} password - Current account password
+ * @param {object} options - { onProgress: see clearAllData }
+ * @returns {Promise<object>} { success, error? }
+ */
+export const deleteAccount = async (password, { onProgress } = {}) => {
+    const user = auth.currentUser;
+    if (!user) return { success: false, error: 'Not signed in' };
+    try {
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+    } catch (error) {
+        console.error('Error verifying password:', error);
+        const wrongPassword = error.code === 'auth/wrong-password' || error.code === 'auth/invalid-credential';
+        return { success: false, error: wrongPassword ? 'Password is incorrect' : (error.message || String(error)) };
+    }
+
+    const cleared = await clearAllData({ onProgress });
+    if (!cleared.success) return cleared;
+
+    try {
+        await forgetEncryption(user.uid);
+        await forgetPIN(user.uid);
+        // Signs the user out; the auth listener in App.js returns to Login
+        await deleteUser(user);
+        return { success: true };
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        return { success: false, error: error.message || String(error) };
     }
 };
 
 /**
- * Save or update a ledger in AsyncStorage
+ * Replace every local ledger of the current user (cloud restore, backup import)
+ * @param {object} allLedgers - { [ledgerId]: ledger }
+ * @returns {Promise<void>}
+ */
+export const replaceAllLedgers = async (allLedgers) => {
+    const scope = getUserScope();
+    await enqueueWrite(() => writeAllLedgers(scope, allLedgers));
+    emitDataChange({ kind: 'ledgers' });
+};
+
+// Who made a change, as recorded in the audit log
+const getActor = () => {
+    const user = auth.currentUser;
+    return user ? { uid: user.uid, email: user.email || null } : { uid: 'guest', email: null };
+};
+
+const makeTombstone = async (kind, id, ledgerId = null) => ({
+    key: getRecordKey(kind, id, ledgerId),
+    kind,
+    id,
+    ledgerId,
+    deletedAt: new Date().toISOString(),
+    deviceId: await getDeviceId(),
+});
+
+// Recycle bin entry for a deleted record, keyed like its tombstone
+const makeTrashEntry = (tombstone, record, extra = {}) => ({
+    key: tombstone.key,
+    kind: tombstone.kind,
+    id: tombstone.id,
+    ledgerId: tombstone.ledgerId,
+    deletedAt: tombstone.deletedAt,
+    record,
+    ...extra,
+});
+
+/**
+ * Stamp and write a ledger inside a queued task, recording tombstones for
+ * transactions that disappeared and audit entries for every transaction change.
+ * Must only be called from within enqueueWrite.
+ * @returns {Promise<{ ledger: object, tombstones: Array<object>, auditEntries: Array<object> }>}
+ */
+const persistLedger = async (scope, ledger, index) => {
+    const previous = (await readLedgers(scope, [ledger.id]))[ledger.id] || null;
+    const stamp = { deviceId: await getDeviceId(), now: new Date().toISOString() };
+    const { ledger: stamped, removedTransactionIds } = stampLedger(previous, ledger, stamp);
+
+    const tombstones = [];
+    const trashEntries = [];
+    for (const transactionId of removedTransactionIds) {
+        const tombstone = await makeTombstone('transaction', transactionId, ledger.id);
+        const record = previous.transactions.find(t => t.id === transactionId);
+        tombstones.push(tombstone);
+        trashEntries.push(makeTrashEntry(tombstone, record, { ledgerName: ledger.name, ledgerCurrency: ledger.currency }));
+    }
+    const auditEntries = diffTransactions(previous ? previous.transactions : [], stamped.transactions)
+        .map(diff => makeAuditEntry({ ...diff, ledgerId: ledger.id, actor: getActor(), deviceId: stamp.deviceId, now: stamp.now }));
+
+    await writeLedger(scope, stamped, index);
+    await addTombstones(scope, tombstones);
+    await addToTrash(scope, trashEntries);
+    await appendAuditEntries(scope, ledger.id, auditEntries);
+    return { ledger: stamped, tombstones, auditEntries };
+};
+
+/**
+ * Queue audit entries for users/{uid}/books/{bookId}/ledgers/{ledgerId}/audit
+ */
+const queueAuditSync = async (auditEntries, bookId = getActiveBookId()) => {
+    for (const entry of auditEntries) {
+        await queueSyncOp({ kind: 'appendAudit', targetId: `${entry.ledgerId}/${entry.id}`, payload: entry, bookId });
+    }
+};
+
+/**
+ * Queue the cloud writes for a persisted ledger
+ */
+const queueLedgerSync = async (ledger, tombstones, auditEntries = [], bookId = getActiveBookId()) => {
+    const settings = await getBackupSettings();
+    if (!auth.currentUser || !settings.autoBackup) return;
+
+    for (const tombstone of tombstones) {
+        await queueSyncOp({ kind: 'deleteTransaction', targetId: `${tombstone.ledgerId}/${tombstone.id}`, payload: tombstone, bookId });
+    }
+    await queueSyncOp({ kind: 'upsertLedger', targetId: ledger.id, payload: ledger, bookId });
+    await queueAuditSync(auditEntries, bookId);
+};
+
+/**
+ * Save or update a ledger in local storage
  * @param {object} ledger - Ledger object to save
+ * @param {string} bookId - Book the ledger belongs to (defaults to the open book)
  * @returns {Promise<boolean>} Success status
  */
-export const saveLedger = async (ledger) => {
+export const saveLedger = async (ledger, bookId = getActiveBookId()) => {
     try {
-        const key = getLedgersKey();
-        const allLedgers = await getAllLedgers();
-        allLedgers[ledger.id] = ledger;
-        const jsonValue = JSON.stringify(allLedgers);
-        await AsyncStorage.setItem(key, jsonValue);
+        const scope = getBookScope(getAccountScope(), bookId);
+        const result = await enqueueWrite(async () => {
+            const index = await ensureLedgerLayout(scope);
+            return persistLedger(scope, ledger, index);
+        });
+        emitDataChange({ kind: 'ledgers', ledgerIds: [ledger.id], bookId });
 
-        // Sync to Firebase in background if auto-backup is enabled
-        const settings = await getBackupSettings();
-        if (settings.autoBackup) {
-            syncLedgerToFirebase(ledger);
-        }
+        // Queue the cloud write; the outbox retries it until Firestore accepts it
+        await queueLedgerSync(result.ledger, result.tombstones, result.auditEntries, bookId);
 
         return true;
     } catch (error) {
@@ -127,38 +342,23 @@ export const saveLedger = async (ledger) => {
  */
 export const deleteTransaction = async (ledgerId, transactionId) => {
     try {
-        const key = getLedgersKey();
-        const allLedgers = await getAllLedgers();
-        const ledger = allLedgers[ledgerId];
-
-        if (!ledger) return false;
-
-        // Filter out the transaction
-        const updatedTransactions = ledger.transactions.filter(t => t.id !== transactionId);
-
-        // Recalculate balance
-        let newBalance = 0;
-        updatedTransactions.forEach(t => {
-            if (t.type === 'credit') newBalance -= t.amount;
-            else newBalance += t.amount;
+        // A book switch during the write must not send the delete to the other book
+        const bookId = getActiveBookId();
+        const scope = getBookScope(getAccountScope(), bookId);
+        const result = await enqueueWrite(async () => {
+            const index = await ensureLedgerLayout(scope);
+            const ledger = (await readLedgers(scope, [ledgerId]))[ledgerId];
+            if (!ledger) return null;
+
+            // Engine removes the transaction and rebuilds the balance chain
+            return persistLedger(scope, removeLedgerTransaction(ledger, transactionId), index);
         });
 
-        const updatedLedger = {
-            ...ledger,
-            balance: newBalance,
-            transactions: updatedTransactions
-        };
+        if (!result) return false;
+        emitDataChange({ kind: 'ledgers', ledgerIds: [ledgerId], bookId });
 
-        allLedgers[ledgerId] = updatedLedger;
-        await AsyncStorage.setItem(key, JSON.stringify(allLedgers));
-
-        // Sync to FirebaseFirestore if auto-backup is enabled
-        const settings = await getBackupSettings();
-        const user = auth.currentUser;
-        if (user && settings.autoBackup) {
-            // Background sync of all data to ensure consistency after transaction deletion
-            syncAllToFirebase();
-        }
+        // Remove the transaction doc, then push the rebuilt balances
+        await queueLedgerSync(result.ledger, result.tombstones, result.auditEntries, bookId);
 
         return true;
     } catch (error) {
@@ -168,27 +368,42 @@ export const deleteTransaction = async (ledgerId, transactionId) => {
 };
 
 /**
- * Delete a ledger from AsyncStorage and Firebase
+ * Delete a ledger from local storage and Firebase (a copy stays in the recycle bin)
  * @param {string} ledgerId - ID of ledger to delete
  * @returns {Promise<boolean>} Success status
  */
 export const deleteLedger = async (ledgerId) => {
     try {
-        const key = getLedgersKey();
-        const allLedgers = await getAllLedgers();
-        delete allLedgers[ledgerId];
-        const jsonValue = JSON.stringify(allLedgers);
-        await AsyncStorage.setItem(key, jsonValue);
+        const bookId = getActiveBookId();
+        const scope = getBookScope(getAccountScope(), bookId);
+        const tombstone = await makeTombstone('ledger', ledgerId);
+        await enqueueWrite(async () => {
+            const index = await ensureLedgerLayout(scope);
+            const ledger = (await readLedgers(scope, [ledgerId]))[ledgerId];
+            await removeLedger(scope, ledgerId, index);
+            await addTombstones(scope, [tombstone]);
+            if (!ledger) return;
+
+            await addToTrash(scope, [makeTrashEntry(tombstone, ledger)]);
+            const entry = makeAuditEntry({
+                ledgerId,
+                action: 'deleted',
+                changes: { name: { before: ledger.name, after: null } },
+                actor: getActor(),
+                deviceId: tombstone.deviceId,
+                now: tombstone.deletedAt,
+            });
+            await appendAuditEntries(scope, ledgerId, [entry]);
+        });
+        emitDataChange({ kind: 'ledgers', ledgerIds: [ledgerId], bookId });
 
         // Delete from Firebase if auto-backup is enabled
         const settings = await getBackupSettings();
         const user = auth.currentUser;
         if (user && settings.autoBackup) {
-            // Note: Cloud Firestore does not automatically delete subcollections when a document is deleted.
-            // For a production app, we would use a Cloud Function or manually delete all transactions first.
-            // For now, we delete the main ledger doc.
-            const ledgerRef = doc(db, 'users', user.uid, 'ledgers', ledgerId);
-            await deleteDoc(ledgerRef);
+            // Removes the audit subcollection too; the local log keeps the history (and
+            // this entry), which the next sync uploads again if the customer is restored
+            await queueSyncOp({ kind: 'deleteLedger', targetId: ledgerId, payload: tombstone, bookId });
         }
 
         return true;
@@ -199,202 +414,181 @@ export const deleteLedger = async (ledgerId) => {
 };
 
 /**
- * Sync a single ledger to Firebase Firestore under the user's UID
- * @param {object} ledger - Ledger object to sync
+ * Backup Settings Management
  */
-const syncLedgerToFirebase = async (ledger) => {
+
+export const getBackupSettings = async () => {
     try {
-        const user = auth.currentUser;
-        if (!user) return;
-
-        // Path: users/{uid}/ledgers/{ledgerId}
-        const ledgerRef = doc(db, 'users', user.uid, 'ledgers', ledger.id);
-        await setDoc(ledgerRef, {
-            name: ledger.name,
-            balance: ledger.balance,
-            phone: ledger.phone || '',
-            address: ledger.address || '',
-            updatedAt: new Date().toISOString(),
-        });
+        const defaults = {
+            autoBackup: false,
+            liveSync: false, // real-time listeners (liveSync.js), only while autoBackup is on
+            lastSync: null,
+            syncStatus: 'idle', // idle, syncing, error
+            trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS
+        };
+        return { ...defaults, ...await readSettings(getAccountScope()) };
+    } catch (error) {
+        console.error('Error reading backup settings:', error);
+        return { autoBackup: false, liveSync: false, lastSync: null, syncStatus: 'error', trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS };
+    }
+};
 
-        // Save transactions subcollection
-        if (ledger.transactions && ledger.transactions.length > 0) {
-            for (const transaction of ledger.transactions) {
-                const transactionRef = doc(db, 'users', user.uid, 'ledgers', ledger.id, 'transactions', transaction.id);
-                await setDoc(transactionRef, {
-                    type: transaction.type,
-                    amount: transaction.amount,
-                    date: transaction.date,
-                    balanceAfter: transaction.balanceAfter,
-                });
-            }
-        }
+export const updateBackupSettings = async (settings) => {
+    try {
+        const account = getAccountScope();
+        await enqueueWrite(async () => {
+            const current = await getBackupSettings();
+            await writeSettings(account, { ...current, ...settings });
+        });
+        return true;
     } catch (error) {
-        console.error('Error syncing to Firebase:', error);
+        console.error('Error saving backup settings:', error);
+        return false;
     }
 };
 
 /**
- * Fetch all ledgers from Firebase Firestore for the current user
- * @returns {Promise<object>} Object containing all ledgers from Firebase
+ * Exchange Rates - entered by the user, kept on this phone only
+ * { [currency]: value of 1 unit in INR }, used for converted totals (see money.js)
  */
-export const fetchFromFirebase = async () => {
-    try {
-        const user = auth.currentUser;
-        if (!user) return {};
-
-        const ledgersSnapshot = await getDocs(collection(db, 'users', user.uid, 'ledgers'));
-        const allLedgers = {};
-
-        for (const ledgerDoc of ledgersSnapshot.docs) {
-            const ledgerData = ledgerDoc.data();
-
-            // Fetch transactions for this ledger
-            const transactionsSnapshot = await getDocs(
-                collection(db, 'users', user.uid, 'ledgers', ledgerDoc.id, 'transactions')
-            );
 
-            const transactions = [];
-            transactionsSnapshot.forEach((txnDoc) => {
-                transactions.push({
-                    id: txnDoc.id,
-                    ...txnDoc.data()
-                });
-            });
-
-            allLedgers[ledgerDoc.id] = {
-                id: ledgerDoc.id,
-                name: ledgerData.name,
-                balance: ledgerData.balance,
-                phone: ledgerData.phone || '',
-                address: ledgerData.address || '',
-                transactions: transactions.sort((a, b) => new Date(a.date) - new Date(b.date))
-            };
-        }
-
-        // Save fetched data to AsyncStorage to stay in sync
-        const key = getLedgersKey();
-        await AsyncStorage.setItem(key, JSON.stringify(allLedgers));
+export const getExchangeRates = async () => {
+    try {
+        return await readExchangeRates(getAccountScope());
+    } catch (error) {
+        console.error('Error reading exchange rates:', error);
+        return {};
+    }
+};
 
-        return allLedgers;
+export const saveExchangeRates = async (rates) => {
+    try {
+        const cleaned = {};
+        Object.entries(rates).forEach(([currency, rate]) => {
+            const value = Number(rate);
+            if (value > 0) cleaned[currency] = value;
+        });
+        const account = getAccountScope();
+        await enqueueWrite(() => writeExchangeRates(account, cleaned));
+        return true;
     } catch (error) {
-        console.error('Error fetching from Firebase:', error);
-        throw error; // Propagate error to caller
+        console.error('Error saving exchange rates:', error);
+        return false;
     }
 };
+/**
+ * Books - separate businesses in one account (see books.js)
+ */
 
 /**
- * Sync all data from AsyncStorage to Firebase for the current user
- * @returns {Promise<boolean>} Success status
+ * List the books of the current account
+ * @returns {Promise<Array<object>>} [{ id, name, createdAt, updatedAt }], default book first
  */
-export const syncAllToFirebase = async () => {
+export const getBooks = async () => {
     try {
-        console.log('Syncing all data to Firebase...');
-        const user = auth.currentUser;
-        if (!user) return false;
-
-        // 1. Sync Ledgers
-        const allLedgers = await getAllLedgers();
-        for (const ledgerId in allLedgers) {
-            await syncLedgerToFirebase(allLedgers[ledgerId]);
-        }
+        return await readBooks(getAccountScope());
+    } catch (error) {
+        console.error('Error reading books:', error);
+        return [];
+    }
+};
 
-        // 2. Sync Expenses
-        const allExpenses = await getExpenses();
-        for (const expense of allExpenses) {
-            const expRef = doc(db, 'users', user.uid, 'expenses', expense.id);
-            await setDoc(expRef, {
-                ...expense,
-                updatedAt: new Date().toISOString()
-            });
-        }
+/**
+ * Queue the book document users/{uid}/books/{bookId}
+ */
+const queueBookSync = async (book) => {
+    const settings = await getBackupSettings();
+    if (!auth.currentUser || !settings.autoBackup) return;
+    await queueSyncOp({ kind: 'upsertBook', targetId: book.id, payload: book, bookId: book.id });
+};
 
-        // 3. Sync Categories
-        const categories = await getCategories();
-        const catRef = doc(db, 'users', user.uid, 'settings', 'categories');
-        await setDoc(catRef, {
-            list: categories,
-            updatedAt: new Date().toISOString()
+/**
+ * Open another book; screens read their data from the open book
+ * @param {string} bookId - Book id
+ * @returns {Promise<boolean>} Success status
+ */
+export const switchBook = async (bookId) => {
+    try {
+        const scope = getAccountScope();
+        await enqueueWrite(async () => {
+            const books = await readBooks(scope);
+            if (!books.some(book => book.id === bookId)) throw new Error(`Unknown book: ${bookId}`);
+            await setActiveBook(scope, bookId);
         });
-
-        // 4. Update last sync time
-        await updateBackupSettings({ lastSync: new Date().toISOString() });
-
-        console.log('All data synced to Firebase successfully.');
         return true;
     } catch (error) {
-        console.error('Error syncing all to Firebase:', error);
+        console.error('Error switching book:', error);
         return false;
     }
 };
 
 /**
- * Backup Settings Management
+ * Add an empty book and open it
+ * @param {string} name - Book name
+ * @returns {Promise<object|null>} The new book, null on failure
  */
-
-export const getBackupSettings = async () => {
+export const createBook = async (name) => {
     try {
-        const key = getSettingsKey();
-        const jsonValue = await AsyncStorage.getItem(key);
-        const defaults = {
-            autoBackup: false,
-            lastSync: null,
-            syncStatus: 'idle' // idle, syncing, error
-        };
-        if (jsonValue == null) return defaults;
-        try {
-            return { ...defaults, ...JSON.parse(jsonValue) };
-        } catch (e) {
-            console.error('Error parsing backup settings JSON:', e);
-            return defaults;
-        }
+        const scope = getAccountScope();
+        const now = new Date().toISOString();
+        const book = { id: generateId(), name: name.trim(), createdAt: now, updatedAt: now };
+        await enqueueWrite(async () => {
+            await writeBooks(scope, [...await readBooks(scope), book]);
+            await setActiveBook(scope, book.id);
+        });
+        await queueBookSync(book);
+        return book;
     } catch (error) {
-        console.error('Error reading backup settings:', error);
-        return { autoBackup: false, lastSync: null, syncStatus: 'error' };
+        console.error('Error creating book:', error);
+        return null;
     }
 };
 
-export const updateBackupSettings = async (settings) => {
+/**
+ * Rename a book
+ * @param {string} bookId - Book id
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} Success status
+ */
+export const renameBook = async (bookId, name) => {
     try {
-        const key = getSettingsKey();
-        const current = await getBackupSettings();
-        const updated = { ...current, ...settings };
-        await AsyncStorage.setItem(key, JSON.stringify(updated));
+        const scope = getAccountScope();
+        const renamed = await enqueueWrite(async () => {
+            const books = await readBooks(scope);
+            const book = books.find(b => b.id === bookId);
+            if (!book) return null;
+            const updated = { ...book, name: name.trim(), updatedAt: new Date().toISOString() };
+            await writeBooks(scope, books.map(b => b.id === bookId ? updated : b));
+            return updated;
+        });
+        if (!renamed) return false;
+        await queueBookSync(renamed);
         return true;
     } catch (error) {
-        console.error('Error saving backup settings:', error);
+        console.error('Error renaming book:', error);
         return false;
     }
 };
+
 /**
- * Get the user profile from AsyncStorage or Firebase
+ * Get the user profile from local storage or Firebase
  * @returns {Promise<object>} User profile object
  */
 export const getUserProfile = async () => {
     try {
         const user = auth.currentUser;
-        const key = user ? `profile_${user.uid}` : 'profile_guest';
+        const scope = getUserScope();
 
         // 1. Try Local Storage first
-        const jsonValue = await AsyncStorage.getItem(key);
-        if (jsonValue != null) {
-            try {
-                return JSON.parse(jsonValue);
-            } catch (e) {
-                console.error('Error parsing profile JSON:', e);
-                // Continue to Firebase or return default
-            }
-        }
+        const localProfile = await readProfile(scope);
+        if (localProfile) return localProfile;
 
         // 2. If not local and user logged in, try Firebase
         if (user) {
-            const { getDoc } = await import('firebase/firestore');
-            const profileRef = doc(db, 'users', user.uid, 'profile', 'info');
-            const snapshot = await getDoc(profileRef);
-            if (snapshot.exists()) {
-                const firebaseProfile = snapshot.data();
+            const firebaseProfile = await fetchCloudProfile(user.uid);
+            if (firebaseProfile) {
                 // Save to local for next time
-                await AsyncStorage.setItem(key, JSON.stringify(firebaseProfile));
+                await enqueueWrite(() => writeProfile(scope, firebaseProfile));
                 return firebaseProfile;
             }
         }
@@ -417,26 +611,26 @@ export const getUserProfile = async () => {
 };
 
 /**
- * Save the user profile to AsyncStorage and Firebase
+ * Save the user profile to local storage and Firebase
  * @param {object} profile - Profile object to save
  * @returns {Promise<boolean>} Success status
  */
 export const saveUserProfile = async (profile) => {
     try {
         const user = auth.currentUser;
-        const key = user ? `profile_${user.uid}` : 'profile_guest';
+        const bookId = getActiveBookId();
+        const scope = getBookScope(getAccountScope(), bookId);
 
         // 1. Save Local
-        const jsonValue = JSON.stringify(profile);
-        await AsyncStorage.setItem(key, jsonValue);
+        await enqueueWrite(() => writeProfile(scope, profile));
 
-        // 2. Sync to Firebase
+        // 2. Queue for cloud sync (retried by the outbox while offline)
         if (user) {
-            const profileRef = doc(db, 'users', user.uid, 'profile', 'info');
-            await setDoc(profileRef, {
-                ...profile,
-                updatedAt: new Date().toISOString()
-            }, { merge: true });
+            await queueSyncOp({
+                kind: 'upsertProfile',
+                payload: { ...profile, updatedAt: new Date().toISOString() },
+                bookId,
+            });
         }
 
         return true;
@@ -450,17 +644,13 @@ export const saveUserProfile = async (profile) => {
  * Daily Expenses Storage & Sync
  */
 
-export const getExpenses = async () => {
+/**
+ * @param {string} scope - Book scope (defaults to the open book)
+ * @returns {Promise<Array<object>>} Expenses, newest first
+ */
+export const getExpenses = async (scope = getUserScope()) => {
     try {
-        const key = getExpensesKey();
-        const jsonValue = await AsyncStorage.getItem(key);
-        if (jsonValue == null) return [];
-        try {
-            return JSON.parse(jsonValue);
-        } catch (e) {
-            console.error('Error parsing expenses JSON:', e);
-            return [];
-        }
+        return await readExpenses(scope);
     } catch (error) {
         console.error('Error reading expenses:', error);
         return [];
@@ -469,28 +659,31 @@ export const getExpenses = async () => {
 
 export const saveExpense = async (expense) => {
     try {
-        const key = getExpensesKey();
-        const allExpenses = await getExpenses();
-
-        // Check if updating or adding new
-        const index = allExpenses.findIndex(e => e.id === expense.id);
-        if (index !== -1) {
-            allExpenses[index] = expense;
-        } else {
-            allExpenses.unshift(expense);
-        }
+        const bookId = getActiveBookId();
+        const scope = getBookScope(getAccountScope(), bookId);
+        const stamp = { deviceId: await getDeviceId(), now: new Date().toISOString() };
+        const stamped = await enqueueWrite(async () => {
+            const allExpenses = await readExpenses(scope);
+
+            // Check if updating or adding new
+            const index = allExpenses.findIndex(e => e.id === expense.id);
+            const record = stampRecord(index !== -1 ? allExpenses[index] : null, expense, 'expense', stamp);
+            if (index !== -1) {
+                allExpenses[index] = record;
+            } else {
+                allExpenses.unshift(record);
+            }
 
-        await AsyncStorage.setItem(key, JSON.stringify(allExpenses));
+            await writeExpenses(scope, allExpenses);
+            return record;
+        });
+        emitDataChange({ kind: 'expenses', bookId });
 
         // Sync to Firebase if auto-backup is enabled
         const settings = await getBackupSettings();
         const user = auth.currentUser;
         if (user && settings.autoBackup) {
-            const expRef = doc(db, 'users', user.uid, 'expenses', expense.id);
-            await setDoc(expRef, {
-                ...expense,
-                updatedAt: new Date().toISOString()
-            });
+            await queueSyncOp({ kind: 'upsertExpense', targetId: expense.id, payload: stamped, bookId });
         }
         return true;
     } catch (error) {
@@ -501,16 +694,22 @@ export const saveExpense = async (expense) => {
 
 export const deleteExpense = async (expenseId) => {
     try {
-        const key = getExpensesKey();
-        const allExpenses = await getExpenses();
-        const updatedExpenses = allExpenses.filter(e => e.id !== expenseId);
-        await AsyncStorage.setItem(key, JSON.stringify(updatedExpenses));
+        const bookId = getActiveBookId();
+        const scope = getBookScope(getAccountScope(), bookId);
+        const tombstone = await makeTombstone('expense', expenseId);
+        await enqueueWrite(async () => {
+            const allExpenses = await readExpenses(scope);
+            const expense = allExpenses.find(e => e.id === expenseId);
+            await writeExpenses(scope, allExpenses.filter(e => e.id !== expenseId));
+            await addTombstones(scope, [tombstone]);
+            if (expense) await addToTrash(scope, [makeTrashEntry(tombstone, expense)]);
+        });
+        emitDataChange({ kind: 'expenses', bookId });
 
         const settings = await getBackupSettings();
         const user = auth.currentUser;
         if (user && settings.autoBackup) {
-            const expRef = doc(db, 'users', user.uid, 'expenses', expenseId);
-            await deleteDoc(expRef);
+            await queueSyncOp({ kind: 'deleteExpense', targetId: expenseId, payload: tombstone, bookId });
         }
         return true;
     } catch (error) {
@@ -519,44 +718,18 @@ export const deleteExpense = async (expenseId) => {
     }
 };
 
-export const fetchExpensesFromFirebase = async () => {
-    try {
-        const user = auth.currentUser;
-        if (!user) return [];
-
-        const snapshot = await getDocs(collection(db, 'users', user.uid, 'expenses'));
-        const expenses = [];
-        snapshot.forEach(doc => {
-            expenses.push({ id: doc.id, ...doc.data() });
-        });
-
-        // Sort by date (newest first)
-        expenses.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-        const key = getExpensesKey();
-        await AsyncStorage.setItem(key, JSON.stringify(expenses));
-        return expenses;
-    } catch (error) {
-        console.error('Error fetching expenses from Firebase:', error);
-        return [];
-    }
-};
-
 /**
  * User Categories Storage & Sync
  */
 
-export const getCategories = async () => {
+/**
+ * @param {string} scope - Book scope (defaults to the open book)
+ * @returns {Promise<Array<object>>} Categories (the defaults when none are stored)
+ */
+export const getCategories = async (scope = getUserScope()) => {
     try {
-        const key = getCategoriesKey();
-        const jsonValue = await AsyncStorage.getItem(key);
-        if (jsonValue != null) {
-            try {
-                return JSON.parse(jsonValue);
-            } catch (e) {
-                console.error('Error parsing categories JSON:', e);
-            }
-        }
+        const stored = await readCategories(scope);
+        if (stored) return stored;
 
         // Default categories if nothing stored
         return [
@@ -577,17 +750,29 @@ export const getCategories = async () => {
 
 export const saveCategories = async (categories) => {
     try {
-        const key = getCategoriesKey();
-        await AsyncStorage.setItem(key, JSON.stringify(categories));
+        const bookId = getActiveBookId();
+        const scope = getBookScope(getAccountScope(), bookId);
+        const stamp = { deviceId: await getDeviceId(), now: new Date().toISOString() };
+        const { list, tombstones } = await enqueueWrite(async () => {
+            const previous = await getCategories(scope);
+            const result = stampList(previous, categories, 'category', stamp);
+            const removed = [];
+            for (const categoryId of result.removedIds) {
+                removed.push(await makeTombstone('category', categoryId));
+            }
+            await writeCategories(scope, result.list);
+            await addTombstones(scope, removed);
+            return { list: result.list, tombstones: removed };
+        });
+        emitDataChange({ kind: 'categories', bookId });
 
         const settings = await getBackupSettings();
         const user = auth.currentUser;
         if (user && settings.autoBackup) {
-            const catRef = doc(db, 'users', user.uid, 'settings', 'categories');
-            await setDoc(catRef, {
-                list: categories,
-                updatedAt: new Date().toISOString()
-            });
+            for (const tombstone of tombstones) {
+                await queueSyncOp({ kind: 'deleteCategory', targetId: tombstone.id, payload: tombstone, bookId });
+            }
+            await queueSyncOp({ kind: 'upsertCategories', payload: list, bookId });
         }
         return true;
     } catch (error) {
@@ -596,66 +781,180 @@ export const saveCategories = async (categories) => {
     }
 };
 
-export const fetchCategoriesFromFirebase = async () => {
+/**
+ * Audit Log
+ */
+
+/**
+ * Get the change history of one transaction, oldest first
+ * @param {string} ledgerId - ID of the ledger
+ * @param {string} transactionId - ID of the transaction
+ * @returns {Promise<Array<object>>} Audit entries
+ */
+export const getTransactionHistory = async (ledgerId, transactionId) => {
     try {
-        const user = auth.currentUser;
-        if (!user) return [];
+        const log = await readAuditLog(getUserScope(), ledgerId);
+        return log.filter(entry => entry.transactionId === transactionId);
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        return [];
+    }
+};
 
-        const { getDoc } = await import('firebase/firestore');
-        const catRef = doc(db, 'users', user.uid, 'settings', 'categories');
-        const snapshot = await getDoc(catRef);
+/**
+ * Recycle Bin
+ */
 
-        if (snapshot.exists()) {
-            const categories = snapshot.data().list;
-            const key = getCategoriesKey();
-            await AsyncStorage.setItem(key, JSON.stringify(categories));
-            return categories;
-        }
-        return await getCategories(); // Fallback to local defaults
+/**
+ * Purge recycle bin entries older than the configured retention period
+ * @returns {Promise<number>} Number of entries purged
+ */
+export const purgeExpiredTrash = async () => {
+    try {
+        const scope = getUserScope();
+        const { trashRetentionDays } = await getBackupSettings();
+        return await enqueueWrite(() => pruneTrash(scope, trashRetentionDays));
+    } catch (error) {
+        console.error('Error purging recycle bin:', error);
+        return 0;
+    }
+};
+
+/**
+ * List deleted items, newest first (expired ones are purged first)
+ * @returns {Promise<Array<object>>} [{ key, kind, id, ledgerId, ledgerName, ledgerCurrency, deletedAt, record }]
+ */
+export const getTrashItems = async () => {
+    try {
+        await purgeExpiredTrash();
+        const trash = await readTrash(getUserScope());
+        return Object.values(trash).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
     } catch (error) {
-        console.error('Error fetching categories from Firebase:', error);
+        console.error('Error reading recycle bin:', error);
         return [];
     }
 };
 
 /**
- * Save user profile to Firestore
- * @param {object} profileData - Profile data to save
- * @returns {Promise<boolean>} Success status
+ * Put a deleted item back and queue it for Firebase again
+ * @param {string} key - Recycle bin entry key
+ * @returns {Promise<object>} { success, error? }
  */
-export const saveUserProfileToFirebase = async (profileData) => {
+export const restoreTrashItem = async (key) => {
     try {
-        const user = auth.currentUser;
-        if (!user) return false;
+        const bookId = getActiveBookId();
+        const scope = getBookScope(getAccountScope(), bookId);
+        const stamp = { deviceId: await getDeviceId(), now: new Date().toISOString() };
+        // A fresh updatedAt makes the restored copy newer than its tombstone on every device;
+        // it descends from the version that was deleted
+        const restamp = (record) => ({
+            ...record,
+            updatedAt: stamp.now,
+            deviceId: stamp.deviceId,
+            syncBase: record.syncBase || record.updatedAt || null,
+        });
 
-        const { setDoc } = await import('firebase/firestore');
-        const profileRef = doc(db, 'users', user.uid, 'settings', 'profile');
-        await setDoc(profileRef, profileData);
+        const result = await enqueueWrite(async () => {
+            const entry = (await readTrash(scope))[key];
+            if (!entry) return { error: 'This item is no longer in the recycle bin.' };
+
+            const audit = (ledgerId, transactionId, changes) => makeAuditEntry({
+                ledgerId,
+                transactionId,
+                action: 'restored',
+                changes,
+                actor: getActor(),
+                deviceId: stamp.deviceId,
+                now: stamp.now,
+            });
 
-        console.log('Profile saved to Firebase');
+            let restored = null;
+            let auditEntries = [];
+            if (entry.kind === 'ledger') {
+                const index = await ensureLedgerLayout(scope);
+                if (index.includes(entry.id)) return { error: 'This customer already exists.' };
+                restored = {
+                    ...restamp(entry.record),
+                    transactions: (entry.record.transactions || []).map(restamp),
+                };
+                await writeLedger(scope, restored, index);
+                auditEntries = await appendAuditEntries(scope, entry.id, [
+                    audit(entry.id, null, { name: { before: null, after: restored.name } })
+                ]);
+            } else if (entry.kind === 'transaction') {
+                const index = await ensureLedgerLayout(scope);
+                const ledger = (await readLedgers(scope, [entry.ledgerId]))[entry.ledgerId];
+                if (!ledger) return { error: `Restore the customer ${entry.ledgerName || ''} first.` };
+                if (ledger.transactions.some(t => t.id === entry.id)) {
+                    restored = ledger;
+                } else {
+                    restored = addLedgerTransaction(ledger, restamp(entry.record));
+                    auditEntries = await appendAuditEntries(scope, entry.ledgerId, [
+                        audit(entry.ledgerId, entry.id, restoredChanges(entry.record))
+                    ]);
+                }
+                await writeLedger(scope, restored, index);
+            } else if (entry.kind === 'expense') {
+                const allExpenses = (await readExpenses(scope)).filter(e => e.id !== entry.id);
+                restored = restamp(entry.record);
+                await writeExpenses(scope, [restored, ...allExpenses]);
+            }
+
+            await removeTombstones(scope, [key]);
+            await removeFromTrash(scope, [key]);
+            return { kind: entry.kind, restored, auditEntries };
+        });
+
+        if (result.error) return { success: false, error: result.error };
+        emitDataChange(result.kind === 'expense'
+            ? { kind: 'expenses', bookId }
+            : { kind: 'ledgers', ledgerIds: [result.restored.id], bookId });
+
+        if (result.kind === 'expense') {
+            const settings = await getBackupSettings();
+            if (auth.currentUser && settings.autoBackup) {
+                await queueSyncOp({ kind: 'upsertExpense', targetId: result.restored.id, payload: result.restored, bookId });
+            }
+        } else if (result.restored) {
+            await queueLedgerSync(result.restored, [], result.auditEntries, bookId);
+        }
+        return { success: true };
+    } catch (error) {
+        console.error('Error restoring from recycle bin:', error);
+        return { success: false, error: error.message || String(error) };
+    }
+};
+
+/**
+ * Remove items from the recycle bin for good
+ * @param {Array<string>} keys - Entry keys
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteTrashItemsForever = async (keys) => {
+    try {
+        const scope = getUserScope();
+        await enqueueWrite(() => removeFromTrash(scope, keys));
         return true;
     } catch (error) {
-        console.error('Error saving profile to Firebase:', error);
+        console.error('Error emptying recycle bin:', error);
         return false;
     }
 };
 
 /**
  * Fetch user profile from Firestore
+ * @param {string} bookId - Book the profile brands (defaults to the open book)
  * @returns {Promise<object>} Profile data
  */
-export const getUserProfileFromFirebase = async () => {
+export const getUserProfileFromFirebase = async (bookId = getActiveBookId()) => {
     try {
         const user = auth.currentUser;
         if (!user) return null;
 
-        const { getDoc } = await import('firebase/firestore');
-        const profileRef = doc(db, 'users', user.uid, 'settings', 'profile');
-        const snapshot = await getDoc(profileRef);
-
-        if (snapshot.exists()) {
+        const profile = await fetchCloudProfile(user.uid, bookId);
+        if (profile) {
             console.log('Profile loaded from Firebase');
-            return snapshot.data();
+            return profile;
         }
         return null;
     } catch (error) {
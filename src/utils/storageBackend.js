@@ -0,0 +1,147 @@
+// Storage Backend - Where local records live
+//
+// Every module reads and writes local data through the default export, which offers the
+// AsyncStorage methods the app uses (getItem, setItem, removeItem, multiGet, multiSet,
+// multiRemove, getAllKeys, clear) and forwards them to the active backend:
+//   sqlite       - expo-sqlite (sqliteBackend.js), the default on Android and iOS
+//   asyncStorage - web, and phones where SQLite could not be opened before the move
+//   memory       - tests (memoryBackend.js), installed with setStorageBackend
+//
+// Phones that kept their data in AsyncStorage move it to SQLite on the first start: app
+// keys are copied and checked batch by batch, the switch is recorded under
+// `storageBackend` in AsyncStorage, and only then are the AsyncStorage copies removed.
+// An interrupted move simply runs again. Firebase's auth session stays in AsyncStorage.
+//
+// A value codec (encryption.js) may transform values between the app and the backend.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import { createSQLiteBackend } from './sqliteBackend';
+
+const BACKEND_KEY = 'storageBackend';
+const MOVE_BATCH_SIZE = 100;
+
+// Keys other libraries keep in AsyncStorage (firebase/auth persistence)
+const isForeignKey = (key) => key === BACKEND_KEY || key.startsWith('firebase:');
+
+let active = null;
+let ready = null;
+let codec = null;
+
+// Copy app keys from AsyncStorage into SQLite, then drop the AsyncStorage copies
+const moveToSQLite = async (sqlite) => {
+    const keys = (await AsyncStorage.getAllKeys()).filter(key => !isForeignKey(key));
+    for (let i = 0; i < keys.length; i += MOVE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + MOVE_BATCH_SIZE);
+        const pairs = (await AsyncStorage.multiGet(batch)).filter(([, value]) => value != null);
+        await sqlite.multiSet(pairs);
+        const copied = await sqlite.multiGet(pairs.map(([key]) => key));
+        if (copied.some(([, value], j) => value !== pairs[j][1])) {
+            throw new Error(`Copy check failed for batch starting at ${batch[0]}`);
+        }
+    }
+    await AsyncStorage.setItem(BACKEND_KEY, 'sqlite');
+    if (keys.length > 0) await AsyncStorage.multiRemove(keys);
+};
+
+const openBackend = async () => {
+    if (Platform.OS === 'web') return { name: 'asyncStorage', backend: AsyncStorage };
+
+    const moved = (await AsyncStorage.getItem(BACKEND_KEY)) === 'sqlite';
+    try {
+        const sqlite = await createSQLiteBackend();
+        if (!moved) await moveToSQLite(sqlite);
+        return { name: 'sqlite', backend: sqlite };
+    } catch (error) {
+        // After the move AsyncStorage is empty; falling back would show (and write) a blank app
+        if (moved) throw error;
+        console.error('Storage: SQLite unavailable, keeping AsyncStorage:', error);
+        return { name: 'asyncStorage', backend: AsyncStorage };
+    }
+};
+
+/**
+ * Open the storage backend (moving AsyncStorage data to SQLite on first use).
+ * Called lazily by the first read or write; safe to call more than once.
+ * @returns {Promise<string>} Backend name
+ */
+export const initStorageBackend = async () => {
+    if (!ready) {
+        ready = openBackend().then(opened => {
+            active = opened;
+            return opened;
+        });
+        // A failed open is retried on the next call
+        ready.catch(() => { ready = null; });
+    }
+    return (await ready).name;
+};
+
+/**
+ * Replace the storage backend (tests, tools)
+ * @param {object} backend - Object with the methods listed at the top of this file
+ * @param {string} name - Name reported by getStorageBackendName
+ */
+export const setStorageBackend = (backend, name = 'custom') => {
+    active = { name, backend };
+    ready = Promise.resolve(active);
+};
+
+/**
+ * Name of the backend in use
+ * @returns {string|null} 'sqlite' | 'asyncStorage' | 'memory' | ..., null before it is opened
+ */
+export const getStorageBackendName = () => (active ? active.name : null);
+
+/**
+ * Transform values between the app and the backend (at-rest encryption)
+ * @param {object|null} valueCodec - { encode(pairs, backend), decode(pairs, backend), reset() };
+ *   encode and decode take and resolve to [[key, value]] pairs, backend is the raw backend
+ */
+export const setValueCodec = (valueCodec) => {
+    codec = valueCodec;
+};
+
+const getBackend = async () => {
+    await initStorageBackend();
+    return active.backend;
+};
+
+const encode = async (pairs, backend) => (codec ? codec.encode(pairs, backend) : pairs);
+const decode = async (pairs, backend) => (codec ? codec.decode(pairs, backend) : pairs);
+
+const storageBackend = {
+    getItem: async (key) => {
+        const backend = await getBackend();
+        const [[, value]] = await decode([[key, await backend.getItem(key)]], backend);
+        return value;
+    },
+    setItem: async (key, value) => {
+        const backend = await getBackend();
+        const [[, encoded]] = await encode([[key, value]], backend);
+        return backend.setItem(key, encoded);
+    },
+    removeItem: async (key) => (await getBackend()).removeItem(key),
+    multiGet: async (keys) => {
+        const backend = await getBackend();
+        return decode(await backend.multiGet(keys), backend);
+    },
+    multiSet: async (pairs) => {
+        const backend = await getBackend();
+        return backend.multiSet(await encode(pairs, backend));
+    },
+    multiRemove: async (keys) => (await getBackend()).multiRemove(keys),
+    getAllKeys: async () => (await getBackend()).getAllKeys(),
+    // Wipes the auth session in AsyncStorage too, as clearing AsyncStorage always did
+    clear: async () => {
+        const backend = await getBackend();
+        await backend.clear();
+        if (codec) codec.reset();
+        if (active.name === 'sqlite') {
+            await AsyncStorage.clear();
+            await AsyncStorage.setItem(BACKEND_KEY, 'sqlite');
+        }
+    },
+};
+
+export default storageBackend;
@@ -0,0 +1,280 @@
+// Sync Merge - Pure record stamping and two-way merge rules
+//
+// Every synced record (ledger, transaction, expense, category) carries:
+//   updatedAt - ISO time of the last local change
+//   deviceId  - device that made that change
+//   syncBase  - updatedAt of the version last seen in the cloud (set by a merge, kept across edits)
+//
+// Deletions are tombstones: { kind, id, ledgerId?, deletedAt, deviceId }.
+// Nothing in this file touches storage or the network.
+
+import { recomputeLedger } from './ledgerEngine';
+
+const META_FIELDS = ['updatedAt', 'deviceId', 'syncBase'];
+const DERIVED_FIELDS = {
+    ledger: ['balance', 'transactions', 'transactionChunks', 'chunkDates'],
+    transaction: ['balanceAfter'],
+    expense: [],
+    category: [],
+};
+
+/**
+ * Build the tombstone key of a record
+ * @param {string} kind - 'ledger' | 'transaction' | 'expense' | 'category'
+ * @param {string} id - Record id
+ * @param {string} ledgerId - Owning ledger (transactions only)
+ * @returns {string} e.g. "transaction:<ledgerId>/<id>"
+ */
+export const getRecordKey = (kind, id, ledgerId = null) => {
+    return kind === 'transaction' ? `${kind}:${ledgerId}/${id}` : `${kind}:${id}`;
+};
+
+/**
+ * Whether a record has local changes the cloud has not seen yet
+ * @param {object} record - Stamped record
+ * @returns {boolean} True if it still needs uploading
+ */
+export const isDirty = (record) => {
+    return !record.syncBase || record.updatedAt !== record.syncBase;
+};
+
+const stripFields = (record, kind) => {
+    const skip = new Set([...META_FIELDS, ...(DERIVED_FIELDS[kind] || [])]);
+    const content = {};
+    Object.keys(record || {}).sort().forEach(key => {
+        // Missing, null and '' all mean "not set" (cloud docs default phone/address to '')
+        if (!skip.has(key) && record[key] != null && record[key] !== '') content[key] = record[key];
+    });
+    return content;
+};
+
+/**
+ * Compare two records ignoring sync metadata and derived fields
+ * @returns {boolean} True if the user-visible content is identical
+ */
+export const sameContent = (a, b, kind) => {
+    return JSON.stringify(stripFields(a, kind)) === JSON.stringify(stripFields(b, kind));
+};
+
+/**
+ * Stamp a record if its content changed since the previous version
+ * @param {object|null} previous - Stored version (null for new records)
+ * @param {object} next - Version about to be saved
+ * @param {string} kind - Record kind
+ * @param {object} stamp - { deviceId, now }
+ * @returns {object} Record with updatedAt/deviceId/syncBase set
+ */
+export const stampRecord = (previous, next, kind, { deviceId, now }) => {
+    if (previous && sameContent(previous, next, kind)) {
+        return {
+            ...next,
+            updatedAt: previous.updatedAt || next.updatedAt || null,
+            deviceId: previous.deviceId || next.deviceId || null,
+            syncBase: previous.syncBase || null,
+        };
+    }
+    return {
+        ...next,
+        updatedAt: now,
+        deviceId,
+        syncBase: previous ? previous.syncBase || null : null,
+    };
+};
+
+/**
+ * Stamp a list of records by id, reporting the ids that disappeared
+ * @param {Array} previousList - Stored records
+ * @param {Array} nextList - Records about to be saved
+ * @param {string} kind - Record kind
+ * @param {object} stamp - { deviceId, now }
+ * @returns {{ list: Array, removedIds: Array<string>, changed: boolean }}
+ */
+export const stampList = (previousList = [], nextList = [], kind, stamp) => {
+    const previousById = {};
+    previousList.forEach(r => { previousById[r.id] = r; });
+
+    let changed = previousList.length !== nextList.length;
+    const list = nextList.map(record => {
+        const stamped = stampRecord(previousById[record.id] || null, record, kind, stamp);
+        if (stamped.updatedAt === stamp.now) changed = true;
+        return stamped;
+    });
+
+    const nextIds = new Set(nextList.map(r => r.id));
+    const removedIds = previousList.filter(r => !nextIds.has(r.id)).map(r => r.id);
+    return { list, removedIds, changed: changed || removedIds.length > 0 };
+};
+
+/**
+ * Stamp a ledger and its transactions. Transactions are stamped individually and do not
+ * bump the ledger itself, so adding an entry never conflicts with renaming the customer.
+ * @param {object|null} previous - Stored ledger
+ * @param {object} next - Ledger about to be saved
+ * @param {object} stamp - { deviceId, now }
+ * @returns {{ ledger: object, removedTransactionIds: Array<string> }}
+ */
+export const stampLedger = (previous, next, stamp) => {
+    const { list, removedIds } = stampList(
+        previous ? previous.transactions : [],
+        next.transactions || [],
+        'transaction',
+        stamp
+    );
+    const ledger = stampRecord(previous, next, 'ledger', stamp);
+    return { ledger: { ...ledger, transactions: list }, removedTransactionIds: removedIds };
+};
+
+/**
+ * Decide between a local and a remote version of the same record
+ * @returns {string} 'local' | 'remote' | 'conflict'
+ */
+export const resolveRecord = (local, remote, kind) => {
+    if (!remote) return 'local';
+    if (!local) return 'remote';
+    // Identical content: adopt the cloud's metadata, nothing to upload
+    if (sameContent(local, remote, kind)) return 'remote';
+    // One side was edited on top of exactly the version the other side holds
+    if (remote.syncBase && remote.syncBase === local.updatedAt) return 'remote';
+    if (local.syncBase && local.syncBase === remote.updatedAt) return 'local';
+
+    const base = local.syncBase || null;
+    const localChanged = (local.updatedAt || null) !== base;
+    const remoteChanged = (remote.updatedAt || null) !== base;
+    if (!localChanged) return 'remote';
+    if (!remoteChanged) return 'local';
+    return 'conflict';
+};
+
+const newerTombstone = (a, b) => {
+    if (!a) return b || null;
+    if (!b) return a;
+    return a.deletedAt >= b.deletedAt ? a : b;
+};
+
+// Fields either copy has set, preferring the cloud's values
+const fillMissing = (remote, local) => {
+    const filled = { ...remote };
+    Object.keys(local).forEach(key => {
+        if (filled[key] == null || filled[key] === '') filled[key] = local[key];
+    });
+    return filled;
+};
+
+const isNewerThan = (record, tombstone) => {
+    return Boolean(record && record.updatedAt && record.updatedAt > tombstone.deletedAt);
+};
+
+/**
+ * Merge two id-keyed collections of records
+ * @param {object} params - { kind, local, remote, localTombstones, remoteTombstones, ledgerId? }
+ *   local/remote: { [id]: record }, tombstones: { [recordKey]: tombstone }
+ * @returns {{ merged: object, upload: Array<object>, deleteRemote: Array<string>, conflicts: Array<object>, tombstones: object }}
+ */
+export const mergeCollection = ({ kind, local = {}, remote = {}, localTombstones = {}, remoteTombstones = {}, ledgerId = null }) => {
+    const merged = {};
+    const upload = [];
+    const deleteRemote = [];
+    const conflicts = [];
+    const tombstones = {};
+
+    const ids = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    Object.keys({ ...localTombstones, ...remoteTombstones }).forEach(key => {
+        const tomb = localTombstones[key] || remoteTombstones[key];
+        if (tomb.kind === kind && (kind !== 'transaction' || tomb.ledgerId === ledgerId)) ids.add(tomb.id);
+    });
+
+    ids.forEach(id => {
+        const key = getRecordKey(kind, id, ledgerId);
+        const l = local[id] || null;
+        const r = remote[id] || null;
+        const tomb = newerTombstone(localTombstones[key], remoteTombstones[key]);
+
+        // A tombstone wins unless some live version was edited after the deletion
+        if (tomb && !isNewerThan(l, tomb) && !isNewerThan(r, tomb)) {
+            tombstones[key] = tomb;
+            if (r) deleteRemote.push(id);
+            return;
+        }
+
+        // The same version on both sides can still differ: older builds uploaded only some
+        // fields. Keep every field either copy has and re-upload if the cloud lacked any.
+        if (l && r && l.updatedAt && l.updatedAt === r.updatedAt && !sameContent(l, r, kind)) {
+            const filled = fillMissing(r, l);
+            if (sameContent(filled, r, kind)) {
+                merged[id] = { ...filled, syncBase: filled.updatedAt };
+            } else {
+                // No syncBase keeps it dirty so pushLedger sends it; the cloud still holds this updatedAt
+                merged[id] = { ...filled, syncBase: null };
+                upload.push(merged[id]);
+            }
+            return;
+        }
+
+        const winner = resolveRecord(l, r, kind);
+        if (winner === 'conflict') {
+            // Keep the local copy until the user chooses; do not upload it
+            merged[id] = l;
+            conflicts.push({ key, kind, id, ledgerId, local: l, remote: r });
+            return;
+        }
+
+        if (winner === 'local' && (!r || !sameContent(l, r, kind))) {
+            // Still based on the cloud's version until the upload lands, so it stays dirty
+            merged[id] = { ...l, syncBase: r ? r.updatedAt || null : null };
+            upload.push(merged[id]);
+            return;
+        }
+        const chosen = winner === 'local' ? l : r;
+        merged[id] = { ...chosen, syncBase: chosen.updatedAt || null };
+    });
+
+    return { merged, upload, deleteRemote, conflicts, tombstones };
+};
+
+const byId = (list = []) => {
+    const map = {};
+    list.forEach(item => { if (item && item.id) map[item.id] = item; });
+    return map;
+};
+
+/**
+ * Merge local and remote ledgers, including their transactions
+ * @param {object} params - { local, remote, localTombstones, remoteTombstones } (ledgers keyed by id)
+ * @returns {{ ledgers: object, uploadLedgerIds: Array<string>, deleteRemote: Array<string>, conflicts: Array<object>, tombstones: object }}
+ */
+export const mergeLedgers = ({ local = {}, remote = {}, localTombstones = {}, remoteTombstones = {} }) => {
+    const ledgerResult = mergeCollection({ kind: 'ledger', local, remote, localTombstones, remoteTombstones });
+    const ledgers = {};
+    const uploadLedgerIds = new Set(ledgerResult.upload.map(l => l.id));
+    const deleteRemote = ledgerResult.deleteRemote.map(id => getRecordKey('ledger', id));
+    const conflicts = [...ledgerResult.conflicts];
+    const tombstones = { ...ledgerResult.tombstones };
+
+    Object.values(ledgerResult.merged).forEach(ledger => {
+        const txnResult = mergeCollection({
+            kind: 'transaction',
+            local: byId(local[ledger.id] ? local[ledger.id].transactions : []),
+            remote: byId(remote[ledger.id] ? remote[ledger.id].transactions : []),
+            localTombstones,
+            remoteTombstones,
+            ledgerId: ledger.id,
+        });
+
+        if (txnResult.upload.length > 0) uploadLedgerIds.add(ledger.id);
+        txnResult.deleteRemote.forEach(id => deleteRemote.push(getRecordKey('transaction', id, ledger.id)));
+        // Transactions take the ledger's currency; the conflict screen formats amounts with it
+        conflicts.push(...txnResult.conflicts.map(c => ({ ...c, currency: ledger.currency })));
+        Object.assign(tombstones, txnResult.tombstones);
+
+        ledgers[ledger.id] = recomputeLedger({
+            ...ledger,
+            transactions: Object.values(txnResult.merged),
+        });
+        // The cloud's stored balance is derived; refresh it when the merged history changed it
+        if (remote[ledger.id] && remote[ledger.id].balance !== ledgers[ledger.id].balance) {
+            uploadLedgerIds.add(ledger.id);
+        }
+    });
+
+    return { ledgers, uploadLedgerIds: [...uploadLedgerIds], deleteRemote, conflicts, tombstones };
+};
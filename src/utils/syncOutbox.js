@@ -0,0 +1,461 @@
+// Sync Outbox - Durable queue of pending Firestore upserts and deletes
+//
+// Local writes never talk to Firestore directly any more. They append an operation to
+// `outbox_<uid>` and the outbox drains it in order whenever we are (or come back) online.
+// Each operation names the book it writes to (ops queued before books existed have none
+// and go to the default book).
+// A failing operation blocks the ones behind it and is retried with exponential backoff.
+// After a record lands in Firestore its local `syncBase` is moved to the pushed version,
+// so later edits are recognised as descending from what the cloud holds.
+// Nothing drains while the app is locked; unlocking pushes what queued up before it.
+
+import storageBackend from './storageBackend';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import { doc, getDoc, setDoc, deleteDoc } from 'firebase/firestore';
+import { db, auth } from '../../firebase';
+import { enqueueWrite } from './writeQueue';
+import { generateId } from './calculations';
+import { getTombstoneDocId } from './tombstones';
+import { isDirty } from './syncMerge';
+import { ensureLedgerLayout, readLedgers, writeLedger } from './ledgerStore';
+import { readExpenses, writeExpenses } from './repository';
+import { deleteLedgerTree } from './cloudDeletion';
+import { getBookPath, getBookScope, getActiveBookId, DEFAULT_BOOK_ID } from './books';
+import { toFirestore, auditToFirestore, tombstoneToFirestore, MONEY_UNIT } from './recordSchema';
+
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+const getOutboxKey = (uid) => `outbox_${uid}`;
+
+const EMPTY_OUTBOX = {
+    ops: [],
+    lastError: null,
+    lastErrorAt: null,
+    lastSuccessAt: null,
+};
+
+/**
+ * Check that the cloud still holds the version a local record was based on.
+ * If another device wrote in between we skip the write; the next merge sync
+ * (cloudSync.js) then sees both versions and surfaces the conflict.
+ * @param {object} ref - Firestore document reference
+ * @param {object} record - Stamped local record (or tombstone with deletedAt)
+ * @returns {Promise<boolean>} True if it is safe to overwrite or delete
+ */
+const isBasedOnCloud = async (ref, record) => {
+    const snapshot = await getDoc(ref);
+    if (!snapshot.exists()) return true;
+    const remote = snapshot.data();
+    if (!remote.updatedAt) return true;
+    if (record.deletedAt) return remote.updatedAt <= record.deletedAt;
+    return remote.updatedAt === record.syncBase || remote.updatedAt === record.updatedAt;
+};
+
+const skipStale = (path) => {
+    console.warn(`Outbox: ${path} changed on another device, leaving it for the next sync`);
+};
+
+/**
+ * Write a ledger document and the transactions the cloud has not seen yet.
+ * Records already in sync are skipped so we never overwrite another device's newer edit.
+ * @param {Array<string>} bookPath - Path segments of the book document (see getBookPath)
+ * @param {object} ledger - Ledger object
+ * @returns {Promise<object>} Versions written: { ledger: updatedAt|null, transactions: { [id]: updatedAt } }
+ *   Rejects on any Firestore error
+ */
+export const pushLedger = async (bookPath, ledger) => {
+    const pushed = { ledger: null, transactions: {} };
+    // Path: users/{uid}/books/{bookId}/ledgers/{ledgerId}
+    const ledgerRef = doc(db, ...bookPath, 'ledgers', ledger.id);
+    if (isDirty(ledger) && await isBasedOnCloud(ledgerRef, ledger)) {
+        await setDoc(ledgerRef, toFirestore('ledger', {
+            ...ledger,
+            updatedAt: ledger.updatedAt || new Date().toISOString(),
+        }));
+        pushed.ledger = ledger.updatedAt || null;
+    } else {
+        // Only the derived balance may have changed (the ledger's only amount, so the unit covers the doc)
+        await setDoc(ledgerRef, { balance: ledger.balance, moneyUnit: MONEY_UNIT }, { merge: true });
+    }
+
+    for (const transaction of (ledger.transactions || []).filter(isDirty)) {
+        const transactionRef = doc(db, ...bookPath, 'ledgers', ledger.id, 'transactions', transaction.id);
+        if (!(await isBasedOnCloud(transactionRef, transaction))) {
+            skipStale(`transaction ${transaction.id}`);
+            continue;
+        }
+        await setDoc(transactionRef, toFirestore('transaction', transaction));
+        pushed.transactions[transaction.id] = transaction.updatedAt || null;
+    }
+    return pushed;
+};
+
+// The cloud now holds `pushedAt`; a local record at or after that version descends from it
+const acknowledge = (record, pushedAt) => {
+    if (!record || !pushedAt || record.updatedAt < pushedAt) return record;
+    if (record.syncBase && record.syncBase >= pushedAt) return record;
+    return { ...record, syncBase: pushedAt };
+};
+
+const markLedgerPushed = (scope, ledgerId, pushed) => enqueueWrite(async () => {
+    const index = await ensureLedgerLayout(scope);
+    const ledger = (await readLedgers(scope, [ledgerId]))[ledgerId];
+    if (!ledger) return;
+    await writeLedger(scope, {
+        ...acknowledge(ledger, pushed.ledger),
+        transactions: ledger.transactions.map(t => acknowledge(t, pushed.transactions[t.id])),
+    }, index);
+});
+
+const markExpensePushed = (scope, expenseId, pushedAt) => enqueueWrite(async () => {
+    const expenses = await readExpenses(scope);
+    if (expenses.length === 0) return;
+    await writeExpenses(scope, expenses.map(e => e.id === expenseId ? acknowledge(e, pushedAt) : e));
+});
+
+/**
+ * Mark records as synced after a batched upload (cloudSync.js) wrote them
+ * @param {string} scope - Book scope
+ * @param {Array<object>} pushed - [{ kind: 'ledger'|'transaction'|'expense', id, ledgerId?, updatedAt }]
+ * @returns {Promise<void>}
+ */
+export const markRecordsPushed = (scope, pushed) => enqueueWrite(async () => {
+    const byLedger = {};
+    const expenses = {};
+    pushed.forEach(({ kind, id, ledgerId, updatedAt }) => {
+        if (kind === 'expense') {
+            expenses[id] = updatedAt;
+            return;
+        }
+        const targetId = kind === 'ledger' ? id : ledgerId;
+        byLedger[targetId] = byLedger[targetId] || { ledger: null, transactions: {} };
+        if (kind === 'ledger') byLedger[targetId].ledger = updatedAt;
+        else byLedger[targetId].transactions[id] = updatedAt;
+    });
+
+    const ledgerIds = Object.keys(byLedger);
+    if (ledgerIds.length > 0) {
+        let index = await ensureLedgerLayout(scope);
+        const ledgers = await readLedgers(scope, ledgerIds);
+        for (const ledger of Object.values(ledgers)) {
+            const versions = byLedger[ledger.id];
+            index = await writeLedger(scope, {
+                ...acknowledge(ledger, versions.ledger),
+                transactions: ledger.transactions.map(t => acknowledge(t, versions.transactions[t.id])),
+            }, index);
+        }
+    }
+
+    if (Object.keys(expenses).length > 0) {
+        const list = await readExpenses(scope);
+        if (list.length === 0) return;
+        await writeExpenses(scope, list.map(e => (expenses[e.id] ? acknowledge(e, expenses[e.id]) : e)));
+    }
+});
+
+/**
+ * Record a deletion in the book's tombstones so other devices drop the record too
+ * @param {Array<string>} bookPath - Path segments of the book document
+ * @param {object|null} tombstone - { key, kind, id, ledgerId, deletedAt, deviceId }
+ * @returns {Promise<void>}
+ */
+const pushTombstone = async (bookPath, tombstone) => {
+    if (!tombstone || !tombstone.key) return;
+    await setDoc(doc(db, ...bookPath, 'tombstones', getTombstoneDocId(tombstone.key)), tombstoneToFirestore(tombstone));
+};
+
+/**
+ * Delete a document unless it was edited after the deletion
+ * @param {Function} remove - Performs the delete (defaults to the document alone)
+ */
+const deleteUnlessNewer = async (bookPath, ref, tombstone, remove = () => deleteDoc(ref)) => {
+    await pushTombstone(bookPath, tombstone);
+    if (tombstone && !(await isBasedOnCloud(ref, tombstone))) {
+        skipStale(ref.path || String(ref));
+        return;
+    }
+    await remove();
+};
+
+// One executor per operation kind. Each must throw on failure so the op is retried.
+const EXECUTORS = {
+    upsertLedger: async (uid, op) => {
+        const pushed = await pushLedger(getBookPath(uid, op.bookId), op.payload);
+        await markLedgerPushed(getBookScope(uid, op.bookId), op.payload.id, pushed);
+    },
+    // Transactions and audit entries are subcollections and must go with the ledger
+    deleteLedger: (uid, op) => {
+        const bookPath = getBookPath(uid, op.bookId);
+        return deleteUnlessNewer(bookPath, doc(db, ...bookPath, 'ledgers', op.targetId), op.payload,
+            () => deleteLedgerTree(uid, op.bookId, op.targetId));
+    },
+    deleteTransaction: (uid, op) => {
+        const bookPath = getBookPath(uid, op.bookId);
+        const [ledgerId, transactionId] = op.targetId.split('/');
+        return deleteUnlessNewer(bookPath, doc(db, ...bookPath, 'ledgers', ledgerId, 'transactions', transactionId), op.payload);
+    },
+    upsertExpense: async (uid, op) => {
+        const expenseRef = doc(db, ...getBookPath(uid, op.bookId), 'expenses', op.targetId);
+        if (!(await isBasedOnCloud(expenseRef, op.payload))) {
+            skipStale(`expense ${op.targetId}`);
+            return;
+        }
+        const updatedAt = op.payload.updatedAt || new Date().toISOString();
+        await setDoc(expenseRef, toFirestore('expense', { ...op.payload, updatedAt }));
+        await markExpensePushed(getBookScope(uid, op.bookId), op.targetId, updatedAt);
+    },
+    deleteExpense: (uid, op) => {
+        const bookPath = getBookPath(uid, op.bookId);
+        return deleteUnlessNewer(bookPath, doc(db, ...bookPath, 'expenses', op.targetId), op.payload);
+    },
+    upsertCategories: (uid, op) => setDoc(doc(db, ...getBookPath(uid, op.bookId), 'settings', 'categories'), {
+        list: op.payload,
+        updatedAt: new Date().toISOString()
+    }),
+    // Categories live in one document; a removal only needs its tombstone
+    deleteCategory: (uid, op) => pushTombstone(getBookPath(uid, op.bookId), op.payload),
+    // Audit entries are append-only, so a plain write is always safe
+    appendAudit: (uid, op) => {
+        const [ledgerId, entryId] = op.targetId.split('/');
+        return setDoc(doc(db, ...getBookPath(uid, op.bookId), 'ledgers', ledgerId, 'audit', entryId), auditToFirestore(op.payload));
+    },
+    // Branding of the book: users/{uid}/books/{bookId}/profile/info
+    upsertProfile: (uid, op) => setDoc(doc(db, ...getBookPath(uid, op.bookId), 'profile', 'info'), op.payload, { merge: true }),
+    // Name and dates of the book itself: users/{uid}/books/{bookId}
+    upsertBook: (uid, op) => {
+        const { id: _id, ...book } = op.payload;
+        return setDoc(doc(db, ...getBookPath(uid, op.bookId)), book, { merge: true });
+    },
+};
+
+// Upserts and deletes of the same record supersede each other
+const getRecordKey = (op) => `${op.bookId || DEFAULT_BOOK_ID}:${op.kind.replace(/^(upsert|delete)/, '')}:${op.targetId || ''}`;
+
+const readOutbox = async (uid) => {
+    const jsonValue = await storageBackend.getItem(getOutboxKey(uid));
+    if (jsonValue == null) return { ...EMPTY_OUTBOX };
+    try {
+        return { ...EMPTY_OUTBOX, ...JSON.parse(jsonValue) };
+    } catch (e) {
+        console.error('Error parsing outbox JSON:', e);
+        return { ...EMPTY_OUTBOX };
+    }
+};
+
+const updateOutbox = async (uid, updater) => {
+    const next = await enqueueWrite(async () => {
+        const updated = updater(await readOutbox(uid));
+        await storageBackend.setItem(getOutboxKey(uid), JSON.stringify(updated));
+        return updated;
+    });
+    notifyListeners(next);
+    return next;
+};
+
+/**
+ * Outbox status listeners (UserProfileScreen backup section)
+ */
+const listeners = new Set();
+
+const toStatus = (outbox) => ({
+    pending: outbox.ops.length,
+    lastError: outbox.lastError,
+    lastErrorAt: outbox.lastErrorAt,
+    lastSuccessAt: outbox.lastSuccessAt,
+    nextAttemptAt: outbox.ops[0] ? outbox.ops[0].nextAttemptAt || null : null,
+});
+
+const notifyListeners = (outbox) => {
+    const status = toStatus(outbox);
+    listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Subscribe to outbox status changes
+ * @param {Function} listener - Called with { pending, lastError, lastErrorAt, lastSuccessAt, nextAttemptAt }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeOutbox = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Current outbox status for the signed-in user
+ * @returns {Promise<object>} Status object (see subscribeOutbox)
+ */
+export const getOutboxStatus = async () => {
+    const user = auth.currentUser;
+    if (!user) return toStatus(EMPTY_OUTBOX);
+    return toStatus(await readOutbox(user.uid));
+};
+
+/**
+ * Append a sync operation for the signed-in user and start draining
+ * @param {object} op - { kind, targetId, payload, bookId (defaults to the open book) }
+ * @returns {Promise<boolean>} False if nobody is signed in
+ */
+export const queueSyncOp = async ({ kind, targetId = null, payload = null, bookId = getActiveBookId() }) => {
+    const user = auth.currentUser;
+    if (!user) return false;
+    if (!EXECUTORS[kind]) throw new Error(`Unknown sync operation: ${kind}`);
+
+    const op = {
+        id: generateId(),
+        kind,
+        targetId,
+        payload,
+        bookId,
+        attempts: 0,
+        nextAttemptAt: null,
+        createdAt: new Date().toISOString(),
+    };
+    const recordKey = getRecordKey(op);
+    await updateOutbox(user.uid, outbox => ({
+        ...outbox,
+        ops: [...outbox.ops.filter(o => getRecordKey(o) !== recordKey), op],
+    }));
+
+    drainOutbox();
+    return true;
+};
+
+let draining = null;
+let retryTimer = null;
+let paused = false;
+
+const scheduleRetry = (delay) => {
+    if (retryTimer) clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        drainOutbox();
+    }, Math.max(delay, 0));
+};
+
+const runDrain = async () => {
+    const user = auth.currentUser;
+    if (!user) return;
+    const uid = user.uid;
+
+    while (!paused && auth.currentUser && auth.currentUser.uid === uid) {
+        const outbox = await readOutbox(uid);
+        const op = outbox.ops[0];
+        if (!op) return;
+
+        const wait = (op.nextAttemptAt || 0) - Date.now();
+        if (wait > 0) {
+            scheduleRetry(wait);
+            return;
+        }
+
+        const executor = EXECUTORS[op.kind];
+        try {
+            if (executor) {
+                await executor(uid, op);
+            } else {
+                console.warn('Outbox: dropping unknown operation', op.kind);
+            }
+            await updateOutbox(uid, current => ({
+                ...current,
+                ops: current.ops.filter(o => o.id !== op.id),
+                lastError: null,
+                lastSuccessAt: new Date().toISOString(),
+            }));
+        } catch (error) {
+            const attempts = (op.attempts || 0) + 1;
+            const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+            console.error(`Outbox: ${op.kind} failed (attempt ${attempts}), retrying in ${delay / 1000}s:`, error);
+            await updateOutbox(uid, current => ({
+                ...current,
+                ops: current.ops.map(o => o.id === op.id ? { ...o, attempts, nextAttemptAt: Date.now() + delay } : o),
+                lastError: error.message || String(error),
+                lastErrorAt: new Date().toISOString(),
+            }));
+            scheduleRetry(delay);
+            return;
+        }
+    }
+};
+
+/**
+ * Push pending operations to Firestore in order. Concurrent calls share one run.
+ * @param {object} options - { force: ignore backoff and retry the head op now }
+ * @returns {Promise<void>}
+ */
+export const drainOutbox = async ({ force = false } = {}) => {
+    if (paused) return;
+    const user = auth.currentUser;
+    if (force && user) {
+        await updateOutbox(user.uid, outbox => ({
+            ...outbox,
+            ops: outbox.ops.map(o => ({ ...o, nextAttemptAt: null })),
+        }));
+    }
+    if (!draining) {
+        draining = runDrain()
+            .catch(error => console.error('Outbox: drain error:', error))
+            .finally(() => { draining = null; });
+    }
+    return draining;
+};
+
+/**
+ * Hold the outbox while the app is locked and drain it again on unlock
+ * @param {boolean} value - True while locked
+ * @returns {Promise<void>}
+ */
+export const setOutboxPaused = async (value) => {
+    if (value === paused) return;
+    paused = value;
+    if (paused) {
+        if (retryTimer) {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+        }
+        return;
+    }
+    // An operation cut off by the lock is retried now instead of after its backoff
+    await drainOutbox({ force: true });
+};
+
+/**
+ * Drop every pending operation of a user (before their cloud data is deleted)
+ * @param {string} uid - Firebase user id
+ * @returns {Promise<void>}
+ */
+export const discardOutbox = async (uid) => {
+    if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+    }
+    // Let an in-flight write finish so it cannot land after the delete
+    if (draining) await draining;
+    await updateOutbox(uid, () => ({ ...EMPTY_OUTBOX }));
+};
+
+/**
+ * Start draining on connectivity changes and when the app returns to the foreground
+ * @returns {Function} Stop listening
+ */
+export const startOutboxSync = () => {
+    const unsubscribeNet = NetInfo.addEventListener(state => {
+        if (state.isConnected && state.isInternetReachable !== false) {
+            drainOutbox({ force: true });
+        }
+    });
+    const appStateSub = AppState.addEventListener('change', (nextState) => {
+        if (nextState === 'active') drainOutbox();
+    });
+    drainOutbox();
+
+    return () => {
+        unsubscribeNet();
+        appStateSub.remove();
+        if (retryTimer) {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+        }
+    };
+};
@@ -0,0 +1,74 @@
+// Tombstones - Local record of deletions so a sync can't resurrect them
+//
+// `tombstones_<scope>` -> { [recordKey]: { kind, id, ledgerId?, deletedAt, deviceId } }
+// Writers are primitives; storage.js calls them inside enqueueWrite.
+
+import storageBackend from './storageBackend';
+
+const TOMBSTONE_RETENTION_DAYS = 90;
+
+export const getTombstonesKey = (scope) => `tombstones_${scope}`;
+
+/**
+ * Firestore document id for a tombstone (doc ids may not contain '/')
+ * @param {string} recordKey - e.g. "transaction:<ledgerId>/<id>"
+ * @returns {string} Safe document id
+ */
+export const getTombstoneDocId = (recordKey) => recordKey.replace(/[:/]/g, '_');
+
+/**
+ * Read every tombstone of a scope
+ * @param {string} scope - User scope
+ * @returns {Promise<object>} { [recordKey]: tombstone }
+ */
+export const readTombstones = async (scope) => {
+    const jsonValue = await storageBackend.getItem(getTombstonesKey(scope));
+    if (jsonValue == null) return {};
+    try {
+        return JSON.parse(jsonValue);
+    } catch (e) {
+        console.error('Error parsing tombstones JSON:', e);
+        return {};
+    }
+};
+
+/**
+ * Replace the tombstones of a scope, dropping ones older than the retention window
+ * @param {string} scope - User scope
+ * @param {object} tombstones - { [recordKey]: tombstone }
+ * @returns {Promise<void>}
+ */
+export const writeTombstones = async (scope, tombstones) => {
+    const cutoff = new Date(Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const kept = {};
+    Object.entries(tombstones).forEach(([key, tomb]) => {
+        if (tomb && tomb.deletedAt >= cutoff) kept[key] = tomb;
+    });
+    await storageBackend.setItem(getTombstonesKey(scope), JSON.stringify(kept));
+};
+
+/**
+ * Add tombstones to a scope
+ * @param {string} scope - User scope
+ * @param {Array<object>} list - Tombstones carrying a `key` field
+ * @returns {Promise<void>}
+ */
+export const addTombstones = async (scope, list) => {
+    if (list.length === 0) return;
+    const current = await readTombstones(scope);
+    list.forEach(({ key, ...tomb }) => { current[key] = tomb; });
+    await writeTombstones(scope, current);
+};
+
+/**
+ * Forget tombstones (e.g. after a record is restored)
+ * @param {string} scope - User scope
+ * @param {Array<string>} keys - Record keys to drop
+ * @returns {Promise<void>}
+ */
+export const removeTombstones = async (scope, keys) => {
+    if (keys.length === 0) return;
+    const current = await readTombstones(scope);
+    keys.forEach(key => { delete current[key]; });
+    await writeTombstones(scope, current);
+};
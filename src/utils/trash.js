@@ -0,0 +1,75 @@
+// Trash - Local recycle bin for deleted customers, transactions and expenses
+//
+// `trash_<scope>` -> { [recordKey]: { kind, id, ledgerId?, ledgerName?, ledgerCurrency?, deletedAt, record } }
+// The deletion itself is still tombstoned and synced; the trash only keeps a copy so it
+// can be restored until the retention period runs out.
+// Writers are primitives; storage.js calls them inside enqueueWrite.
+
+import storageBackend from './storageBackend';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+
+export const getTrashKey = (scope) => `trash_${scope}`;
+
+/**
+ * Read the trash of a scope
+ * @param {string} scope - User scope
+ * @returns {Promise<object>} { [recordKey]: entry }
+ */
+export const readTrash = async (scope) => {
+    const jsonValue = await storageBackend.getItem(getTrashKey(scope));
+    if (jsonValue == null) return {};
+    try {
+        return JSON.parse(jsonValue);
+    } catch (e) {
+        console.error('Error parsing trash JSON:', e);
+        return {};
+    }
+};
+
+const writeTrash = async (scope, trash) => {
+    await storageBackend.setItem(getTrashKey(scope), JSON.stringify(trash));
+};
+
+/**
+ * Put deleted records in the trash
+ * @param {string} scope - User scope
+ * @param {Array<object>} entries - { key, kind, id, ledgerId?, ledgerName?, ledgerCurrency?, deletedAt, record }
+ * @returns {Promise<void>}
+ */
+export const addToTrash = async (scope, entries) => {
+    if (entries.length === 0) return;
+    const trash = await readTrash(scope);
+    entries.forEach(entry => { trash[entry.key] = entry; });
+    await writeTrash(scope, trash);
+};
+
+/**
+ * Take entries out of the trash (restored or deleted forever)
+ * @param {string} scope - User scope
+ * @param {Array<string>} keys - Record keys
+ * @returns {Promise<void>}
+ */
+export const removeFromTrash = async (scope, keys) => {
+    if (keys.length === 0) return;
+    const trash = await readTrash(scope);
+    keys.forEach(key => { delete trash[key]; });
+    await writeTrash(scope, trash);
+};
+
+/**
+ * Drop entries older than the retention period
+ * @param {string} scope - User scope
+ * @param {number} retentionDays - Days to keep deleted items
+ * @returns {Promise<number>} Number of entries purged
+ */
+export const pruneTrash = async (scope, retentionDays) => {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const trash = await readTrash(scope);
+    const expired = Object.keys(trash).filter(key => trash[key].deletedAt < cutoff);
+    if (expired.length === 0) return 0;
+    expired.forEach(key => { delete trash[key]; });
+    await writeTrash(scope, trash);
+    return expired.length;
+};
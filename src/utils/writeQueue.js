@@ -0,0 +1,25 @@
+// Serialized Write Queue - every local storage mutation runs one at a time
+//
+// Read-modify-write sequences (e.g. add a transaction while the profile is saving)
+// must be queued as a single task so a later write always sees the earlier one.
+// Tasks must NOT enqueue further tasks and wait on them, or the queue deadlocks.
+
+let tail = Promise.resolve();
+
+/**
+ * Run a write task after all previously queued tasks have settled
+ * @param {Function} task - Async function performing the read-modify-write
+ * @returns {Promise<any>} Resolves or rejects with the task's own result
+ */
+export const enqueueWrite = (task) => {
+    const run = tail.then(() => task());
+    // A failed task must not block the tasks queued after it
+    tail = run.catch(() => { });
+    return run;
+};
+
+/**
+ * Wait until every write queued so far has finished
+ * @returns {Promise<void>}
+ */
+export const whenWritesSettled = () => tail;